@@ -6,63 +6,151 @@ require('dotenv').config();
 
 const express = require('express');
 const path = require('path');
+const config = require('./server/config');
+const logger = require('./server/utils/logger');
 
 // Import middleware
+const { requestLogger } = require('./server/middleware/requestLogger');
+const { collectMetrics } = require('./server/middleware/metrics');
 const corsMiddleware = require('./server/middleware/cors');
+const securityHeaders = require('./server/middleware/securityHeaders');
+const { requireAdmin } = require('./server/middleware/adminAuth');
+const { isCookieMode, csrfProtection } = require('./server/middleware/session');
+const { trackRequests, drain } = require('./server/middleware/drain');
 
 // Import route setup functions
 const setupPageRoutes = require('./server/routes/pages');
+const setupStatusRoutes = require('./server/routes/status');
+const setupHealthRoutes = require('./server/routes/health');
 const setupAuthRoutes = require('./server/routes/auth');
+const setupPasswordResetRoutes = require('./server/routes/passwordReset');
+const setupTwoFactorRoutes = require('./server/routes/twoFactor');
 const setupUserRoutes = require('./server/routes/users');
 const setupProductRoutes = require('./server/routes/products');
 const setupOrderRoutes = require('./server/routes/orders');
 const setupReportsRoutes = require('./server/routes/reports');
+const setupDocsRoutes = require('./server/routes/docs');
+const setupEventRoutes = require('./server/routes/events');
+const setupWebhookRoutes = require('./server/routes/webhooks');
+const setupEmailRoutes = require('./server/routes/email');
+const setupAuditRoutes = require('./server/routes/audit');
+const orderEvents = require('./server/events/orderEvents');
+const auditLog = require('./server/audit/auditLog');
+const { findUndocumentedRoutes } = require('./server/docs/openapi');
 
 const app = express();
+app.disable('x-powered-by');
+app.set('trust proxy', config.trustProxy);
 const PORT = process.env.PORT || 3000;
 
 // Middleware setup
+app.use(requestLogger);
+app.use(trackRequests);
+app.use(collectMetrics);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(securityHeaders);
 app.use(corsMiddleware);
+if (isCookieMode()) {
+    app.use(csrfProtection);
+}
 
 // Serve static files from organized structure
 app.use('/css', express.static(path.join(__dirname, 'src/css')));
+app.use('/js/admin', requireAdmin({ redirect: false }));
 app.use('/js', express.static(path.join(__dirname, 'src/js')));
 app.use('/assets', express.static(path.join(__dirname, 'assets'))); // For future assets
 
+// Setup health, readiness and metrics routes
+setupHealthRoutes(app);
+
 // Setup API routes
+setupStatusRoutes(app);
 setupAuthRoutes(app);
+setupPasswordResetRoutes(app);
+setupTwoFactorRoutes(app);
 setupUserRoutes(app);
 setupProductRoutes(app);
 setupOrderRoutes(app);
 setupReportsRoutes(app);
+setupEventRoutes(app);
+setupWebhookRoutes(app);
+setupEmailRoutes(app);
+setupAuditRoutes(app);
+setupDocsRoutes(app);
 
 // Setup page routes (should be last to handle catch-all)
 setupPageRoutes(app);
 
+// Keep the OpenAPI document in step with the routes above
+const routeDocs = findUndocumentedRoutes(app);
+if (routeDocs.undocumented.length > 0) {
+    logger.warn('API routes missing from server/docs/openapi.js', { routes: routeDocs.undocumented });
+}
+if (routeDocs.missing.length > 0) {
+    logger.warn('server/docs/openapi.js documents routes that are not registered', { routes: routeDocs.missing });
+}
+
+// Start the mock backend when running without the Java backend
+if (config.mock.enabled) {
+    const MockStore = require('./server/mock/store');
+    const { startMockBackend } = require('./server/mock/backend');
+    startMockBackend(new MockStore(config.mock.dataFile), config.mock.port);
+}
+
 // Start the server
 
 const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server is running on http://0.0.0.0:${PORT}`);
-    console.log(`Backend URL: ${process.env.BACKEND_URL || 'http://localhost:8080'}`);
-    console.log('Serving files from organized structure:');
-    console.log('  - Pages: src/pages/');
-    console.log('  - JavaScript: src/js/');
-    console.log('  - CSS: src/css/');
+    logger.info(`Server is running on http://0.0.0.0:${PORT}`, {
+        backendUrl: config.backendUrl,
+        sessionMode: config.session.mode,
+        logLevel: config.logging.level
+    });
+    if (config.cors.allowedOrigins.includes('*') && config.cors.allowCredentials) {
+        logger.warn('CORS_ALLOW_CREDENTIALS is ignored because CORS_ALLOWED_ORIGINS allows any origin.');
+    }
+    if (isCookieMode() && config.session.secretIsPlaceholder) {
+        logger.warn('SESSION_SECRET is still the example placeholder and is ignored; set a random secret so CSRF tokens survive a restart.');
+    } else if (isCookieMode() && !config.session.secretFromEnv) {
+        logger.warn('SESSION_SECRET is not set; CSRF tokens will not survive a restart.');
+    }
+    if (!auditLog.dataFile) {
+        logger.warn('AUDIT_LOG_FILE is empty; the audit log is kept in memory and lost on restart.');
+    }
+    if (!config.twoFactor.dataFile) {
+        logger.warn('TWO_FACTOR_FILE is empty; two-factor enrollments are kept in memory and lost on restart.');
+    }
 });
 
-function shutdown(signal) {
-    console.log(`Received ${signal}. Shutting down server...`);
-    server.close(() => {
-        console.log('Server closed. Exiting process.');
-        process.exit(0);
-    });
-    // Force exit if not closed in 5 seconds
-    setTimeout(() => {
-        console.error('Force exiting after timeout.');
+let shuttingDown = false;
+
+/**
+ * Stop taking traffic, let in-flight requests finish, then exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn(`Received ${signal} again. Exiting without waiting for requests.`);
         process.exit(1);
-    }, 5000);
+    }
+    shuttingDown = true;
+    logger.info(`Received ${signal}. Shutting down server...`, {
+        delayMs: config.shutdown.delayMs,
+        graceMs: config.shutdown.graceMs
+    });
+
+    // Open event streams would otherwise keep the server from closing
+    orderEvents.close();
+
+    const { completed, aborted } = await drain(server, config.shutdown);
+    await auditLog.close();
+
+    if (completed) {
+        logger.info('All requests finished. Exiting process.');
+        process.exit(0);
+    }
+    logger.error('Exiting with requests still in flight.', { aborted });
+    process.exit(1);
 }
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
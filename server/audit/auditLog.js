@@ -0,0 +1,112 @@
+/**
+ * Audit Log
+ * Append-only record of admin changes to users, products and orders
+ *
+ * Entries are written as JSON Lines to AUDIT_LOG_FILE, which is only ever
+ * opened for appending; nothing in this server edits or removes an entry.
+ * The file is read back at startup so the viewer can filter the full history.
+ * Without a file only the most recent entries are kept in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Entries kept when there is no file to hold the full history
+const MAX_MEMORY_ENTRIES = 500;
+
+class AuditLog {
+    /**
+     * @param {string|null} dataFile - JSON Lines file (null keeps entries in memory only)
+     */
+    constructor(dataFile = null) {
+        this.dataFile = dataFile ? path.resolve(dataFile) : null;
+        this.entries = this.load();
+        this.stream = null;
+    }
+
+    /**
+     * Read the entries already in the file
+     * @returns {Object[]} Entries, oldest first
+     */
+    load() {
+        if (!this.dataFile || !fs.existsSync(this.dataFile)) return [];
+
+        const entries = [];
+        let skipped = 0;
+        fs.readFileSync(this.dataFile, 'utf8').split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        });
+        if (skipped > 0) {
+            logger.warn('Skipped unreadable audit log lines', { dataFile: this.dataFile, skipped });
+        }
+        return entries;
+    }
+
+    /**
+     * Open the file for appending on first use
+     * @returns {Object|null} Write stream, or null when entries stay in memory
+     */
+    output() {
+        if (!this.dataFile) return null;
+        if (!this.stream) {
+            fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+            this.stream = fs.createWriteStream(this.dataFile, { flags: 'a', mode: 0o600 });
+            this.stream.on('error', error => {
+                logger.error('Could not write audit log', { dataFile: this.dataFile, error });
+            });
+        }
+        return this.stream;
+    }
+
+    /**
+     * Append an entry
+     * @param {Object} fields - { actor, action, entity, entityId, before, after, changes, requestId, method, path }
+     * @returns {Object} Stored entry
+     */
+    record(fields) {
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            ...fields
+        };
+
+        this.entries.push(entry);
+        const stream = this.output();
+        if (stream) {
+            stream.write(`${JSON.stringify(entry)}\n`);
+        } else if (this.entries.length > MAX_MEMORY_ENTRIES) {
+            this.entries.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Get every entry, oldest first
+     * @returns {Object[]} Entries (do not modify)
+     */
+    list() {
+        return this.entries;
+    }
+
+    /**
+     * Flush and close the file (used on shutdown)
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.stream) return Promise.resolve();
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+const auditLog = new AuditLog(config.audit.dataFile);
+
+module.exports = auditLog;
+module.exports.AuditLog = AuditLog;
@@ -0,0 +1,241 @@
+/**
+ * Server Configuration
+ * Centralizes settings read from environment variables
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Read an integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+function intFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Read a comma separated list environment variable
+ * @param {string} name - Variable name
+ * @param {string[]} fallback - Value used when unset
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function listFromEnv(name, fallback) {
+    if (process.env[name] === undefined) return fallback;
+    return process.env[name].split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the TRUST_PROXY setting in the forms Express accepts for 'trust proxy'
+ * @param {string} name - Variable name
+ * @returns {boolean|number|string} false when unset, true, a hop count, or a list of addresses/subnets
+ */
+function trustProxyFromEnv(name) {
+    const value = (process.env[name] || '').trim();
+    if (value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+// SESSION_SECRET values from old example files; they are public, so they are never used to sign anything
+const PLACEHOLDER_SESSION_SECRETS = ['change-me'];
+const sessionSecret = process.env.SESSION_SECRET || '';
+const sessionSecretIsPlaceholder = PLACEHOLDER_SESSION_SECRETS.includes(sessionSecret);
+
+const mockEnabled = process.env.MOCK_BACKEND === 'true';
+const mockPort = intFromEnv('MOCK_BACKEND_PORT', 8089);
+
+const config = {
+    // In mock mode the proxy talks to the local mock backend instead of BACKEND_URL
+    backendUrl: mockEnabled
+        ? `http://127.0.0.1:${mockPort}`
+        : process.env.BACKEND_URL || 'http://localhost:8080',
+
+    // Reverse proxies whose X-Forwarded-For header is believed, so req.ip is the client's address for the
+    // per-IP login, password reset and 2FA limits. Without it every client behind a proxy shares one IP.
+    trustProxy: trustProxyFromEnv('TRUST_PROXY'),
+
+    logging: {
+        // Minimum level written: debug, info, warn or error
+        level: (process.env.LOG_LEVEL || 'info').toLowerCase()
+    },
+
+    proxy: {
+        // Maximum time a single backend exchange may take
+        timeoutMs: intFromEnv('PROXY_TIMEOUT_MS', 10000),
+        // Report queries scan many orders and get a longer budget
+        reportTimeoutMs: intFromEnv('PROXY_REPORT_TIMEOUT_MS', 30000),
+        // Extra attempts for idempotent requests on connection errors or 502/503/504
+        retries: intFromEnv('PROXY_RETRIES', 2),
+        // Base delay for exponential backoff between retries
+        retryDelayMs: intFromEnv('PROXY_RETRY_DELAY_MS', 200)
+    },
+
+    shutdown: {
+        // Time after SIGTERM with /readyz failing but connections still accepted, so load balancers can react
+        delayMs: intFromEnv('SHUTDOWN_DELAY_MS', 0),
+        // How long in-flight requests may keep running before they are aborted
+        graceMs: intFromEnv('SHUTDOWN_GRACE_MS', 15000)
+    },
+
+    metrics: {
+        // Bearer token Prometheus sends to read /metrics (unset: only signed-in admins can read it)
+        token: process.env.METRICS_TOKEN || ''
+    },
+
+    circuitBreaker: {
+        // Consecutive connection failures or timeouts before requests fail fast
+        failureThreshold: intFromEnv('BREAKER_FAILURE_THRESHOLD', 5),
+        // How often the backend is probed while the circuit is open
+        probeIntervalMs: intFromEnv('BREAKER_PROBE_INTERVAL_MS', 5000),
+        probeTimeoutMs: intFromEnv('BREAKER_PROBE_TIMEOUT_MS', 2000)
+    },
+
+    cache: {
+        // How long product listings are served from the proxy cache (0 disables it)
+        catalogTtlMs: intFromEnv('CATALOG_CACHE_TTL_MS', 30000)
+    },
+
+    idempotency: {
+        // How long the response to an Idempotency-Key is replayed to retries
+        ttlMs: intFromEnv('IDEMPOTENCY_TTL_MS', 24 * 60 * 60 * 1000),
+        maxEntries: intFromEnv('IDEMPOTENCY_MAX_KEYS', 10000)
+    },
+
+    cors: {
+        // Origins allowed to call the API from other sites; empty means same-origin only, '*' any origin
+        allowedOrigins: listFromEnv('CORS_ALLOWED_ORIGINS', []),
+        allowedMethods: listFromEnv('CORS_ALLOWED_METHODS', ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']),
+        // Let allowed origins send cookies and Authorization headers (ignored for '*')
+        allowCredentials: process.env.CORS_ALLOW_CREDENTIALS === 'true',
+        maxAgeSeconds: intFromEnv('CORS_MAX_AGE_SECONDS', 600)
+    },
+
+    securityHeaders: {
+        // Third-party origins the pages load Bootstrap and its icons from
+        cdnOrigins: listFromEnv('CSP_CDN_ORIGINS', ['https://cdn.jsdelivr.net']),
+        // Who may embed the pages in a frame ('none' blocks framing entirely)
+        frameAncestors: listFromEnv('CSP_FRAME_ANCESTORS', ["'none'"]),
+        // Report violations in the browser console instead of blocking them
+        cspReportOnly: process.env.CSP_REPORT_ONLY === 'true',
+        // 0 disables Strict-Transport-Security
+        hstsMaxAgeSeconds: intFromEnv('HSTS_MAX_AGE_SECONDS', 15552000),
+        referrerPolicy: process.env.REFERRER_POLICY || 'strict-origin-when-cross-origin'
+    },
+
+    loginThrottle: {
+        // Failed logins per username, and per client IP, before a temporary lockout
+        maxUserFailures: intFromEnv('LOGIN_MAX_USER_FAILURES', 5),
+        maxIpFailures: intFromEnv('LOGIN_MAX_IP_FAILURES', 20),
+        // Failures allowed before each attempt has to wait; the wait doubles per failure
+        freeAttempts: intFromEnv('LOGIN_FREE_ATTEMPTS', 2),
+        baseDelayMs: intFromEnv('LOGIN_BASE_DELAY_MS', 1000),
+        maxDelayMs: intFromEnv('LOGIN_MAX_DELAY_MS', 30000),
+        lockoutMs: intFromEnv('LOGIN_LOCKOUT_MS', 15 * 60 * 1000),
+        // Failures older than this no longer count
+        windowMs: intFromEnv('LOGIN_FAILURE_WINDOW_MS', 15 * 60 * 1000)
+    },
+
+    passwordReset: {
+        // Backend admin account used to look users up and set their new password
+        // (the mock backend's admin is used when unset in mock mode)
+        serviceUsername: process.env.PASSWORD_RESET_SERVICE_USERNAME || (mockEnabled ? 'admin' : ''),
+        servicePassword: process.env.PASSWORD_RESET_SERVICE_PASSWORD || (mockEnabled ? 'admin123' : ''),
+        // How long a reset link stays valid, and how many outstanding links are kept
+        tokenTtlMs: intFromEnv('PASSWORD_RESET_TTL_MS', 30 * 60 * 1000),
+        maxTokens: intFromEnv('PASSWORD_RESET_MAX_TOKENS', 10000),
+        // Reset requests per client IP and emails per account within the window, and reset attempts per IP
+        maxRequestsPerIp: intFromEnv('PASSWORD_RESET_MAX_REQUESTS_PER_IP', 5),
+        maxEmailsPerAccount: intFromEnv('PASSWORD_RESET_MAX_EMAILS_PER_ACCOUNT', 3),
+        maxAttemptsPerIp: intFromEnv('PASSWORD_RESET_MAX_ATTEMPTS_PER_IP', 10),
+        windowMs: intFromEnv('PASSWORD_RESET_WINDOW_MS', 60 * 60 * 1000)
+    },
+
+    twoFactor: {
+        // JSON file with TOTP secrets, recovery code hashes and the admin policy (empty keeps them in memory only)
+        dataFile: (process.env.TWO_FACTOR_FILE ?? './data/two-factor.json') || null,
+        // Name shown next to the account in authenticator apps
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Sales Store',
+        // Time to answer the second login step, and wrong codes allowed per login
+        challengeTtlMs: intFromEnv('TWO_FACTOR_CHALLENGE_TTL_MS', 5 * 60 * 1000),
+        maxAttempts: intFromEnv('TWO_FACTOR_MAX_ATTEMPTS', 5),
+        // Second-step and code-check requests per client IP within the window
+        maxRequestsPerIp: intFromEnv('TWO_FACTOR_MAX_REQUESTS_PER_IP', 30),
+        windowMs: intFromEnv('TWO_FACTOR_WINDOW_MS', 15 * 60 * 1000)
+    },
+
+    orderEvents: {
+        // How often the backend order list is compared for changes made outside this server (0 disables it)
+        pollIntervalMs: intFromEnv('ORDER_EVENTS_POLL_MS', 15000),
+        // Backend admin account the comparison reads the order list with (no comparison when unset;
+        // the mock backend's admin is used in mock mode)
+        serviceUsername: process.env.ORDER_EVENTS_SERVICE_USERNAME || (mockEnabled ? 'admin' : ''),
+        servicePassword: process.env.ORDER_EVENTS_SERVICE_PASSWORD || (mockEnabled ? 'admin123' : ''),
+        // Comment lines that keep idle streams open through proxies and load balancers
+        heartbeatMs: intFromEnv('ORDER_EVENTS_HEARTBEAT_MS', 25000),
+        // Recent events replayed to browsers that reconnect
+        historySize: intFromEnv('ORDER_EVENTS_HISTORY_SIZE', 200),
+        maxClients: intFromEnv('ORDER_EVENTS_MAX_CLIENTS', 500)
+    },
+
+    webhooks: {
+        // JSON file that keeps the endpoint list across restarts (unset keeps it in memory)
+        dataFile: process.env.WEBHOOKS_FILE || null,
+        timeoutMs: intFromEnv('WEBHOOK_TIMEOUT_MS', 5000),
+        // Attempts per delivery; retries wait WEBHOOK_RETRY_BASE_MS, doubling each time
+        maxAttempts: intFromEnv('WEBHOOK_MAX_ATTEMPTS', 5),
+        retryBaseMs: intFromEnv('WEBHOOK_RETRY_BASE_MS', 5000),
+        // Deliveries kept in the in-memory delivery log
+        logSize: intFromEnv('WEBHOOK_LOG_SIZE', 500)
+    },
+
+    audit: {
+        // Append-only JSON Lines file of admin changes (empty keeps the latest 500 entries in memory only)
+        dataFile: (process.env.AUDIT_LOG_FILE ?? './data/audit.jsonl') || null
+    },
+
+    email: {
+        // 'smtp', 'file' (one .eml per message in fileDir), 'console' (written to the log) or 'none'
+        transport: (process.env.EMAIL_TRANSPORT || 'console').toLowerCase(),
+        from: process.env.EMAIL_FROM || 'Sales Store <no-reply@localhost>',
+        // Public address of this server, used for links in emails
+        appUrl: (process.env.APP_URL || 'http://localhost:3001').replace(/\/+$/, ''),
+        fileDir: process.env.EMAIL_FILE_DIR || './data/mail',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: intFromEnv('SMTP_PORT', 587),
+            // TLS from the first byte (usually port 465); otherwise STARTTLS is used when offered
+            secure: process.env.SMTP_SECURE === 'true',
+            requireTls: process.env.SMTP_REQUIRE_TLS === 'true',
+            user: process.env.SMTP_USER || '',
+            password: process.env.SMTP_PASSWORD || '',
+            timeoutMs: intFromEnv('SMTP_TIMEOUT_MS', 10000)
+        }
+    },
+
+    session: {
+        // 'token' keeps the JWT in localStorage, 'cookie' keeps it in an httpOnly cookie
+        mode: process.env.AUTH_SESSION_MODE === 'cookie' ? 'cookie' : 'token',
+        // Signs CSRF tokens; a random secret invalidates them on every restart
+        secret: sessionSecret && !sessionSecretIsPlaceholder ? sessionSecret : crypto.randomBytes(32).toString('hex'),
+        secretFromEnv: !!sessionSecret && !sessionSecretIsPlaceholder,
+        secretIsPlaceholder: sessionSecretIsPlaceholder,
+        sameSite: process.env.SESSION_COOKIE_SAMESITE || 'strict',
+        secureCookie: process.env.SESSION_COOKIE_SECURE === 'true'
+    },
+
+    mock: {
+        enabled: mockEnabled,
+        port: mockPort,
+        // Optional JSON file that keeps mock data across restarts
+        dataFile: process.env.MOCK_DATA_FILE || null,
+        jwtSecret: process.env.MOCK_JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+        tokenTtlSeconds: intFromEnv('MOCK_TOKEN_TTL_SECONDS', 3600)
+    }
+};
+
+module.exports = config;
+module.exports.intFromEnv = intFromEnv;
+module.exports.listFromEnv = listFromEnv;
@@ -0,0 +1,1084 @@
+/**
+ * OpenAPI Description
+ * Contract for the proxy API served at /api/docs
+ *
+ * Operations are documented in ROUTE_DOCS, keyed by "METHOD /express/path".
+ * Request bodies that are validated by the proxy are generated from the shared
+ * validation schemas, and findUndocumentedRoutes() compares ROUTE_DOCS with the
+ * routes actually registered on the app so the two cannot silently drift apart.
+ */
+
+const { VALIDATION_SCHEMAS, WEBHOOK_EVENTS } = require('../../src/js/utils/validation');
+const { GROUP_BY_OPTIONS, MAX_PAGE_SIZE } = require('../reports/aggregate');
+const { EXPORT_FORMATS } = require('../reports/export');
+const { LIST_RESOURCES, MAX_PAGE_SIZE: MAX_LIST_SIZE } = require('../middleware/listQuery');
+const { DELIVERY_STATUSES, MAX_DELIVERY_LIMIT } = require('../webhooks/dispatcher');
+const { TEMPLATES: EMAIL_TEMPLATES } = require('../email/templates');
+const packageInfo = require('../../package.json');
+
+// Paths outside /api that are part of the contract
+const EXTRA_DOCUMENTED_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+/**
+ * Reference a component schema
+ * @param {string} name - Component name
+ * @returns {Object} $ref object
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Convert a validation field rule to JSON Schema
+ * @param {Object} rule - Field rule from VALIDATION_SCHEMAS
+ * @returns {Object} JSON Schema
+ */
+function fieldToJsonSchema(rule) {
+    const schema = { type: rule.type };
+    if (rule.label) schema.description = rule.label;
+    if (rule.minLength) schema.minLength = rule.minLength;
+    if (rule.maxLength) schema.maxLength = rule.maxLength;
+    if (rule.pattern) schema.pattern = rule.pattern;
+    if (rule.format) schema.format = rule.format;
+    if (rule.enum && rule.type === 'array') schema.items = { type: 'string', enum: rule.enum };
+    else if (rule.enum) schema.enum = rule.enum;
+    if (rule.positive) schema.exclusiveMinimum = 0;
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.minItems) schema.minItems = rule.minItems;
+    if (rule.items) schema.items = validationToJsonSchema(rule.items);
+    if (!rule.required && rule.type !== 'array') schema.nullable = true;
+    return schema;
+}
+
+/**
+ * Convert a validation schema to a JSON Schema object
+ * @param {Object} validationSchema - Entry of VALIDATION_SCHEMAS
+ * @returns {Object} JSON Schema
+ */
+function validationToJsonSchema(validationSchema) {
+    const properties = {};
+    const required = [];
+
+    Object.entries(validationSchema.fields).forEach(([name, rule]) => {
+        properties[name] = fieldToJsonSchema(rule);
+        if (rule.required) required.push(name);
+    });
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) schema.required = required;
+    if (validationSchema.minFields) schema.minProperties = validationSchema.minFields;
+    return schema;
+}
+
+const COMPONENT_SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+        required: ['message']
+    },
+    Message: {
+        type: 'object',
+        description: 'Message to show the user',
+        properties: { message: { type: 'string' } }
+    },
+    ValidationError: {
+        type: 'object',
+        properties: {
+            message: { type: 'string', description: 'All field messages joined' },
+            errors: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', example: 'orderProducts[0].productQuantity' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    ServiceError: {
+        type: 'object',
+        description: 'Backend unreachable (serverOffline) or too slow (timeout)',
+        properties: {
+            message: { type: 'string' },
+            serverOffline: { type: 'boolean' },
+            timeout: { type: 'boolean' }
+        }
+    },
+    LoginThrottled: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            lockedOut: { type: 'boolean' },
+            retryAfterSeconds: { type: 'integer' }
+        }
+    },
+    LoginRequest: {
+        type: 'object',
+        properties: { username: { type: 'string' }, password: { type: 'string', format: 'password' } },
+        required: ['username', 'password']
+    },
+    AuthResponse: {
+        description: 'The JWT in token mode; in cookie session mode the JWT is set as an httpOnly ' +
+            'cookie and only its claims are returned',
+        oneOf: [
+            {
+                type: 'object',
+                properties: { token: { type: 'string' } },
+                required: ['token']
+            },
+            {
+                type: 'object',
+                properties: {
+                    session: {
+                        type: 'object',
+                        properties: {
+                            mode: { type: 'string', enum: ['cookie'] },
+                            claims: { type: 'object', additionalProperties: true }
+                        }
+                    }
+                },
+                required: ['session']
+            }
+        ]
+    },
+    LoginResponse: {
+        description: 'AuthResponse, or a challenge when the account uses two-factor authentication',
+        oneOf: [
+            ref('AuthResponse'),
+            {
+                type: 'object',
+                properties: {
+                    twoFactor: {
+                        type: 'object',
+                        properties: {
+                            challenge: { type: 'string', description: 'Sent to /api/auth/login/verify' },
+                            setupRequired: {
+                                type: 'boolean',
+                                description: 'Admin without 2FA while the policy requires it; enroll first'
+                            },
+                            expiresInSeconds: { type: 'integer' }
+                        }
+                    }
+                },
+                required: ['twoFactor']
+            }
+        ]
+    },
+    TwoFactorLoginResponse: {
+        description: 'AuthResponse; after enrolling at login it also carries the new recovery codes',
+        allOf: [
+            ref('AuthResponse'),
+            { type: 'object', properties: { recoveryCodes: { type: 'array', items: { type: 'string' } } } }
+        ]
+    },
+    TwoFactorEnrollment: {
+        type: 'object',
+        properties: {
+            secret: { type: 'string', description: 'Base32 secret for manual entry' },
+            otpauthUrl: { type: 'string', description: 'otpauth:// URL to show as a QR code' }
+        }
+    },
+    TwoFactorStatus: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            enabledAt: { type: 'string', format: 'date-time', nullable: true },
+            recoveryCodesLeft: { type: 'integer' },
+            required: { type: 'boolean', description: 'The policy keeps this account from turning 2FA off' },
+            recoveryCodes: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'New recovery codes; only returned when they are created'
+            }
+        }
+    },
+    TwoFactorPolicy: {
+        type: 'object',
+        properties: { requireForAdmins: { type: 'boolean' } }
+    },
+    Role: { type: 'string', enum: ['USER', 'ADMIN'] },
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            firstName: { type: 'string' },
+            lastName: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            role: ref('Role')
+        }
+    },
+    UpdateUserRequest: {
+        type: 'object',
+        description: 'Only the fields that change',
+        properties: {
+            username: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', format: 'password' },
+            role: ref('Role')
+        }
+    },
+    Product: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            actualPrice: { type: 'number', description: 'Purchase price (admin only)' },
+            sellingPrice: { type: 'number' },
+            availableQuantity: { type: 'integer' }
+        }
+    },
+    PublicProduct: {
+        type: 'object',
+        description: 'Product without the purchase price',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            description: { type: 'string', nullable: true },
+            sellingPrice: { type: 'number' },
+            availableQuantity: { type: 'integer' }
+        }
+    },
+    OrderStatus: { type: 'string', enum: VALIDATION_SCHEMAS.updateOrderStatus.fields.status.enum },
+    OrderProduct: {
+        type: 'object',
+        properties: {
+            productId: { type: 'integer' },
+            productName: { type: 'string' },
+            productQuantity: { type: 'integer' },
+            unitPrice: { type: 'number' }
+        }
+    },
+    Order: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            status: ref('OrderStatus'),
+            orderDate: { type: 'string', format: 'date-time' },
+            orderProducts: { type: 'array', items: ref('OrderProduct') },
+            user: {
+                type: 'object',
+                properties: {
+                    username: { type: 'string' },
+                    email: { type: 'string' },
+                    firstName: { type: 'string' },
+                    lastName: { type: 'string' }
+                }
+            },
+            totalAmount: { type: 'number' }
+        }
+    },
+    OrderEvent: {
+        type: 'object',
+        description: 'Data of an order.created or order.status_changed Server-Sent Event',
+        properties: {
+            type: { type: 'string', enum: ['order.created', 'order.status_changed'] },
+            orderId: { type: 'string' },
+            status: ref('OrderStatus'),
+            previousStatus: { allOf: [ref('OrderStatus')], nullable: true, description: 'Only set for status changes, when known' },
+            source: { type: 'string', enum: ['proxy', 'poll'] },
+            occurredAt: { type: 'string', format: 'date-time' },
+            order: ref('Order')
+        }
+    },
+    WebhookEndpoint: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            url: { type: 'string', format: 'uri' },
+            description: { type: 'string' },
+            events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+            enabled: { type: 'boolean' },
+            secret: { type: 'string', description: 'Signing secret; only returned on create and rotation' },
+            secretHint: { type: 'string', description: 'Last characters of the secret' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            eventId: { type: 'string' },
+            eventType: { type: 'string' },
+            endpointId: { type: 'string', format: 'uuid' },
+            url: { type: 'string' },
+            status: { type: 'string', enum: DELIVERY_STATUSES },
+            attempts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        number: { type: 'integer' },
+                        at: { type: 'string', format: 'date-time' },
+                        url: { type: 'string' },
+                        statusCode: { type: 'integer' },
+                        response: { type: 'string', description: 'Start of the response body' },
+                        error: { type: 'string' },
+                        durationMs: { type: 'integer' }
+                    }
+                }
+            },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            body: { type: 'string', description: 'Signed JSON payload' }
+        }
+    },
+    EmailTemplates: {
+        type: 'object',
+        properties: {
+            transport: { type: 'string', enum: ['smtp', 'file', 'console', 'none'] },
+            from: { type: 'string' },
+            templates: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', enum: Object.keys(EMAIL_TEMPLATES) },
+                        description: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    EmailPreview: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            subject: { type: 'string' },
+            html: { type: 'string' },
+            text: { type: 'string' }
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            at: { type: 'string', format: 'date-time' },
+            actor: { type: 'string', description: 'Username of the admin' },
+            action: { type: 'string', enum: ['create', 'update', 'delete', 'status_change'] },
+            entity: { type: 'string', enum: ['user', 'product', 'order'] },
+            entityId: { type: 'string', nullable: true },
+            before: { type: 'object', nullable: true, description: 'Record before the change, when it could be read' },
+            after: { type: 'object', nullable: true, description: 'Record returned by the backend' },
+            changes: {
+                type: 'object',
+                nullable: true,
+                description: 'Changed fields as { field: { from, to } }; passwords and secrets are redacted',
+                additionalProperties: {
+                    type: 'object',
+                    properties: { from: { nullable: true }, to: { nullable: true } }
+                }
+            },
+            requestId: { type: 'string' },
+            method: { type: 'string' },
+            path: { type: 'string' },
+            ip: { type: 'string' }
+        }
+    },
+    ReportLine: {
+        type: 'object',
+        properties: {
+            orderId: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            productName: { type: 'string' },
+            quantity: { type: 'integer' },
+            unitPrice: { type: 'number' },
+            totalAmount: { type: 'number' },
+            orderDate: { type: 'string', format: 'date-time' },
+            status: ref('OrderStatus')
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            page: { type: 'integer' },
+            size: { type: 'integer' },
+            totalItems: { type: 'integer' },
+            totalPages: { type: 'integer' }
+        }
+    },
+    ReportTotals: {
+        type: 'object',
+        properties: {
+            orderCount: { type: 'integer' },
+            lineItemCount: { type: 'integer' },
+            totalQuantity: { type: 'integer' },
+            totalRevenue: { type: 'number' },
+            averageOrderValue: { type: 'number' }
+        }
+    },
+    ReportSummary: {
+        type: 'object',
+        properties: {
+            filters: { type: 'object', additionalProperties: true, description: 'Filters as applied' },
+            summary: {
+                allOf: [
+                    ref('ReportTotals'),
+                    {
+                        type: 'object',
+                        properties: { productCount: { type: 'integer' }, customerCount: { type: 'integer' } }
+                    }
+                ]
+            },
+            groups: {
+                type: 'array',
+                description: 'Totals per group; empty when groupBy is none',
+                items: { allOf: [{ type: 'object', properties: { key: { type: 'string' } } }, ref('ReportTotals')] }
+            },
+            items: { type: 'array', items: ref('ReportLine') },
+            pagination: {
+                type: 'object',
+                properties: {
+                    page: { type: 'integer' },
+                    size: { type: 'integer' },
+                    totalItems: { type: 'integer' },
+                    totalPages: { type: 'integer' }
+                }
+            }
+        }
+    },
+    BackendStatus: {
+        type: 'object',
+        properties: {
+            backendOnline: { type: 'boolean' },
+            circuit: {
+                type: 'object',
+                properties: {
+                    state: { type: 'string', enum: ['CLOSED', 'OPEN'] },
+                    since: { type: 'string', format: 'date-time' },
+                    consecutiveFailures: { type: 'integer' },
+                    lastError: { type: 'string', nullable: true }
+                }
+            },
+            mockBackend: { type: 'boolean' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    Health: {
+        type: 'object',
+        properties: { status: { type: 'string', enum: ['ok'] }, uptimeSeconds: { type: 'integer' } }
+    },
+    Readiness: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ready', 'unavailable'] },
+            backend: {
+                type: 'object',
+                properties: {
+                    reachable: { type: 'boolean' },
+                    url: { type: 'string' },
+                    error: { type: 'string' }
+                }
+            }
+        }
+    },
+    CreateUserRequest: validationToJsonSchema(VALIDATION_SCHEMAS.createUser),
+    CreateProductRequest: validationToJsonSchema(VALIDATION_SCHEMAS.createProduct),
+    UpdateProductRequest: validationToJsonSchema(VALIDATION_SCHEMAS.updateProduct),
+    CreateOrderRequest: validationToJsonSchema(VALIDATION_SCHEMAS.createOrder),
+    UpdateOrderStatusRequest: validationToJsonSchema(VALIDATION_SCHEMAS.updateOrderStatus),
+    CreateWebhookRequest: validationToJsonSchema(VALIDATION_SCHEMAS.createWebhook),
+    UpdateWebhookRequest: validationToJsonSchema(VALIDATION_SCHEMAS.updateWebhook),
+    ForgotPasswordRequest: validationToJsonSchema(VALIDATION_SCHEMAS.forgotPassword),
+    ResetPasswordRequest: validationToJsonSchema(VALIDATION_SCHEMAS.resetPassword),
+    TwoFactorLoginRequest: validationToJsonSchema(VALIDATION_SCHEMAS.twoFactorLogin),
+    TwoFactorLoginEnrollRequest: validationToJsonSchema(VALIDATION_SCHEMAS.twoFactorLoginEnroll),
+    TwoFactorCodeRequest: validationToJsonSchema(VALIDATION_SCHEMAS.twoFactorCode),
+    TwoFactorPolicyRequest: validationToJsonSchema(VALIDATION_SCHEMAS.twoFactorPolicy)
+};
+
+const ERROR_RESPONSES = {
+    400: { description: 'Invalid request body', content: { 'application/json': { schema: ref('ValidationError') } } },
+    401: { description: 'Missing, invalid or expired token', content: { 'application/json': { schema: ref('Error') } } },
+    403: { description: 'Not allowed for this role, or CSRF check failed', content: { 'application/json': { schema: ref('Error') } } },
+    404: { description: 'Not found', content: { 'application/json': { schema: ref('Error') } } },
+    409: { description: 'Conflicts with an existing record', content: { 'application/json': { schema: ref('Error') } } },
+    422: { description: 'Idempotency-Key already used for a different request', content: { 'application/json': { schema: ref('Error') } } },
+    429: { description: 'Too many failed logins, password reset requests or two-factor codes', content: { 'application/json': { schema: ref('LoginThrottled') } } },
+    502: { description: 'Backend answered without the expected JSON body', content: { 'application/json': { schema: ref('Error') } } },
+    503: { description: 'Backend offline', content: { 'application/json': { schema: ref('ServiceError') } } },
+    504: { description: 'Backend timed out', content: { 'application/json': { schema: ref('ServiceError') } } }
+};
+
+/**
+ * Build an operation object
+ * @param {Object} options - Operation details
+ * @param {string} options.tag - Group shown in the explorer
+ * @param {string} options.summary - One line description
+ * @param {string} [options.auth='user'] - 'public', 'user' or 'admin'
+ * @param {boolean} [options.proxied=true] - Forwarded to the backend (adds 503/504 responses)
+ * @param {Object[]} [options.query] - Query parameters as { name, description, schema }
+ * @param {Object[]} [options.headers] - Request headers as { name, description, schema }
+ * @param {string} [options.body] - Component name of the JSON request body
+ * @param {Object} options.success - { status, description, schema, contentType | contentTypes } of the success response
+ * @param {number[]} [options.errors] - Additional error statuses
+ * @returns {Object} Operation with x-auth metadata
+ */
+function op({ tag, summary, auth = 'user', proxied = true, query = [], headers = [], body, success, errors = [] }) {
+    const contentTypes = success.contentTypes || [success.contentType || 'application/json'];
+    const responses = {
+        [success.status || 200]: success.schema
+            ? {
+                description: success.description,
+                content: Object.fromEntries(contentTypes.map(type => [type, { schema: success.schema }]))
+            }
+            : { description: success.description }
+    };
+
+    const errorStatuses = [...errors];
+    if (body) errorStatuses.push(400);
+    if (auth !== 'public') errorStatuses.push(401);
+    if (auth === 'admin') errorStatuses.push(403);
+    if (proxied) errorStatuses.push(503, 504);
+    [...new Set(errorStatuses)].sort().forEach(status => {
+        responses[status] = ERROR_RESPONSES[status];
+    });
+
+    const operation = {
+        tags: [tag],
+        summary: auth === 'admin' ? `${summary} (admin only)` : summary,
+        'x-auth': auth,
+        responses
+    };
+    if (auth === 'public') operation.security = [];
+    const parameters = [
+        ...query.map(param => ({ ...param, in: 'query' })),
+        ...headers.map(param => ({ ...param, in: 'header' }))
+    ];
+    if (parameters.length > 0) {
+        operation.parameters = parameters.map(({ name, in: location, description, schema }) => ({
+            name, in: location, required: false, description, schema: schema || { type: 'string' }
+        }));
+    }
+    if (body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: ref(body) } } };
+    }
+    return operation;
+}
+
+const list = name => ({ type: 'array', items: ref(name) });
+
+const IDEMPOTENCY_KEY_PARAM = {
+    name: 'Idempotency-Key',
+    description: 'Random key (8-255 characters) reused when retrying the same submission; retries get the first ' +
+        'response, marked with Idempotent-Replayed: true, instead of creating another order',
+    schema: { type: 'string', minLength: 8, maxLength: 255 }
+};
+
+/**
+ * Query parameters of a paged list endpoint
+ * @param {string} resourceName - Key of LIST_RESOURCES
+ * @returns {Object[]} Query parameter docs for op()
+ */
+function listParams(resourceName) {
+    const resource = LIST_RESOURCES[resourceName];
+    const filterDocs = Object.entries(resource.filters).map(([name, filter]) => {
+        if (filter.kind === 'list') {
+            return { name, description: `Comma-separated: ${filter.values.join(', ')}` };
+        }
+        if (filter.kind === 'boolean') {
+            return { name, description: `Filter by ${name}`, schema: { type: 'boolean' } };
+        }
+        if (filter.kind === 'date') {
+            return { name, description: filter.description, schema: { type: 'string', format: 'date' } };
+        }
+        return { name, description: name === 'q' ? 'Search text' : `${name} contains` };
+    });
+
+    return [
+        { name: 'page', description: 'Page number (1-based)', schema: { type: 'integer', minimum: 1, default: 1 } },
+        { name: 'size', description: 'Items per page', schema: { type: 'integer', minimum: 1, maximum: MAX_LIST_SIZE } },
+        {
+            name: 'sort',
+            description: `field or field,asc|desc; fields: ${Object.keys(resource.sortFields).join(', ')}`,
+            schema: { type: 'string', example: `${resource.defaultSort.field},${resource.defaultSort.direction}` }
+        },
+        ...filterDocs
+    ];
+}
+
+/**
+ * Response of a list endpoint: the plain list, or a page when list parameters are given
+ * @param {string} name - Item component name
+ * @returns {Object} Schema
+ */
+function pagedList(name) {
+    return { oneOf: [list(name), listPage(name)] };
+}
+
+/**
+ * One page of a list with its paging, sort and filters
+ * @param {string} name - Item component name
+ * @returns {Object} Schema
+ */
+function listPage(name) {
+    return {
+        type: 'object',
+        properties: {
+            items: list(name),
+            pagination: ref('Pagination'),
+            sort: {
+                type: 'object',
+                properties: { field: { type: 'string' }, direction: { type: 'string', enum: ['asc', 'desc'] } }
+            },
+            filters: {
+                type: 'object',
+                additionalProperties: true,
+                description: 'Filters the totals reflect; a filter the backend ignored is left out'
+            }
+        }
+    };
+}
+
+const ROUTE_DOCS = {
+    // Auth
+    'POST /api/auth/login': op({
+        tag: 'Auth', summary: 'Log in', auth: 'public', body: 'LoginRequest',
+        success: { description: 'Logged in, or a two-factor challenge', schema: ref('LoginResponse') }, errors: [429, 502]
+    }),
+    'POST /api/auth/login/verify': op({
+        tag: 'Auth', summary: 'Finish a login with an authenticator or recovery code', auth: 'public',
+        proxied: false, body: 'TwoFactorLoginRequest',
+        success: { description: 'Logged in', schema: ref('TwoFactorLoginResponse') }, errors: [401, 429]
+    }),
+    'POST /api/auth/login/enroll': op({
+        tag: 'Auth', summary: 'Set up two-factor authentication during a login that requires it', auth: 'public',
+        proxied: false, body: 'TwoFactorLoginEnrollRequest',
+        success: { description: 'Secret to add to an authenticator app', schema: ref('TwoFactorEnrollment') },
+        errors: [429]
+    }),
+    'POST /api/auth/register': op({
+        tag: 'Auth', summary: 'Register a customer account', auth: 'public', body: 'CreateUserRequest',
+        success: { status: 201, description: 'Registered and logged in', schema: ref('AuthResponse') }, errors: [409]
+    }),
+    'POST /api/auth/refresh': op({
+        tag: 'Auth', summary: 'Exchange a valid token for one with a later expiry',
+        success: { description: 'New token', schema: ref('AuthResponse') }, errors: [404]
+    }),
+    'POST /api/auth/forgot-password': op({
+        tag: 'Auth', summary: 'Email a password reset link', auth: 'public', body: 'ForgotPasswordRequest',
+        success: {
+            status: 202,
+            description: 'Accepted; the same answer is given whether or not an account matches',
+            schema: ref('Message')
+        },
+        errors: [429, 503]
+    }),
+    'POST /api/auth/reset-password': op({
+        tag: 'Auth', summary: 'Set a new password with a reset token', auth: 'public', body: 'ResetPasswordRequest',
+        success: { description: 'Password changed', schema: ref('Message') },
+        errors: [429, 503]
+    }),
+    'GET /api/auth/2fa': op({
+        tag: 'Auth', summary: 'Two-factor status of the current user',
+        success: { description: 'Status', schema: ref('TwoFactorStatus') }
+    }),
+    'POST /api/auth/2fa/setup': op({
+        tag: 'Auth', summary: 'Start setting up two-factor authentication',
+        success: { description: 'Secret to add to an authenticator app', schema: ref('TwoFactorEnrollment') },
+        errors: [409]
+    }),
+    'POST /api/auth/2fa/enable': op({
+        tag: 'Auth', summary: 'Turn two-factor authentication on with a code from the app', body: 'TwoFactorCodeRequest',
+        success: { description: 'Turned on, with the recovery codes', schema: ref('TwoFactorStatus') },
+        errors: [409, 429]
+    }),
+    'POST /api/auth/2fa/disable': op({
+        tag: 'Auth', summary: 'Turn two-factor authentication off', body: 'TwoFactorCodeRequest',
+        success: { description: 'Turned off', schema: ref('TwoFactorStatus') },
+        errors: [403, 429]
+    }),
+    'POST /api/auth/2fa/recovery-codes': op({
+        tag: 'Auth', summary: 'Replace the recovery codes', body: 'TwoFactorCodeRequest',
+        success: { description: 'New recovery codes', schema: ref('TwoFactorStatus') },
+        errors: [409, 429]
+    }),
+    'GET /api/auth/2fa/policy': op({
+        tag: 'Auth', summary: 'Two-factor policy', auth: 'admin',
+        success: { description: 'Policy', schema: ref('TwoFactorPolicy') }
+    }),
+    'PUT /api/auth/2fa/policy': op({
+        tag: 'Auth', summary: 'Require two-factor authentication for admin accounts', auth: 'admin',
+        body: 'TwoFactorPolicyRequest',
+        success: { description: 'Updated policy', schema: ref('TwoFactorPolicy') }
+    }),
+    'POST /api/auth/logout': op({
+        tag: 'Auth', summary: 'End a cookie session', auth: 'public', proxied: false,
+        success: { status: 204, description: 'Session cookies cleared' }
+    }),
+    'GET /api/auth/me': op({
+        tag: 'Auth', summary: 'Current user',
+        success: { description: 'User the token belongs to', schema: ref('User') }
+    }),
+
+    // Users
+    'GET /api/users': op({
+        tag: 'Users', summary: 'List users', auth: 'admin', query: listParams('users'),
+        success: { description: 'Users', schema: pagedList('User') }, errors: [400]
+    }),
+    'GET /api/users/:id': op({
+        tag: 'Users', summary: 'Get user by ID', auth: 'admin',
+        success: { description: 'User', schema: ref('User') }, errors: [404]
+    }),
+    'GET /api/users/username/:username': op({
+        tag: 'Users', summary: 'Get user by username', auth: 'admin',
+        success: { description: 'User', schema: ref('User') }, errors: [404]
+    }),
+    'POST /api/users': op({
+        tag: 'Users', summary: 'Create user', auth: 'admin', body: 'CreateUserRequest',
+        success: { status: 201, description: 'Created user', schema: ref('User') }, errors: [409]
+    }),
+    'PUT /api/users/:id': op({
+        tag: 'Users', summary: 'Update user', auth: 'admin', body: 'UpdateUserRequest',
+        success: { description: 'Updated user', schema: ref('User') }, errors: [404, 409]
+    }),
+    'DELETE /api/users/:id': op({
+        tag: 'Users', summary: 'Delete user', auth: 'admin',
+        success: { status: 204, description: 'Deleted' }, errors: [404]
+    }),
+
+    // Products
+    'GET /api/products': op({
+        tag: 'Products', summary: 'List products with purchase prices', auth: 'admin', query: listParams('products'),
+        success: { description: 'Products', schema: pagedList('Product') }, errors: [400]
+    }),
+    'GET /api/products/public': op({
+        tag: 'Products', summary: 'Public catalog (served from built-in data if the backend is down)', auth: 'public',
+        success: { description: 'Products without purchase prices', schema: list('PublicProduct') }
+    }),
+    'GET /api/products/:id': op({
+        tag: 'Products', summary: 'Get product by ID', auth: 'admin',
+        success: { description: 'Product', schema: ref('Product') }, errors: [404]
+    }),
+    'GET /api/products/name/:name': op({
+        tag: 'Products', summary: 'Get product by name', auth: 'admin',
+        success: { description: 'Product', schema: ref('Product') }, errors: [404]
+    }),
+    'POST /api/products': op({
+        tag: 'Products', summary: 'Create product', auth: 'admin', body: 'CreateProductRequest',
+        success: { status: 201, description: 'Created product', schema: ref('Product') }, errors: [409]
+    }),
+    'PUT /api/products/:id': op({
+        tag: 'Products', summary: 'Update product', auth: 'admin', body: 'UpdateProductRequest',
+        success: { description: 'Updated product', schema: ref('Product') }, errors: [404, 409]
+    }),
+    'DELETE /api/products/:id': op({
+        tag: 'Products', summary: 'Delete product', auth: 'admin',
+        success: { status: 204, description: 'Deleted' }, errors: [404]
+    }),
+
+    // Orders
+    'GET /api/orders': op({
+        tag: 'Orders', summary: 'List all orders', auth: 'admin', query: listParams('orders'),
+        success: { description: 'Orders', schema: pagedList('Order') }, errors: [400]
+    }),
+    'GET /api/orders/me': op({
+        tag: 'Orders', summary: 'Orders of the current user',
+        success: { description: 'Orders', schema: list('Order') }
+    }),
+    'GET /api/orders/:uuid': op({
+        tag: 'Orders', summary: 'Get order by UUID (own orders, or any order for admins)',
+        success: { description: 'Order', schema: ref('Order') }, errors: [403, 404]
+    }),
+    'POST /api/orders': op({
+        tag: 'Orders', summary: 'Place an order for the current user', body: 'CreateOrderRequest',
+        headers: [IDEMPOTENCY_KEY_PARAM],
+        success: { status: 201, description: 'Created order', schema: ref('Order') }, errors: [404, 409, 422]
+    }),
+    'POST /api/orders/admin/:username': op({
+        tag: 'Orders', summary: 'Place an order for a user', auth: 'admin', body: 'CreateOrderRequest',
+        headers: [IDEMPOTENCY_KEY_PARAM],
+        success: { status: 201, description: 'Created order', schema: ref('Order') }, errors: [404, 409, 422]
+    }),
+    'PUT /api/orders/:uuid/status': op({
+        tag: 'Orders', summary: 'Change order status', auth: 'admin', body: 'UpdateOrderStatusRequest',
+        success: { description: 'Updated order', schema: ref('Order') }, errors: [404]
+    }),
+    'DELETE /api/orders/:uuid': op({
+        tag: 'Orders', summary: 'Delete order', auth: 'admin',
+        success: { status: 204, description: 'Deleted' }, errors: [404]
+    }),
+    'GET /api/events/orders': op({
+        tag: 'Orders', summary: 'Stream order created and status changed events',
+        success: {
+            description: 'Server-Sent Events stream; admins receive every order, other users their own. ' +
+                'Send Last-Event-ID to replay recent events after a reconnect',
+            contentType: 'text/event-stream',
+            schema: ref('OrderEvent')
+        }
+    }),
+
+    // Reports
+    'GET /api/reports/': op({
+        tag: 'Reports', summary: 'Order line items for reports', auth: 'admin',
+        query: [
+            { name: 'productName', description: 'Product name contains' },
+            { name: 'username', description: 'Username contains' },
+            { name: 'startDate', description: 'Earliest order date', schema: { type: 'string', format: 'date' } },
+            { name: 'endDate', description: 'Latest order date', schema: { type: 'string', format: 'date' } }
+        ],
+        success: { description: 'Report lines', schema: list('ReportLine') }
+    }),
+    'GET /api/reports/summary': op({
+        tag: 'Reports', summary: 'Filtered, grouped and paged order report', auth: 'admin',
+        query: [
+            { name: 'productName', description: 'Product name contains' },
+            { name: 'username', description: 'Username contains' },
+            { name: 'startDate', description: 'Earliest order date', schema: { type: 'string', format: 'date' } },
+            { name: 'endDate', description: 'Latest order date', schema: { type: 'string', format: 'date' } },
+            { name: 'status', description: 'Comma-separated order statuses' },
+            {
+                name: 'groupBy',
+                description: 'Group totals by',
+                schema: { type: 'string', enum: GROUP_BY_OPTIONS, default: 'none' }
+            },
+            { name: 'page', description: 'Page of line items', schema: { type: 'integer', minimum: 1, default: 1 } },
+            {
+                name: 'size',
+                description: 'Line items per page',
+                schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 }
+            }
+        ],
+        success: { description: 'Report summary, group totals and one page of lines', schema: ref('ReportSummary') },
+        errors: [400, 502]
+    }),
+    'GET /api/reports/export': op({
+        tag: 'Reports', summary: 'Download the filtered report as CSV, XLSX or PDF', auth: 'admin',
+        query: [
+            {
+                name: 'format',
+                description: 'File format',
+                schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }
+            },
+            { name: 'productName', description: 'Product name contains' },
+            { name: 'username', description: 'Username contains' },
+            { name: 'startDate', description: 'Earliest order date', schema: { type: 'string', format: 'date' } },
+            { name: 'endDate', description: 'Latest order date', schema: { type: 'string', format: 'date' } },
+            { name: 'status', description: 'Comma-separated order statuses' }
+        ],
+        success: {
+            description: 'Report file, named in Content-Disposition',
+            contentTypes: Object.values(EXPORT_FORMATS).map(format => format.contentType),
+            schema: { type: 'string', format: 'binary' }
+        },
+        errors: [400, 502]
+    }),
+
+    // Webhooks
+    'GET /api/webhooks': op({
+        tag: 'Webhooks', summary: 'List webhook endpoints', auth: 'admin',
+        success: { description: 'Endpoints with masked secrets', schema: list('WebhookEndpoint') }
+    }),
+    'POST /api/webhooks': op({
+        tag: 'Webhooks', summary: 'Add webhook endpoint', auth: 'admin', body: 'CreateWebhookRequest',
+        success: { status: 201, description: 'Created endpoint, including its secret', schema: ref('WebhookEndpoint') }
+    }),
+    'GET /api/webhooks/deliveries': op({
+        tag: 'Webhooks', summary: 'Recent webhook deliveries, newest first', auth: 'admin',
+        query: [
+            { name: 'endpointId', description: 'Only deliveries to this endpoint' },
+            { name: 'status', description: 'Delivery status', schema: { type: 'string', enum: DELIVERY_STATUSES } },
+            {
+                name: 'limit',
+                description: 'Maximum deliveries returned',
+                schema: { type: 'integer', minimum: 1, maximum: MAX_DELIVERY_LIMIT, default: 100 }
+            }
+        ],
+        success: { description: 'Delivery log', schema: list('WebhookDelivery') }, errors: [400]
+    }),
+    'PUT /api/webhooks/:id': op({
+        tag: 'Webhooks', summary: 'Change webhook endpoint or rotate its secret', auth: 'admin', body: 'UpdateWebhookRequest',
+        success: { description: 'Updated endpoint; includes the new secret after a rotation', schema: ref('WebhookEndpoint') },
+        errors: [404]
+    }),
+    'DELETE /api/webhooks/:id': op({
+        tag: 'Webhooks', summary: 'Remove webhook endpoint', auth: 'admin',
+        success: { status: 204, description: 'Removed; pending retries are cancelled' }, errors: [404]
+    }),
+    'POST /api/webhooks/:id/ping': op({
+        tag: 'Webhooks', summary: 'Send a test event to a webhook endpoint', auth: 'admin',
+        success: { description: 'Delivery after its single attempt', schema: ref('WebhookDelivery') }, errors: [404]
+    }),
+
+    // Email
+    'GET /api/email/templates': op({
+        tag: 'Email', summary: 'List notification email templates', auth: 'admin',
+        success: { description: 'Templates and the active transport', schema: ref('EmailTemplates') }
+    }),
+    'GET /api/email/templates/:name/preview': op({
+        tag: 'Email', summary: 'Render a notification email with sample data', auth: 'admin',
+        success: { description: 'Rendered subject, HTML and text', schema: ref('EmailPreview') }, errors: [404]
+    }),
+
+    // Audit
+    'GET /api/audit': op({
+        tag: 'Audit', summary: 'Audit log of admin changes, newest first', auth: 'admin',
+        query: listParams('audit'),
+        success: { description: 'One page of entries', schema: listPage('AuditEntry') }, errors: [400]
+    }),
+    'GET /api/audit/export': op({
+        tag: 'Audit', summary: 'Download the filtered audit log as CSV or JSON', auth: 'admin',
+        query: [
+            { name: 'format', description: 'File format', schema: { type: 'string', enum: ['csv', 'json'], default: 'csv' } },
+            ...listParams('audit').filter(param => !['page', 'size'].includes(param.name))
+        ],
+        success: {
+            description: 'Every matching entry, named in Content-Disposition',
+            contentTypes: ['text/csv', 'application/json'],
+            schema: { type: 'string', format: 'binary' }
+        },
+        errors: [400]
+    }),
+
+    // Operations
+    'GET /api/status': op({
+        tag: 'Operations', summary: 'Backend availability for the offline banner', auth: 'public', proxied: false,
+        success: { description: 'Circuit breaker state', schema: ref('BackendStatus') }
+    }),
+    'GET /healthz': op({
+        tag: 'Operations', summary: 'Liveness probe', auth: 'public', proxied: false,
+        success: { description: 'Process is up', schema: ref('Health') }
+    }),
+    'GET /readyz': op({
+        tag: 'Operations', summary: 'Readiness probe (checks the backend)', auth: 'public', proxied: false,
+        success: { description: 'Backend reachable', schema: ref('Readiness') }, errors: [503]
+    }),
+    'GET /metrics': op({
+        tag: 'Operations', summary: 'Prometheus metrics', auth: 'admin', proxied: false,
+        success: {
+            description: 'Prometheus text exposition; scrapers send METRICS_TOKEN as the bearer token instead',
+            contentType: 'text/plain',
+            schema: { type: 'string' }
+        }
+    }),
+    'GET /api/docs': op({
+        tag: 'Operations', summary: 'Interactive API explorer', auth: 'public', proxied: false,
+        success: { description: 'HTML page', contentType: 'text/html', schema: { type: 'string' } }
+    }),
+    'GET /api/docs/assets/:file': op({
+        tag: 'Operations', summary: 'Swagger UI script and stylesheet for the explorer', auth: 'public', proxied: false,
+        success: {
+            description: 'swagger-ui-bundle.js or swagger-ui.css',
+            contentTypes: ['application/javascript', 'text/css'],
+            schema: { type: 'string' }
+        },
+        errors: [404]
+    }),
+    'GET /api/docs/openapi.json': op({
+        tag: 'Operations', summary: 'This OpenAPI document', auth: 'public', proxied: false,
+        success: { description: 'OpenAPI 3 document', schema: { type: 'object' } }
+    })
+};
+
+/**
+ * List the API routes registered on an Express app
+ * @param {Object} app - Express app instance
+ * @returns {string[]} Route keys such as "GET /api/orders/:uuid"
+ */
+function listRegisteredRoutes(app) {
+    const routes = [];
+    app._router.stack.forEach(layer => {
+        if (!layer.route) return;
+
+        const routePath = layer.route.path;
+        if (typeof routePath !== 'string') return;
+        if (!routePath.startsWith('/api/') && !EXTRA_DOCUMENTED_PATHS.includes(routePath)) return;
+
+        Object.keys(layer.route.methods).forEach(method => {
+            if (method !== '_all') routes.push(`${method.toUpperCase()} ${routePath}`);
+        });
+    });
+    return routes;
+}
+
+/**
+ * Compare the documented routes with the registered ones
+ * @param {Object} app - Express app instance
+ * @returns {{ undocumented: string[], missing: string[] }} Registered routes without docs,
+ *   and documented routes that no longer exist
+ */
+function findUndocumentedRoutes(app) {
+    const registered = listRegisteredRoutes(app);
+    return {
+        undocumented: registered.filter(key => !ROUTE_DOCS[key]),
+        missing: Object.keys(ROUTE_DOCS).filter(key => !registered.includes(key))
+    };
+}
+
+/**
+ * Convert an Express path to an OpenAPI path template
+ * @param {string} routePath - Express path, e.g. /api/orders/:uuid
+ * @returns {{ path: string, params: string[] }} Templated path and its parameter names
+ */
+function toOpenApiPath(routePath) {
+    const params = [];
+    const path = routePath.replace(/:(\w+)/g, (match, name) => {
+        params.push(name);
+        return `{${name}}`;
+    });
+    return { path, params };
+}
+
+/**
+ * Build the OpenAPI document for the registered routes
+ * @param {Object} app - Express app instance
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument(app) {
+    const paths = {};
+
+    listRegisteredRoutes(app).forEach(key => {
+        const [method, routePath] = key.split(' ');
+        const { path, params } = toOpenApiPath(routePath);
+
+        // Routes without docs still appear, flagged, so the contract never hides an endpoint
+        const operation = ROUTE_DOCS[key]
+            ? { ...ROUTE_DOCS[key] }
+            : { summary: 'Undocumented route', 'x-undocumented': true, responses: { default: { description: 'Unknown' } } };
+
+        if (params.length > 0) {
+            operation.parameters = [
+                ...params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+                ...(operation.parameters || [])
+            ];
+        }
+
+        paths[path] = paths[path] || {};
+        paths[path][method.toLowerCase()] = operation;
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Sales Store Frontend API',
+            version: packageInfo.version,
+            description: 'Routes served by the frontend server. /api routes are proxied to the Sales Store ' +
+                'backend unless noted. x-auth on each operation is public, user (any logged in user) or admin.'
+        },
+        servers: [{ url: '/' }],
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        tags: ['Auth', 'Users', 'Products', 'Orders', 'Reports', 'Webhooks', 'Email', 'Audit', 'Operations'].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                cookieAuth: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'jwtToken',
+                    description: 'httpOnly cookie set at login. In cookie session mode (AUTH_SESSION_MODE=cookie) ' +
+                        'it authorizes API calls, and mutating requests must echo the csrfToken cookie in an ' +
+                        'X-CSRF-Token header; in token mode it only authorizes page requests and event streams'
+                }
+            },
+            schemas: COMPONENT_SCHEMAS
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument, findUndocumentedRoutes, ROUTE_DOCS };
@@ -0,0 +1,64 @@
+/**
+ * Mailer
+ * Renders notification templates and hands them to the configured transport
+ *
+ * Notifications are a side effect of requests that already succeeded, so
+ * send() never rejects: failures are logged and counted, and the request
+ * that triggered the email is not affected.
+ */
+
+const config = require('../config');
+const { buildMessage } = require('./message');
+const { renderTemplate } = require('./templates');
+const { createTransport } = require('./transports');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+class Mailer {
+    /**
+     * @param {Object} options - config.email
+     * @param {Object} [transport] - Transport (created from options when omitted)
+     */
+    constructor(options, transport = createTransport(options)) {
+        this.options = options;
+        this.transport = transport;
+    }
+
+    /**
+     * Render a template with the shared values every template uses
+     * @param {string} template - Key of TEMPLATES
+     * @param {Object} data - Template data
+     * @returns {{ subject: string, html: string, text: string }} Rendered email
+     */
+    render(template, data) {
+        return renderTemplate(template, { appUrl: this.options.appUrl, ...data });
+    }
+
+    /**
+     * Send a templated email
+     * @param {string} template - Key of TEMPLATES
+     * @param {string} to - Recipient address
+     * @param {Object} data - Template data
+     * @returns {Promise<boolean>} True if the transport accepted the message
+     */
+    async send(template, to, data) {
+        try {
+            const { subject, html, text } = this.render(template, data);
+            const { messageId, raw } = buildMessage({ from: this.options.from, to, subject, html, text });
+            const result = await this.transport.send({ from: this.options.from, to, subject, text, messageId, raw });
+
+            metrics.emailsSent.inc({ template, outcome: result.skipped ? 'skipped' : 'sent' });
+            logger.info('Email sent', { template, to, messageId, transport: this.transport.name, ...result });
+            return true;
+        } catch (error) {
+            metrics.emailsSent.inc({ template, outcome: 'failed' });
+            logger.error('Email could not be sent', { template, to, transport: this.transport.name, error });
+            return false;
+        }
+    }
+}
+
+const mailer = new Mailer(config.email);
+
+module.exports = mailer;
+module.exports.Mailer = Mailer;
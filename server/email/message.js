@@ -0,0 +1,110 @@
+/**
+ * Email Message Builder
+ * Encodes a message as RFC 5322 / MIME text with HTML and plain text parts
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+// RFC 5322 limits lines to 998 characters; base64 bodies are wrapped at 76
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * Encode a header value that contains non-ASCII characters (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} Value safe for a header line
+ */
+function encodeHeaderValue(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text)
+        ? text
+        : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Format an address, encoding the display name when needed
+ * @param {string|Object} address - Address as written, or { name, address }
+ * @returns {string} Header form of the address
+ */
+function formatAddress(address) {
+    if (typeof address === 'string') return address;
+    if (!address.name) return address.address;
+    const name = encodeHeaderValue(address.name);
+    return name === address.name
+        ? `"${name.replace(/(["\\])/g, '\\$1')}" <${address.address}>`
+        : `${name} <${address.address}>`;
+}
+
+/**
+ * Get the bare email address of a sender or recipient
+ * @param {string|Object} address - 'user@example.com', 'Name <user@example.com>' or { name, address }
+ * @returns {string} Address for the SMTP envelope
+ */
+function envelopeAddress(address) {
+    if (typeof address !== 'string') return address.address;
+    const match = address.match(/<([^>]+)>\s*$/);
+    return match ? match[1] : address.trim();
+}
+
+/**
+ * Base64 encode text, wrapped for a MIME body
+ * @param {string} text - Body text
+ * @returns {string} Wrapped base64
+ */
+function base64Body(text) {
+    const encoded = Buffer.from(text, 'utf8').toString('base64');
+    const lines = [];
+    for (let i = 0; i < encoded.length; i += BASE64_LINE_LENGTH) {
+        lines.push(encoded.slice(i, i + BASE64_LINE_LENGTH));
+    }
+    return lines.join('\r\n');
+}
+
+/**
+ * Build the raw message
+ * @param {Object} message - Message fields
+ * @param {string|Object} message.from - Sender
+ * @param {string|Object} message.to - Recipient
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body
+ * @param {Object} [message.headers] - Extra headers
+ * @returns {{ messageId: string, raw: string }} Message ID and CRLF-terminated message
+ */
+function buildMessage({ from, to, subject, text, html, headers = {} }) {
+    const domain = envelopeAddress(from).split('@')[1] || os.hostname();
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+    const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+
+    const headerLines = {
+        'From': formatAddress(from),
+        'To': formatAddress(to),
+        'Subject': encodeHeaderValue(subject),
+        'Date': new Date().toUTCString().replace('GMT', '+0000'),
+        'Message-ID': messageId,
+        'MIME-Version': '1.0',
+        ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, encodeHeaderValue(value)])),
+        'Content-Type': `multipart/alternative; boundary="${boundary}"`
+    };
+
+    const part = (contentType, body) => [
+        `--${boundary}`,
+        `Content-Type: ${contentType}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(body)
+    ].join('\r\n');
+
+    const raw = [
+        ...Object.entries(headerLines).map(([name, value]) => `${name}: ${value}`),
+        '',
+        part('text/plain', text),
+        part('text/html', html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+
+    return { messageId, raw };
+}
+
+module.exports = { buildMessage, envelopeAddress };
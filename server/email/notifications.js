@@ -0,0 +1,67 @@
+/**
+ * Email Notifications
+ * Decides which email an order or account change sends, and to whom
+ */
+
+const mailer = require('./mailer');
+const { EVENT_TYPES } = require('../events/orderEvents');
+const logger = require('../utils/logger');
+
+const ORDER_TEMPLATES = {
+    [EVENT_TYPES.CREATED]: 'orderPlaced',
+    [EVENT_TYPES.STATUS_CHANGED]: 'orderStatusChanged'
+};
+
+/**
+ * Email the customer about a placed order or a status change
+ * @param {string} type - Order event type
+ * @param {Object} order - Order as returned by the backend (with user details)
+ * @param {string|null} [previousStatus] - Status before a change, when known
+ * @returns {Promise<boolean>|null} Send result, or null if nothing was sent
+ */
+function notifyOrder(type, order, previousStatus = null) {
+    const template = ORDER_TEMPLATES[type];
+    const user = order && order.user;
+    if (!template || !user || !user.email) {
+        logger.debug('Order email skipped: no customer email on the order', { type });
+        return null;
+    }
+    if (type === EVENT_TYPES.STATUS_CHANGED && previousStatus === order.status) {
+        return null;
+    }
+    return mailer.send(template, user.email, { user, order, previousStatus });
+}
+
+/**
+ * Email a user whose account an admin created
+ * @param {Object} user - Created user as returned by the backend
+ * @returns {Promise<boolean>|null} Send result, or null if nothing was sent
+ */
+function notifyAccountCreated(user) {
+    if (!user || !user.email) {
+        logger.debug('Account email skipped: no email on the created user');
+        return null;
+    }
+    return mailer.send('accountCreated', user.email, { user });
+}
+
+/**
+ * Email a user the link to reset their password
+ * @param {Object} user - Backend user
+ * @param {string} token - Reset token
+ * @param {number} expiresAt - Token expiry in milliseconds since the epoch
+ * @returns {Promise<boolean>|null} Send result, or null if the user has no email address
+ */
+function notifyPasswordReset(user, token, expiresAt) {
+    if (!user || !user.email) {
+        logger.debug('Password reset email skipped: no email on the user');
+        return null;
+    }
+    return mailer.send('passwordReset', user.email, {
+        user,
+        resetUrl: `${mailer.options.appUrl}/reset-password?token=${encodeURIComponent(token)}`,
+        expiresInMinutes: Math.round((expiresAt - Date.now()) / 60000)
+    });
+}
+
+module.exports = { notifyOrder, notifyAccountCreated, notifyPasswordReset };
@@ -0,0 +1,301 @@
+/**
+ * Email Templates
+ * Subject, HTML and plain text bodies of the notification emails
+ *
+ * HTML uses inline styles and tables only, since most mail clients ignore
+ * <style> blocks. Every value from an order or user is escaped.
+ */
+
+const STATUS_LABELS = {
+    PENDING: 'Pending',
+    IN_PROGRESS: 'In progress',
+    DONE: 'Completed'
+};
+
+const STATUS_MESSAGES = {
+    PENDING: 'We have received your order and will start on it soon.',
+    IN_PROGRESS: 'We are preparing your order.',
+    DONE: 'Your order is complete. Thank you for shopping with us!'
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Format an amount as dollars
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+    return `$${(Number(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Get the short reference shown for an order
+ * @param {Object} order - Order
+ * @returns {string} First block of the order UUID
+ */
+function orderReference(order) {
+    return String(order.id || order.uuid || '').split('-')[0].toUpperCase();
+}
+
+/**
+ * Get the name used to greet a user
+ * @param {Object} user - { firstName, username }
+ * @returns {string} Greeting name
+ */
+function greetingName(user) {
+    return (user && (user.firstName || user.username)) || 'there';
+}
+
+/**
+ * Get an order's line items and total, computing the total if missing
+ * @param {Object} order - Order
+ * @returns {{ items: Object[], total: number }} Items and total
+ */
+function orderLines(order) {
+    const items = (order.orderProducts || []).map(item => ({
+        name: item.productName || `Product ${item.productId}`,
+        quantity: item.productQuantity,
+        unitPrice: item.unitPrice,
+        amount: (Number(item.unitPrice) || 0) * (Number(item.productQuantity) || 0)
+    }));
+    const total = typeof order.totalAmount === 'number'
+        ? order.totalAmount
+        : items.reduce((sum, item) => sum + item.amount, 0);
+    return { items, total };
+}
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {Object} options - Layout options
+ * @param {string} options.title - Heading
+ * @param {string} options.body - Inner HTML
+ * @param {string} options.appUrl - Store address for the footer link
+ * @returns {string} Full HTML document
+ */
+function layout({ title, body, appUrl }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#212529;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:6px;">
+<tr><td style="background:#212529;color:#ffffff;padding:16px 24px;font-size:18px;font-weight:bold;border-radius:6px 6px 0 0;">Sales Store</td></tr>
+<tr><td style="padding:24px;">
+<h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+${body}
+</td></tr>
+<tr><td style="padding:16px 24px;font-size:12px;color:#6c757d;border-top:1px solid #dee2e6;">
+You are receiving this email because of activity on your <a href="${escapeHtml(appUrl)}" style="color:#0d6efd;">Sales Store</a> account.
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Render an order's items as an HTML table
+ * @param {Object} order - Order
+ * @returns {string} Table HTML
+ */
+function itemsTableHtml(order) {
+    const { items, total } = orderLines(order);
+    const cell = 'padding:8px;border-bottom:1px solid #dee2e6;';
+    const rows = items.map(item => `<tr>
+<td style="${cell}">${escapeHtml(item.name)}</td>
+<td style="${cell}text-align:center;">${escapeHtml(item.quantity)}</td>
+<td style="${cell}text-align:right;">${formatMoney(item.unitPrice)}</td>
+<td style="${cell}text-align:right;">${formatMoney(item.amount)}</td>
+</tr>`).join('\n');
+
+    return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;font-size:14px;margin:16px 0;">
+<tr style="background:#f8f9fa;">
+<th align="left" style="${cell}">Product</th>
+<th style="${cell}">Qty</th>
+<th align="right" style="${cell}">Price</th>
+<th align="right" style="${cell}">Amount</th>
+</tr>
+${rows}
+<tr><td colspan="3" style="padding:8px;text-align:right;font-weight:bold;">Total</td>
+<td style="padding:8px;text-align:right;font-weight:bold;">${formatMoney(total)}</td></tr>
+</table>`;
+}
+
+/**
+ * Render an order's items as plain text lines
+ * @param {Object} order - Order
+ * @returns {string} Item lines and total
+ */
+function itemsText(order) {
+    const { items, total } = orderLines(order);
+    return [
+        ...items.map(item => `- ${item.name} x ${item.quantity} @ ${formatMoney(item.unitPrice)} = ${formatMoney(item.amount)}`),
+        `Total: ${formatMoney(total)}`
+    ].join('\n');
+}
+
+/**
+ * Render a button link
+ * @param {string} href - Target
+ * @param {string} label - Button text
+ * @returns {string} Link HTML
+ */
+function buttonHtml(href, label) {
+    return `<p style="margin:24px 0;"><a href="${escapeHtml(href)}" style="background:#0d6efd;color:#ffffff;text-decoration:none;padding:10px 18px;border-radius:4px;display:inline-block;">${escapeHtml(label)}</a></p>`;
+}
+
+const TEMPLATES = {
+    orderPlaced: {
+        description: 'Sent to the customer when an order is placed',
+        sample: {
+            user: { username: 'user', firstName: 'Jane' },
+            order: {
+                id: '3f6c1f0e-8d3a-4a51-9d0e-1b2f0c9a7e11',
+                status: 'PENDING',
+                orderDate: '2025-01-14T10:22:00',
+                orderProducts: [
+                    { productId: 1, productName: 'Wireless Mouse', productQuantity: 2, unitPrice: 24.99 },
+                    { productId: 3, productName: 'USB-C Hub', productQuantity: 1, unitPrice: 39.99 }
+                ]
+            }
+        },
+        subject: ({ order }) => `Order ${orderReference(order)} received`,
+        html: ({ user, order, appUrl }) => layout({
+            title: 'Thanks for your order!',
+            appUrl,
+            body: `<p>Hi ${escapeHtml(greetingName(user))},</p>
+<p>We have received order <strong>${escapeHtml(orderReference(order))}</strong> and will start on it soon.</p>
+${itemsTableHtml(order)}
+${buttonHtml(`${appUrl}/order-history`, 'View your orders')}`
+        }),
+        text: ({ user, order, appUrl }) => `Hi ${greetingName(user)},
+
+We have received order ${orderReference(order)} and will start on it soon.
+
+${itemsText(order)}
+
+View your orders: ${appUrl}/order-history`
+    },
+
+    orderStatusChanged: {
+        description: 'Sent to the customer when an admin changes the status of their order',
+        sample: {
+            user: { username: 'user', firstName: 'Jane' },
+            previousStatus: 'PENDING',
+            order: {
+                id: '3f6c1f0e-8d3a-4a51-9d0e-1b2f0c9a7e11',
+                status: 'IN_PROGRESS',
+                orderDate: '2025-01-14T10:22:00',
+                orderProducts: [
+                    { productId: 1, productName: 'Wireless Mouse', productQuantity: 2, unitPrice: 24.99 }
+                ]
+            }
+        },
+        subject: ({ order }) => `Order ${orderReference(order)} is now ${(STATUS_LABELS[order.status] || order.status).toLowerCase()}`,
+        html: ({ user, order, previousStatus, appUrl }) => layout({
+            title: `Your order is ${(STATUS_LABELS[order.status] || order.status).toLowerCase()}`,
+            appUrl,
+            body: `<p>Hi ${escapeHtml(greetingName(user))},</p>
+<p>The status of order <strong>${escapeHtml(orderReference(order))}</strong> changed${previousStatus ? ` from <strong>${escapeHtml(STATUS_LABELS[previousStatus] || previousStatus)}</strong>` : ''} to <strong>${escapeHtml(STATUS_LABELS[order.status] || order.status)}</strong>.</p>
+<p>${escapeHtml(STATUS_MESSAGES[order.status] || '')}</p>
+${itemsTableHtml(order)}
+${buttonHtml(`${appUrl}/order-history`, 'View your orders')}`
+        }),
+        text: ({ user, order, previousStatus, appUrl }) => `Hi ${greetingName(user)},
+
+The status of order ${orderReference(order)} changed${previousStatus ? ` from ${STATUS_LABELS[previousStatus] || previousStatus}` : ''} to ${STATUS_LABELS[order.status] || order.status}.
+${STATUS_MESSAGES[order.status] || ''}
+
+${itemsText(order)}
+
+View your orders: ${appUrl}/order-history`
+    },
+
+    accountCreated: {
+        description: 'Sent to a new user when an admin creates their account',
+        sample: {
+            user: { username: 'jdoe', firstName: 'John', email: 'jdoe@example.com' }
+        },
+        subject: () => 'Your Sales Store account is ready',
+        html: ({ user, appUrl }) => layout({
+            title: 'Welcome to Sales Store',
+            appUrl,
+            body: `<p>Hi ${escapeHtml(greetingName(user))},</p>
+<p>An administrator created a Sales Store account for you with the username <strong>${escapeHtml(user.username)}</strong>.</p>
+<p>Ask your administrator for your initial password, then sign in and change it.</p>
+${buttonHtml(`${appUrl}/login`, 'Sign in')}`
+        }),
+        text: ({ user, appUrl }) => `Hi ${greetingName(user)},
+
+An administrator created a Sales Store account for you with the username ${user.username}.
+Ask your administrator for your initial password, then sign in and change it.
+
+Sign in: ${appUrl}/login`
+    },
+
+    passwordReset: {
+        description: 'Sent when someone asks to reset the password of an account',
+        sample: {
+            user: { username: 'jdoe', firstName: 'John', email: 'jdoe@example.com' },
+            resetUrl: 'http://localhost:3001/reset-password?token=sample-token',
+            expiresInMinutes: 30
+        },
+        subject: () => 'Reset your Sales Store password',
+        html: ({ user, resetUrl, expiresInMinutes, appUrl }) => layout({
+            title: 'Reset your password',
+            appUrl,
+            body: `<p>Hi ${escapeHtml(greetingName(user))},</p>
+<p>We received a request to reset the password for the Sales Store account <strong>${escapeHtml(user.username)}</strong>.
+The link below works once and expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+${buttonHtml(resetUrl, 'Choose a new password')}
+<p>If you did not ask for this, you can ignore this email; your password stays the same.</p>`
+        }),
+        text: ({ user, resetUrl, expiresInMinutes }) => `Hi ${greetingName(user)},
+
+We received a request to reset the password for the Sales Store account ${user.username}.
+The link below works once and expires in ${expiresInMinutes} minutes.
+
+Choose a new password: ${resetUrl}
+
+If you did not ask for this, you can ignore this email; your password stays the same.`
+    }
+};
+
+/**
+ * Render a template
+ * @param {string} name - Key of TEMPLATES
+ * @param {Object} data - Template data; appUrl is required by every template
+ * @returns {{ subject: string, html: string, text: string }} Rendered email
+ */
+function renderTemplate(name, data) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return {
+        subject: template.subject(data),
+        html: template.html(data),
+        text: template.text(data)
+    };
+}
+
+module.exports = { TEMPLATES, renderTemplate, escapeHtml };
@@ -0,0 +1,120 @@
+/**
+ * Email Transports
+ * Deliver built messages over SMTP, into .eml files or to the log
+ *
+ * Every transport has the same shape: { name, send(message) } where message
+ * is { from, to, raw, messageId, subject, text } and send resolves once the
+ * message was handed over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { envelopeAddress } = require('./message');
+const logger = require('../utils/logger');
+
+/**
+ * SMTP transport for production, sent with nodemailer
+ * @param {Object} smtpOptions - config.email.smtp
+ * @returns {Object} Transport
+ */
+function smtpTransport(smtpOptions) {
+    const transporter = nodemailer.createTransport({
+        host: smtpOptions.host,
+        port: smtpOptions.port,
+        secure: smtpOptions.secure,
+        requireTLS: smtpOptions.requireTls,
+        auth: smtpOptions.user ? { user: smtpOptions.user, pass: smtpOptions.password } : undefined,
+        connectionTimeout: smtpOptions.timeoutMs,
+        greetingTimeout: smtpOptions.timeoutMs,
+        socketTimeout: smtpOptions.timeoutMs
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail({
+                envelope: {
+                    from: envelopeAddress(message.from),
+                    to: envelopeAddress(message.to)
+                },
+                raw: message.raw
+            });
+            return { response: info.response };
+        }
+    };
+}
+
+/**
+ * File transport: one .eml file per message, openable in any mail client
+ * @param {string} directory - Output directory
+ * @returns {Object} Transport
+ */
+function fileTransport(directory) {
+    const dir = path.resolve(directory);
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const id = message.messageId.replace(/[<>]/g, '').split('@')[0];
+            const file = path.join(dir, `${stamp}-${id}.eml`);
+            await fs.promises.writeFile(file, message.raw);
+            return { file };
+        }
+    };
+}
+
+/**
+ * Console transport: logs the recipient, subject and text body
+ * @returns {Object} Transport
+ */
+function consoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            logger.info('Email (console transport)', {
+                to: envelopeAddress(message.to),
+                subject: message.subject,
+                text: message.text
+            });
+            return {};
+        }
+    };
+}
+
+/**
+ * Transport that drops every message
+ * @returns {Object} Transport
+ */
+function noTransport() {
+    return {
+        name: 'none',
+        async send() {
+            return { skipped: true };
+        }
+    };
+}
+
+/**
+ * Create the transport named in the email settings
+ * @param {Object} options - config.email
+ * @returns {Object} Transport
+ */
+function createTransport(options) {
+    switch (options.transport) {
+        case 'smtp':
+            return smtpTransport(options.smtp);
+        case 'file':
+            return fileTransport(options.fileDir);
+        case 'none':
+            return noTransport();
+        case 'console':
+            return consoleTransport();
+        default:
+            logger.warn(`Unknown EMAIL_TRANSPORT "${options.transport}", logging emails to the console instead`);
+            return consoleTransport();
+    }
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,284 @@
+/**
+ * Order Events
+ * Publishes order created and status changed events to Server-Sent Events subscribers
+ *
+ * Events come from two sources: order mutations that pass through the proxy,
+ * and a periodic comparison of the backend order list that catches changes
+ * made elsewhere (another server instance, the backend's own tools). The
+ * backend only lists all orders for admins, so the comparison signs in with
+ * its own service account (ORDER_EVENTS_SERVICE_USERNAME / _PASSWORD) and
+ * only runs while someone is listening.
+ *
+ * Admins receive every event; other users only events for their own orders.
+ * Recent events are kept so a reconnecting browser can catch up with
+ * Last-Event-ID. Event ids restart with the process.
+ */
+
+const config = require('../config');
+const { isTokenExpired } = require('../utils/jwt');
+const { createServiceAccount } = require('../utils/serviceAccount');
+const logger = require('../utils/logger');
+
+const EVENT_TYPES = {
+    CREATED: 'order.created',
+    STATUS_CHANGED: 'order.status_changed'
+};
+
+// Browsers wait this long before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 3000;
+
+const serviceAccount = createServiceAccount({
+    name: 'Order events',
+    credentials: () => ({
+        username: config.orderEvents.serviceUsername,
+        password: config.orderEvents.servicePassword
+    })
+});
+
+/**
+ * Get the identifier of an order, whichever field the backend used
+ * @param {Object} order - Order
+ * @returns {string|null} Order UUID or id
+ */
+function orderKey(order) {
+    if (!order || typeof order !== 'object') return null;
+    const key = order.uuid || order.id || order.orderId;
+    return key === undefined || key === null ? null : String(key);
+}
+
+/**
+ * Get the username an order belongs to
+ * @param {Object} order - Order
+ * @returns {string} Username, or an empty string if unknown
+ */
+function orderOwner(order) {
+    return (order.user && order.user.username) || order.username || '';
+}
+
+class OrderEventHub {
+    /**
+     * @param {Object} options - Hub options
+     * @param {number} options.pollIntervalMs - Backend comparison interval (0 disables it)
+     * @param {number} options.heartbeatMs - Interval of keep-alive comments
+     * @param {number} options.historySize - Events kept for Last-Event-ID replay
+     * @param {number} options.maxClients - Concurrent streams accepted
+     */
+    constructor(options) {
+        this.options = options;
+        this.clients = new Set();
+        this.history = [];
+        this.nextId = 1;
+        // Last known status per order, shared by both event sources so a
+        // change seen through the proxy is not reported again by the poll
+        this.statuses = new Map();
+        this.seeded = false;
+        this.polling = false;
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Check if another stream can be accepted
+     * @returns {boolean} True while below maxClients
+     */
+    hasCapacity() {
+        return this.clients.size < this.options.maxClients;
+    }
+
+    /**
+     * Start streaming events to a client
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Object} subscriber - { username, admin, token } of the verified user
+     */
+    subscribe(req, res, subscriber) {
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            // Keep reverse proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.locals.stream = true;
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+        const client = { res, ...subscriber };
+        this.clients.add(client);
+
+        const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+        if (!Number.isNaN(lastEventId)) {
+            this.history
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.send(client, event));
+        }
+
+        res.on('close', () => {
+            this.clients.delete(client);
+            this.updateTimers();
+        });
+        this.updateTimers();
+    }
+
+    /**
+     * Publish an event to every subscriber allowed to see the order
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Object} order - Order as returned by the backend
+     * @param {string} source - 'proxy' or 'poll'
+     * @returns {Object|null} Published event, or null if the order has no identifier
+     */
+    publish(type, order, source) {
+        const key = orderKey(order);
+        if (!key) return null;
+
+        const previousStatus = this.statuses.has(key) ? this.statuses.get(key) : null;
+        this.statuses.set(key, order.status);
+
+        const event = {
+            id: this.nextId++,
+            type,
+            owner: orderOwner(order),
+            data: {
+                type,
+                orderId: key,
+                status: order.status || null,
+                previousStatus: type === EVENT_TYPES.STATUS_CHANGED ? previousStatus : null,
+                source,
+                occurredAt: new Date().toISOString(),
+                order
+            }
+        };
+
+        this.history.push(event);
+        if (this.history.length > this.options.historySize) {
+            this.history.shift();
+        }
+
+        this.clients.forEach(client => this.send(client, event));
+        logger.debug('Order event published', { type, orderId: key, source, subscribers: this.clients.size });
+        return event;
+    }
+
+    /**
+     * Write an event to a client if it may see the order
+     * @param {Object} client - Subscriber
+     * @param {Object} event - Event from publish()
+     */
+    send(client, event) {
+        if (!client.admin && client.username !== event.owner) {
+            return;
+        }
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    /**
+     * Start or stop the heartbeat and poll timers to match the subscribers
+     */
+    updateTimers() {
+        if (this.clients.size > 0 && !this.heartbeatTimer) {
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatMs);
+            this.heartbeatTimer.unref();
+        } else if (this.clients.size === 0 && this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        const wantsPoll = this.options.pollIntervalMs > 0 && this.clients.size > 0 && serviceAccount.isConfigured();
+        if (wantsPoll && !this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+            this.pollTimer.unref();
+            this.poll();
+        } else if (!wantsPoll && this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            // Changes made while nobody was listening are not replayed later
+            this.seeded = false;
+        }
+    }
+
+    /**
+     * Keep idle streams open and close those whose session has expired
+     */
+    heartbeat() {
+        this.clients.forEach(client => {
+            if (isTokenExpired(client.token)) {
+                // The browser reconnects, is refused and stops until the user logs in again
+                client.res.end();
+            } else {
+                client.res.write(': keep-alive\n\n');
+            }
+        });
+    }
+
+    /**
+     * Compare the backend order list with the last known statuses
+     *
+     * The first successful comparison only records the current statuses.
+     */
+    async poll() {
+        if (this.polling || this.clients.size === 0) return;
+        this.polling = true;
+
+        try {
+            const backend = await serviceAccount.request('/api/orders');
+            if (!backend.ok) {
+                logger.debug('Order event poll skipped', { backendStatus: backend.status });
+                return;
+            }
+
+            const data = backend.data;
+            const orders = Array.isArray(data) ? data : (data && Array.isArray(data.content) ? data.content : []);
+            this.applySnapshot(orders);
+        } catch (error) {
+            logger.debug('Order event poll failed', { error });
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Publish the differences between a backend order list and the known statuses
+     * @param {Object[]} orders - Full order list
+     */
+    applySnapshot(orders) {
+        const seen = new Set();
+
+        orders.forEach(order => {
+            const key = orderKey(order);
+            if (!key) return;
+            seen.add(key);
+
+            if (!this.seeded) {
+                this.statuses.set(key, order.status);
+            } else if (!this.statuses.has(key)) {
+                this.publish(EVENT_TYPES.CREATED, order, 'poll');
+            } else if (this.statuses.get(key) !== order.status) {
+                this.publish(EVENT_TYPES.STATUS_CHANGED, order, 'poll');
+            }
+        });
+
+        // Forget deleted orders so the map does not grow without bound
+        for (const key of this.statuses.keys()) {
+            if (!seen.has(key)) {
+                this.statuses.delete(key);
+            }
+        }
+        this.seeded = true;
+    }
+
+    /**
+     * End every stream (used on shutdown so the server can close)
+     */
+    close() {
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+        this.updateTimers();
+    }
+}
+
+const orderEvents = new OrderEventHub(config.orderEvents);
+
+module.exports = orderEvents;
+module.exports.OrderEventHub = OrderEventHub;
+module.exports.EVENT_TYPES = EVENT_TYPES;
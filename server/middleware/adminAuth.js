@@ -0,0 +1,99 @@
+/**
+ * Admin Authorization Middleware
+ * Checks the JWT and role before admin pages and scripts are served
+ */
+
+const config = require('../config');
+const { backendFetch } = require('./proxy');
+const { getRequestToken, isTokenExpired } = require('../utils/jwt');
+const logger = require('../utils/logger');
+const { loggablePath } = require('./requestLogger');
+
+const ADMIN_ROLES = ['admin', 'administrator'];
+
+/**
+ * Ask the backend who the token belongs to
+ * @param {string} token - JWT token
+ * @param {string} [requestId] - Request ID forwarded as X-Request-Id
+ * @returns {Promise<Object|null>} User data, or null if the backend rejects the token
+ */
+async function fetchCurrentUser(token, requestId) {
+    const response = await backendFetch(`${config.backendUrl}/api/auth/me`, {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            ...(requestId ? { 'X-Request-Id': requestId } : {})
+        },
+        signal: AbortSignal.timeout(config.proxy.timeoutMs)
+    });
+
+    if (response.status === 401 || response.status === 403) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`User verification failed with HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Check if a user has an admin role
+ * @param {Object} userData - User data from the backend
+ * @returns {boolean} True for admins
+ */
+function isAdminUser(userData) {
+    return ADMIN_ROLES.includes((userData.role || '').toLowerCase());
+}
+
+/**
+ * Create middleware that only lets admins through
+ * @param {Object} options - Middleware options
+ * @param {boolean} [options.redirect=true] - Redirect to login/access-denied pages instead of
+ *   answering with 401/403 (use false for scripts and other non-page assets)
+ * @returns {Function} Express middleware
+ */
+function requireAdmin({ redirect = true } = {}) {
+    const deny = (req, res, status) => {
+        if (!redirect) {
+            return res.sendStatus(status);
+        }
+        if (status === 401) {
+            return res.redirect(`/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+        }
+        return res.redirect('/access-denied');
+    };
+
+    return async (req, res, next) => {
+        const token = getRequestToken(req);
+        if (!token || isTokenExpired(token)) {
+            return deny(req, res, 401);
+        }
+
+        try {
+            const userData = await fetchCurrentUser(token, req.id);
+            if (!userData) {
+                return deny(req, res, 401);
+            }
+
+            if (!isAdminUser(userData)) {
+                (req.log || logger).warn('Admin access denied', {
+                    username: userData.username,
+                    path: loggablePath(req)
+                });
+                return deny(req, res, 403);
+            }
+
+            // Admin markup must not be kept by shared caches
+            res.set('Cache-Control', 'private, no-store');
+            req.user = userData;
+            next();
+        } catch (error) {
+            // If backend is offline or unreachable, deny access
+            (req.log || logger).error('Admin verification error', { error });
+            deny(req, res, 403);
+        }
+    };
+}
+
+module.exports = { requireAdmin, fetchCurrentUser, isAdminUser };
@@ -0,0 +1,174 @@
+/**
+ * Audit Trail Middleware
+ * Records successful admin mutations in the audit log
+ *
+ * Placed in front of a mutation's proxy. It can read the target from the
+ * backend first (the "before" value), keeps a copy of the response body
+ * (the "after" value) and writes an entry once a 2xx response has been sent.
+ */
+
+const zlib = require('zlib');
+const { fetchBackendJson } = require('./proxy');
+const auditLog = require('../audit/auditLog');
+const { getRequestToken, decodeJwt } = require('../utils/jwt');
+const { captureResponseBody } = require('../utils/responseCapture');
+
+// Bodies larger than this are not kept; the entry is still written without them
+const MAX_CAPTURED_BYTES = 256 * 1024;
+
+// Values under matching keys never reach the log
+const SECRET_KEY = /password|secret|token/i;
+
+const DECODERS = {
+    gzip: zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync
+};
+
+/**
+ * Copy a value with secret fields masked
+ * @param {*} value - Request or response body
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (value === null || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+        key,
+        SECRET_KEY.test(key) ? '[redacted]' : redact(inner)
+    ]));
+}
+
+/**
+ * Compare two values as JSON
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize the same
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Work out which fields a mutation changed
+ *
+ * Fields are compared between the before value and the response. Fields the
+ * response does not echo (a new password, say) are taken from the request
+ * body, and without a response body the request body is all there is.
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Response body
+ * @param {Object|null} requested - Request body
+ * @returns {Object|null} { field: { from, to } } for each changed field, or null if nothing changed
+ */
+function diffChanges(before, after, requested) {
+    const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const previous = isRecord(before) ? before : {};
+    const result = isRecord(after) ? after : {};
+    const body = isRecord(requested) ? requested : {};
+
+    const fields = new Set([...Object.keys(result), ...Object.keys(body)]);
+    if (isRecord(before) && isRecord(after)) {
+        Object.keys(before).forEach(field => fields.add(field));
+    }
+
+    const changes = {};
+    for (const field of fields) {
+        const to = field in result ? result[field] : body[field];
+        const from = previous[field];
+        if (sameValue(from, to)) continue;
+
+        changes[field] = SECRET_KEY.test(field)
+            ? { from: from === undefined ? null : '[redacted]', to: '[redacted]' }
+            : { from: from === undefined ? null : redact(from), to: to === undefined ? null : redact(to) };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Get the username of the admin making the request
+ *
+ * The token is only decoded, not verified: entries are written after the
+ * backend accepted the same token for the mutation.
+ * @param {Object} req - Express request object
+ * @returns {string} Username, or 'unknown'
+ */
+function actorOf(req) {
+    const payload = decodeJwt(getRequestToken(req));
+    return (payload && (payload.sub || payload.username)) || 'unknown';
+}
+
+/**
+ * Parse a captured JSON response body
+ * @param {Object} res - Express response object
+ * @param {Buffer|null} body - Captured body
+ * @returns {*} Parsed body, or null if empty, not JSON or unreadable
+ */
+function parseBody(res, body) {
+    if (!body || body.length === 0) return null;
+    if (!/json/i.test(String(res.getHeader('content-type') || ''))) return null;
+
+    try {
+        const encoding = String(res.getHeader('content-encoding') || '').toLowerCase();
+        const decode = DECODERS[encoding];
+        if (encoding && encoding !== 'identity' && !decode) return null;
+        return JSON.parse((decode ? decode(body) : body).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Create middleware that audits a mutation
+ * @param {Object} options - Audit options
+ * @param {string} options.entity - 'user', 'product' or 'order'
+ * @param {string} options.action - 'create', 'update', 'delete' or 'status_change'
+ * @param {Function} [options.before] - (req) => backend path to read the current value from
+ * @param {Function} [options.targetId] - (req, after) => id of the changed record (defaults to req.params.id)
+ * @param {Function} [options.when] - async (req) => whether this request is audited, for routes non-admins use too
+ * @returns {Function} Express middleware
+ */
+function auditTrail({ entity, action, before, targetId, when }) {
+    const idOf = targetId || (req => req.params.id);
+
+    return async (req, res, next) => {
+        if (when && !(await when(req))) {
+            return next();
+        }
+
+        let previous = null;
+        if (before) {
+            try {
+                const backend = await fetchBackendJson(req, res, before(req));
+                previous = backend.ok ? backend.data : null;
+            } catch (error) {
+                // The mutation is still proxied; the entry just has no before value
+                req.log.debug('Could not read audit before value', { entity, error });
+            }
+        }
+
+        const capturedBody = captureResponseBody(res, MAX_CAPTURED_BYTES);
+        res.on('finish', () => {
+            if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+            const after = parseBody(res, capturedBody());
+            const id = idOf(req, after);
+            auditLog.record({
+                actor: actorOf(req),
+                action,
+                entity,
+                entityId: id === undefined || id === null ? null : String(id),
+                before: redact(previous),
+                after: redact(after),
+                changes: action === 'delete' ? null : diffChanges(previous, after, req.body),
+                requestId: req.id,
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip
+            });
+        });
+        next();
+    };
+}
+
+module.exports = auditTrail;
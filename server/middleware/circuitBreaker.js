@@ -0,0 +1,149 @@
+/**
+ * Circuit Breaker
+ * Fails backend calls fast once BACKEND_URL looks down and probes it to recover
+ *
+ * CLOSED: requests flow normally; consecutive failures are counted.
+ * OPEN: requests fail immediately; a background probe checks the backend.
+ * A successful probe (any HTTP response) closes the circuit again.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const STATES = {
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {string} options.name - Name used in logs
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.probeIntervalMs - Delay between recovery probes while open
+     * @param {Function} options.probe - Async function resolving when the backend answers
+     */
+    constructor({ name, failureThreshold, probeIntervalMs, probe }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.probeIntervalMs = probeIntervalMs;
+        this.probe = probe;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.changedAt = new Date();
+        this.lastError = null;
+        this.probeTimer = null;
+    }
+
+    /**
+     * Check if a request may be sent
+     * @returns {boolean} False while the circuit is open
+     */
+    allowRequest() {
+        return this.state !== STATES.OPEN;
+    }
+
+    /**
+     * Record a call that reached the backend
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state === STATES.OPEN) {
+            this.close();
+        }
+    }
+
+    /**
+     * Record a call that could not reach the backend
+     * @param {Error|string} error - Cause of the failure
+     */
+    recordFailure(error) {
+        this.lastError = error instanceof Error ? error.message : String(error);
+        this.consecutiveFailures++;
+
+        if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    /**
+     * Stop sending requests and start probing
+     */
+    open() {
+        this.state = STATES.OPEN;
+        this.changedAt = new Date();
+        logger.warn(`Circuit ${this.name} opened`, {
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError
+        });
+        this.scheduleProbe();
+    }
+
+    /**
+     * Resume sending requests
+     */
+    close() {
+        this.state = STATES.CLOSED;
+        this.changedAt = new Date();
+        this.consecutiveFailures = 0;
+        this.lastError = null;
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+        logger.info(`Circuit ${this.name} closed, backend reachable again`);
+    }
+
+    /**
+     * Probe the backend after probeIntervalMs, repeating until it answers
+     */
+    scheduleProbe() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = setTimeout(async () => {
+            try {
+                await this.probe();
+                this.close();
+            } catch (error) {
+                this.lastError = error.message;
+                this.scheduleProbe();
+            }
+        }, this.probeIntervalMs);
+
+        // Never keep the process alive just to probe
+        this.probeTimer.unref();
+    }
+
+    /**
+     * Describe the breaker for status endpoints
+     * @returns {Object} Current state
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            since: this.changedAt.toISOString(),
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError
+        };
+    }
+}
+
+/**
+ * Probe the backend root; any HTTP answer means it is reachable
+ * @returns {Promise<void>}
+ */
+async function probeBackend() {
+    const fetch = (await import('node-fetch')).default;
+    const response = await fetch(config.backendUrl, {
+        method: 'GET',
+        signal: AbortSignal.timeout(config.circuitBreaker.probeTimeoutMs)
+    });
+    response.body.resume();
+}
+
+const backendBreaker = new CircuitBreaker({
+    name: 'backend',
+    failureThreshold: config.circuitBreaker.failureThreshold,
+    probeIntervalMs: config.circuitBreaker.probeIntervalMs,
+    probe: probeBackend
+});
+
+module.exports = { CircuitBreaker, STATES, backendBreaker, probeBackend };
@@ -1,15 +1,63 @@
 /**
  * CORS Middleware
  * Handles Cross-Origin Resource Sharing configuration
+ *
+ * Only origins listed in CORS_ALLOWED_ORIGINS get CORS headers. The pages
+ * are served from this server, so the default (no origins) keeps the API
+ * same-origin only.
  */
 
+const config = require('../config');
+
+const ALLOWED_HEADERS = [
+    'Origin',
+    'X-Requested-With',
+    'Content-Type',
+    'Accept',
+    'Authorization',
+    'X-CSRF-Token',
+    'X-Request-Id',
+    'Idempotency-Key'
+];
+
+// Response headers scripts on allowed origins may read
+const EXPOSED_HEADERS = ['X-Request-Id', 'Retry-After', 'Content-Disposition', 'Idempotent-Replayed'];
+
+const allowAnyOrigin = config.cors.allowedOrigins.includes('*');
+
+/**
+ * Check if an origin may call the API
+ * @param {string} origin - Origin request header
+ * @returns {boolean} True if allowed
+ */
+function isAllowedOrigin(origin) {
+    return allowAnyOrigin || config.cors.allowedOrigins.includes(origin);
+}
+
 const corsMiddleware = (req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    
+    const origin = req.headers.origin;
+    const allowed = origin && isAllowedOrigin(origin);
+
+    if (allowed) {
+        // Credentials are never combined with a wildcard origin
+        res.header('Access-Control-Allow-Origin', allowAnyOrigin ? '*' : origin);
+        if (config.cors.allowCredentials && !allowAnyOrigin) {
+            res.header('Access-Control-Allow-Credentials', 'true');
+        }
+        res.header('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+    }
+    if (!allowAnyOrigin) {
+        res.vary('Origin');
+    }
+
     if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
+        if (origin && !allowed) {
+            return res.sendStatus(403);
+        }
+        res.header('Access-Control-Allow-Methods', config.cors.allowedMethods.join(', '));
+        res.header('Access-Control-Allow-Headers', ALLOWED_HEADERS.join(', '));
+        res.header('Access-Control-Max-Age', String(config.cors.maxAgeSeconds));
+        res.sendStatus(204);
     } else {
         next();
     }
@@ -0,0 +1,106 @@
+/**
+ * Request Draining
+ * Tracks in-flight requests so shutdown can wait for them to finish
+ *
+ * On shutdown the server stops accepting connections and readiness checks
+ * fail, while requests already being handled (an order POST waiting for the
+ * backend, say) get a grace period to complete. Whatever is still running
+ * when it ends is logged and cut off.
+ */
+
+const logger = require('../utils/logger');
+const { loggablePath } = require('./requestLogger');
+
+const inFlight = new Set();
+let draining = false;
+let onIdle = null;
+
+/**
+ * Check if the server is shutting down
+ * @returns {boolean} True once drain() was called
+ */
+function isDraining() {
+    return draining;
+}
+
+/**
+ * Middleware that records each request until its response is closed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function trackRequests(req, res, next) {
+    const entry = { req, res, startedAt: Date.now() };
+    inFlight.add(entry);
+    res.on('close', () => {
+        inFlight.delete(entry);
+        if (inFlight.size === 0 && onIdle) onIdle();
+    });
+
+    // Keep-alive connections are closed after this response instead of idling
+    if (draining) {
+        res.set('Connection', 'close');
+    }
+    next();
+}
+
+/**
+ * Fail readiness, stop accepting connections and wait for in-flight requests
+ * @param {Object} server - HTTP server returned by app.listen()
+ * @param {Object} options - Drain options
+ * @param {number} options.delayMs - How long connections are still accepted after readiness fails
+ * @param {number} options.graceMs - How long requests may then keep running
+ * @returns {Promise<{ completed: boolean, aborted: number }>} Whether every request finished,
+ *   and how many were cut off
+ */
+async function drain(server, { delayMs, graceMs }) {
+    draining = true;
+    if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    server.close();
+    // Idle keep-alive sockets would otherwise hold the server open (Node 18 does not close them itself)
+    if (typeof server.closeIdleConnections === 'function') {
+        server.closeIdleConnections();
+    }
+
+    if (inFlight.size > 0) {
+        logger.info('Waiting for in-flight requests', { requests: inFlight.size, graceMs });
+    }
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            onIdle = null;
+            resolve({ completed: false, aborted: abortInFlight() });
+        }, graceMs);
+
+        onIdle = () => {
+            clearTimeout(timer);
+            onIdle = null;
+            resolve({ completed: true, aborted: 0 });
+        };
+        if (inFlight.size === 0) onIdle();
+    });
+}
+
+/**
+ * Log and cut off the requests still running after the grace period
+ * @returns {number} Number of requests aborted
+ */
+function abortInFlight() {
+    const entries = [...inFlight];
+    entries.forEach(({ req, res, startedAt }) => {
+        (req.log || logger).error('Request aborted by shutdown', {
+            method: req.method,
+            path: loggablePath(req),
+            durationMs: Date.now() - startedAt,
+            backendAttempts: res.locals.backend ? res.locals.backend.attempts : 0
+        });
+        res.destroy();
+    });
+    inFlight.clear();
+    return entries.length;
+}
+
+module.exports = { trackRequests, drain, isDraining };
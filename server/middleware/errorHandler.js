@@ -3,6 +3,8 @@
  * Handles common error scenarios in API requests
  */
 
+const logger = require('../utils/logger');
+
 class ErrorHandler {
     /**
      * Handle proxy request errors
@@ -11,10 +13,32 @@ class ErrorHandler {
      * @param {string} operation - Operation description
      */
     static handleProxyError(error, res, operation = 'request') {
-        console.error(`${operation} proxy error:`, error);
+        (res.req.log || logger).error(`${operation} proxy error`, { error });
+
+        // A download that fails part way can only be cut off; the status line is already out
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
         
+        // Backend accepted the connection but did not answer in time
+        if (error.timedOut) {
+            return res.status(504).json({
+                message: 'Server took too long to respond. Please try again later.',
+                timeout: true
+            });
+        }
+
+        // Backend answered, but not with the JSON the route has to inspect
+        if (error.invalidResponse) {
+            return res.status(502).json({
+                message: 'The server sent an unexpected response. Please try again later.'
+            });
+        }
+
         // Check if it's a connection error (server offline)
         if (error.code === 'ECONNREFUSED' || 
+            error.code === 'ECIRCUITOPEN' || 
             error.code === 'ETIMEDOUT' || 
             error.message.includes('fetch failed')) {
             res.status(503).json({ 
@@ -27,46 +51,6 @@ class ErrorHandler {
             });
         }
     }
-
-    /**
-     * Handle successful proxy response
-     * @param {Object} response - Fetch response object
-     * @param {Object} res - Express response object
-     * @param {string} operation - Operation description
-     */
-    static async handleProxyResponse(response, res, operation = 'request') {
-        try {
-            if (response.status === 204) {
-                // No content response (usually for DELETE)
-                return res.status(204).send();
-            }
-
-            let data;
-            try {
-                data = await response.json();
-            } catch (parseError) {
-                console.log(`Backend ${operation} returned empty or invalid JSON response`);
-                return res.status(response.status).json([]);
-            }
-            
-            if (!response.ok) {
-                console.log(`Backend ${operation} failed:`, response.status, data);
-                return res.status(response.status).json(data);
-            }
-
-            // Handle different success status codes
-            if (response.status === 201) {
-                res.status(201).json(data);
-            } else {
-                res.json(data);
-            }
-        } catch (parseError) {
-            console.error(`Error parsing ${operation} response:`, parseError);
-            res.status(500).json({ 
-                message: 'Invalid response from server' 
-            });
-        }
-    }
 }
 
 module.exports = ErrorHandler;
@@ -0,0 +1,210 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries a request with the same Idempotency-Key
+ *
+ * Clients send a random key with a submission and reuse it for retries of
+ * that same submission. The first request runs normally and its response is
+ * kept for IDEMPOTENCY_TTL_MS; a retry that arrives while it is still
+ * running waits for it. Keys are scoped to the caller's token and the URL.
+ *
+ * 2xx and 4xx responses are kept. 5xx responses release the key so the
+ * client can try again once the backend recovers.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { getRequestToken } = require('../utils/jwt');
+const { captureResponseBody } = require('../utils/responseCapture');
+
+const HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const VALID_KEY = /^[\x21-\x7e]{8,255}$/;
+const MAX_BODY_BYTES = 256 * 1024;
+const PENDING_GRACE_MS = 5000;
+
+class IdempotencyStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.ttlMs - How long responses are kept
+     * @param {number} options.maxEntries - Oldest entries are dropped beyond this
+     */
+    constructor({ ttlMs, maxEntries }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a live entry
+     * @param {string} scopedKey - Caller, URL and key
+     * @returns {Object|null} Entry or null if missing or expired
+     */
+    get(scopedKey) {
+        const entry = this.entries.get(scopedKey);
+        if (!entry) return null;
+
+        if (entry.response && Date.now() >= entry.expiresAt) {
+            this.entries.delete(scopedKey);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Claim a key for a request that is about to run
+     * @param {string} scopedKey - Caller, URL and key
+     * @param {string} fingerprint - Hash of the request body
+     * @returns {Object} Pending entry; `done` resolves once the request finishes
+     */
+    begin(scopedKey, fingerprint) {
+        let settle;
+        const entry = {
+            fingerprint,
+            response: null,
+            done: new Promise(resolve => { settle = resolve; })
+        };
+        entry.settle = settle;
+
+        this.entries.set(scopedKey, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * Keep the response of a finished request
+     * @param {string} scopedKey - Caller, URL and key
+     * @param {Object} entry - Entry returned by begin()
+     * @param {Object} response - { status, headers, body }
+     */
+    complete(scopedKey, entry, response) {
+        entry.response = response;
+        entry.expiresAt = Date.now() + this.ttlMs;
+        entry.settle(response);
+    }
+
+    /**
+     * Forget a key so the request can run again
+     * @param {string} scopedKey - Caller, URL and key
+     * @param {Object} entry - Entry returned by begin()
+     */
+    release(scopedKey, entry) {
+        if (this.entries.get(scopedKey) === entry) {
+            this.entries.delete(scopedKey);
+        }
+        entry.settle(null);
+    }
+}
+
+const store = new IdempotencyStore(config.idempotency);
+
+/**
+ * Identify the caller a key belongs to
+ *
+ * The scope is a hash of the whole bearer token or session cookie, not a
+ * claim read from it: the token is not verified here, so a forged token
+ * naming another user must not reach that user's stored responses.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token hash, or null for anonymous requests
+ */
+function callerOf(req) {
+    const token = getRequestToken(req);
+    return token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+/**
+ * Hash the request body so a key reused for a different submission is caught
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintOf(req) {
+    return crypto.createHash('sha256').update(JSON.stringify(req.body || null)).digest('hex');
+}
+
+/**
+ * Send a stored response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} response - { status, headers, body }
+ */
+function replay(req, res, response) {
+    metrics.idempotentReplays.inc({ route: req.route.path });
+    req.log.info('Replayed idempotent response', { status: response.status });
+
+    res.set(response.headers);
+    res.set(REPLAYED_HEADER, 'true');
+    res.status(response.status).send(response.body);
+}
+
+/**
+ * Create middleware that makes a POST safe to retry
+ *
+ * Requests without an Idempotency-Key header are passed through unchanged.
+ * @returns {Function} Express middleware
+ */
+function idempotency() {
+    return async (req, res, next) => {
+        const key = req.get(HEADER);
+        if (key === undefined) return next();
+
+        if (!VALID_KEY.test(key)) {
+            return res.status(400).json({
+                message: `${HEADER} must be 8 to 255 printable characters without spaces`
+            });
+        }
+        const caller = callerOf(req);
+        if (!caller) return next();
+
+        const scopedKey = `${caller}:${req.method}:${req.originalUrl}:${key}`;
+        const fingerprint = fingerprintOf(req);
+        let existing = store.get(scopedKey);
+        while (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    message: `This ${HEADER} was already used for a different request`
+                });
+            }
+            const response = existing.response || await existing.done;
+            if (response) {
+                return replay(req, res, response);
+            }
+            // The earlier attempt failed on the server side. The first retry to
+            // get here runs in its place; any others wait for that one.
+            existing = store.get(scopedKey);
+        }
+
+        const entry = store.begin(scopedKey, fingerprint);
+        res.locals.idempotencyKey = key;
+
+        // A response stream that breaks off never ends; free the key once the
+        // backend request has certainly timed out
+        const abandon = setTimeout(() => {
+            if (!entry.response) store.release(scopedKey, entry);
+        }, config.proxy.timeoutMs + PENDING_GRACE_MS);
+        abandon.unref();
+
+        // The proxy keeps going when the client disconnects, so the outcome is
+        // known even if the client never sees it and comes back with a retry
+        captureResponseBody(res, MAX_BODY_BYTES, body => {
+            clearTimeout(abandon);
+            if (!body || res.statusCode >= 500) {
+                store.release(scopedKey, entry);
+                return;
+            }
+            const headers = {};
+            ['content-type', 'content-encoding', 'location'].forEach(name => {
+                const value = res.getHeader(name);
+                if (value !== undefined) headers[name] = value;
+            });
+            store.complete(scopedKey, entry, { status: res.statusCode, headers, body });
+        });
+        next();
+    };
+}
+
+module.exports = idempotency;
+module.exports.IdempotencyStore = IdempotencyStore;
+module.exports.IDEMPOTENCY_HEADER = HEADER;
+module.exports.REPLAYED_HEADER = REPLAYED_HEADER;
@@ -0,0 +1,428 @@
+/**
+ * List Query Middleware
+ * Pagination, sorting and filtering for the admin list endpoints
+ *
+ * Requests with page, size, sort or a filter parameter are answered with
+ * { items, pagination, sort, filters }. The parameters are forwarded to the
+ * backend Spring-style (zero-based page, sort=field,dir); if the backend
+ * answers with a page object its items and counts are used, if it answers
+ * with the plain list the proxy filters, sorts and pages it. `filters` only
+ * lists the filters the totals reflect (see pageFromBackend). Requests without any of these
+ * parameters still get the plain list, so existing callers are unaffected.
+ */
+
+const { VALIDATION_SCHEMAS } = require('../../src/js/utils/validation');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const ORDER_STATUSES = VALIDATION_SCHEMAS.updateOrderStatus.fields.status.enum;
+
+/**
+ * Case-insensitive substring match
+ * @param {*} value - Field value
+ * @param {string} search - Search text
+ * @returns {boolean} True if value contains search
+ */
+function contains(value, search) {
+    return value !== undefined && value !== null &&
+        String(value).toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * Get the username of an order, whichever shape the backend used
+ * @param {Object} order - Order
+ * @returns {string} Username
+ */
+function orderUsername(order) {
+    return (order.user && order.user.username) || order.username || '';
+}
+
+// Per resource: sortable fields (value getters), the default sort and the
+// accepted filters. Filter kinds: 'text' (contains), 'list' (comma-separated
+// allowed values), 'boolean' (true/false), 'date' (YYYY-MM-DD).
+const LIST_RESOURCES = {
+    orders: {
+        sortFields: {
+            orderDate: order => order.orderDate,
+            status: order => order.status,
+            username: orderUsername,
+            totalAmount: order => order.totalAmount
+        },
+        defaultSort: { field: 'orderDate', direction: 'desc' },
+        filters: {
+            status: {
+                kind: 'list',
+                values: ORDER_STATUSES,
+                match: (order, statuses) => statuses.includes(order.status)
+            },
+            username: {
+                kind: 'text',
+                match: (order, search) => contains(orderUsername(order), search)
+            },
+            q: {
+                kind: 'text',
+                match: (order, search) => contains(order.uuid || order.id, search) ||
+                    contains(orderUsername(order), search) ||
+                    (order.orderProducts || []).some(item => contains(item.productName, search))
+            }
+        }
+    },
+    users: {
+        sortFields: {
+            id: user => user.id,
+            username: user => user.username,
+            firstName: user => user.firstName,
+            lastName: user => user.lastName,
+            email: user => user.email,
+            role: user => user.role
+        },
+        defaultSort: { field: 'username', direction: 'asc' },
+        filters: {
+            role: {
+                kind: 'list',
+                values: ['ADMIN', 'USER'],
+                match: (user, roles) => roles.includes(String(user.role || '').toUpperCase())
+            },
+            q: {
+                kind: 'text',
+                match: (user, search) => ['username', 'firstName', 'lastName', 'email']
+                    .some(field => contains(user[field], search))
+            }
+        }
+    },
+    products: {
+        sortFields: {
+            id: product => product.id,
+            name: product => product.name,
+            sellingPrice: product => product.sellingPrice,
+            actualPrice: product => product.actualPrice,
+            availableQuantity: product => product.availableQuantity
+        },
+        defaultSort: { field: 'name', direction: 'asc' },
+        filters: {
+            q: {
+                kind: 'text',
+                match: (product, search) => contains(product.name, search) || contains(product.description, search)
+            },
+            inStock: {
+                kind: 'boolean',
+                match: (product, inStock) => (Number(product.availableQuantity) > 0) === inStock
+            }
+        }
+    },
+    // Audit entries are kept by this server, so these lists are always paged locally
+    audit: {
+        sortFields: {
+            at: entry => entry.at,
+            actor: entry => entry.actor,
+            entity: entry => entry.entity,
+            action: entry => entry.action
+        },
+        defaultSort: { field: 'at', direction: 'desc' },
+        filters: {
+            actor: {
+                kind: 'text',
+                match: (entry, search) => contains(entry.actor, search)
+            },
+            entity: {
+                kind: 'list',
+                values: ['USER', 'PRODUCT', 'ORDER'],
+                match: (entry, entities) => entities.includes(entry.entity.toUpperCase())
+            },
+            action: {
+                kind: 'list',
+                values: ['CREATE', 'UPDATE', 'DELETE', 'STATUS_CHANGE'],
+                match: (entry, actions) => actions.includes(entry.action.toUpperCase())
+            },
+            entityId: {
+                kind: 'text',
+                match: (entry, search) => contains(entry.entityId, search)
+            },
+            // Days are compared in UTC, like the stored timestamps
+            from: {
+                kind: 'date',
+                description: 'Earliest day (UTC)',
+                match: (entry, day) => entry.at.slice(0, 10) >= day
+            },
+            to: {
+                kind: 'date',
+                description: 'Latest day (UTC)',
+                match: (entry, day) => entry.at.slice(0, 10) <= day
+            }
+        }
+    }
+};
+
+/**
+ * Read a trimmed single query value
+ * @param {*} value - Raw query value
+ * @returns {string|null} Value, or null when blank
+ */
+function queryValue(value) {
+    if (Array.isArray(value)) value = value[0];
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    return trimmed || null;
+}
+
+/**
+ * Parse list parameters for a resource
+ * @param {Object} query - Express req.query
+ * @param {Object} resource - Entry of LIST_RESOURCES
+ * @returns {{ listQuery: Object|null, errors: Array<{field: string, message: string}> }} Parsed
+ *   parameters, or null when the request has none
+ */
+function parseListQuery(query, resource) {
+    const filterNames = Object.keys(resource.filters);
+    const present = ['page', 'size', 'sort', ...filterNames].some(name => queryValue(query[name]) !== null);
+    if (!present) {
+        return { listQuery: null, errors: [] };
+    }
+
+    const errors = [];
+    const listQuery = {
+        page: 1,
+        size: DEFAULT_PAGE_SIZE,
+        sort: { ...resource.defaultSort },
+        filters: {}
+    };
+
+    const page = queryValue(query.page);
+    if (page !== null) {
+        listQuery.page = Number(page);
+        if (!Number.isInteger(listQuery.page) || listQuery.page < 1) {
+            errors.push({ field: 'page', message: 'page must be a whole number of at least 1' });
+        }
+    }
+
+    const size = queryValue(query.size);
+    if (size !== null) {
+        listQuery.size = Number(size);
+        if (!Number.isInteger(listQuery.size) || listQuery.size < 1 || listQuery.size > MAX_PAGE_SIZE) {
+            errors.push({ field: 'size', message: `size must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+    }
+
+    const sort = queryValue(query.sort);
+    if (sort !== null) {
+        const [field, direction = 'asc'] = sort.split(',').map(part => part.trim());
+        if (!Object.prototype.hasOwnProperty.call(resource.sortFields, field)) {
+            errors.push({ field: 'sort', message: `sort must be one of ${Object.keys(resource.sortFields).join(', ')}` });
+        } else if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+            errors.push({ field: 'sort', message: 'sort direction must be asc or desc' });
+        } else {
+            listQuery.sort = { field, direction: direction.toLowerCase() };
+        }
+    }
+
+    filterNames.forEach(name => {
+        const value = queryValue(query[name]);
+        if (value === null) return;
+
+        const filter = resource.filters[name];
+        if (filter.kind === 'list') {
+            const values = value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+            if (values.some(item => !filter.values.includes(item))) {
+                errors.push({ field: name, message: `${name} must be one of ${filter.values.join(', ')}` });
+                return;
+            }
+            listQuery.filters[name] = values;
+        } else if (filter.kind === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+                errors.push({ field: name, message: `${name} must be a date (YYYY-MM-DD)` });
+                return;
+            }
+            listQuery.filters[name] = value;
+        } else if (filter.kind === 'boolean') {
+            if (!['true', 'false'].includes(value)) {
+                errors.push({ field: name, message: `${name} must be true or false` });
+                return;
+            }
+            listQuery.filters[name] = value === 'true';
+        } else {
+            listQuery.filters[name] = value;
+        }
+    });
+
+    return { listQuery, errors };
+}
+
+/**
+ * Compare two sort values; missing values sort last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Comparison result
+ */
+function compareValues(a, b) {
+    const aMissing = a === undefined || a === null || a === '';
+    const bMissing = b === undefined || b === null || b === '';
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Filter and sort a full list in the proxy
+ * @param {Object[]} items - Full list
+ * @param {Object} listQuery - Parsed list parameters (page and size are ignored)
+ * @param {Object} resource - Entry of LIST_RESOURCES
+ * @returns {Object[]} Matching items in sort order
+ */
+function filterAndSort(items, { sort, filters }, resource) {
+    const filtered = items.filter(item => Object.entries(filters)
+        .every(([name, value]) => resource.filters[name].match(item, value)));
+
+    const getValue = resource.sortFields[sort.field];
+    const factor = sort.direction === 'desc' ? -1 : 1;
+    // Array.prototype.sort is stable, so equal values keep the backend's order
+    return [...filtered].sort((a, b) => factor * compareValues(getValue(a), getValue(b)));
+}
+
+/**
+ * Filter, sort and page a full list in the proxy
+ * @param {Object[]} items - Full list from the backend
+ * @param {Object} listQuery - Parsed list parameters
+ * @param {Object} resource - Entry of LIST_RESOURCES
+ * @returns {Object} Page envelope
+ */
+function pageLocally(items, listQuery, resource) {
+    const { page, size } = listQuery;
+    const sorted = filterAndSort(items, listQuery, resource);
+
+    const start = (page - 1) * size;
+    return envelope(sorted.slice(start, start + size), { page, size, totalItems: sorted.length }, listQuery);
+}
+
+/**
+ * Use a backend page, keeping only the filters it evidently applied
+ *
+ * A Spring page does not say which filters the backend understood. A filter
+ * that some item on the page fails was ignored: those items are dropped, and
+ * the filter is left out of `filters` because the totals do not reflect it.
+ * @param {Object} data - Backend page
+ * @param {Object} listQuery - Parsed list parameters
+ * @param {Object} resource - Entry of LIST_RESOURCES
+ * @returns {Object} Page envelope
+ */
+function pageFromBackend(data, listQuery, resource) {
+    const applied = {};
+    let items = data.content;
+    Object.entries(listQuery.filters).forEach(([name, value]) => {
+        const matching = items.filter(item => resource.filters[name].match(item, value));
+        if (matching.length === items.length) {
+            applied[name] = value;
+        }
+        items = matching;
+    });
+
+    return envelope(items, {
+        page: (data.number || 0) + 1,
+        size: data.size || listQuery.size,
+        totalItems: data.totalElements
+    }, listQuery, applied);
+}
+
+/**
+ * Build the response envelope
+ * @param {Object[]} items - Items of the page
+ * @param {Object} counts - { page, size, totalItems }
+ * @param {Object} listQuery - Parsed list parameters
+ * @param {Object} [filters] - Filters the totals reflect (defaults to all requested ones)
+ * @returns {Object} { items, pagination, sort, filters }
+ */
+function envelope(items, { page, size, totalItems }, listQuery, filters = listQuery.filters) {
+    return {
+        items,
+        pagination: {
+            page,
+            size,
+            totalItems,
+            totalPages: Math.max(1, Math.ceil(totalItems / size))
+        },
+        sort: listQuery.sort,
+        filters
+    };
+}
+
+/**
+ * Check if a backend response is a Spring Data page
+ * @param {*} data - Backend response body
+ * @returns {boolean} True for { content: [], totalElements, ... }
+ */
+function isBackendPage(data) {
+    return data !== null && typeof data === 'object' && Array.isArray(data.content) &&
+        typeof data.totalElements === 'number';
+}
+
+/**
+ * Create middleware that parses list parameters into req.listQuery
+ * @param {string} resourceName - Key of LIST_RESOURCES
+ * @returns {Function} Express middleware
+ */
+function listQuery(resourceName) {
+    const resource = LIST_RESOURCES[resourceName];
+
+    return (req, res, next) => {
+        const { listQuery: parsed, errors } = parseListQuery(req.query, resource);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.map(error => error.message).join('. '),
+                errors
+            });
+        }
+
+        req.listQuery = parsed;
+        next();
+    };
+}
+
+/**
+ * Backend query parameters for a list request (proxy `query` option)
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Spring-style parameters, or null to forward the client's query
+ */
+function listBackendQuery(req) {
+    if (!req.listQuery) return null;
+
+    const { page, size, sort, filters } = req.listQuery;
+    const params = {
+        page: String(page - 1),
+        size: String(size),
+        sort: `${sort.field},${sort.direction}`
+    };
+    Object.entries(filters).forEach(([name, value]) => {
+        params[name] = Array.isArray(value) ? value.join(',') : String(value);
+    });
+    return params;
+}
+
+/**
+ * Create a proxy transformResponse that pages list responses
+ * @param {string} resourceName - Key of LIST_RESOURCES
+ * @returns {Function} transformResponse(data, req, res)
+ */
+function listTransform(resourceName) {
+    const resource = LIST_RESOURCES[resourceName];
+
+    return (data, req) => {
+        if (!req.listQuery) return data;
+
+        if (isBackendPage(data)) {
+            return pageFromBackend(data, req.listQuery, resource);
+        }
+        if (Array.isArray(data)) {
+            return pageLocally(data, req.listQuery, resource);
+        }
+        return data;
+    };
+}
+
+module.exports = {
+    listQuery,
+    listBackendQuery,
+    listTransform,
+    parseListQuery,
+    filterAndSort,
+    LIST_RESOURCES,
+    MAX_PAGE_SIZE
+};
@@ -0,0 +1,264 @@
+/**
+ * Login Throttle
+ * Slows down and temporarily locks out repeated failed logins
+ *
+ * Failures are counted per client IP and per username. After a few
+ * failures each further attempt has to wait an exponentially growing delay;
+ * at the limit the key is locked out for a fixed period. Only answers the
+ * backend gave count as failures. Attempts still waiting for one are tracked
+ * per username and treated as failures by the check for that username, so
+ * parallel guesses against one account cannot all slip past it while logins
+ * to other accounts from the same IP are not held up. The counters live in memory, so they reset on restart and are not shared
+ * between instances.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class LoginThrottle {
+    /**
+     * @param {Object} options - Throttle options
+     * @param {number} options.maxUserFailures - Failures per username before lockout
+     * @param {number} options.maxIpFailures - Failures per IP before lockout
+     * @param {number} options.freeAttempts - Failures allowed before delays start
+     * @param {number} options.baseDelayMs - First delay, doubled on each further failure
+     * @param {number} options.maxDelayMs - Upper bound for the delay
+     * @param {number} options.lockoutMs - Lockout duration
+     * @param {number} options.windowMs - Failures older than this are forgotten
+     */
+    constructor(options) {
+        this.options = options;
+        this.records = new Map();
+        // Username key -> attempts sent to the backend and not answered yet
+        this.pending = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Build the tracking keys for a login attempt
+     * @param {string} ip - Client IP
+     * @param {string} username - Submitted username
+     * @returns {Object[]} Keys with their failure limits
+     */
+    keysFor(ip, username) {
+        const keys = [{ key: `ip:${ip}`, limit: this.options.maxIpFailures }];
+        if (username) {
+            keys.push({ key: `user:${username.toLowerCase()}`, limit: this.options.maxUserFailures });
+        }
+        return keys;
+    }
+
+    /**
+     * Get the record for a key, dropping it once its failures are stale
+     * @param {string} key - Tracking key
+     * @returns {Object|null} Record or null
+     */
+    getRecord(key) {
+        const record = this.records.get(key);
+        if (!record) return null;
+
+        const now = Date.now();
+        if (record.lockedUntil <= now && now - record.lastFailureAt > this.options.windowMs) {
+            this.records.delete(key);
+            return null;
+        }
+        return record;
+    }
+
+    /**
+     * Delay required after a number of failures
+     * @param {number} failures - Consecutive failures
+     * @returns {number} Delay in milliseconds
+     */
+    delayFor(failures) {
+        const { freeAttempts, baseDelayMs, maxDelayMs } = this.options;
+        if (failures < freeAttempts) return 0;
+        return Math.min(baseDelayMs * Math.pow(2, failures - freeAttempts), maxDelayMs);
+    }
+
+    /**
+     * Check whether a login attempt may go through
+     * @param {string} ip - Client IP
+     * @param {string} username - Submitted username
+     * @returns {Object|null} Block details ({ lockedOut, retryAfterMs }) or null if allowed
+     */
+    check(ip, username) {
+        const now = Date.now();
+        let block = null;
+
+        for (const { key } of this.keysFor(ip, username)) {
+            const record = this.getRecord(key);
+            if (!record) continue;
+
+            const lockedOut = record.lockedUntil > now;
+            const waitUntil = lockedOut
+                ? record.lockedUntil
+                : record.lastFailureAt + this.delayFor(record.failures);
+
+            if (waitUntil > now && (!block || waitUntil - now > block.retryAfterMs)) {
+                block = { lockedOut, retryAfterMs: waitUntil - now };
+            }
+        }
+
+        // Attempts in flight for this username count as failures until they are answered
+        const userKey = username ? `user:${username.toLowerCase()}` : null;
+        const inFlight = userKey ? this.pending.get(userKey) || 0 : 0;
+        if (inFlight > 0) {
+            const record = this.getRecord(userKey);
+            const delay = this.delayFor((record ? record.failures : 0) + inFlight);
+            if (delay > 0 && (!block || delay > block.retryAfterMs)) {
+                block = { lockedOut: false, retryAfterMs: delay };
+            }
+        }
+        return block;
+    }
+
+    /**
+     * Count a failure for one key
+     * @param {string} key - Tracking key
+     * @param {number} limit - Failures before lockout
+     */
+    countFailure(key, limit) {
+        const now = Date.now();
+        const record = this.getRecord(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+        record.failures++;
+        record.lastFailureAt = now;
+        this.records.set(key, record);
+
+        if (record.failures >= limit) {
+            record.lockedUntil = now + this.options.lockoutMs;
+            record.failures = 0;
+            logger.warn('Login locked out', { key, lockedUntil: new Date(record.lockedUntil).toISOString() });
+        }
+    }
+
+    /**
+     * Record a failed login
+     * @param {string} ip - Client IP
+     * @param {string} username - Submitted username
+     */
+    recordFailure(ip, username) {
+        this.keysFor(ip, username).forEach(({ key, limit }) => this.countFailure(key, limit));
+    }
+
+    /**
+     * Track a login attempt for a username until the backend answers it
+     * @param {string} username - Submitted username
+     * @returns {Function} Call once the attempt is over; later calls do nothing
+     */
+    begin(username) {
+        if (!username) return () => {};
+
+        const key = `user:${username.toLowerCase()}`;
+        this.pending.set(key, (this.pending.get(key) || 0) + 1);
+
+        let settled = false;
+        return () => {
+            if (settled) return;
+            settled = true;
+            const left = (this.pending.get(key) || 1) - 1;
+            if (left > 0) {
+                this.pending.set(key, left);
+            } else {
+                this.pending.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Forget failures for a username after a successful login
+     *
+     * The IP counter is left alone so one valid account cannot be used
+     * to reset the limit while guessing passwords for others.
+     * @param {string} username - Logged in username
+     */
+    recordSuccess(username) {
+        if (username) {
+            this.records.delete(`user:${username.toLowerCase()}`);
+        }
+    }
+
+    /**
+     * Drop stale records
+     */
+    prune() {
+        for (const key of this.records.keys()) {
+            this.getRecord(key);
+        }
+    }
+}
+
+const loginThrottle = new LoginThrottle(config.loginThrottle);
+
+/**
+ * Format a wait for messages
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} Human readable duration
+ */
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Answer a throttled login or second-step attempt with 429
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} block - Block details from check()
+ * @param {string} username - Username the attempt was for
+ */
+function rejectThrottled(req, res, block, username) {
+    const retryAfterSeconds = Math.ceil(block.retryAfterMs / 1000);
+    (req.log || logger).warn('Login throttled', { loginUsername: username, ip: req.ip, retryAfterSeconds });
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        message: block.lockedOut
+            ? `Too many failed login attempts. Try again in ${formatWait(retryAfterSeconds)}.`
+            : `Please wait ${formatWait(retryAfterSeconds)} before trying again.`,
+        lockedOut: block.lockedOut,
+        retryAfterSeconds
+    });
+}
+
+/**
+ * Middleware that rejects throttled logins with 429 and records the outcome of the rest
+ *
+ * A password login that stops at a two-factor challenge (res.locals.twoFactorChallenge)
+ * is not a success yet; the second step records the outcome.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function throttleLogin(req, res, next) {
+    const ip = req.ip;
+    const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+
+    const block = loginThrottle.check(ip, username);
+    if (block) {
+        return rejectThrottled(req, res, block, username);
+    }
+
+    // Parallel attempts for the same username see each other until they are answered
+    const settle = loginThrottle.begin(username);
+
+    res.on('finish', () => {
+        settle();
+        if (res.statusCode === 401 || res.statusCode === 403) {
+            loginThrottle.recordFailure(ip, username);
+            (req.log || logger).info('Failed login', { loginUsername: username, ip });
+        } else if (res.statusCode >= 200 && res.statusCode < 300 && !res.locals.twoFactorChallenge) {
+            loginThrottle.recordSuccess(username);
+        }
+    });
+    // Attempts the client abandoned were never judged
+    res.on('close', settle);
+    next();
+}
+
+module.exports = { throttleLogin, rejectThrottled, loginThrottle, LoginThrottle };
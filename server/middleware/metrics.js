@@ -0,0 +1,71 @@
+/**
+ * Metrics Middleware
+ * Records request counts and latencies for the /metrics endpoint
+ */
+
+const metrics = require('../utils/metrics');
+
+// Mounted static directories are reported as one route each to keep label cardinality low
+const STATIC_PREFIXES = ['/css', '/js', '/assets'];
+
+/**
+ * Get a low-cardinality route label
+ * @param {Object} req - Express request object
+ * @param {string} path - Request path captured before routing
+ * @returns {string} Route pattern, static prefix or "unmatched"
+ */
+function routeLabel(req, path) {
+    if (req.route) return req.baseUrl + req.route.path;
+
+    const prefix = STATIC_PREFIXES.find(prefix => path.startsWith(prefix + '/'));
+    return prefix ? `${prefix}/*` : 'unmatched';
+}
+
+/**
+ * Classify what happened to a proxied request
+ * @param {Object} backend - res.locals.backend set by the proxy
+ * @returns {string} Outcome label
+ */
+function backendOutcome(backend) {
+    if (backend.outcome) return backend.outcome;
+    if (backend.status >= 500) return 'server_error';
+    if (backend.status >= 400) return 'client_error';
+    return 'success';
+}
+
+/**
+ * Middleware that observes every request once it completes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function collectMetrics(req, res, next) {
+    const path = req.path;
+    const startedAt = process.hrtime.bigint();
+
+    res.once('close', () => {
+        const route = routeLabel(req, path);
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+        metrics.httpRequests.inc({
+            method: req.method,
+            route,
+            status: res.writableFinished || res.locals.stream ? res.statusCode : 'aborted'
+        });
+        // A stream's duration is how long the client stayed, not how fast it was answered
+        if (!res.locals.stream) {
+            metrics.httpRequestDuration.observe({ method: req.method, route }, seconds);
+        }
+
+        const backend = res.locals.backend;
+        if (backend) {
+            metrics.backendRequests.inc({ route, outcome: backendOutcome(backend) });
+            if (backend.latencyMs !== undefined) {
+                metrics.backendRequestDuration.observe({ route }, backend.latencyMs / 1000);
+            }
+        }
+    });
+    next();
+}
+
+module.exports = { collectMetrics };
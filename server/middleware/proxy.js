@@ -0,0 +1,488 @@
+/**
+ * Backend Proxy
+ * Shared request forwarding used by all API routes
+ */
+
+const { pipeline } = require('stream');
+const config = require('../config');
+const ErrorHandler = require('./errorHandler');
+const { applySessionAuth } = require('./session');
+const responseCache = require('./responseCache');
+const { backendBreaker } = require('./circuitBreaker');
+const { elapsedMs } = require('./requestLogger');
+const logger = require('../utils/logger');
+
+// Headers that describe a single connection and must not be copied from backend responses
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+// Client headers the backend sees; anything else, cookies included, stays at this server
+const FORWARDED_HEADERS = [
+    'authorization',
+    'accept',
+    'accept-language',
+    'idempotency-key'
+];
+
+// Content negotiation passed through only when the backend response is streamed to the client as is
+const STREAMED_HEADERS = [
+    'accept-encoding',
+    'if-none-match',
+    'if-modified-since'
+];
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+let fetchModule = null;
+
+/**
+ * Load node-fetch once (it is published as an ES module)
+ * @returns {Promise<Function>} fetch implementation
+ */
+async function getFetch() {
+    if (!fetchModule) {
+        fetchModule = (await import('node-fetch')).default;
+    }
+    return fetchModule;
+}
+
+/**
+ * Fetch from the backend through the circuit breaker
+ * @param {string} url - Backend URL
+ * @param {Object} init - Fetch options
+ * @returns {Promise<Object>} Fetch response
+ */
+async function backendFetch(url, init) {
+    if (!backendBreaker.allowRequest()) {
+        const error = new Error('Backend is unavailable (circuit open)');
+        error.code = 'ECIRCUITOPEN';
+        throw error;
+    }
+
+    const fetch = await getFetch();
+    try {
+        const response = await fetch(url, init);
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+            backendBreaker.recordFailure(`HTTP ${response.status}`);
+        } else {
+            backendBreaker.recordSuccess();
+        }
+        return response;
+    } catch (error) {
+        // Aborts caused by the client going away say nothing about the backend
+        const timedOut = init.signal && init.signal.reason && init.signal.reason.name === 'TimeoutError';
+        if (error.name !== 'AbortError' || timedOut) {
+            backendBreaker.recordFailure(error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build the backend URL for a request
+ * @param {Object} req - Express request object
+ * @param {string|Function} path - Backend path or function of the request returning it
+ * @param {boolean} omitEmptyQuery - Drop query parameters without a value
+ * @param {Function|null} query - Returns the query parameters to send instead of the client's,
+ *   or null to forward the client's unchanged
+ * @returns {string} Absolute backend URL including the query string
+ */
+function buildBackendUrl(req, path, omitEmptyQuery, query) {
+    const backendPath = typeof path === 'function' ? path(req) : path;
+    const queryIndex = req.originalUrl.indexOf('?');
+    const override = query ? query(req) : null;
+    const params = override
+        ? new URLSearchParams(override)
+        : new URLSearchParams(queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1));
+
+    if (omitEmptyQuery) {
+        for (const key of [...params.keys()]) {
+            if (!params.get(key)) {
+                params.delete(key);
+            }
+        }
+    }
+
+    const queryString = params.toString();
+    return `${config.backendUrl}${backendPath}${queryString ? '?' + queryString : ''}`;
+}
+
+/**
+ * Build the backend request headers from an allowlist of client headers
+ * @param {Object} req - Express request object
+ * @param {boolean} buffered - The proxy reads the body itself, so ask for an uncompressed,
+ *   unconditional response
+ * @param {boolean} [hasBody=false] - A JSON body is sent
+ * @returns {Object} Headers for the backend request
+ */
+function buildForwardHeaders(req, buffered, hasBody = false) {
+    const headers = {};
+    const allowed = buffered ? FORWARDED_HEADERS : [...FORWARDED_HEADERS, ...STREAMED_HEADERS];
+
+    allowed.forEach(name => {
+        if (req.headers[name] !== undefined) {
+            headers[name] = req.headers[name];
+        }
+    });
+
+    if (hasBody) {
+        headers['content-type'] = 'application/json';
+    }
+    headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+        ? `${req.headers['x-forwarded-for']}, ${req.ip}`
+        : req.ip;
+    headers['x-forwarded-proto'] = req.protocol;
+    headers['x-forwarded-host'] = req.headers.host || '';
+    if (req.id) {
+        headers['x-request-id'] = req.id;
+    }
+
+    if (buffered) {
+        headers['accept-encoding'] = 'identity';
+    }
+    applySessionAuth(req, headers);
+
+    return headers;
+}
+
+/**
+ * Copy backend status and headers onto the client response
+ * @param {Object} response - Fetch response object
+ * @param {Object} res - Express response object
+ * @param {string[]} [skipHeaders] - Additional headers not to copy
+ */
+function copyResponseHead(response, res, skipHeaders = []) {
+    res.status(response.status);
+
+    Object.entries(response.headers.raw()).forEach(([name, values]) => {
+        if (HOP_BY_HOP_HEADERS.includes(name) || skipHeaders.includes(name)) {
+            return;
+        }
+        res.setHeader(name, values.length === 1 ? values[0] : values);
+    });
+}
+
+/**
+ * Check whether a failed attempt may be repeated
+ * @param {Error|null} error - Fetch error, if the attempt threw
+ * @param {Object|null} response - Fetch response, if one arrived
+ * @returns {boolean} True if the attempt should be retried
+ */
+function isRetryable(error, response) {
+    if (error) {
+        return RETRYABLE_ERROR_CODES.includes(error.code) || error.message.includes('fetch failed');
+    }
+    return RETRYABLE_STATUSES.includes(response.status);
+}
+
+/**
+ * Classify a failed backend exchange for metrics
+ * @param {Error} error - Error thrown by the exchange
+ * @returns {string} Outcome label
+ */
+function failureOutcome(error) {
+    if (error.timedOut) return 'timeout';
+    if (error.code === 'ECIRCUITOPEN') return 'circuit_open';
+    if (error.invalidResponse) return 'invalid_response';
+    return 'unreachable';
+}
+
+/**
+ * Parse a successful backend body as JSON, whatever its content type says
+ * @param {Object} response - Fetch response
+ * @param {string} operation - Operation description used in the error
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} With invalidResponse set when the body is not JSON
+ */
+async function readJsonBody(response, operation) {
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        const error = new Error(`Backend ${operation} answered ${response.status} without a JSON body`);
+        error.invalidResponse = true;
+        throw error;
+    }
+}
+
+/**
+ * Wait before the next retry using exponential backoff with jitter
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @returns {Promise<void>}
+ */
+function backoff(attempt) {
+    const delay = config.proxy.retryDelayMs * Math.pow(2, attempt);
+    const jitter = Math.random() * config.proxy.retryDelayMs;
+    return new Promise(resolve => setTimeout(resolve, delay + jitter));
+}
+
+/**
+ * Fetch JSON from the backend on behalf of a request
+ *
+ * For routes that work with backend data instead of passing it through.
+ * Backend status and latency are recorded for the request log and metrics.
+ * @param {Object} req - Express request object (its auth and forwarding headers are sent along)
+ * @param {Object} res - Express response object
+ * @param {string} path - Backend path including any query string
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.timeout] - Timeout in milliseconds (defaults to PROXY_TIMEOUT_MS)
+ * @returns {Promise<{status: number, ok: boolean, data: *}>} Backend status and parsed body
+ *   (null when the body is empty or not JSON)
+ * @throws {Error} Connection errors, with timedOut set when the backend was too slow
+ */
+async function fetchBackendJson(req, res, path, { timeout = config.proxy.timeoutMs } = {}) {
+    const startedAt = process.hrtime.bigint();
+    res.locals.backend = { attempts: 1 };
+
+    try {
+        const response = await backendFetch(`${config.backendUrl}${path}`, {
+            method: 'GET',
+            headers: buildForwardHeaders(req, true),
+            signal: AbortSignal.timeout(timeout),
+            compress: false,
+            redirect: 'manual'
+        });
+        const text = await response.text();
+        res.locals.backend.status = response.status;
+        res.locals.backend.latencyMs = elapsedMs(startedAt);
+
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = null;
+        }
+        return { status: response.status, ok: response.ok, data };
+    } catch (error) {
+        // The only abort source here is the timeout signal
+        if (error.name === 'AbortError') {
+            error.timedOut = true;
+        }
+        res.locals.backend.latencyMs = elapsedMs(startedAt);
+        res.locals.backend.outcome = failureOutcome(error);
+        throw error;
+    }
+}
+
+/**
+ * Create an Express handler that forwards the request to the backend
+ * @param {Object} options - Proxy options
+ * @param {string|Function} options.path - Backend path, or function of the request returning it
+ * @param {string} options.operation - Operation description used in logs and errors
+ * @param {number} [options.timeout] - Timeout in milliseconds (defaults to PROXY_TIMEOUT_MS)
+ * @param {number} [options.retries] - Retries for idempotent requests (defaults to PROXY_RETRIES)
+ * @param {boolean} [options.omitEmptyQuery] - Drop query parameters without a value
+ * @param {Function} [options.query] - Returns the backend query parameters for a request
+ *   (object or URLSearchParams), or null to forward the client's query string
+ * @param {Function} [options.onError] - Custom handler called as onError(error, req, res)
+ * @param {Function} [options.transformResponse] - Buffers successful JSON responses and sends
+ *   the result of transformResponse(data, req, res) instead of streaming them; cached responses
+ *   store the transformed body
+ * @param {boolean} [options.requireJson] - Run transformResponse on every successful response and
+ *   answer 502 when the body is not JSON, instead of passing other bodies through untouched;
+ *   for transforms that must see the body, such as the login gate
+ * @param {Object} [options.cache] - Cache successful GET responses
+ * @param {Function} options.cache.key - Returns the cache key for a request, or null to bypass the cache
+ * @param {string} options.cache.tag - Invalidation tag for the cached entries
+ * @param {number} options.cache.ttlMs - Time to live in milliseconds (0 disables caching)
+ * @param {string[]} [options.invalidates] - Cache tags to drop after a successful response
+ * @param {boolean} [options.emptyList] - Answer a successful response without a body with an empty
+ *   JSON list, for collection routes whose backend sends nothing when there are no items
+ * @returns {Function} Express route handler
+ */
+function proxy(options) {
+    const {
+        path,
+        operation = 'request',
+        timeout = config.proxy.timeoutMs,
+        omitEmptyQuery = false,
+        query = null,
+        onError = null,
+        transformResponse = null,
+        cache = null,
+        invalidates = [],
+        emptyList = false,
+        requireJson = false
+    } = options;
+
+    return async (req, res) => {
+        const method = req.method.toUpperCase();
+        const cacheKey = cache && cache.ttlMs > 0 && method === 'GET' ? cache.key(req) : null;
+
+        if (cacheKey) {
+            const entry = responseCache.get(cacheKey);
+            if (entry) {
+                return responseCache.send(req, res, entry, 'HIT');
+            }
+        }
+
+        const url = buildBackendUrl(req, path, omitEmptyQuery, query);
+        const retries = IDEMPOTENT_METHODS.includes(method)
+            ? (options.retries !== undefined ? options.retries : config.proxy.retries)
+            : 0;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            controller.abort(new DOMException('Backend request timed out', 'TimeoutError'));
+        }, timeout);
+        const abortOnClientClose = () => {
+            // Requests with an idempotency key run to the end so a retry can be answered with the result
+            if (!res.writableFinished && !res.locals.idempotencyKey) {
+                controller.abort();
+            }
+        };
+        res.on('close', abortOnClientClose);
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            res.removeListener('close', abortOnClientClose);
+        };
+
+        const log = req.log || logger;
+        log.debug(`Proxying ${operation} request to backend`, { method, backendUrl: url });
+
+        const startedAt = process.hrtime.bigint();
+        res.locals.backend = { attempts: 0 };
+
+        try {
+            const hasBody = !IDEMPOTENT_METHODS.includes(method) && method !== 'DELETE';
+            let response = null;
+
+            for (let attempt = 0; ; attempt++) {
+                res.locals.backend.attempts = attempt + 1;
+                let attemptError = null;
+                response = null;
+                try {
+                    response = await backendFetch(url, {
+                        method,
+                        headers: buildForwardHeaders(req, !!(transformResponse || cacheKey), hasBody),
+                        body: hasBody ? JSON.stringify(req.body || {}) : undefined,
+                        signal: controller.signal,
+                        compress: false,
+                        redirect: 'manual'
+                    });
+                } catch (error) {
+                    if (error.name === 'AbortError' || attempt >= retries || !isRetryable(error, null)) {
+                        throw error;
+                    }
+                    attemptError = error;
+                }
+
+                if (!attemptError && (attempt >= retries || !isRetryable(null, response))) {
+                    break;
+                }
+
+                if (response) {
+                    response.body.resume();
+                }
+                log.warn(`Retrying ${operation}`, {
+                    attempt: attempt + 2,
+                    maxAttempts: retries + 1,
+                    reason: attemptError ? attemptError.message : `HTTP ${response.status}`
+                });
+                await backoff(attempt);
+            }
+
+            res.locals.backend.status = response.status;
+            res.locals.backend.latencyMs = elapsedMs(startedAt);
+
+            if (!response.ok) {
+                log.debug(`Backend ${operation} failed`, { backendStatus: response.status });
+            } else {
+                invalidates.forEach(tag => {
+                    const removed = responseCache.invalidate(tag);
+                    if (removed > 0) {
+                        log.debug(`Invalidated cached responses after ${operation}`, { tag, removed });
+                    }
+                });
+            }
+
+            // An empty body stays empty, except on collection routes where clients expect a list
+            if (response.status !== 204 && response.headers.get('content-length') === '0') {
+                cleanup();
+                return emptyList && response.ok
+                    ? res.status(response.status).json([])
+                    : res.status(response.status).end();
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            const transforms = transformResponse && response.ok
+                && (requireJson || contentType.includes('application/json'));
+            if (cacheKey && response.ok) {
+                const body = transforms
+                    ? Buffer.from(JSON.stringify(await transformResponse(await readJsonBody(response, operation), req, res)))
+                    : Buffer.from(await response.arrayBuffer());
+                const entry = responseCache.set(cacheKey, {
+                    tag: cache.tag,
+                    ttlMs: cache.ttlMs,
+                    status: response.status,
+                    contentType: transforms ? 'application/json; charset=utf-8' : contentType || 'application/json',
+                    body
+                });
+                cleanup();
+                return responseCache.send(req, res, entry, 'MISS');
+            }
+
+            if (transforms) {
+                const data = await transformResponse(await readJsonBody(response, operation), req, res);
+                cleanup();
+                copyResponseHead(response, res, ['content-length', 'content-encoding', 'etag']);
+                return res.json(data);
+            }
+
+            copyResponseHead(response, res);
+
+            if (method === 'HEAD' || response.status === 204 || response.status === 304) {
+                cleanup();
+                return res.end();
+            }
+
+            // pipeline() adds seven 'close' listeners of its own on top of the middleware ones
+            res.setMaxListeners(20);
+            pipeline(response.body, res, (streamError) => {
+                cleanup();
+                if (streamError && !res.writableFinished) {
+                    log.warn(`${operation} response stream aborted`, { error: streamError });
+                }
+            });
+        } catch (error) {
+            cleanup();
+            res.locals.backend.latencyMs = elapsedMs(startedAt);
+
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+
+            if (error.name === 'AbortError') {
+                if (controller.signal.reason.name !== 'TimeoutError') {
+                    res.locals.backend.outcome = 'client_aborted';
+                    return;
+                }
+                error.timedOut = true;
+            }
+            res.locals.backend.outcome = failureOutcome(error);
+
+            if (onError) {
+                onError(error, req, res);
+            } else {
+                ErrorHandler.handleProxyError(error, res, operation);
+            }
+        }
+    };
+}
+
+module.exports = proxy;
+module.exports.backendFetch = backendFetch;
+module.exports.fetchBackendJson = fetchBackendJson;
+module.exports.getFetch = getFetch;
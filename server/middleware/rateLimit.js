@@ -0,0 +1,85 @@
+/**
+ * Rate Limiting
+ * Caps how often a key (usually the client IP) may use an endpoint
+ *
+ * Fixed windows counted in memory: the first hit starts a window, and
+ * further hits past the limit are refused until it ends. Like the login
+ * throttle, counters reset on restart and are not shared between instances.
+ */
+
+const logger = require('../utils/logger');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class RateLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {number} options.max - Hits allowed per window
+     * @param {number} options.windowMs - Window length in milliseconds
+     */
+    constructor({ max, windowMs }) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Count a hit for a key
+     * @param {string} key - Rate limit key
+     * @returns {number} 0 if the hit is allowed, otherwise milliseconds until the window ends
+     */
+    hit(key) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { hits: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.hits++;
+        return window.hits > this.max ? window.resetAt - now : 0;
+    }
+
+    /**
+     * Drop windows that have ended
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+/**
+ * Create middleware that answers 429 once a client IP goes over the limit
+ * @param {Object} options - Limit options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {string} options.operation - Operation description used in logs
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ max, windowMs, operation }) {
+    const limiter = new RateLimiter({ max, windowMs });
+
+    return (req, res, next) => {
+        const retryAfterMs = limiter.hit(req.ip);
+        if (retryAfterMs === 0) {
+            return next();
+        }
+
+        const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+        (req.log || logger).warn(`${operation} rate limited`, { ip: req.ip, retryAfterSeconds });
+
+        res.set('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+            message: `Too many requests. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+            retryAfterSeconds
+        });
+    };
+}
+
+module.exports = { rateLimit, RateLimiter };
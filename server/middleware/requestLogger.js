@@ -0,0 +1,128 @@
+/**
+ * Request Logger
+ * Assigns each request an ID and logs one summary line when it completes
+ *
+ * The ID is taken from an incoming X-Request-Id header when it looks sane,
+ * echoed in the response and forwarded to the backend by the proxy, so a
+ * failed order can be traced from the browser through to the backend logs.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getRequestToken, decodeJwt } = require('../utils/jwt');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Static assets and probe/scrape endpoints are only logged at debug level
+const STATIC_PREFIXES = ['/css/', '/js/', '/assets/'];
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Query parameters whose values are logged. Others are logged as [redacted]: they can carry
+// secrets, such as the single-use token in a /reset-password link.
+const LOGGED_QUERY_KEYS = [
+    'page', 'size', 'sort', 'q', 'status', 'username', 'role', 'inStock', 'actor', 'entity', 'action', 'entityId',
+    'from', 'to', 'format', 'limit', 'endpointId', 'productName', 'startDate', 'endDate', 'groupBy'
+];
+
+/**
+ * Get the username claim from the request's JWT
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Username, if a decodable token was sent
+ */
+function usernameFor(req) {
+    const token = getRequestToken(req);
+    const payload = token ? decodeJwt(token) : null;
+    return payload ? payload.sub || payload.username : undefined;
+}
+
+/**
+ * Get the request URL for log entries, with the values of unknown query parameters redacted
+ * @param {Object} req - Express request object
+ * @returns {string} Path and query string
+ */
+function loggablePath(req) {
+    const url = req.originalUrl || req.url;
+    const queryIndex = url.indexOf('?');
+    if (queryIndex === -1) {
+        return url;
+    }
+
+    const params = [...new URLSearchParams(url.slice(queryIndex + 1))].map(([key, value]) =>
+        `${encodeURIComponent(key)}=${LOGGED_QUERY_KEYS.includes(key) ? encodeURIComponent(value) : '[redacted]'}`);
+    return params.length > 0 ? `${url.slice(0, queryIndex)}?${params.join('&')}` : url.slice(0, queryIndex);
+}
+
+/**
+ * Milliseconds since a high-resolution start time
+ * @param {bigint} startedAt - Value of process.hrtime.bigint()
+ * @returns {number} Elapsed time rounded to 0.1 ms
+ */
+function elapsedMs(startedAt) {
+    return Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+}
+
+/**
+ * Pick the level of the completion entry
+ * @param {string} path - Request path
+ * @param {number} status - Response status
+ * @returns {string} Log level
+ */
+function levelFor(path, status) {
+    // Probes report their own failures
+    if (QUIET_PATHS.includes(path)) return 'debug';
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'warn';
+    return STATIC_PREFIXES.some(prefix => path.startsWith(prefix)) ? 'debug' : 'info';
+}
+
+/**
+ * Middleware that sets req.id and req.log and logs the request on completion
+ *
+ * Proxied routes add backend details through res.locals.backend; long-lived
+ * streams set res.locals.stream.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requestLogger(req, res, next) {
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+
+    const username = usernameFor(req);
+    req.log = logger.child(username ? { requestId: req.id, username } : { requestId: req.id });
+
+    // Captured now because mounted middleware such as express.static rewrites req.path
+    const path = req.path;
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+
+    const logCompletion = () => {
+        if (logged) return;
+        logged = true;
+
+        // Event streams only end when the client leaves, so that is not an abort
+        const aborted = !res.writableFinished && !res.locals.stream;
+        const status = res.statusCode;
+        const backend = res.locals.backend || {};
+
+        req.log.write(aborted ? 'warn' : levelFor(path, status), aborted ? 'request aborted' : 'request completed', {
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : path,
+            path: loggablePath(req),
+            status,
+            durationMs: elapsedMs(startedAt),
+            backendStatus: backend.status,
+            backendLatencyMs: backend.latencyMs,
+            backendAttempts: backend.attempts,
+            cache: res.get('X-Cache')
+        });
+    };
+
+    res.on('finish', logCompletion);
+    res.on('close', logCompletion);
+    next();
+}
+
+module.exports = { requestLogger, elapsedMs, loggablePath, REQUEST_ID_HEADER };
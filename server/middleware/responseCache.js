@@ -0,0 +1,105 @@
+/**
+ * Response Cache
+ * Short-lived cache of backend GET responses with ETag revalidation
+ *
+ * Entries are grouped by tag so mutating routes can drop everything
+ * that may have changed (e.g. all product listings after a stock edit).
+ */
+
+const crypto = require('crypto');
+
+const MAX_ENTRIES = 500;
+
+class ResponseCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a fresh entry
+     * @param {string} key - Cache key
+     * @returns {Object|null} Entry or null if missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() >= entry.expiresAt) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a response body
+     * @param {string} key - Cache key
+     * @param {Object} options - Entry data
+     * @param {string} options.tag - Invalidation tag
+     * @param {number} options.ttlMs - Time to live in milliseconds
+     * @param {number} options.status - HTTP status
+     * @param {string} options.contentType - Content-Type of the body
+     * @param {Buffer} options.body - Response body
+     * @returns {Object} Stored entry
+     */
+    set(key, { tag, ttlMs, status, contentType, body }) {
+        const entry = {
+            tag,
+            status,
+            contentType,
+            body,
+            etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+            expiresAt: Date.now() + ttlMs
+        };
+
+        // Re-insert so the Map keeps entries in age order for eviction
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * Drop all entries with a tag
+     * @param {string} tag - Invalidation tag
+     * @returns {number} Number of entries removed
+     */
+    invalidate(tag) {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.tag === tag) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Send a cached entry, answering 304 when the browser already has it
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Object} entry - Cache entry
+     * @param {string} state - Cache state reported in X-Cache (HIT or MISS)
+     */
+    send(req, res, entry, state) {
+        // Browsers must revalidate every time so edits show up immediately
+        res.set({
+            'ETag': entry.etag,
+            'Cache-Control': 'private, no-cache',
+            'X-Cache': state
+        });
+
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(entry.etag)) {
+            return res.status(304).end();
+        }
+
+        res.status(entry.status).type(entry.contentType).send(entry.body);
+    }
+}
+
+module.exports = new ResponseCache();
+module.exports.ResponseCache = ResponseCache;
@@ -0,0 +1,73 @@
+/**
+ * Security Headers Middleware
+ * Sets CSP, HSTS, framing and referrer headers on every response
+ *
+ * Page scripts live in /js files and markup names its handlers in data-action
+ * attributes (see UIHelper.runAction), so script-src needs no 'unsafe-inline'.
+ * Inline styles are still allowed; everything else is limited to this server
+ * and the CDN.
+ */
+
+const config = require('../config');
+
+/**
+ * Build the Content-Security-Policy value
+ * @param {Object} options - config.securityHeaders
+ * @returns {string} Policy
+ */
+function buildContentSecurityPolicy({ cdnOrigins, frameAncestors }) {
+    const cdn = cdnOrigins.join(' ');
+    const directives = {
+        'default-src': "'self'",
+        'script-src': `'self' ${cdn}`,
+        'style-src': `'self' 'unsafe-inline' ${cdn}`,
+        'font-src': `'self' ${cdn}`,
+        'img-src': "'self' data:",
+        'connect-src': "'self'",
+        'object-src': "'none'",
+        'base-uri': "'self'",
+        'form-action': "'self'",
+        'frame-ancestors': frameAncestors.join(' ')
+    };
+
+    return Object.entries(directives)
+        .map(([name, value]) => `${name} ${value.trim()}`)
+        .join('; ');
+}
+
+/**
+ * Legacy X-Frame-Options equivalent of frame-ancestors, for older browsers
+ * @param {string[]} frameAncestors - frame-ancestors sources
+ * @returns {string|null} Header value, or null if it cannot be expressed
+ */
+function frameOptionsFor(frameAncestors) {
+    if (frameAncestors.length !== 1) return null;
+    if (frameAncestors[0] === "'none'") return 'DENY';
+    if (frameAncestors[0] === "'self'") return 'SAMEORIGIN';
+    return null;
+}
+
+const options = config.securityHeaders;
+const contentSecurityPolicy = buildContentSecurityPolicy(options);
+const frameOptions = frameOptionsFor(options.frameAncestors);
+
+const securityHeaders = (req, res, next) => {
+    res.setHeader(
+        options.cspReportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy',
+        contentSecurityPolicy
+    );
+
+    // Browsers ignore HSTS received over plain HTTP, so it is safe to always send
+    if (options.hstsMaxAgeSeconds > 0) {
+        res.setHeader('Strict-Transport-Security', `max-age=${options.hstsMaxAgeSeconds}; includeSubDomains`);
+    }
+
+    if (frameOptions) {
+        res.setHeader('X-Frame-Options', frameOptions);
+    }
+    res.setHeader('Referrer-Policy', options.referrerPolicy);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    next();
+};
+
+module.exports = securityHeaders;
@@ -0,0 +1,203 @@
+/**
+ * Cookie Session Middleware
+ * Keeps the backend JWT in an httpOnly cookie and guards it with CSRF tokens
+ *
+ * Only active when AUTH_SESSION_MODE=cookie. CSRF tokens use the signed
+ * double-submit pattern: the csrfToken cookie holds an HMAC of the session
+ * token and must be echoed back in the X-CSRF-Token header.
+ *
+ * In token mode the browser sends the JWT itself, but page requests and
+ * EventSource streams cannot add headers; the server sets the same httpOnly
+ * cookie for those (attachPageCookie), so page scripts never write it.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { parseCookies } = require('../utils/cookies');
+const { TOKEN_COOKIE, decodeJwt } = require('../utils/jwt');
+const logger = require('../utils/logger');
+const { loggablePath } = require('./requestLogger');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Routes that run before a session exists or only end it
+const CSRF_EXEMPT_PATHS = [
+    '/api/auth/login',
+    '/api/auth/login/verify',
+    '/api/auth/login/enroll',
+    '/api/auth/register',
+    '/api/auth/logout',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password'
+];
+
+/**
+ * Check if cookie session mode is enabled
+ * @returns {boolean} True when AUTH_SESSION_MODE=cookie
+ */
+function isCookieMode() {
+    return config.session.mode === 'cookie';
+}
+
+/**
+ * Derive the CSRF token bound to a session token
+ * @param {string} token - Session JWT
+ * @returns {string} Hex encoded HMAC
+ */
+function csrfTokenFor(token) {
+    return crypto.createHmac('sha256', config.session.secret).update(token).digest('hex');
+}
+
+/**
+ * Build cookie options shared by the session cookies
+ * @param {Object} req - Express request object
+ * @param {string} token - Session JWT, used to align cookie lifetime with its exp claim
+ * @returns {Object} Options for res.cookie
+ */
+function cookieOptions(req, token) {
+    const options = {
+        path: '/',
+        sameSite: config.session.sameSite,
+        secure: config.session.secureCookie || req.secure
+    };
+
+    const payload = token ? decodeJwt(token) : null;
+    if (payload && payload.exp) {
+        options.maxAge = Math.max(0, payload.exp * 1000 - Date.now());
+    }
+    return options;
+}
+
+/**
+ * Get the session token stored in the cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session JWT or null
+ */
+function getSessionToken(req) {
+    return parseCookies(req)[TOKEN_COOKIE] || null;
+}
+
+/**
+ * Set the session and CSRF cookies for a token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} token - Backend JWT
+ */
+function setSessionCookies(req, res, token) {
+    const options = cookieOptions(req, token);
+
+    res.cookie(TOKEN_COOKIE, token, { ...options, httpOnly: true });
+    res.cookie(CSRF_COOKIE, csrfTokenFor(token), { ...options, httpOnly: false });
+}
+
+/**
+ * Clear the session and CSRF cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function clearSession(req, res) {
+    const options = cookieOptions(req, null);
+    res.clearCookie(TOKEN_COOKIE, { ...options, httpOnly: true });
+    res.clearCookie(CSRF_COOKIE, options);
+}
+
+/**
+ * Proxy response transform for login and registration:
+ * moves the token into cookies and returns its claims instead
+ * @param {Object} data - Backend response body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response body without the token
+ */
+function establishSession(data, req, res) {
+    if (!data || !data.token) {
+        return data;
+    }
+
+    const { token, ...rest } = data;
+    setSessionCookies(req, res, token);
+
+    return {
+        ...rest,
+        session: {
+            mode: 'cookie',
+            claims: decodeJwt(token)
+        }
+    };
+}
+
+/**
+ * Proxy response transform for login and registration in token mode:
+ * keeps the token in the body and also sets it as an httpOnly cookie
+ * for page requests
+ * @param {Object} data - Backend response body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response body, unchanged
+ */
+function attachPageCookie(data, req, res) {
+    if (data && data.token) {
+        res.cookie(TOKEN_COOKIE, data.token, { ...cookieOptions(req, data.token), httpOnly: true });
+    }
+    return data;
+}
+
+/**
+ * Add the Authorization header from the session cookie
+ * @param {Object} req - Express request object
+ * @param {Object} headers - Headers for the backend request (modified in place)
+ */
+function applySessionAuth(req, headers) {
+    if (!isCookieMode() || headers.authorization) {
+        return;
+    }
+
+    const token = getSessionToken(req);
+    if (token) {
+        headers.authorization = `Bearer ${token}`;
+    }
+}
+
+/**
+ * Reject cookie-authenticated mutations that lack a matching CSRF token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function csrfProtection(req, res, next) {
+    if (!req.path.startsWith('/api/') ||
+        !MUTATING_METHODS.includes(req.method) ||
+        CSRF_EXEMPT_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    // Requests that carry their own bearer token are not using the cookie
+    const token = getSessionToken(req);
+    if (req.headers.authorization || !token) {
+        return next();
+    }
+
+    const expected = Buffer.from(csrfTokenFor(token));
+    const provided = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        (req.log || logger).warn('CSRF check failed', { method: req.method, path: loggablePath(req) });
+        return res.status(403).json({
+            message: 'Invalid or missing CSRF token. Please refresh the page and try again.',
+            csrfFailed: true
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    isCookieMode,
+    establishSession,
+    attachPageCookie,
+    clearSession,
+    applySessionAuth,
+    csrfProtection
+};
@@ -0,0 +1,31 @@
+/**
+ * Request Body Validation Middleware
+ * Rejects invalid bodies before they are proxied to the backend
+ *
+ * Uses the schemas in src/js/utils/validation.js, which the pages also load.
+ * Errors are answered as 400 { message, errors: [{ field, message }] }.
+ */
+
+const { Validator } = require('../../src/js/utils/validation');
+
+/**
+ * Create middleware that validates req.body against a schema
+ * @param {string} schemaName - Key of VALIDATION_SCHEMAS
+ * @returns {Function} Express middleware
+ */
+function validateBody(schemaName) {
+    return (req, res, next) => {
+        const errors = Validator.validate(schemaName, req.body);
+        if (errors.length === 0) {
+            return next();
+        }
+
+        req.log.info('Request body rejected', { schema: schemaName, fields: errors.map(error => error.field) });
+        res.status(400).json({
+            message: Validator.messages(errors).join('. '),
+            errors
+        });
+    };
+}
+
+module.exports = validateBody;
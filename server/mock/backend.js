@@ -0,0 +1,519 @@
+/**
+ * Mock Backend
+ * Stand-in for the Java backend API used when MOCK_BACKEND=true
+ *
+ * Runs as its own Express app on a local port so requests still pass
+ * through the regular proxy layer.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { issueToken, verifyToken } = require('./tokens');
+const logger = require('../utils/logger');
+
+const ORDER_STATUSES = ['PENDING', 'IN_PROGRESS', 'DONE'];
+// Webhook deliveries kept by the local receiver
+const RECEIVED_WEBHOOKS_LIMIT = 100;
+
+/**
+ * Create middleware that resolves the bearer token to a stored user
+ * @param {MockStore} store - Mock data store
+ * @param {Object} options - Middleware options
+ * @param {boolean} [options.admin=false] - Also require the ADMIN role
+ * @returns {Function} Express middleware
+ */
+function authenticate(store, { admin = false } = {}) {
+    return (req, res, next) => {
+        const authorization = req.headers.authorization || '';
+        const payload = verifyToken(authorization.replace(/^Bearer\s+/i, ''));
+        const user = payload ? store.findUserByUsername(payload.sub) : null;
+
+        if (!user) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        if (admin && user.role !== 'ADMIN') {
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        req.user = user;
+        next();
+    };
+}
+
+/**
+ * Setup mock authentication routes
+ * @param {Object} app - Express app instance
+ * @param {MockStore} store - Mock data store
+ */
+function setupMockAuthRoutes(app, store) {
+    app.post('/api/auth/login', (req, res) => {
+        const { username, password } = req.body || {};
+        const user = store.findUserByUsername(username);
+
+        if (!user || user.password !== password) {
+            return res.status(401).json({ message: 'Invalid username or password' });
+        }
+        res.json({ token: issueToken(user) });
+    });
+
+    app.post('/api/auth/register', (req, res) => {
+        const { username, firstName, lastName, email, password } = req.body || {};
+
+        if (!username || !email || !password) {
+            return res.status(400).json({ message: 'Username, email and password are required' });
+        }
+        if (store.findUserByUsername(username)) {
+            return res.status(409).json({ message: 'Username is already taken' });
+        }
+
+        const user = {
+            id: store.nextId('users'),
+            username,
+            firstName: firstName || '',
+            lastName: lastName || '',
+            email,
+            password,
+            role: 'USER'
+        };
+        store.users.push(user);
+        store.save();
+
+        res.status(201).json({ token: issueToken(user) });
+    });
+
+    app.post('/api/auth/refresh', authenticate(store), (req, res) => {
+        res.json({ token: issueToken(req.user) });
+    });
+
+    app.get('/api/auth/me', authenticate(store), (req, res) => {
+        res.json(store.toUserResponse(req.user));
+    });
+}
+
+/**
+ * Setup mock user management routes
+ * @param {Object} app - Express app instance
+ * @param {MockStore} store - Mock data store
+ */
+function setupMockUserRoutes(app, store) {
+    const adminOnly = authenticate(store, { admin: true });
+
+    app.get('/api/users', adminOnly, (req, res) => {
+        res.json(store.users.map(user => store.toUserResponse(user)));
+    });
+
+    app.get('/api/users/username/:username', adminOnly, (req, res) => {
+        const user = store.findUserByUsername(req.params.username);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(store.toUserResponse(user));
+    });
+
+    app.get('/api/users/:id', adminOnly, (req, res) => {
+        const user = store.findUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json(store.toUserResponse(user));
+    });
+
+    app.post('/api/users', adminOnly, (req, res) => {
+        const { username, firstName, lastName, email, password, role } = req.body || {};
+
+        if (!username || !email || !password) {
+            return res.status(400).json({ message: 'Username, email and password are required' });
+        }
+        if (store.findUserByUsername(username)) {
+            return res.status(409).json({ message: 'Username is already taken' });
+        }
+
+        const user = {
+            id: store.nextId('users'),
+            username,
+            firstName: firstName || '',
+            lastName: lastName || '',
+            email,
+            password,
+            role: role === 'ADMIN' ? 'ADMIN' : 'USER'
+        };
+        store.users.push(user);
+        store.save();
+
+        res.status(201).json(store.toUserResponse(user));
+    });
+
+    app.put('/api/users/:id', adminOnly, (req, res) => {
+        const user = store.findUserById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const updates = req.body || {};
+        if (updates.username && updates.username !== user.username && store.findUserByUsername(updates.username)) {
+            return res.status(409).json({ message: 'Username is already taken' });
+        }
+        if (updates.role && !['ADMIN', 'USER'].includes(updates.role)) {
+            return res.status(400).json({ message: 'Role must be ADMIN or USER' });
+        }
+
+        ['username', 'firstName', 'lastName', 'email', 'password', 'role'].forEach(field => {
+            if (updates[field]) {
+                user[field] = updates[field];
+            }
+        });
+        store.save();
+
+        res.json(store.toUserResponse(user));
+    });
+
+    app.delete('/api/users/:id', adminOnly, (req, res) => {
+        const index = store.users.findIndex(user => String(user.id) === String(req.params.id));
+        if (index === -1) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        store.users.splice(index, 1);
+        store.save();
+        res.status(204).send();
+    });
+}
+
+/**
+ * Setup mock product routes
+ * @param {Object} app - Express app instance
+ * @param {MockStore} store - Mock data store
+ */
+function setupMockProductRoutes(app, store) {
+    const adminOnly = authenticate(store, { admin: true });
+
+    app.get('/api/products', adminOnly, (req, res) => {
+        res.json(store.products);
+    });
+
+    app.get('/api/products/public', (req, res) => {
+        res.json(store.products.map(product => store.toPublicProduct(product)));
+    });
+
+    app.get('/api/products/name/:name', adminOnly, (req, res) => {
+        const product = store.findProductByName(req.params.name);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        res.json(product);
+    });
+
+    app.get('/api/products/:id', adminOnly, (req, res) => {
+        const product = store.findProductById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+        res.json(product);
+    });
+
+    app.post('/api/products', adminOnly, (req, res) => {
+        const { name, description, actualPrice, sellingPrice, availableQuantity } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({ message: 'Product name is required' });
+        }
+        if (store.findProductByName(name)) {
+            return res.status(409).json({ message: 'A product with this name already exists' });
+        }
+
+        const product = {
+            id: store.nextId('products'),
+            name,
+            description: description || null,
+            actualPrice: parseFloat(actualPrice) || 0,
+            sellingPrice: parseFloat(sellingPrice) || 0,
+            availableQuantity: parseInt(availableQuantity, 10) || 0
+        };
+        store.products.push(product);
+        store.save();
+
+        res.status(201).json(product);
+    });
+
+    app.put('/api/products/:id', adminOnly, (req, res) => {
+        const product = store.findProductById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        const updates = req.body || {};
+        const existing = updates.name ? store.findProductByName(updates.name) : null;
+        if (existing && existing.id !== product.id) {
+            return res.status(409).json({ message: 'A product with this name already exists' });
+        }
+
+        if (updates.name) product.name = updates.name;
+        if (updates.description !== undefined) product.description = updates.description;
+        if (updates.actualPrice !== undefined) product.actualPrice = parseFloat(updates.actualPrice);
+        if (updates.sellingPrice !== undefined) product.sellingPrice = parseFloat(updates.sellingPrice);
+        if (updates.availableQuantity !== undefined) {
+            product.availableQuantity = parseInt(updates.availableQuantity, 10);
+        }
+        store.save();
+
+        res.json(product);
+    });
+
+    app.delete('/api/products/:id', adminOnly, (req, res) => {
+        const index = store.products.findIndex(product => String(product.id) === String(req.params.id));
+        if (index === -1) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        store.products.splice(index, 1);
+        store.save();
+        res.status(204).send();
+    });
+}
+
+/**
+ * Create an order, reserving stock for each line
+ * @param {MockStore} store - Mock data store
+ * @param {string} username - Owner of the order
+ * @param {Object[]} orderProducts - Requested lines ({ productId, productQuantity })
+ * @returns {{ order?: Object, status?: number, message?: string }} Created order or error
+ */
+function createOrder(store, username, orderProducts) {
+    if (!Array.isArray(orderProducts) || orderProducts.length === 0) {
+        return { status: 400, message: 'Order must contain at least one product' };
+    }
+
+    const lines = [];
+    for (const item of orderProducts) {
+        const product = store.findProductById(item.productId);
+        const quantity = parseInt(item.productQuantity, 10);
+
+        if (!product) {
+            return { status: 404, message: `Product not found: ${item.productId}` };
+        }
+        if (!quantity || quantity < 1) {
+            return { status: 400, message: `Invalid quantity for ${product.name}` };
+        }
+        if (product.availableQuantity < quantity) {
+            return { status: 400, message: `Insufficient stock for ${product.name}` };
+        }
+        lines.push({ product, quantity });
+    }
+
+    lines.forEach(({ product, quantity }) => {
+        product.availableQuantity -= quantity;
+    });
+
+    const order = {
+        id: crypto.randomUUID(),
+        username,
+        status: 'PENDING',
+        orderDate: new Date().toISOString().slice(0, 19),
+        orderProducts: lines.map(({ product, quantity }) => ({
+            productId: product.id,
+            productName: product.name,
+            productQuantity: quantity,
+            unitPrice: product.sellingPrice
+        }))
+    };
+    store.orders.push(order);
+    store.save();
+
+    return { order };
+}
+
+/**
+ * Setup mock order routes
+ * @param {Object} app - Express app instance
+ * @param {MockStore} store - Mock data store
+ */
+function setupMockOrderRoutes(app, store) {
+    const authenticated = authenticate(store);
+    const adminOnly = authenticate(store, { admin: true });
+
+    app.get('/api/orders', adminOnly, (req, res) => {
+        res.json(store.orders.map(order => store.toOrderResponse(order)));
+    });
+
+    app.get('/api/orders/me', authenticated, (req, res) => {
+        res.json(store.orders
+            .filter(order => order.username === req.user.username)
+            .map(order => store.toOrderResponse(order)));
+    });
+
+    app.get('/api/orders/:uuid', authenticated, (req, res) => {
+        const order = store.findOrderById(req.params.uuid);
+        if (!order || (req.user.role !== 'ADMIN' && order.username !== req.user.username)) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+        res.json(store.toOrderResponse(order));
+    });
+
+    app.post('/api/orders', authenticated, (req, res) => {
+        const result = createOrder(store, req.user.username, (req.body || {}).orderProducts);
+        if (!result.order) {
+            return res.status(result.status).json({ message: result.message });
+        }
+        res.status(201).json(store.toOrderResponse(result.order));
+    });
+
+    app.post('/api/orders/admin/:username', adminOnly, (req, res) => {
+        if (!store.findUserByUsername(req.params.username)) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        const result = createOrder(store, req.params.username, (req.body || {}).orderProducts);
+        if (!result.order) {
+            return res.status(result.status).json({ message: result.message });
+        }
+        res.status(201).json(store.toOrderResponse(result.order));
+    });
+
+    app.put('/api/orders/:uuid/status', adminOnly, (req, res) => {
+        const order = store.findOrderById(req.params.uuid);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        const status = (req.body || {}).status;
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Status must be one of ${ORDER_STATUSES.join(', ')}` });
+        }
+
+        order.status = status;
+        store.save();
+        res.json(store.toOrderResponse(order));
+    });
+
+    app.delete('/api/orders/:uuid', adminOnly, (req, res) => {
+        const index = store.orders.findIndex(order => order.id === req.params.uuid);
+        if (index === -1) {
+            return res.status(404).json({ message: 'Order not found' });
+        }
+
+        // Deleting an order returns its reserved stock
+        store.orders[index].orderProducts.forEach(item => {
+            const product = store.findProductById(item.productId);
+            if (product) product.availableQuantity += item.productQuantity;
+        });
+        store.orders.splice(index, 1);
+        store.save();
+        res.status(204).send();
+    });
+}
+
+/**
+ * Setup mock reports routes
+ * @param {Object} app - Express app instance
+ * @param {MockStore} store - Mock data store
+ */
+function setupMockReportsRoutes(app, store) {
+    app.get('/api/reports/', authenticate(store, { admin: true }), (req, res) => {
+        const { productName, username, startDate, endDate } = req.query;
+        const start = startDate ? new Date(startDate) : null;
+        const end = endDate ? new Date(endDate) : null;
+
+        const lines = [];
+        store.orders.forEach(order => {
+            const orderDate = new Date(order.orderDate);
+            if ((start && orderDate < start) || (end && orderDate > end)) return;
+            if (username && !order.username.toLowerCase().includes(username.toLowerCase())) return;
+
+            order.orderProducts.forEach(item => {
+                if (productName && !item.productName.toLowerCase().includes(productName.toLowerCase())) return;
+
+                lines.push({
+                    orderId: order.id,
+                    username: order.username,
+                    productName: item.productName,
+                    quantity: item.productQuantity,
+                    unitPrice: item.unitPrice,
+                    totalAmount: Math.round(item.unitPrice * item.productQuantity * 100) / 100,
+                    orderDate: order.orderDate,
+                    status: order.status
+                });
+            });
+        });
+
+        res.json(lines);
+    });
+}
+
+/**
+ * Register a local webhook receiver for trying out webhook endpoints
+ *
+ * Point an endpoint at http://127.0.0.1:<MOCK_BACKEND_PORT>/webhooks/receiver
+ * and read back what arrived with GET. Add ?status=500 to the endpoint URL
+ * to watch the retries.
+ * @param {Object} app - Express app instance
+ */
+function setupMockWebhookReceiver(app) {
+    const received = [];
+
+    app.post('/webhooks/receiver', (req, res) => {
+        received.unshift({
+            receivedAt: new Date().toISOString(),
+            headers: Object.fromEntries(
+                Object.entries(req.headers).filter(([name]) => name.startsWith('x-webhook-'))
+            ),
+            body: req.body
+        });
+        received.splice(RECEIVED_WEBHOOKS_LIMIT);
+
+        const status = parseInt(req.query.status, 10) || 200;
+        res.status(status).json({ received: status < 300 });
+    });
+
+    app.get('/webhooks/receiver', (req, res) => {
+        res.json(received);
+    });
+}
+
+/**
+ * Create the mock backend app
+ * @param {MockStore} store - Mock data store
+ * @returns {Object} Express app
+ */
+function createMockBackend(store) {
+    const app = express();
+    app.use(express.json());
+
+    // Log under the proxy's request ID so both sides of an exchange can be matched
+    app.use((req, res, next) => {
+        logger.debug('Mock backend request', {
+            requestId: req.get('X-Request-Id'),
+            method: req.method,
+            path: req.originalUrl
+        });
+        next();
+    });
+
+    setupMockAuthRoutes(app, store);
+    setupMockUserRoutes(app, store);
+    setupMockProductRoutes(app, store);
+    setupMockOrderRoutes(app, store);
+    setupMockReportsRoutes(app, store);
+    setupMockWebhookReceiver(app);
+
+    app.use((req, res) => {
+        res.status(404).json({ message: `No mock handler for ${req.method} ${req.path}` });
+    });
+
+    return app;
+}
+
+/**
+ * Start the mock backend on a local port
+ * @param {MockStore} store - Mock data store
+ * @param {number} port - Port to listen on
+ * @returns {Object} HTTP server
+ */
+function startMockBackend(store, port) {
+    return createMockBackend(store).listen(port, '127.0.0.1', () => {
+        logger.info(`Mock backend is running on http://127.0.0.1:${port}`, {
+            dataFile: store.dataFile || 'in memory (seed data)'
+        });
+    });
+}
+
+module.exports = { createMockBackend, startMockBackend };
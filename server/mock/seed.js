@@ -0,0 +1,113 @@
+/**
+ * Mock Backend Seed Data
+ * Initial users, products and orders for MOCK_BACKEND mode
+ *
+ * Demo accounts: admin / admin123 and user / user123
+ */
+
+const users = [
+    {
+        id: 1,
+        username: 'admin',
+        firstName: 'Ada',
+        lastName: 'Admin',
+        email: 'admin@salesstore.local',
+        password: 'admin123',
+        role: 'ADMIN'
+    },
+    {
+        id: 2,
+        username: 'user',
+        firstName: 'Uma',
+        lastName: 'User',
+        email: 'user@salesstore.local',
+        password: 'user123',
+        role: 'USER'
+    },
+    {
+        id: 3,
+        username: 'jdoe',
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john.doe@salesstore.local',
+        password: 'password123',
+        role: 'USER'
+    }
+];
+
+const products = [
+    {
+        id: 1,
+        name: 'Wireless Mouse',
+        description: 'Ergonomic 2.4 GHz wireless mouse',
+        actualPrice: 12.5,
+        sellingPrice: 24.99,
+        availableQuantity: 120
+    },
+    {
+        id: 2,
+        name: 'Mechanical Keyboard',
+        description: 'Tenkeyless keyboard with brown switches',
+        actualPrice: 48,
+        sellingPrice: 89.99,
+        availableQuantity: 35
+    },
+    {
+        id: 3,
+        name: 'USB-C Hub',
+        description: '7-in-1 hub with HDMI and card reader',
+        actualPrice: 18,
+        sellingPrice: 39.99,
+        availableQuantity: 60
+    },
+    {
+        id: 4,
+        name: '27" Monitor',
+        description: '1440p IPS monitor',
+        actualPrice: 190,
+        sellingPrice: 299.99,
+        availableQuantity: 8
+    },
+    {
+        id: 5,
+        name: 'Laptop Stand',
+        description: 'Adjustable aluminium stand',
+        actualPrice: 15,
+        sellingPrice: 34.5,
+        availableQuantity: 0
+    }
+];
+
+const orders = [
+    {
+        id: '3f6c1f0e-8d3a-4a51-9d0e-1b2f0c9a7e11',
+        username: 'user',
+        status: 'DONE',
+        orderDate: '2025-01-14T10:22:00',
+        orderProducts: [
+            { productId: 1, productName: 'Wireless Mouse', productQuantity: 2, unitPrice: 24.99 },
+            { productId: 3, productName: 'USB-C Hub', productQuantity: 1, unitPrice: 39.99 }
+        ]
+    },
+    {
+        id: '8b2d4c57-2e9f-4f0b-a6a4-6c1d3e5f7a22',
+        username: 'jdoe',
+        status: 'IN_PROGRESS',
+        orderDate: '2025-03-02T15:05:00',
+        orderProducts: [
+            { productId: 2, productName: 'Mechanical Keyboard', productQuantity: 1, unitPrice: 89.99 }
+        ]
+    },
+    {
+        id: 'c91e7a30-5b6d-4e2a-8f1c-9a0b2d4e6f33',
+        username: 'user',
+        status: 'PENDING',
+        orderDate: '2025-04-18T09:40:00',
+        orderProducts: [
+            { productId: 4, productName: '27" Monitor', productQuantity: 1, unitPrice: 299.99 },
+            { productId: 1, productName: 'Wireless Mouse', productQuantity: 1, unitPrice: 24.99 }
+        ]
+    }
+];
+
+module.exports = { users, products, orders };
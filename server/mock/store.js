@@ -0,0 +1,173 @@
+/**
+ * Mock Backend Store
+ * In-memory data for MOCK_BACKEND mode, optionally persisted to a JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const seed = require('./seed');
+const logger = require('../utils/logger');
+
+class MockStore {
+    /**
+     * @param {string|null} dataFile - JSON file to load from and save to (null keeps data in memory)
+     */
+    constructor(dataFile = null) {
+        this.dataFile = dataFile ? path.resolve(dataFile) : null;
+        this.data = this.load();
+    }
+
+    /**
+     * Load data from the data file, falling back to a copy of the seed data
+     * @returns {Object} Store data
+     */
+    load() {
+        if (this.dataFile && fs.existsSync(this.dataFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+            } catch (error) {
+                logger.error('Mock backend could not read data file, using seed data', {
+                    dataFile: this.dataFile,
+                    error
+                });
+            }
+        }
+        return JSON.parse(JSON.stringify(seed));
+    }
+
+    /**
+     * Write data to the data file, if one is configured
+     */
+    save() {
+        if (!this.dataFile) return;
+
+        try {
+            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+        } catch (error) {
+            logger.error('Mock backend could not write data file', { dataFile: this.dataFile, error });
+        }
+    }
+
+    /**
+     * Get the next numeric ID for a collection
+     * @param {string} collection - Collection name
+     * @returns {number} Next ID
+     */
+    nextId(collection) {
+        return this.data[collection].reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    }
+
+    /**
+     * Stored users
+     * @returns {Object[]} Users
+     */
+    get users() {
+        return this.data.users;
+    }
+
+    /**
+     * Stored products
+     * @returns {Object[]} Products
+     */
+    get products() {
+        return this.data.products;
+    }
+
+    /**
+     * Stored orders
+     * @returns {Object[]} Orders
+     */
+    get orders() {
+        return this.data.orders;
+    }
+
+    /**
+     * Find user by ID
+     * @param {number|string} id - User ID
+     * @returns {Object|null} User or null
+     */
+    findUserById(id) {
+        return this.users.find(user => String(user.id) === String(id)) || null;
+    }
+
+    /**
+     * Find user by username
+     * @param {string} username - Username
+     * @returns {Object|null} User or null
+     */
+    findUserByUsername(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+
+    /**
+     * Find product by ID
+     * @param {number|string} id - Product ID
+     * @returns {Object|null} Product or null
+     */
+    findProductById(id) {
+        return this.products.find(product => String(product.id) === String(id)) || null;
+    }
+
+    /**
+     * Find product by name (case-insensitive)
+     * @param {string} name - Product name
+     * @returns {Object|null} Product or null
+     */
+    findProductByName(name) {
+        const target = String(name).toLowerCase();
+        return this.products.find(product => product.name.toLowerCase() === target) || null;
+    }
+
+    /**
+     * Find order by UUID
+     * @param {string} id - Order UUID
+     * @returns {Object|null} Order or null
+     */
+    findOrderById(id) {
+        return this.orders.find(order => order.id === id) || null;
+    }
+
+    /**
+     * Shape a user the way the backend returns it (without the password)
+     * @param {Object} user - Stored user
+     * @returns {Object} User response
+     */
+    toUserResponse(user) {
+        const { password, ...rest } = user;
+        return rest;
+    }
+
+    /**
+     * Shape a product for the public catalog (without the purchase price)
+     * @param {Object} product - Stored product
+     * @returns {Object} Public product response
+     */
+    toPublicProduct(product) {
+        const { actualPrice, ...rest } = product;
+        return rest;
+    }
+
+    /**
+     * Shape an order the way the backend returns it
+     * @param {Object} order - Stored order
+     * @returns {Object} Order response with user details and total
+     */
+    toOrderResponse(order) {
+        const user = this.findUserByUsername(order.username);
+        const totalAmount = order.orderProducts.reduce(
+            (sum, item) => sum + item.unitPrice * item.productQuantity, 0);
+
+        return {
+            ...order,
+            user: user ? {
+                username: user.username,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName
+            } : { username: order.username },
+            totalAmount: Math.round(totalAmount * 100) / 100
+        };
+    }
+}
+
+module.exports = MockStore;
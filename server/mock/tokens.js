@@ -0,0 +1,68 @@
+/**
+ * Mock Backend Tokens
+ * Issues and checks HS256 JWTs for MOCK_BACKEND mode
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Encode a value as base64url JSON
+ * @param {Object} value - Value to encode
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign the header and payload segments
+ * @param {string} unsigned - "header.payload"
+ * @returns {string} base64url signature
+ */
+function sign(unsigned) {
+    return crypto.createHmac('sha256', config.mock.jwtSecret).update(unsigned).digest('base64url');
+}
+
+/**
+ * Issue a token for a user
+ * @param {Object} user - Stored user
+ * @returns {string} Signed JWT
+ */
+function issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+    const payload = encodeSegment({
+        sub: user.username,
+        role: user.role,
+        iat: now,
+        exp: now + config.mock.tokenTtlSeconds
+    });
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - JWT token
+ * @returns {Object|null} Payload, or null if the signature is wrong or the token expired
+ */
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const provided = Buffer.from(parts[2]);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { issueToken, verifyToken };
@@ -0,0 +1,58 @@
+/**
+ * Password Reset Service Account
+ * Backend access for users who cannot sign in
+ *
+ * Looking users up and changing their password are admin operations on
+ * the backend, so this server signs in with a dedicated admin account
+ * (PASSWORD_RESET_SERVICE_USERNAME / _PASSWORD, see utils/serviceAccount.js).
+ */
+
+const config = require('../config');
+const { createServiceAccount } = require('../utils/serviceAccount');
+
+const { isConfigured, request: serviceRequest } = createServiceAccount({
+    name: 'Password reset',
+    credentials: () => ({
+        username: config.passwordReset.serviceUsername,
+        password: config.passwordReset.servicePassword
+    })
+});
+
+/**
+ * Find a user by username or email address
+ * @param {string} identifier - Username, or an address containing "@"
+ * @param {string} [requestId] - Request ID for the backend logs
+ * @returns {Promise<Object|null>} Backend user, or null if none matches
+ * @throws {Error} When the backend cannot be asked
+ */
+async function findUser(identifier, requestId) {
+    if (!identifier.includes('@')) {
+        const result = await serviceRequest(`/api/users/username/${encodeURIComponent(identifier)}`, { requestId });
+        if (result.status === 404) return null;
+        if (!result.ok) throw new Error(`User lookup failed with HTTP ${result.status}`);
+        return result.data;
+    }
+
+    const result = await serviceRequest('/api/users', { requestId });
+    if (!result.ok) throw new Error(`User lookup failed with HTTP ${result.status}`);
+    const users = Array.isArray(result.data) ? result.data : (result.data && result.data.content) || [];
+    const email = identifier.toLowerCase();
+    return users.find(user => typeof user.email === 'string' && user.email.toLowerCase() === email) || null;
+}
+
+/**
+ * Set a user's password through PUT /api/users/:id
+ * @param {string|number} userId - Backend user ID
+ * @param {string} password - New password
+ * @param {string} [requestId] - Request ID for the backend logs
+ * @returns {Promise<{status: number, ok: boolean, data: *}>} Backend answer
+ */
+function setPassword(userId, password, requestId) {
+    return serviceRequest(`/api/users/${encodeURIComponent(userId)}`, {
+        method: 'PUT',
+        body: { password },
+        requestId
+    });
+}
+
+module.exports = { isConfigured, findUser, setPassword };
@@ -0,0 +1,107 @@
+/**
+ * Password Reset Tokens
+ * Issues single-use, expiring reset tokens and keeps them in memory
+ *
+ * Only a SHA-256 hash of each token is stored, so the store (or a heap dump)
+ * cannot be used to reset anyone's password. Issuing a token for a user
+ * replaces any earlier one, and tokens are lost on restart, which simply
+ * means the user asks for a new link.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token as sent to the user
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class ResetTokenStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.tokenTtlMs - How long a token stays valid
+     * @param {number} options.maxTokens - Outstanding tokens kept; the oldest are dropped beyond this
+     */
+    constructor({ tokenTtlMs, maxTokens }) {
+        this.tokenTtlMs = tokenTtlMs;
+        this.maxTokens = maxTokens;
+        this.tokens = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Issue a token for a user, replacing any earlier one
+     * @param {Object} user - Backend user ({ id, username })
+     * @returns {{ token: string, expiresAt: number }} Token to send and its expiry
+     */
+    issue(user) {
+        this.revokeUser(user.id);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.tokenTtlMs;
+        this.tokens.set(hashToken(token), { userId: user.id, username: user.username, expiresAt });
+
+        // Map iteration order is insertion order, so the first entry is the oldest
+        while (this.tokens.size > this.maxTokens) {
+            this.tokens.delete(this.tokens.keys().next().value);
+        }
+        return { token, expiresAt };
+    }
+
+    /**
+     * Take a token out of the store so it cannot be used again
+     * @param {string} token - Token from the reset link
+     * @returns {Object|null} Entry ({ hash, userId, username, expiresAt }), or null if unknown or expired
+     */
+    consume(token) {
+        const hash = hashToken(token);
+        const entry = this.tokens.get(hash);
+        if (!entry) return null;
+
+        this.tokens.delete(hash);
+        return entry.expiresAt > Date.now() ? { hash, ...entry } : null;
+    }
+
+    /**
+     * Put a consumed token back after the password could not be changed
+     * @param {Object} entry - Entry returned by consume()
+     */
+    reinstate({ hash, userId, username, expiresAt }) {
+        if (expiresAt > Date.now()) {
+            this.tokens.set(hash, { userId, username, expiresAt });
+        }
+    }
+
+    /**
+     * Drop every token of a user
+     * @param {string|number} userId - Backend user ID
+     */
+    revokeUser(userId) {
+        for (const [hash, entry] of this.tokens) {
+            if (String(entry.userId) === String(userId)) this.tokens.delete(hash);
+        }
+    }
+
+    /**
+     * Drop expired tokens
+     */
+    prune() {
+        const now = Date.now();
+        for (const [hash, entry] of this.tokens) {
+            if (entry.expiresAt <= now) this.tokens.delete(hash);
+        }
+    }
+}
+
+const resetTokens = new ResetTokenStore(config.passwordReset);
+
+module.exports = resetTokens;
+module.exports.ResetTokenStore = ResetTokenStore;
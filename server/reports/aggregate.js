@@ -0,0 +1,292 @@
+/**
+ * Report Aggregation
+ * Turns backend orders into filtered, grouped and paged report data
+ *
+ * Runs on the Node server so the reports page no longer downloads and
+ * flattens every order in the browser.
+ */
+
+const { VALIDATION_SCHEMAS } = require('../../src/js/utils/validation');
+
+const ORDER_STATUSES = VALIDATION_SCHEMAS.updateOrderStatus.fields.status.enum;
+const GROUP_BY_OPTIONS = ['none', 'product', 'user', 'status', 'day', 'month'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Read a trimmed string query parameter
+ * @param {*} value - Raw query value
+ * @returns {string|null} Value, or null when blank
+ */
+function queryString(value) {
+    if (Array.isArray(value)) value = value[0];
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    return trimmed || null;
+}
+
+/**
+ * Parse and validate report query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ filters: Object, errors: Array<{field: string, message: string}> }} Normalized filters
+ *   and field errors in the same shape as body validation
+ */
+function parseReportQuery(query) {
+    const errors = [];
+    const filters = {
+        productName: queryString(query.productName),
+        username: queryString(query.username),
+        startDate: queryString(query.startDate),
+        endDate: queryString(query.endDate),
+        status: [],
+        groupBy: queryString(query.groupBy) || 'none',
+        page: 1,
+        size: DEFAULT_PAGE_SIZE
+    };
+
+    ['startDate', 'endDate'].forEach(field => {
+        const value = filters[field];
+        if (value && (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime()))) {
+            errors.push({ field, message: `${field} must be a date in YYYY-MM-DD format` });
+        }
+    });
+    if (errors.length === 0 && filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+        errors.push({ field: 'endDate', message: 'End date must be after start date' });
+    }
+
+    const statuses = queryString(query.status);
+    if (statuses) {
+        filters.status = statuses.split(',').map(status => status.trim().toUpperCase()).filter(Boolean);
+        const unknown = filters.status.filter(status => !ORDER_STATUSES.includes(status));
+        if (unknown.length > 0) {
+            errors.push({ field: 'status', message: `Status must be one of ${ORDER_STATUSES.join(', ')}` });
+        }
+    }
+
+    if (!GROUP_BY_OPTIONS.includes(filters.groupBy)) {
+        errors.push({ field: 'groupBy', message: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
+    const page = queryString(query.page);
+    if (page !== null) {
+        filters.page = Number(page);
+        if (!Number.isInteger(filters.page) || filters.page < 1) {
+            errors.push({ field: 'page', message: 'page must be a whole number of at least 1' });
+        }
+    }
+
+    const size = queryString(query.size);
+    if (size !== null) {
+        filters.size = Number(size);
+        if (!Number.isInteger(filters.size) || filters.size < 1 || filters.size > MAX_PAGE_SIZE) {
+            errors.push({ field: 'size', message: `size must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+    }
+
+    return { filters, errors };
+}
+
+/**
+ * Get the calendar date of an order
+ * @param {string} orderDate - Order date from the backend
+ * @returns {string|null} YYYY-MM-DD, or null if missing or unparseable
+ */
+function orderDay(orderDate) {
+    if (!orderDate) return null;
+    // Backend dates are local date-times; compare their date part without shifting time zones
+    if (typeof orderDate === 'string' && /^\d{4}-\d{2}-\d{2}/.test(orderDate)) {
+        return orderDate.slice(0, 10);
+    }
+    const date = new Date(orderDate);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Flatten orders into one line per ordered product
+ *
+ * Accepts the field name variants the backend has used over time.
+ * @param {Object[]} orders - Orders from the backend
+ * @returns {Object[]} Report lines
+ */
+function flattenOrders(orders) {
+    const lines = [];
+
+    (Array.isArray(orders) ? orders : []).forEach(order => {
+        const orderId = order.uuid || order.id || order.orderId;
+        const username = (order.user && order.user.username) || order.username || 'unknown';
+        const products = order.orderProducts || order.items || order.products || order.orderItems || [];
+
+        products.forEach(product => {
+            const quantity = parseInt(product.orderedQuantity || product.quantity || product.productQuantity || 0, 10);
+            const unitPrice = parseFloat(product.unitPrice || product.price || product.productPrice || 0);
+
+            lines.push({
+                orderId,
+                username,
+                productName: product.productName || product.name || 'Unknown Product',
+                quantity,
+                unitPrice,
+                totalAmount: roundMoney(unitPrice * quantity),
+                orderDate: order.orderDate || null,
+                status: order.status || 'UNKNOWN'
+            });
+        });
+    });
+    return lines;
+}
+
+/**
+ * Check a report line against the filters
+ * @param {Object} line - Report line
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} True if the line matches
+ */
+function matchesFilters(line, filters) {
+    if (filters.productName && !line.productName.toLowerCase().includes(filters.productName.toLowerCase())) {
+        return false;
+    }
+    if (filters.username && !line.username.toLowerCase().includes(filters.username.toLowerCase())) {
+        return false;
+    }
+    if (filters.status.length > 0 && !filters.status.includes(line.status)) {
+        return false;
+    }
+    if (filters.startDate || filters.endDate) {
+        const day = orderDay(line.orderDate);
+        if (!day) return false;
+        if (filters.startDate && day < filters.startDate) return false;
+        if (filters.endDate && day > filters.endDate) return false;
+    }
+    return true;
+}
+
+/**
+ * Total a set of report lines
+ * @param {Object[]} lines - Report lines
+ * @returns {Object} Totals
+ */
+function totals(lines) {
+    const orderIds = new Set(lines.map(line => line.orderId));
+    const revenue = lines.reduce((sum, line) => sum + line.totalAmount, 0);
+
+    return {
+        orderCount: orderIds.size,
+        lineItemCount: lines.length,
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        totalRevenue: roundMoney(revenue),
+        averageOrderValue: orderIds.size > 0 ? roundMoney(revenue / orderIds.size) : 0
+    };
+}
+
+/**
+ * Get the group key of a line
+ * @param {Object} line - Report line
+ * @param {string} groupBy - Grouping option
+ * @returns {string} Group key
+ */
+function groupKey(line, groupBy) {
+    switch (groupBy) {
+        case 'product': return line.productName;
+        case 'user': return line.username;
+        case 'status': return line.status;
+        case 'day': return orderDay(line.orderDate) || 'unknown';
+        case 'month': return (orderDay(line.orderDate) || 'unknown').slice(0, 7);
+        default: return 'all';
+    }
+}
+
+/**
+ * Group lines and total each group
+ * @param {Object[]} lines - Filtered report lines
+ * @param {string} groupBy - Grouping option
+ * @returns {Object[]} Groups; dates in chronological order, others by revenue
+ */
+function groupLines(lines, groupBy) {
+    if (groupBy === 'none') return [];
+
+    const groups = new Map();
+    lines.forEach(line => {
+        const key = groupKey(line, groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(line);
+    });
+
+    const result = [...groups.entries()].map(([key, groupLinesList]) => ({ key, ...totals(groupLinesList) }));
+    if (groupBy === 'day' || groupBy === 'month') {
+        return result.sort((a, b) => a.key.localeCompare(b.key));
+    }
+    return result.sort((a, b) => b.totalRevenue - a.totalRevenue);
+}
+
+/**
+ * Build the filtered report lines, newest first
+ * @param {Object[]} orders - Orders from the backend
+ * @param {Object} filters - Parsed filters
+ * @returns {Object[]} Matching report lines
+ */
+function filterReportLines(orders, filters) {
+    return flattenOrders(orders)
+        .filter(line => matchesFilters(line, filters))
+        .sort((a, b) => String(b.orderDate).localeCompare(String(a.orderDate)) ||
+            String(a.orderId).localeCompare(String(b.orderId)));
+}
+
+/**
+ * Summarize report lines for the summary cards
+ * @param {Object[]} lines - Filtered report lines
+ * @returns {Object} Totals plus distinct product and customer counts
+ */
+function summarizeLines(lines) {
+    return {
+        ...totals(lines),
+        productCount: new Set(lines.map(line => line.productName)).size,
+        customerCount: new Set(lines.map(line => line.username)).size
+    };
+}
+
+/**
+ * Build report data from backend orders
+ * @param {Object[]} orders - Orders from the backend
+ * @param {Object} filters - Parsed filters from parseReportQuery
+ * @returns {Object} { filters, summary, groups, items, pagination }
+ */
+function buildReport(orders, filters) {
+    const lines = filterReportLines(orders, filters);
+    const summary = summarizeLines(lines);
+
+    const totalPages = Math.max(1, Math.ceil(lines.length / filters.size));
+    const start = (filters.page - 1) * filters.size;
+
+    return {
+        filters,
+        summary,
+        groups: groupLines(lines, filters.groupBy),
+        items: lines.slice(start, start + filters.size),
+        pagination: {
+            page: filters.page,
+            size: filters.size,
+            totalItems: lines.length,
+            totalPages
+        }
+    };
+}
+
+module.exports = {
+    parseReportQuery,
+    filterReportLines,
+    summarizeLines,
+    buildReport,
+    orderDay,
+    GROUP_BY_OPTIONS,
+    MAX_PAGE_SIZE
+};
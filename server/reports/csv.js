@@ -0,0 +1,43 @@
+/**
+ * CSV Report Writer
+ * Streams report lines as RFC 4180 CSV
+ */
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV field
+ *
+ * Fields containing commas, quotes or line breaks are quoted with inner
+ * quotes doubled, as RFC 4180 requires.
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {string} CSV field
+ */
+function csvField(value, type) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (type === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the report as CSV
+ * @param {Object} res - Express response object (headers already set)
+ * @param {Object} report - { columns, lines }
+ */
+function writeCsv(res, { columns, lines }) {
+    res.write(columns.map(column => csvField(column.header, 'string')).join(',') + '\r\n');
+
+    lines.forEach(line => {
+        const row = columns.map(column => csvField(column.text(line), column.type));
+        res.write(row.join(',') + '\r\n');
+    });
+    res.end();
+}
+
+module.exports = { writeCsv, csvField };
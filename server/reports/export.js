@@ -0,0 +1,159 @@
+/**
+ * Report Export
+ * Columns, file naming and writers for downloadable order reports
+ */
+
+const { orderDay } = require('./aggregate');
+const { writeCsv } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+const { writePdf } = require('./pdf');
+
+/**
+ * Format a money amount for text output
+ * @param {number} value - Amount
+ * @returns {string} Amount with two decimals
+ */
+function money(value) {
+    return Number(value || 0).toFixed(2);
+}
+
+// Same columns, in the same order, as the report table on the page.
+// value() is the typed value (XLSX), text() the display text (CSV, PDF).
+const REPORT_COLUMNS = [
+    {
+        header: 'Order ID', type: 'string', xlsxWidth: 38, pdfWidth: 190,
+        value: line => line.orderId, text: line => line.orderId || 'N/A'
+    },
+    {
+        header: 'Customer/User', type: 'string', xlsxWidth: 18, pdfWidth: 100,
+        value: line => line.username, text: line => line.username
+    },
+    {
+        header: 'Product', type: 'string', xlsxWidth: 30, pdfWidth: 160,
+        value: line => line.productName, text: line => line.productName
+    },
+    {
+        header: 'Quantity', type: 'integer', xlsxWidth: 10, pdfWidth: 45,
+        value: line => line.quantity, text: line => String(line.quantity)
+    },
+    {
+        header: 'Unit Price', type: 'currency', xlsxWidth: 12, pdfWidth: 70,
+        value: line => line.unitPrice, text: line => money(line.unitPrice)
+    },
+    {
+        header: 'Total Amount', type: 'currency', xlsxWidth: 14, pdfWidth: 75,
+        value: line => line.totalAmount, text: line => money(line.totalAmount)
+    },
+    {
+        header: 'Order Date', type: 'date', xlsxWidth: 18, pdfWidth: 65,
+        value: line => line.orderDate, text: line => orderDay(line.orderDate) || 'N/A'
+    },
+    {
+        header: 'Status', type: 'string', xlsxWidth: 14, pdfWidth: 65,
+        value: line => line.status, text: line => line.status
+    }
+];
+
+const EXPORT_FORMATS = {
+    csv: {
+        extension: 'csv',
+        contentType: 'text/csv; charset=utf-8',
+        write: writeCsv
+    },
+    xlsx: {
+        extension: 'xlsx',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        write: writeXlsx
+    },
+    pdf: {
+        extension: 'pdf',
+        contentType: 'application/pdf',
+        write: writePdf
+    }
+};
+
+/**
+ * Build the download file name
+ *
+ * Keeps the naming the reports page used for its browser-built CSV:
+ * order-report-<timestamp>[-product-x][-user-y][-status][-start-to-end].<ext>
+ * @param {Object} filters - Parsed report filters
+ * @param {string} extension - File extension
+ * @param {Date} [now] - Export time
+ * @returns {string} File name
+ */
+function reportFileName(filters, extension, now = new Date()) {
+    const timestamp = now.toISOString().slice(0, 19).replace(/:/g, '-');
+    let filename = `order-report-${timestamp}`;
+
+    if (filters.productName) {
+        filename += `-product-${filters.productName.replace(/[^a-zA-Z0-9]/g, '')}`;
+    }
+    if (filters.username) {
+        filename += `-user-${filters.username.replace(/[^a-zA-Z0-9]/g, '')}`;
+    }
+    if (filters.status.length > 0) {
+        filename += `-${filters.status.join('-').toLowerCase()}`;
+    }
+    if (filters.startDate && filters.endDate) {
+        filename += `-${filters.startDate}-to-${filters.endDate}`;
+    }
+
+    return `${filename}.${extension}`;
+}
+
+/**
+ * Describe the applied filters for the export header
+ * @param {Object} filters - Parsed report filters
+ * @returns {Array<{label: string, value: string}>} Applied filters only
+ */
+function describeFilters(filters) {
+    return [
+        { label: 'Product', value: filters.productName },
+        { label: 'Username', value: filters.username },
+        { label: 'Status', value: filters.status.join(', ') },
+        { label: 'From', value: filters.startDate },
+        { label: 'To', value: filters.endDate }
+    ].filter(filter => filter.value);
+}
+
+/**
+ * Send a report export
+ * @param {Object} res - Express response object
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} report - { filters, lines, summary }
+ * @returns {Promise<void>} Resolves once the file was sent
+ */
+async function sendReportExport(res, format, { filters, lines, summary }) {
+    const exporter = EXPORT_FORMATS[format];
+    const generatedAt = new Date();
+
+    res.status(200);
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(filters, exporter.extension, generatedAt)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        await exporter.write(res, {
+            columns: REPORT_COLUMNS,
+            lines,
+            summary,
+            filterDescriptions: describeFilters(filters),
+            generatedAt
+        });
+    } catch (error) {
+        // Let the caller answer with an error instead of an attachment
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    sendReportExport,
+    reportFileName,
+    EXPORT_FORMATS,
+    REPORT_COLUMNS
+};
@@ -0,0 +1,241 @@
+/**
+ * PDF Report Writer
+ * Lays out the report as a paginated A4 landscape PDF
+ *
+ * The document is written by pdfkit with the standard Helvetica fonts, which
+ * every PDF viewer provides, so no fonts are embedded. Text is limited to the
+ * WinAnsi (Latin-1) range; other characters print as "?".
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const HEADER_HEIGHT = 54;
+const FOOTER_HEIGHT = 28;
+const ROW_HEIGHT = 16;
+
+const COLORS = {
+    brand: '#212529',
+    tableHeader: '#343a40',
+    stripe: '#f2f4f6',
+    border: '#dee2e6',
+    text: '#212529',
+    muted: '#6c757d',
+    white: '#ffffff',
+    primary: '#0d6efd',
+    success: '#198754',
+    info: '#0dcaf0',
+    warning: '#ffc107'
+};
+
+// Helvetica's ascent as a fraction of the font size, to place text by its baseline
+const HELVETICA_ASCENT = 0.718;
+
+/**
+ * Reduce text to the WinAnsi range
+ * @param {*} text - Text
+ * @returns {string} Printable Latin-1 text
+ */
+function toWinAnsi(text) {
+    return String(text)
+        .replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ')
+        .replace(/[^\u0000-\u00FF]/g, '?');
+}
+
+/**
+ * Fill a rectangle
+ * @param {PDFDocument} doc - Document
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} color - Fill color
+ */
+function fillRect(doc, x, y, width, height, color) {
+    doc.rect(x, y, width, height).fill(color);
+}
+
+/**
+ * Stroke a rectangle outline
+ * @param {PDFDocument} doc - Document
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} color - Line color
+ */
+function strokeRect(doc, x, y, width, height, color) {
+    doc.lineWidth(0.75).rect(x, y, width, height).stroke(color);
+}
+
+/**
+ * Draw one line of text, cut short with an ellipsis when it does not fit
+ * @param {PDFDocument} doc - Document
+ * @param {*} text - Text
+ * @param {number} x - Left (or right edge when align is 'right', center when 'center')
+ * @param {number} y - Baseline, from the top
+ * @param {Object} [options] - { bold, size, color, align, maxWidth }
+ */
+function drawText(doc, text, x, y, { bold = false, size = 10, color = COLORS.text, align = 'left', maxWidth } = {}) {
+    const value = toWinAnsi(text);
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color);
+
+    const width = maxWidth || doc.widthOfString(value) + 1;
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    doc.text(value, left, y - size * HELVETICA_ASCENT, {
+        width,
+        height: size * 1.2,
+        align,
+        ellipsis: true
+    });
+}
+
+/**
+ * Draw the branded header bar
+ * @param {PDFDocument} doc - Document
+ * @param {string} generated - Generation time text
+ */
+function drawHeader(doc, generated) {
+    fillRect(doc, 0, 0, PAGE_WIDTH, HEADER_HEIGHT, COLORS.brand);
+    drawText(doc, 'Sales Store', MARGIN, 33, { bold: true, size: 18, color: COLORS.white });
+    drawText(doc, 'Order Report', PAGE_WIDTH - MARGIN, 28, { bold: true, size: 12, color: COLORS.white, align: 'right' });
+    drawText(doc, `Generated ${generated}`, PAGE_WIDTH - MARGIN, 42, { size: 8, color: '#adb5bd', align: 'right' });
+}
+
+/**
+ * Draw the summary cards and applied filters
+ * @param {PDFDocument} doc - Document
+ * @param {Object} summary - Report summary
+ * @param {Array<{label: string, value: string}>} filterDescriptions - Applied filters
+ * @param {number} top - Top of the section
+ * @returns {number} Top of the space below the section
+ */
+function drawSummary(doc, summary, filterDescriptions, top) {
+    const cards = [
+        { label: 'Total Orders', value: String(summary.orderCount), color: COLORS.primary },
+        { label: 'Total Revenue', value: `$${summary.totalRevenue.toFixed(2)}`, color: COLORS.success },
+        { label: 'Unique Products', value: String(summary.productCount), color: COLORS.info },
+        { label: 'Unique Customers', value: String(summary.customerCount), color: COLORS.warning }
+    ];
+    const gap = 12;
+    const cardWidth = (PAGE_WIDTH - 2 * MARGIN - gap * (cards.length - 1)) / cards.length;
+    const cardHeight = 52;
+
+    cards.forEach((card, index) => {
+        const x = MARGIN + index * (cardWidth + gap);
+        strokeRect(doc, x, top, cardWidth, cardHeight, COLORS.border);
+        fillRect(doc, x, top, 4, cardHeight, card.color);
+        drawText(doc, card.value, x + cardWidth / 2, top + 26, { bold: true, size: 16, align: 'center' });
+        drawText(doc, card.label, x + cardWidth / 2, top + 42, { size: 9, color: COLORS.muted, align: 'center' });
+    });
+
+    const filtersText = filterDescriptions.length > 0
+        ? filterDescriptions.map(({ label, value }) => `${label}: ${value}`).join('   |   ')
+        : 'All orders';
+    drawText(doc, `Filters: ${filtersText}`, MARGIN, top + cardHeight + 18, {
+        size: 9, color: COLORS.muted, maxWidth: PAGE_WIDTH - 2 * MARGIN
+    });
+
+    return top + cardHeight + 32;
+}
+
+/**
+ * Draw the table header row
+ * @param {PDFDocument} doc - Document
+ * @param {Object[]} columns - Report columns
+ * @param {number} top - Top of the row
+ */
+function drawTableHeader(doc, columns, top) {
+    fillRect(doc, MARGIN, top, PAGE_WIDTH - 2 * MARGIN, ROW_HEIGHT + 2, COLORS.tableHeader);
+    let x = MARGIN;
+    columns.forEach(column => {
+        const right = column.type !== 'string' && column.type !== 'date';
+        drawText(doc, column.header, right ? x + column.pdfWidth - 4 : x + 4, top + 12, {
+            bold: true, size: 8.5, color: COLORS.white, align: right ? 'right' : 'left', maxWidth: column.pdfWidth - 8
+        });
+        x += column.pdfWidth;
+    });
+}
+
+/**
+ * Write the report as a PDF
+ * @param {Object} res - Express response object (headers already set)
+ * @param {Object} report - { columns, lines, summary, filterDescriptions, generatedAt }
+ * @returns {Promise<void>} Resolves once the document was sent
+ */
+async function writePdf(res, { columns, lines, summary, filterDescriptions, generatedAt }) {
+    // No page margins: the layout places everything itself, and pdfkit would otherwise break pages on its own
+    const doc = new PDFDocument({
+        size: [PAGE_WIDTH, PAGE_HEIGHT],
+        margin: 0,
+        autoFirstPage: false,
+        bufferPages: true,
+        info: { Title: 'Order Report', Creator: 'Sales Store' }
+    });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', resolve);
+        doc.on('error', reject);
+    });
+
+    const generated = `${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    const tableBottom = PAGE_HEIGHT - FOOTER_HEIGHT - 8;
+
+    const startPage = () => {
+        doc.addPage();
+        drawHeader(doc, generated);
+    };
+
+    startPage();
+    let y = drawSummary(doc, summary, filterDescriptions, HEADER_HEIGHT + 20);
+    drawTableHeader(doc, columns, y);
+    y += ROW_HEIGHT + 2;
+
+    lines.forEach((line, index) => {
+        if (y + ROW_HEIGHT > tableBottom) {
+            startPage();
+            y = HEADER_HEIGHT + 20;
+            drawTableHeader(doc, columns, y);
+            y += ROW_HEIGHT + 2;
+        }
+
+        if (index % 2 === 1) {
+            fillRect(doc, MARGIN, y, PAGE_WIDTH - 2 * MARGIN, ROW_HEIGHT, COLORS.stripe);
+        }
+        let x = MARGIN;
+        columns.forEach(column => {
+            const right = column.type !== 'string' && column.type !== 'date';
+            drawText(doc, column.text(line), right ? x + column.pdfWidth - 4 : x + 4, y + 11, {
+                size: 8, align: right ? 'right' : 'left', maxWidth: column.pdfWidth - 8
+            });
+            x += column.pdfWidth;
+        });
+        y += ROW_HEIGHT;
+    });
+
+    if (lines.length === 0) {
+        drawText(doc, 'No orders match the selected filters.', PAGE_WIDTH / 2, y + 20, {
+            size: 10, color: COLORS.muted, align: 'center'
+        });
+    }
+
+    // Footers need the final page count
+    const footerY = PAGE_HEIGHT - 14;
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+        doc.switchToPage(index);
+        drawText(doc, 'Sales Store - Order Report', MARGIN, footerY, { size: 8, color: COLORS.muted });
+        drawText(doc, `Page ${index + 1} of ${count}`, PAGE_WIDTH - MARGIN, footerY, {
+            size: 8, color: COLORS.muted, align: 'right'
+        });
+    }
+
+    doc.end();
+    await finished;
+    res.end(Buffer.concat(chunks));
+}
+
+module.exports = { writePdf };
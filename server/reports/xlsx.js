@@ -0,0 +1,114 @@
+/**
+ * XLSX Report Writer
+ * Builds an Office Open XML workbook with a line item sheet and a summary sheet
+ *
+ * The workbook is written by exceljs. Numbers and dates are written as typed
+ * cells so they can be summed and sorted in Excel.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Number formats of the typed columns
+const NUM_FMT = {
+    currency: '"$"#,##0.00',
+    date: 'yyyy-mm-dd hh:mm',
+    integer: '0'
+};
+
+/**
+ * Convert a backend date to a Date for a date cell
+ *
+ * Backend dates without a zone are local times; they are kept as written
+ * rather than shifted by the server's time zone (exceljs stores Dates as UTC).
+ * @param {string} value - Date or date-time string
+ * @returns {Date|null} Date, or null if unparseable
+ */
+function excelDate(value) {
+    if (!value) return null;
+    let text = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        text += 'T00:00:00Z';
+    } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        text += 'Z';
+    }
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Convert a report value to a typed cell
+ * @param {*} value - Raw value
+ * @param {string} type - Column type
+ * @returns {{ value: *, numFmt?: string }} Cell value and number format
+ */
+function typedCell(value, type) {
+    switch (type) {
+        case 'currency': return { value: Number(value), numFmt: NUM_FMT.currency };
+        case 'integer': return { value: Number(value), numFmt: NUM_FMT.integer };
+        case 'date': {
+            const date = excelDate(value);
+            return date === null ? { value: value || '' } : { value: date, numFmt: NUM_FMT.date };
+        }
+        default: return { value: value === null || value === undefined ? '' : String(value) };
+    }
+}
+
+/**
+ * Add a row of cells to a worksheet
+ * @param {Object} sheet - exceljs worksheet
+ * @param {Array<Object|null>} cells - Cells as { value, numFmt, bold }, null for blanks
+ */
+function addRow(sheet, cells) {
+    const row = sheet.addRow(cells.map(cell => (cell ? cell.value : null)));
+    cells.forEach((cell, index) => {
+        if (!cell) return;
+        const target = row.getCell(index + 1);
+        if (cell.numFmt) target.numFmt = cell.numFmt;
+        if (cell.bold) target.font = { bold: true };
+    });
+}
+
+/**
+ * Write the report as an XLSX workbook
+ * @param {Object} res - Express response object (headers already set)
+ * @param {Object} report - { columns, lines, summary, filterDescriptions, generatedAt }
+ * @returns {Promise<void>} Resolves once the workbook was sent
+ */
+async function writeXlsx(res, { columns, lines, summary, filterDescriptions, generatedAt }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = generatedAt;
+    const header = text => ({ value: text, bold: true });
+
+    const reportSheet = workbook.addWorksheet('Report', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    reportSheet.columns = columns.map(column => ({ width: column.xlsxWidth || 14 }));
+    addRow(reportSheet, columns.map(column => header(column.header)));
+    lines.forEach(line => {
+        addRow(reportSheet, columns.map(column => typedCell(column.value(line), column.type)));
+    });
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ width: 24 }, { width: 40 }];
+    [
+        [header('Order Report'), null],
+        [{ value: 'Generated' }, { value: generatedAt.toISOString() }],
+        [],
+        [header('Totals'), null],
+        [{ value: 'Total Orders' }, typedCell(summary.orderCount, 'integer')],
+        [{ value: 'Total Revenue' }, typedCell(summary.totalRevenue, 'currency')],
+        [{ value: 'Unique Products' }, typedCell(summary.productCount, 'integer')],
+        [{ value: 'Unique Customers' }, typedCell(summary.customerCount, 'integer')],
+        [{ value: 'Items Sold' }, typedCell(summary.totalQuantity, 'integer')],
+        [{ value: 'Average Order Value' }, typedCell(summary.averageOrderValue, 'currency')],
+        [],
+        [header('Filters'), null],
+        ...(filterDescriptions.length > 0
+            ? filterDescriptions.map(({ label, value }) => [{ value: label }, { value }])
+            : [[{ value: 'None' }, null]])
+    ].forEach(cells => addRow(summarySheet, cells));
+
+    res.end(Buffer.from(await workbook.xlsx.writeBuffer()));
+}
+
+module.exports = { writeXlsx, excelDate };
@@ -0,0 +1,96 @@
+/**
+ * Audit Routes
+ * Admin view and export of the audit log
+ */
+
+const { requireAdmin } = require('../middleware/adminAuth');
+const { listQuery, listTransform, parseListQuery, filterAndSort, LIST_RESOURCES } = require('../middleware/listQuery');
+const { writeCsv } = require('../reports/csv');
+const auditLog = require('../audit/auditLog');
+
+const AUDIT_RESOURCE = LIST_RESOURCES.audit;
+
+/**
+ * Format a before/after value for a CSV cell
+ * @param {*} value - Value
+ * @returns {string} Compact JSON, or empty for no value
+ */
+function jsonCell(value) {
+    return value === null || value === undefined ? '' : JSON.stringify(value);
+}
+
+const AUDIT_COLUMNS = [
+    { header: 'Time (UTC)', type: 'string', text: entry => entry.at },
+    { header: 'Actor', type: 'string', text: entry => entry.actor },
+    { header: 'Action', type: 'string', text: entry => entry.action },
+    { header: 'Entity', type: 'string', text: entry => entry.entity },
+    { header: 'Entity ID', type: 'string', text: entry => entry.entityId },
+    { header: 'Before', type: 'string', text: entry => jsonCell(entry.before) },
+    { header: 'After', type: 'string', text: entry => jsonCell(entry.after) },
+    { header: 'Changes', type: 'string', text: entry => jsonCell(entry.changes) },
+    { header: 'Request ID', type: 'string', text: entry => entry.requestId },
+    { header: 'Request', type: 'string', text: entry => `${entry.method} ${entry.path}` },
+    { header: 'IP', type: 'string', text: entry => entry.ip }
+];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Parse the list parameters of an audit request, falling back to the default sort
+ * @param {Object} query - Express req.query
+ * @returns {{ listQuery: Object, errors: Array<{field: string, message: string}> }} Parsed parameters
+ */
+function parseAuditQuery(query) {
+    const { listQuery: parsed, errors } = parseListQuery(query, AUDIT_RESOURCE);
+    return {
+        listQuery: parsed || parseListQuery({ page: '1' }, AUDIT_RESOURCE).listQuery,
+        errors
+    };
+}
+
+/**
+ * Setup audit routes
+ * @param {Object} app - Express app instance
+ */
+function setupAuditRoutes(app) {
+    const adminOnly = requireAdmin({ redirect: false });
+    const pageAudit = listTransform('audit');
+
+    // Paged, sorted and filtered entries; newest first unless sorted otherwise
+    app.get('/api/audit', adminOnly, listQuery('audit'), (req, res) => {
+        if (!req.listQuery) {
+            req.listQuery = parseAuditQuery(req.query).listQuery;
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(pageAudit(auditLog.list(), req));
+    });
+
+    // Every entry matching the filters as a CSV or JSON download
+    app.get('/api/audit/export', adminOnly, (req, res) => {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+        }
+        const { listQuery: parsed, errors } = parseAuditQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.map(error => error.message).join('. '),
+                errors
+            });
+        }
+
+        const entries = filterAndSort(auditLog.list(), parsed, AUDIT_RESOURCE);
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        res.set('Cache-Control', 'no-store');
+        res.attachment(`audit-log-${timestamp}.${format}`);
+        req.log.info('Audit log exported', { format, entries: entries.length });
+
+        if (format === 'json') {
+            return res.json(entries);
+        }
+        res.type('text/csv; charset=utf-8');
+        writeCsv(res, { columns: AUDIT_COLUMNS, lines: entries });
+    });
+}
+
+module.exports = setupAuditRoutes;
@@ -1,88 +1,66 @@
 /**
  * Authentication Routes
- * Handles login, register, and user verification
+ * Handles login, register, token refresh, and user verification
  */
 
-const ErrorHandler = require('../middleware/errorHandler');
-
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+const proxy = require('../middleware/proxy');
+const { isCookieMode, establishSession, attachPageCookie, clearSession } = require('../middleware/session');
+const { throttleLogin } = require('../middleware/loginThrottle');
+const twoFactorGate = require('../twoFactor/loginGate');
 
 /**
  * Setup authentication routes
  * @param {Object} app - Express app instance
  */
 function setupAuthRoutes(app) {
-    // Proxy login requests to backend
-    app.post('/api/auth/login', async (req, res) => {
-        try {
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/auth/login`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(req.body)
-            });
+    // In cookie session mode the token is moved from the response body into an httpOnly cookie;
+    // in token mode it stays in the body and is copied to that cookie for page requests
+    const sessionTransform = isCookieMode() ? establishSession : attachPageCookie;
 
-            console.log('Login request processed');
-            await ErrorHandler.handleProxyResponse(response, res, 'login');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Login');
-        }
-    });
+    // Proxy login requests to backend, throttling repeated failures. Accounts with 2FA (or admins,
+    // when the policy requires it) get a challenge instead of the token; see routes/twoFactor.js.
+    app.post('/api/auth/login', throttleLogin, proxy({
+        path: '/api/auth/login',
+        operation: 'login',
+        transformResponse: twoFactorGate(sessionTransform),
+        // A successful answer the gate cannot read must not reach the client with its token
+        requireJson: true
+    }));
 
     // Proxy register requests to backend
-    app.post('/api/auth/register', async (req, res) => {
-        try {
-            console.log('Proxying registration request to backend:', `${BACKEND_URL}/api/auth/register`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/auth/register`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(req.body)
-            });
+    app.post('/api/auth/register', proxy({
+        path: '/api/auth/register',
+        operation: 'registration',
+        transformResponse: sessionTransform
+    }));
 
-            console.log('Registration request processed');
-            await ErrorHandler.handleProxyResponse(response, res, 'registration');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Register');
-        }
+    // Exchange a valid token for a fresh one so long sessions are not cut off mid-task.
+    // Backends without this endpoint answer 404, and the browser falls back to signing in again.
+    app.post('/api/auth/refresh', proxy({
+        path: '/api/auth/refresh',
+        operation: 'token refresh',
+        transformResponse: sessionTransform
+    }));
+
+    // End the session: clears the token cookie (and the CSRF cookie in cookie session mode)
+    app.post('/api/auth/logout', (req, res) => {
+        clearSession(req, res);
+        res.status(204).send();
     });
 
     // User verification endpoint
-    app.get('/api/auth/me', async (req, res) => {
-        try {
-            console.log('Checking user access with backend:', `${BACKEND_URL}/api/auth/me`);
-
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/auth/me`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            // Forward the exact response status from backend
-            if (response.ok) {
-                const data = await response.json();
-                res.status(200).json(data);
-            } else {
-                const data = await response.json().catch(() => ({}));
-                res.status(response.status).json(data);
-            }
-        } catch (error) {
-            console.error('User verification proxy error:', error);
+    app.get('/api/auth/me', proxy({
+        path: '/api/auth/me',
+        operation: 'user verification',
+        onError: (error, req, res) => {
+            req.log.error('User verification proxy error', { error });
             // If backend is offline or unreachable, deny access
             res.status(503).json({ 
                 message: 'Server is currently offline. Cannot verify user access.',
                 serverOffline: true
             });
         }
-    });
+    }));
 }
 
 module.exports = setupAuthRoutes;
@@ -0,0 +1,42 @@
+/**
+ * API Docs Routes
+ * Serves the OpenAPI document and the interactive explorer
+ */
+
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiDocument } = require('../docs/openapi');
+
+// Files of the swagger-ui-dist package the explorer page loads
+const SWAGGER_UI_FILES = ['swagger-ui.css', 'swagger-ui-bundle.js'];
+
+/**
+ * Setup API docs routes
+ * @param {Object} app - Express app instance
+ */
+function setupDocsRoutes(app) {
+    let openApiDocument = null;
+
+    // Interactive explorer
+    app.get('/api/docs', (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/api-docs.html'));
+    });
+
+    // Swagger UI is served from the installed package, so the page runs no third-party script
+    app.get('/api/docs/assets/:file', (req, res, next) => {
+        if (!SWAGGER_UI_FILES.includes(req.params.file)) {
+            return next();
+        }
+        res.sendFile(path.join(swaggerUiDist.getAbsoluteFSPath(), req.params.file), { maxAge: '1d' });
+    });
+
+    // Built on first request, once every route has been registered
+    app.get('/api/docs/openapi.json', (req, res) => {
+        if (!openApiDocument) {
+            openApiDocument = buildOpenApiDocument(app);
+        }
+        res.json(openApiDocument);
+    });
+}
+
+module.exports = setupDocsRoutes;
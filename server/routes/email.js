@@ -0,0 +1,41 @@
+/**
+ * Email Routes
+ * Admin previews of the notification email templates
+ */
+
+const { requireAdmin } = require('../middleware/adminAuth');
+const mailer = require('../email/mailer');
+const { TEMPLATES } = require('../email/templates');
+
+/**
+ * Setup email routes
+ * @param {Object} app - Express app instance
+ */
+function setupEmailRoutes(app) {
+    const adminOnly = requireAdmin({ redirect: false });
+
+    // Available templates and the transport emails currently go through
+    app.get('/api/email/templates', adminOnly, (req, res) => {
+        res.json({
+            transport: mailer.transport.name,
+            from: mailer.options.from,
+            templates: Object.entries(TEMPLATES).map(([name, template]) => ({
+                name,
+                description: template.description
+            }))
+        });
+    });
+
+    // Render a template with sample data
+    app.get('/api/email/templates/:name/preview', adminOnly, (req, res) => {
+        const template = TEMPLATES[req.params.name];
+        if (!template) {
+            return res.status(404).json({ message: 'Email template not found' });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ name: req.params.name, ...mailer.render(req.params.name, template.sample) });
+    });
+}
+
+module.exports = setupEmailRoutes;
@@ -0,0 +1,54 @@
+/**
+ * Event Routes
+ * Server-Sent Events streams pushed to the browser
+ */
+
+const metrics = require('../utils/metrics');
+const orderEvents = require('../events/orderEvents');
+const { fetchCurrentUser, isAdminUser } = require('../middleware/adminAuth');
+const { getRequestToken, isTokenExpired } = require('../utils/jwt');
+
+/**
+ * Setup event routes
+ * @param {Object} app - Express app instance
+ */
+function setupEventRoutes(app) {
+    metrics.gauge('order_event_subscribers', 'Browsers connected to the order event stream',
+        () => orderEvents.clients.size);
+
+    // Order created and status changed events; EventSource sends the jwtToken cookie
+    app.get('/api/events/orders', async (req, res) => {
+        const token = getRequestToken(req);
+        if (!token || isTokenExpired(token)) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        let userData;
+        try {
+            userData = await fetchCurrentUser(token, req.id);
+        } catch (error) {
+            req.log.error('Order event stream verification error', { error });
+            return res.status(503).json({
+                message: 'Server is currently offline. Cannot verify user access.',
+                serverOffline: true
+            });
+        }
+        if (!userData) {
+            return res.status(401).json({ message: 'Authentication required' });
+        }
+
+        if (!orderEvents.hasCapacity()) {
+            req.log.warn('Order event stream refused, subscriber limit reached');
+            res.set('Retry-After', '30');
+            return res.status(503).json({ message: 'Too many live connections. Try again later.' });
+        }
+
+        orderEvents.subscribe(req, res, {
+            username: userData.username,
+            admin: isAdminUser(userData),
+            token
+        });
+    });
+}
+
+module.exports = setupEventRoutes;
@@ -0,0 +1,93 @@
+/**
+ * Health Routes
+ * Liveness, readiness and Prometheus metrics for container orchestration
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const metrics = require('../utils/metrics');
+const { backendBreaker, probeBackend, STATES } = require('../middleware/circuitBreaker');
+const { isDraining } = require('../middleware/drain');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+const adminOnly = requireAdmin({ redirect: false });
+
+/**
+ * Check if a request carries the configured METRICS_TOKEN
+ * @param {Object} req - Express request object
+ * @returns {boolean} True when METRICS_TOKEN is set and sent as the bearer token
+ */
+function hasMetricsToken(req) {
+    if (!config.metrics.token) return false;
+
+    const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+    const provided = Buffer.from(String(req.headers.authorization || ''));
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Middleware that lets scrapers with METRICS_TOKEN and signed-in admins read the metrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireMetricsAccess(req, res, next) {
+    if (hasMetricsToken(req)) {
+        return next();
+    }
+    adminOnly(req, res, next);
+}
+
+/**
+ * Setup health routes
+ * @param {Object} app - Express app instance
+ */
+function setupHealthRoutes(app) {
+    metrics.gauge('backend_circuit_open', 'Whether backend calls currently fail fast (1) or not (0)',
+        () => backendBreaker.state === STATES.OPEN ? 1 : 0);
+    metrics.gauge('process_uptime_seconds', 'Time since the server process started',
+        () => process.uptime());
+    metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process',
+        () => process.memoryUsage().rss);
+
+    // Liveness: the process is up and serving requests
+    app.get('/healthz', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // Readiness: the backend (or mock backend) can be reached and the server is not shutting down
+    app.get('/readyz', async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        if (isDraining()) {
+            return res.status(503).json({ status: 'shutting_down' });
+        }
+
+        if (!backendBreaker.allowRequest()) {
+            return res.status(503).json({
+                status: 'unavailable',
+                backend: { reachable: false, error: backendBreaker.getStatus().lastError }
+            });
+        }
+
+        try {
+            await probeBackend();
+            res.json({ status: 'ready', backend: { reachable: true, url: config.backendUrl } });
+        } catch (error) {
+            req.log.warn('Readiness check failed', { error });
+            res.status(503).json({
+                status: 'unavailable',
+                backend: { reachable: false, error: error.message }
+            });
+        }
+    });
+
+    // Prometheus scrape endpoint; route and backend details are not for the public
+    app.get('/metrics', requireMetricsAccess, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+    });
+}
+
+module.exports = setupHealthRoutes;
@@ -3,158 +3,229 @@
  * Handles order-related API operations
  */
 
-const ErrorHandler = require('../middleware/errorHandler');
-
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+const config = require('../config');
+const proxy = require('../middleware/proxy');
+const validateBody = require('../middleware/validateBody');
+const auditTrail = require('../middleware/auditTrail');
+const idempotency = require('../middleware/idempotency');
+const { listQuery, listBackendQuery, listTransform } = require('../middleware/listQuery');
+const orderEvents = require('../events/orderEvents');
+const webhooks = require('../webhooks/dispatcher');
+const { notifyOrder } = require('../email/notifications');
+const { isAdminUser } = require('../middleware/adminAuth');
+const { getRequestToken, decodeJwt } = require('../utils/jwt');
+
+const { EVENT_TYPES } = orderEvents;
+const { backendFetch, fetchBackendJson } = proxy;
+
+const STOCK_CHANGED = 'product.stock_changed';
 
 /**
- * Setup order routes
- * @param {Object} app - Express app instance
+ * Read current stock levels from the backend's public product list
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object[]>} Products, or an empty list if they could not be read
  */
-function setupOrderRoutes(app) {
-    // Get all orders
-    app.get('/api/orders', async (req, res) => {
-        try {
-            console.log('Proxying get all orders request to backend:', `${BACKEND_URL}/api/orders`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
+async function readStockLevels(req) {
+    try {
+        const response = await backendFetch(`${config.backendUrl}/api/products/public`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json', 'X-Request-Id': req.id },
+            signal: AbortSignal.timeout(config.proxy.timeoutMs)
+        });
+        const products = response.ok ? await response.json() : [];
+        return Array.isArray(products) ? products : [];
+    } catch (error) {
+        req.log.warn('Could not read stock levels for product.stock_changed', { error });
+        return [];
+    }
+}
 
-            await ErrorHandler.handleProxyResponse(response, res, 'get orders');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get orders');
-        }
+/**
+ * Dispatch product.stock_changed for each product in an order
+ *
+ * Products that cannot be found in the public list are still announced,
+ * with availableQuantity null.
+ * @param {Object} req - Express request object
+ * @param {Object} order - Order with its orderProducts lines
+ * @param {number} direction - -1 when the order reserved stock, 1 when deleting it returned the stock
+ */
+async function announceStockChanges(req, order, direction) {
+    const lines = order && Array.isArray(order.orderProducts) ? order.orderProducts : [];
+    if (lines.length === 0 || !webhooks.hasSubscribers(STOCK_CHANGED)) return;
+
+    const changes = new Map();
+    lines.forEach(line => {
+        const id = line.productId ?? (line.product && line.product.id);
+        if (id === undefined || id === null) return;
+
+        const change = changes.get(String(id))
+            || { id, name: line.productName || (line.product && line.product.name) || null, quantityChange: 0 };
+        change.quantityChange += direction * (Number(line.productQuantity) || 0);
+        changes.set(String(id), change);
     });
-
-    // Get orders for current user
-    app.get('/api/orders/me', async (req, res) => {
-        try {
-            console.log('Proxying get orders for current user request to backend:', `${BACKEND_URL}/api/orders/me`);
-
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders/me`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get orders for current user');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get orders for current user');
-        }
+    if (changes.size === 0) return;
+
+    const products = await readStockLevels(req);
+    const orderId = order.uuid || order.id || null;
+    changes.forEach((change, key) => {
+        const product = products.find(item => String(item.id) === key);
+        webhooks.dispatch(STOCK_CHANGED, {
+            id: change.id,
+            name: product ? product.name : change.name,
+            availableQuantity: product && product.availableQuantity !== undefined ? product.availableQuantity : null,
+            quantityChange: change.quantityChange,
+            orderId
+        });
     });
+}
 
-    // Get order by UUID
-    app.get('/api/orders/:uuid', async (req, res) => {
-        try {
-            console.log('Proxying get order by UUID request to backend:', `${BACKEND_URL}/api/orders/${req.params.uuid}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders/${req.params.uuid}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
+/**
+ * Create a proxy transformResponse that announces the returned order
+ * to live pages, webhook endpoints and the customer's inbox
+ * @param {string} type - One of EVENT_TYPES
+ * @returns {Function} transformResponse(data, req) passing the body through unchanged
+ */
+function announceOrder(type) {
+    return (data, req) => {
+        const event = orderEvents.publish(type, data, 'proxy');
+        webhooks.dispatch(type, data);
+        notifyOrder(type, data, event ? event.data.previousStatus : null);
+        if (type === EVENT_TYPES.CREATED) {
+            announceStockChanges(req, data, -1).catch(error => {
+                req.log.error('Could not announce stock changes', { error });
             });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get order by UUID');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get order by UUID');
         }
-    });
+        return data;
+    };
+}
 
-    // Create new order (admin and user)
-    app.post('/api/orders', async (req, res) => {
-        try {
-            console.log('Proxying create order request to backend:', `${BACKEND_URL}/api/orders`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
+/**
+ * Announce the stock a deleted order returns
+ *
+ * Deletes answer 204 without a body, so the order is read before it is
+ * proxied, and only when an endpoint wants product.stock_changed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function announceOrderDeleted(req, res, next) {
+    if (!webhooks.hasSubscribers(STOCK_CHANGED)) {
+        return next();
+    }
+
+    let order = null;
+    try {
+        const backend = await fetchBackendJson(req, res, `/api/orders/${encodeURIComponent(req.params.uuid)}`);
+        order = backend.ok ? backend.data : null;
+    } catch (error) {
+        // The delete is still proxied; only the stock announcement is lost
+        req.log.debug('Could not read the order before deleting it', { error });
+    }
+
+    res.on('finish', () => {
+        if (order && res.statusCode >= 200 && res.statusCode < 300) {
+            announceStockChanges(req, order, 1).catch(error => {
+                req.log.error('Could not announce stock changes', { error });
             });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'create order');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Create order');
         }
     });
+    next();
+}
 
-    // Create new order for specific user (admin only)
-    app.post('/api/orders/admin/:username', async (req, res) => {
-        try {
-            const username = req.params.username;
-            console.log('Proxying create admin order request to backend:', `${BACKEND_URL}/api/orders/admin/${username}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders/admin/${username}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
+/**
+ * Check whether an order is being placed by an admin, so only admin orders are audited
+ *
+ * Customers place orders through the same route. The role claim of the
+ * caller's token decides; it is only decoded, not verified, because the
+ * backend checks the same token for the order itself. Tokens without a role
+ * claim are audited anyway rather than risk a gap.
+ * @param {Object} req - Express request object
+ * @returns {boolean} False only for callers known not to be admins
+ */
+function placedByAdmin(req) {
+    const token = getRequestToken(req);
+    if (!token) return false;
 
-            await ErrorHandler.handleProxyResponse(response, res, 'create admin order');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Create admin order');
-        }
-    });
+    const payload = decodeJwt(token);
+    return !payload || !payload.role || isAdminUser(payload);
+}
 
-    // Update order status (admin only)
-    app.put('/api/orders/:uuid/status', async (req, res) => {
-        try {
-            console.log('Proxying update order status request to backend:', `${BACKEND_URL}/api/orders/${req.params.uuid}/status`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders/${req.params.uuid}/status`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
+/**
+ * Setup order routes
+ * @param {Object} app - Express app instance
+ */
+function setupOrderRoutes(app) {
+    // Get all orders; paged, sorted and filtered when list parameters are given
+    app.get('/api/orders', listQuery('orders'), proxy({
+        path: '/api/orders',
+        operation: 'get orders',
+        query: listBackendQuery,
+        transformResponse: listTransform('orders'),
+        emptyList: true
+    }));
 
-            await ErrorHandler.handleProxyResponse(response, res, 'update order status');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Update order status');
-        }
-    });
+    // Get orders for current user
+    app.get('/api/orders/me', proxy({
+        path: '/api/orders/me',
+        operation: 'get orders for current user',
+        emptyList: true
+    }));
 
-    // Delete order (admin only)
-    app.delete('/api/orders/:uuid', async (req, res) => {
-        try {
-            console.log('Proxying delete order request to backend:', `${BACKEND_URL}/api/orders/${req.params.uuid}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/orders/${req.params.uuid}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
+    // Get order by UUID
+    app.get('/api/orders/:uuid', proxy({
+        path: req => `/api/orders/${encodeURIComponent(req.params.uuid)}`,
+        operation: 'get order by UUID'
+    }));
+
+    // Create new order (admin and user); reserving stock changes the product listings.
+    // Retries with the same Idempotency-Key get the first response instead of a second order.
+    app.post('/api/orders', validateBody('createOrder'), idempotency(), auditTrail({
+        entity: 'order',
+        action: 'create',
+        targetId: (req, order) => order && (order.id || order.uuid),
+        when: placedByAdmin
+    }), proxy({
+        path: '/api/orders',
+        operation: 'create order',
+        transformResponse: announceOrder(EVENT_TYPES.CREATED),
+        invalidates: ['products']
+    }));
 
-            await ErrorHandler.handleProxyResponse(response, res, 'delete order');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Delete order');
-        }
-    });
+    // Create new order for specific user (admin only)
+    app.post('/api/orders/admin/:username', validateBody('createOrder'), idempotency(), auditTrail({
+        entity: 'order',
+        action: 'create',
+        targetId: (req, order) => order && (order.id || order.uuid)
+    }), proxy({
+        path: req => `/api/orders/admin/${encodeURIComponent(req.params.username)}`,
+        operation: 'create admin order',
+        transformResponse: announceOrder(EVENT_TYPES.CREATED),
+        invalidates: ['products']
+    }));
+
+    // Update order status (admin only)
+    app.put('/api/orders/:uuid/status', validateBody('updateOrderStatus'), auditTrail({
+        entity: 'order',
+        action: 'status_change',
+        before: req => `/api/orders/${encodeURIComponent(req.params.uuid)}`,
+        targetId: req => req.params.uuid
+    }), proxy({
+        path: req => `/api/orders/${encodeURIComponent(req.params.uuid)}/status`,
+        operation: 'update order status',
+        transformResponse: announceOrder(EVENT_TYPES.STATUS_CHANGED)
+    }));
+
+    // Delete order (admin only); the backend returns its stock, which changes the product listings
+    app.delete('/api/orders/:uuid', announceOrderDeleted, auditTrail({
+        entity: 'order',
+        action: 'delete',
+        before: req => `/api/orders/${encodeURIComponent(req.params.uuid)}`,
+        targetId: req => req.params.uuid
+    }), proxy({
+        path: req => `/api/orders/${encodeURIComponent(req.params.uuid)}`,
+        operation: 'delete order',
+        invalidates: ['products']
+    }));
 }
 
 module.exports = setupOrderRoutes;
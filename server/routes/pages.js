@@ -4,12 +4,15 @@
  */
 
 const path = require('path');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 /**
  * Setup page routes
  * @param {Object} app - Express app instance
  */
 function setupPageRoutes(app) {
+    const adminOnly = requireAdmin();
+
     // Route for main page (landing)
     app.get('/', (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/index.html'));
@@ -25,31 +28,67 @@ function setupPageRoutes(app) {
         res.sendFile(path.join(__dirname, '../../src/pages/register.html'));
     });
 
+    // Routes for the password reset pages
+    app.get('/forgot-password', (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/forgot-password.html'));
+    });
+
+    app.get('/reset-password', (req, res) => {
+        // The token in the query string must not leak to other sites through the Referer header
+        res.set('Referrer-Policy', 'no-referrer');
+        res.sendFile(path.join(__dirname, '../../src/pages/reset-password.html'));
+    });
+
+    // Route for access denied page
+    app.get('/access-denied', (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/access-denied.html'));
+    });
+
     // Route for app page
     app.get('/app', (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/app.html'));
     });
 
+    // Route for profile page (account details and two-factor authentication)
+    app.get('/profile', (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/profile.html'));
+    });
+
     // Route for user management page (admin only)
-    app.get('/admin/users', (req, res) => {
+    app.get('/admin/users', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/user-management.html'));
     });
 
     // Route for product management page (admin only)
-    app.get('/admin/products', (req, res) => {
+    app.get('/admin/products', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/product-management.html'));
     });
 
     // Route for order management page (admin only)
-    app.get('/admin/orders', (req, res) => {
+    app.get('/admin/orders', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/order-management.html'));
     });
 
     // Route for order reports page (admin only)
-    app.get('/admin/reports', (req, res) => {
+    app.get('/admin/reports', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/order-reports.html'));
     });
 
+    // Route for webhook management page (admin only)
+    app.get('/admin/webhooks', adminOnly, (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/webhooks.html'));
+    });
+
+    // Route for email template previews (admin only)
+    app.get('/admin/email-templates', adminOnly, (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/email-templates.html'));
+    });
+
+    // Route for the audit log viewer (admin only)
+    app.get('/admin/audit', adminOnly, (req, res) => {
+        res.sendFile(path.join(__dirname, '../../src/pages/audit.html'));
+    });
+
     // Route for create order page (customer)
     app.get('/create-order', (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/create-order.html'));
@@ -65,16 +104,16 @@ function setupPageRoutes(app) {
         res.sendFile(path.join(__dirname, '../../src/pages/create-order.html'));
     });
 
-    // Alternative route names for convenience
-    app.get('/order-management', (req, res) => {
+    // Alternative route names for convenience (admin only)
+    app.get('/order-management', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/order-management.html'));
     });
 
-    app.get('/order-reports', (req, res) => {
+    app.get('/order-reports', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/order-reports.html'));
     });
 
-    app.get('/reports', (req, res) => {
+    app.get('/reports', adminOnly, (req, res) => {
         res.sendFile(path.join(__dirname, '../../src/pages/order-reports.html'));
     });
 
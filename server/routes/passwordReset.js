@@ -0,0 +1,132 @@
+/**
+ * Password Reset Routes
+ * "Forgot password" requests and setting a new password from an emailed link
+ *
+ * Answers never say whether an account exists: every accepted request gets
+ * the same 202, and the lookup and email happen after the response is sent
+ * so its timing gives nothing away either.
+ */
+
+const config = require('../config');
+const validateBody = require('../middleware/validateBody');
+const ErrorHandler = require('../middleware/errorHandler');
+const { rateLimit, RateLimiter } = require('../middleware/rateLimit');
+const { loginThrottle } = require('../middleware/loginThrottle');
+const auditLog = require('../audit/auditLog');
+const resetTokens = require('../passwordReset/tokenStore');
+const serviceAccount = require('../passwordReset/serviceAccount');
+const { notifyPasswordReset } = require('../email/notifications');
+
+const REQUEST_ACCEPTED_MESSAGE = 'If an account matches, we have sent an email with a link to reset the password.';
+const INVALID_LINK_MESSAGE = 'This password reset link is invalid or has expired. Please request a new one.';
+
+/**
+ * Answer 503 when no service account is configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireServiceAccount(req, res, next) {
+    if (serviceAccount.isConfigured()) {
+        return next();
+    }
+    res.status(503).json({ message: 'Password reset is not available. Please contact an administrator.' });
+}
+
+/**
+ * Setup password reset routes
+ * @param {Object} app - Express app instance
+ */
+function setupPasswordResetRoutes(app) {
+    const { maxRequestsPerIp, maxEmailsPerAccount, maxAttemptsPerIp, windowMs } = config.passwordReset;
+    // Emails per account are capped silently, so the answer stays the same whether or not the account exists
+    const accountEmails = new RateLimiter({ max: maxEmailsPerAccount, windowMs });
+
+    /**
+     * Look the account up and email it a reset link
+     * @param {Object} req - Express request object
+     * @param {string} identifier - Username or email address
+     */
+    async function sendResetLink(req, identifier) {
+        if (accountEmails.hit(identifier.toLowerCase()) > 0) {
+            req.log.warn('Password reset email limit reached', { identifier });
+            return;
+        }
+
+        const user = await serviceAccount.findUser(identifier, req.id);
+        if (!user) {
+            req.log.info('Password reset requested for an unknown account', { identifier });
+            return;
+        }
+
+        const { token, expiresAt } = resetTokens.issue(user);
+        req.log.info('Password reset link issued', { username: user.username });
+        await notifyPasswordReset(user, token, expiresAt);
+    }
+
+    // Ask for a reset link by username or email address
+    app.post('/api/auth/forgot-password',
+        rateLimit({ max: maxRequestsPerIp, windowMs, operation: 'Password reset request' }),
+        validateBody('forgotPassword'),
+        requireServiceAccount,
+        (req, res) => {
+            res.status(202).json({ message: REQUEST_ACCEPTED_MESSAGE });
+
+            sendResetLink(req, req.body.identifier.trim()).catch(error => {
+                req.log.error('Password reset request failed', { error });
+            });
+        });
+
+    // Set a new password with a token from the email; each token works once
+    app.post('/api/auth/reset-password',
+        rateLimit({ max: maxAttemptsPerIp, windowMs, operation: 'Password reset' }),
+        validateBody('resetPassword'),
+        requireServiceAccount,
+        async (req, res) => {
+            const entry = resetTokens.consume(req.body.token);
+            if (!entry) {
+                req.log.info('Password reset with an invalid or expired token');
+                return res.status(400).json({ message: INVALID_LINK_MESSAGE, invalidToken: true });
+            }
+
+            try {
+                const result = await serviceAccount.setPassword(entry.userId, req.body.password, req.id);
+                if (result.status === 404) {
+                    return res.status(400).json({ message: INVALID_LINK_MESSAGE, invalidToken: true });
+                }
+                if (!result.ok) {
+                    // The password was not changed, so the link may be used again
+                    resetTokens.reinstate(entry);
+                    req.log.warn('Backend refused the new password', { username: entry.username, backendStatus: result.status });
+                    return result.status === 400
+                        ? res.status(400).json({ message: (result.data && result.data.message) || 'The new password was not accepted.' })
+                        : res.status(503).json({ message: 'Your password could not be changed right now. Please try again later.' });
+                }
+            } catch (error) {
+                resetTokens.reinstate(entry);
+                return ErrorHandler.handleProxyError(error, res, 'Password reset');
+            }
+
+            // The service account changed the password, so the owner is recorded as the actor
+            auditLog.record({
+                actor: entry.username,
+                action: 'update',
+                entity: 'user',
+                entityId: String(entry.userId),
+                before: null,
+                after: null,
+                changes: { password: { from: '[redacted]', to: '[redacted]' } },
+                requestId: req.id,
+                method: req.method,
+                path: req.originalUrl,
+                ip: req.ip
+            });
+
+            // Earlier failed logins should not keep the owner out now that they chose a new password
+            loginThrottle.recordSuccess(entry.username);
+            req.log.info('Password reset completed', { username: entry.username });
+            res.json({ message: 'Your password has been changed. You can now sign in.' });
+        });
+}
+
+module.exports = setupPasswordResetRoutes;
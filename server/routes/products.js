@@ -3,191 +3,132 @@
  * Handles product-related API operations
  */
 
-const ErrorHandler = require('../middleware/errorHandler');
+const crypto = require('crypto');
+const config = require('../config');
+const proxy = require('../middleware/proxy');
+const validateBody = require('../middleware/validateBody');
+const auditTrail = require('../middleware/auditTrail');
+const { listQuery, listBackendQuery, listTransform } = require('../middleware/listQuery');
+const metrics = require('../utils/metrics');
+const seed = require('../mock/seed');
+const { getRequestToken } = require('../utils/jwt');
+const webhooks = require('../webhooks/dispatcher');
+
+// Cache tag shared by every product listing; product and order mutations drop it
+const CATALOG_TAG = 'products';
 
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+/**
+ * Cache key for the admin product list, scoped to the caller's token
+ * so one user's response is never served to another
+ * @param {Object} req - Express request object
+ * @returns {string|null} Cache key, or null for anonymous requests
+ */
+function adminCatalogKey(req) {
+    const token = getRequestToken(req);
+    if (!token) return null;
+
+    const scope = crypto.createHash('sha256').update(token).digest('hex');
+    return `products:admin:${scope}:${req.originalUrl}`;
+}
+
+/**
+ * Dispatch product.deleted once a delete succeeded
+ *
+ * Deletes answer 204 without a body, so there is no response to pass through
+ * a transformResponse.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function announceProductDeleted(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            webhooks.dispatch('product.deleted', { id: Number(req.params.id) || req.params.id });
+        }
+    });
+    next();
+}
 
 /**
  * Setup product routes
  * @param {Object} app - Express app instance
  */
 function setupProductRoutes(app) {
-    // Get all products (admin only)
-    app.get('/api/products', async (req, res) => {
-        try {
-            console.log('Proxying get all products (admin) request to backend:', `${BACKEND_URL}/api/products`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get products (admin)');
-        } catch (error) {
-            console.error('Backend products API failed:', error.message);
-            ErrorHandler.handleProxyError(error, res, 'Get products (admin)');
-        }
-    });
+    // Get all products (admin only); paged, sorted and filtered when list parameters are given
+    app.get('/api/products', listQuery('products'), proxy({
+        path: '/api/products',
+        operation: 'get products (admin)',
+        query: listBackendQuery,
+        transformResponse: listTransform('products'),
+        cache: { key: adminCatalogKey, tag: CATALOG_TAG, ttlMs: config.cache.catalogTtlMs },
+        emptyList: true
+    }));
 
     // Get all products for public view (users and admin)
-    app.get('/api/products/public', async (req, res) => {
-        try {
-            console.log('Proxying get all products (public) request to backend:', `${BACKEND_URL}/api/products/public`);
+    app.get('/api/products/public', proxy({
+        path: '/api/products/public',
+        operation: 'get products (public)',
+        cache: {
+            key: req => `products:public:${req.originalUrl}`,
+            tag: CATALOG_TAG,
+            ttlMs: config.cache.catalogTtlMs
+        },
+        emptyList: true,
+        onError: (error, req, res) => {
+            req.log.warn('Backend products public API failed, serving fallback data', { error });
+            metrics.fallbacksServed.inc({ route: req.route.path });
             
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products/public`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get products (public)');
-        } catch (error) {
-            console.error('Backend products public API failed, serving fallback data:', error.message);
-            
-            // Serve fallback mock data when backend is unavailable
-            const mockProducts = [
-                {
-                    id: 1,
-                    name: "Sample Product 1",
-                    description: "This is a sample product for demonstration",
-                    price: 29.99,
-                    category: "Electronics",
-                    stock: 50
-                },
-                {
-                    id: 2,
-                    name: "Sample Product 2", 
-                    description: "Another sample product",
-                    price: 19.99,
-                    category: "Accessories",
-                    stock: 25
-                },
-                {
-                    id: 3,
-                    name: "Sample Product 3",
-                    description: "Third sample product",
-                    price: 49.99,
-                    category: "Electronics", 
-                    stock: 0
-                }
-            ];
-            
-            res.json(mockProducts);
+            // Serve the mock backend's seed catalog when backend is unavailable
+            res.json(seed.products.map(({ actualPrice, ...product }) => product));
         }
-    });
+    }));
 
     // Get product by ID (admin only)
-    app.get('/api/products/:id', async (req, res) => {
-        try {
-            const productId = req.params.id;
-            console.log('Proxying get product by ID request to backend:', `${BACKEND_URL}/api/products/${productId}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products/${productId}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get product by ID');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get product by ID');
-        }
-    });
+    app.get('/api/products/:id', proxy({
+        path: req => `/api/products/${encodeURIComponent(req.params.id)}`,
+        operation: 'get product by ID'
+    }));
 
     // Get product by name (admin only)
-    app.get('/api/products/name/:name', async (req, res) => {
-        try {
-            const name = req.params.name;
-            console.log('Proxying get product by name request to backend:', `${BACKEND_URL}/api/products/name/${name}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products/name/${encodeURIComponent(name)}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get product by name');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get product by name');
-        }
-    });
+    app.get('/api/products/name/:name', proxy({
+        path: req => `/api/products/name/${encodeURIComponent(req.params.name)}`,
+        operation: 'get product by name'
+    }));
 
     // Create new product (admin only)
-    app.post('/api/products', async (req, res) => {
-        try {
-            console.log('Proxying create product request to backend:', `${BACKEND_URL}/api/products`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'create product');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Create product');
-        }
-    });
+    app.post('/api/products', validateBody('createProduct'), auditTrail({
+        entity: 'product',
+        action: 'create',
+        targetId: (req, product) => product && product.id
+    }), proxy({
+        path: '/api/products',
+        operation: 'create product',
+        transformResponse: webhooks.publishes('product.created'),
+        invalidates: [CATALOG_TAG]
+    }));
 
     // Update product by ID (admin only)
-    app.put('/api/products/:id', async (req, res) => {
-        try {
-            const productId = req.params.id;
-            console.log('Proxying update product request to backend:', `${BACKEND_URL}/api/products/${productId}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products/${productId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'update product');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Update product');
-        }
-    });
+    app.put('/api/products/:id', validateBody('updateProduct'), auditTrail({
+        entity: 'product',
+        action: 'update',
+        before: req => `/api/products/${encodeURIComponent(req.params.id)}`
+    }), proxy({
+        path: req => `/api/products/${encodeURIComponent(req.params.id)}`,
+        operation: 'update product',
+        transformResponse: webhooks.publishes('product.updated'),
+        invalidates: [CATALOG_TAG]
+    }));
 
     // Delete product by ID (admin only)
-    app.delete('/api/products/:id', async (req, res) => {
-        try {
-            const productId = req.params.id;
-            console.log('Proxying delete product request to backend:', `${BACKEND_URL}/api/products/${productId}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/products/${productId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'delete product');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Delete product');
-        }
-    });
+    app.delete('/api/products/:id', announceProductDeleted, auditTrail({
+        entity: 'product',
+        action: 'delete',
+        before: req => `/api/products/${encodeURIComponent(req.params.id)}`
+    }), proxy({
+        path: req => `/api/products/${encodeURIComponent(req.params.id)}`,
+        operation: 'delete product',
+        invalidates: [CATALOG_TAG]
+    }));
 }
 
 module.exports = setupProductRoutes;
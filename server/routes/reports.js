@@ -1,11 +1,54 @@
 /**
  * Reports Routes
- * Handles proxy requests to the backend reports API
+ * Handles proxy requests to the backend reports API and server-side report aggregation
  */
 
+const config = require('../config');
+const proxy = require('../middleware/proxy');
+const { fetchBackendJson } = require('../middleware/proxy');
 const ErrorHandler = require('../middleware/errorHandler');
+const { parseReportQuery, buildReport, filterReportLines, summarizeLines } = require('../reports/aggregate');
+const { sendReportExport, EXPORT_FORMATS } = require('../reports/export');
 
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+/**
+ * Answer a 400 for invalid report query parameters
+ * @param {Object} res - Express response object
+ * @param {Array<{field: string, message: string}>} errors - Field errors
+ */
+function rejectQuery(res, errors) {
+    res.status(400).json({
+        message: errors.map(error => error.message).join('. '),
+        errors
+    });
+}
+
+/**
+ * Load all orders for a report from the backend
+ *
+ * Sends the backend's error response itself when the backend refuses, so
+ * callers only continue when orders are returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object[]|null>} Orders, or null if a response was already sent
+ */
+async function loadReportOrders(req, res) {
+    // The backend only lists all orders for admins, so it also enforces access here
+    const backend = await fetchBackendJson(req, res, '/api/orders', {
+        timeout: config.proxy.reportTimeoutMs
+    });
+    if (!backend.ok) {
+        res.status(backend.status).json(backend.data || { message: 'Failed to load orders' });
+        return null;
+    }
+    // Anything but a list (a page, an error object, HTML) would produce an empty or broken report
+    if (!Array.isArray(backend.data)) {
+        req.log.warn('Backend order list for a report is not an array', { backendStatus: backend.status });
+        res.locals.backend.outcome = 'invalid_response';
+        res.status(502).json({ message: 'The server sent an unexpected response. Please try again later.' });
+        return null;
+    }
+    return backend.data;
+}
 
 /**
  * Setup reports routes
@@ -13,37 +56,50 @@ const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
  */
 function setupReportsRoutes(app) {
     // Get filtered order reports
-    app.get('/api/reports/', async (req, res) => {
+    app.get('/api/reports/', proxy({
+        path: '/api/reports/',
+        operation: 'get reports',
+        timeout: config.proxy.reportTimeoutMs,
+        omitEmptyQuery: true,
+        emptyList: true
+    }));
+
+    // Filtered, grouped and paged report built from all orders
+    app.get('/api/reports/summary', async (req, res) => {
+        const { filters, errors } = parseReportQuery(req.query);
+        if (errors.length > 0) {
+            return rejectQuery(res, errors);
+        }
+
+        try {
+            const orders = await loadReportOrders(req, res);
+            if (orders) {
+                res.json(buildReport(orders, filters));
+            }
+        } catch (error) {
+            ErrorHandler.handleProxyError(error, res, 'report summary');
+        }
+    });
+
+    // Whole filtered report as a CSV, XLSX or PDF download
+    app.get('/api/reports/export', async (req, res) => {
+        const { filters, errors } = parseReportQuery(req.query);
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+            errors.push({ field: 'format', message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        if (errors.length > 0) {
+            return rejectQuery(res, errors);
+        }
+
         try {
-            console.log('Proxying order reports request to backend:', `${BACKEND_URL}/api/reports/`);
-            console.log('Query parameters:', req.query);
-            
-            // Build query string from request parameters
-            const queryParams = new URLSearchParams();
-            Object.keys(req.query).forEach(key => {
-                if (req.query[key]) {
-                    queryParams.append(key, req.query[key]);
-                }
-            });
-            
-            const queryString = queryParams.toString();
-            const url = `${BACKEND_URL}/api/reports/${queryString ? '?' + queryString : ''}`;
-            
-            console.log('Full backend URL:', url);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get reports');
+            const orders = await loadReportOrders(req, res);
+            if (orders) {
+                const lines = filterReportLines(orders, filters);
+                await sendReportExport(res, format, { filters, lines, summary: summarizeLines(lines) });
+            }
         } catch (error) {
-            console.error('Error proxying reports request:', error);
-            ErrorHandler.handleProxyError(error, res, 'Get reports');
+            ErrorHandler.handleProxyError(error, res, 'report export');
         }
     });
 }
@@ -0,0 +1,28 @@
+/**
+ * Status Routes
+ * Reports backend availability so pages can show a site-wide offline banner
+ */
+
+const config = require('../config');
+const { backendBreaker } = require('../middleware/circuitBreaker');
+
+/**
+ * Setup status routes
+ * @param {Object} app - Express app instance
+ */
+function setupStatusRoutes(app) {
+    // Backend availability as seen by the circuit breaker
+    app.get('/api/status', (req, res) => {
+        const circuit = backendBreaker.getStatus();
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            backendOnline: backendBreaker.allowRequest(),
+            circuit,
+            mockBackend: config.mock.enabled,
+            timestamp: new Date().toISOString()
+        });
+    });
+}
+
+module.exports = setupStatusRoutes;
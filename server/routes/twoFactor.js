@@ -0,0 +1,207 @@
+/**
+ * Two-Factor Routes
+ * The second login step, TOTP enrollment and the admin 2FA policy
+ *
+ * Logins for accounts with 2FA stop at a challenge (see twoFactor/loginGate.js).
+ * /api/auth/login/verify answers it with an authenticator or recovery code and
+ * only then hands out the token. Admins who must enroll because of the policy
+ * do so during that step through /api/auth/login/enroll.
+ */
+
+const config = require('../config');
+const validateBody = require('../middleware/validateBody');
+const { rateLimit } = require('../middleware/rateLimit');
+const { loginThrottle, rejectThrottled } = require('../middleware/loginThrottle');
+const { isCookieMode, establishSession, attachPageCookie } = require('../middleware/session');
+const { requireAdmin, fetchCurrentUser, isAdminUser } = require('../middleware/adminAuth');
+const { getRequestToken, isTokenExpired } = require('../utils/jwt');
+const twoFactorStore = require('../twoFactor/store');
+const loginChallenges = require('../twoFactor/challenges');
+
+const CHALLENGE_EXPIRED_MESSAGE = 'This sign-in has expired. Please enter your username and password again.';
+
+/**
+ * Let signed-in users through and set req.user from the backend
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+async function requireSignedIn(req, res, next) {
+    const token = getRequestToken(req);
+    if (!token || isTokenExpired(token)) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    try {
+        req.user = await fetchCurrentUser(token, req.id);
+    } catch (error) {
+        req.log.error('Two-factor settings verification error', { error });
+        return res.status(503).json({
+            message: 'Server is currently offline. Cannot verify user access.',
+            serverOffline: true
+        });
+    }
+    if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+    res.set('Cache-Control', 'no-store');
+    next();
+}
+
+/**
+ * Check whether the policy keeps a user from turning 2FA off
+ * @param {Object} user - User data from the backend
+ * @returns {boolean} True for admins while 2FA is required for them
+ */
+function isRequiredFor(user) {
+    return twoFactorStore.policy.requireForAdmins && isAdminUser(user);
+}
+
+/**
+ * Describe a user's 2FA state for the profile page
+ * @param {Object} user - User data from the backend
+ * @returns {Object} Status and whether it may be turned off
+ */
+function statusFor(user) {
+    return { ...twoFactorStore.status(user.username), required: isRequiredFor(user) };
+}
+
+/**
+ * Setup two-factor routes
+ * @param {Object} app - Express app instance
+ */
+function setupTwoFactorRoutes(app) {
+    const { maxRequestsPerIp, windowMs } = config.twoFactor;
+    const limitCodes = rateLimit({ max: maxRequestsPerIp, windowMs, operation: 'Two-factor code check' });
+    const releaseSession = isCookieMode() ? establishSession : attachPageCookie;
+
+    // Second login step: hands out the held token for a valid authenticator or recovery code
+    app.post('/api/auth/login/verify', limitCodes, validateBody('twoFactorLogin'), (req, res) => {
+        const { challenge: id, code } = req.body;
+        const challenge = loginChallenges.get(id);
+        if (!challenge) {
+            return res.status(400).json({ message: CHALLENGE_EXPIRED_MESSAGE, challengeExpired: true });
+        }
+
+        // Wrong codes count against the account like wrong passwords, across challenges and IPs
+        const block = loginThrottle.check(req.ip, challenge.username);
+        if (block) {
+            if (block.lockedOut) loginChallenges.complete(id);
+            return rejectThrottled(req, res, block, challenge.username);
+        }
+
+        let recoveryCodes = null;
+        let method = 'totp';
+        if (challenge.setupRequired) {
+            recoveryCodes = twoFactorStore.confirmEnrollment(challenge.username, code);
+        } else {
+            method = twoFactorStore.verify(challenge.username, code);
+        }
+
+        if (challenge.setupRequired ? !recoveryCodes : !method) {
+            const attemptsLeft = loginChallenges.fail(id);
+            loginThrottle.recordFailure(req.ip, challenge.username);
+            req.log.warn('Wrong two-factor code at login', { username: challenge.username, attemptsLeft });
+
+            const lockout = loginThrottle.check(req.ip, challenge.username);
+            if (lockout && lockout.lockedOut) {
+                loginChallenges.complete(id);
+                return rejectThrottled(req, res, lockout, challenge.username);
+            }
+            return attemptsLeft > 0
+                ? res.status(401).json({ message: 'The code is not valid. Please try again.', attemptsLeft })
+                : res.status(400).json({ message: CHALLENGE_EXPIRED_MESSAGE, challengeExpired: true });
+        }
+
+        loginChallenges.complete(id);
+        loginThrottle.recordSuccess(challenge.username);
+        req.log.info('Two-factor login completed', { username: challenge.username, method, enrolled: !!recoveryCodes });
+
+        const body = releaseSession(challenge.data, req, res);
+        res.json(recoveryCodes ? { ...body, recoveryCodes } : body);
+    });
+
+    // Start enrollment for an admin who must set up 2FA before the login can finish
+    app.post('/api/auth/login/enroll', limitCodes, validateBody('twoFactorLoginEnroll'), (req, res) => {
+        const challenge = loginChallenges.get(req.body.challenge);
+        if (!challenge || !challenge.setupRequired) {
+            return res.status(400).json({ message: CHALLENGE_EXPIRED_MESSAGE, challengeExpired: true });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json(twoFactorStore.startEnrollment(challenge.username));
+    });
+
+    // Current user's 2FA status
+    app.get('/api/auth/2fa', requireSignedIn, (req, res) => {
+        res.json(statusFor(req.user));
+    });
+
+    // Start enrollment: returns the secret and otpauth URL for the QR code
+    app.post('/api/auth/2fa/setup', requireSignedIn, (req, res) => {
+        if (twoFactorStore.isEnabled(req.user.username)) {
+            return res.status(409).json({ message: 'Two-factor authentication is already turned on.' });
+        }
+        res.json(twoFactorStore.startEnrollment(req.user.username));
+    });
+
+    // Finish enrollment with a code from the app; the recovery codes are only shown in this response
+    app.post('/api/auth/2fa/enable', limitCodes, requireSignedIn, validateBody('twoFactorCode'), (req, res) => {
+        if (twoFactorStore.isEnabled(req.user.username)) {
+            return res.status(409).json({ message: 'Two-factor authentication is already turned on.' });
+        }
+
+        const recoveryCodes = twoFactorStore.confirmEnrollment(req.user.username, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ message: 'The code is not valid, or the setup has expired. Please try again.' });
+        }
+
+        req.log.info('Two-factor authentication turned on', { username: req.user.username });
+        res.json({ ...statusFor(req.user), recoveryCodes });
+    });
+
+    // Turn 2FA off, confirmed with a current code
+    app.post('/api/auth/2fa/disable', limitCodes, requireSignedIn, validateBody('twoFactorCode'), (req, res) => {
+        if (isRequiredFor(req.user)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts.' });
+        }
+        if (!twoFactorStore.verify(req.user.username, req.body.code)) {
+            return res.status(400).json({ message: 'The code is not valid.' });
+        }
+
+        twoFactorStore.disable(req.user.username);
+        req.log.info('Two-factor authentication turned off', { username: req.user.username });
+        res.json(statusFor(req.user));
+    });
+
+    // Replace the recovery codes, confirmed with a current code
+    app.post('/api/auth/2fa/recovery-codes', limitCodes, requireSignedIn, validateBody('twoFactorCode'), (req, res) => {
+        if (!twoFactorStore.isEnabled(req.user.username)) {
+            return res.status(409).json({ message: 'Two-factor authentication is not turned on.' });
+        }
+        if (!twoFactorStore.verify(req.user.username, req.body.code)) {
+            return res.status(400).json({ message: 'The code is not valid.' });
+        }
+
+        const recoveryCodes = twoFactorStore.regenerateRecoveryCodes(req.user.username);
+        req.log.info('Two-factor recovery codes replaced', { username: req.user.username });
+        res.json({ ...statusFor(req.user), recoveryCodes });
+    });
+
+    const adminOnly = requireAdmin({ redirect: false });
+
+    // Whether every admin account must use 2FA
+    app.get('/api/auth/2fa/policy', adminOnly, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json(twoFactorStore.policy);
+    });
+
+    // Admins without 2FA are asked to enroll at their next login once this is on
+    app.put('/api/auth/2fa/policy', adminOnly, validateBody('twoFactorPolicy'), (req, res) => {
+        const policy = twoFactorStore.setPolicy(req.body);
+        req.log.info('Two-factor policy changed', { requireForAdmins: policy.requireForAdmins, changedBy: req.user.username });
+        res.json(policy);
+    });
+}
+
+module.exports = setupTwoFactorRoutes;
@@ -3,136 +3,71 @@
  * Handles admin user management operations
  */
 
-const ErrorHandler = require('../middleware/errorHandler');
-
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8080';
+const proxy = require('../middleware/proxy');
+const validateBody = require('../middleware/validateBody');
+const auditTrail = require('../middleware/auditTrail');
+const { listQuery, listBackendQuery, listTransform } = require('../middleware/listQuery');
+const { notifyAccountCreated } = require('../email/notifications');
 
 /**
  * Setup user management routes
  * @param {Object} app - Express app instance
  */
 function setupUserRoutes(app) {
-    // Get all users (admin only)
-    app.get('/api/users', async (req, res) => {
-        try {
-            console.log('Proxying get all users request to backend:', `${BACKEND_URL}/api/users`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get users');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get users');
-        }
-    });
+    // Get all users (admin only); paged, sorted and filtered when list parameters are given
+    app.get('/api/users', listQuery('users'), proxy({
+        path: '/api/users',
+        operation: 'get users',
+        query: listBackendQuery,
+        transformResponse: listTransform('users'),
+        emptyList: true
+    }));
 
     // Get user by ID (admin only)
-    app.get('/api/users/:id', async (req, res) => {
-        try {
-            console.log('Proxying get user by ID request to backend:', `${BACKEND_URL}/api/users/${req.params.id}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users/${req.params.id}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get user by ID');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get user by ID');
-        }
-    });
+    app.get('/api/users/:id', proxy({
+        path: req => `/api/users/${encodeURIComponent(req.params.id)}`,
+        operation: 'get user by ID'
+    }));
 
     // Get user by username (admin only)
-    app.get('/api/users/username/:username', async (req, res) => {
-        try {
-            console.log('Proxying get user by username request to backend:', `${BACKEND_URL}/api/users/username/${req.params.username}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users/username/${encodeURIComponent(req.params.username)}`, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'get user by username');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Get user by username');
-        }
-    });
-
-    // Create new user (admin only)
-    app.post('/api/users', async (req, res) => {
-        try {
-            console.log('Proxying create user request to backend:', `${BACKEND_URL}/api/users`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
+    app.get('/api/users/username/:username', proxy({
+        path: req => `/api/users/username/${encodeURIComponent(req.params.username)}`,
+        operation: 'get user by username'
+    }));
 
-            await ErrorHandler.handleProxyResponse(response, res, 'create user');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Create user');
+    // Create new user (admin only); the new user gets a welcome email
+    app.post('/api/users', validateBody('createUser'), auditTrail({
+        entity: 'user',
+        action: 'create',
+        targetId: (req, user) => user && user.id
+    }), proxy({
+        path: '/api/users',
+        operation: 'create user',
+        transformResponse: (data) => {
+            notifyAccountCreated(data);
+            return data;
         }
-    });
+    }));
 
     // Update user (admin only)
-    app.put('/api/users/:id', async (req, res) => {
-        try {
-            console.log('Proxying update user request to backend:', `${BACKEND_URL}/api/users/${req.params.id}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users/${req.params.id}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                },
-                body: JSON.stringify(req.body)
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'update user');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Update user');
-        }
-    });
+    app.put('/api/users/:id', auditTrail({
+        entity: 'user',
+        action: 'update',
+        before: req => `/api/users/${encodeURIComponent(req.params.id)}`
+    }), proxy({
+        path: req => `/api/users/${encodeURIComponent(req.params.id)}`,
+        operation: 'update user'
+    }));
 
     // Delete user (admin only)
-    app.delete('/api/users/:id', async (req, res) => {
-        try {
-            console.log('Proxying delete user request to backend:', `${BACKEND_URL}/api/users/${req.params.id}`);
-            
-            const fetch = (await import('node-fetch')).default;
-            const response = await fetch(`${BACKEND_URL}/api/users/${req.params.id}`, {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': req.headers.authorization || ''
-                }
-            });
-
-            await ErrorHandler.handleProxyResponse(response, res, 'delete user');
-        } catch (error) {
-            ErrorHandler.handleProxyError(error, res, 'Delete user');
-        }
-    });
+    app.delete('/api/users/:id', auditTrail({
+        entity: 'user',
+        action: 'delete',
+        before: req => `/api/users/${encodeURIComponent(req.params.id)}`
+    }), proxy({
+        path: req => `/api/users/${encodeURIComponent(req.params.id)}`,
+        operation: 'delete user'
+    }));
 }
 
 module.exports = setupUserRoutes;
@@ -0,0 +1,92 @@
+/**
+ * Webhook Routes
+ * Admin management of outgoing webhook endpoints and their delivery log
+ */
+
+const validateBody = require('../middleware/validateBody');
+const { requireAdmin } = require('../middleware/adminAuth');
+const webhooks = require('../webhooks/dispatcher');
+const WebhookStore = require('../webhooks/store');
+
+const { DELIVERY_STATUSES, MAX_DELIVERY_LIMIT } = webhooks;
+
+/**
+ * Find the endpoint named in the URL, answering 404 if it does not exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Endpoint, or null if a response was sent
+ */
+function findEndpoint(req, res) {
+    const endpoint = webhooks.store.get(req.params.id);
+    if (!endpoint) {
+        res.status(404).json({ message: 'Webhook endpoint not found' });
+        return null;
+    }
+    return endpoint;
+}
+
+/**
+ * Setup webhook routes
+ * @param {Object} app - Express app instance
+ */
+function setupWebhookRoutes(app) {
+    const adminOnly = requireAdmin({ redirect: false });
+
+    // List endpoints (secrets are masked)
+    app.get('/api/webhooks', adminOnly, (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json(webhooks.store.list().map(endpoint => WebhookStore.view(endpoint)));
+    });
+
+    // Add an endpoint; the response is the only time its secret is shown
+    app.post('/api/webhooks', adminOnly, validateBody('createWebhook'), (req, res) => {
+        const endpoint = webhooks.store.create(req.body);
+        req.log.info('Webhook endpoint added', { endpointId: endpoint.id, url: endpoint.url, events: endpoint.events });
+        res.status(201).json(WebhookStore.view(endpoint, { includeSecret: true }));
+    });
+
+    // Recent deliveries, newest first
+    app.get('/api/webhooks/deliveries', adminOnly, (req, res) => {
+        const { endpointId, status } = req.query;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_DELIVERY_LIMIT);
+
+        res.set('Cache-Control', 'no-store');
+        res.json(webhooks.listDeliveries({ endpointId, status, limit }));
+    });
+
+    // Change an endpoint; rotateSecret returns the new secret once
+    app.put('/api/webhooks/:id', adminOnly, validateBody('updateWebhook'), (req, res) => {
+        if (!findEndpoint(req, res)) return;
+
+        const endpoint = webhooks.store.update(req.params.id, req.body);
+        req.log.info('Webhook endpoint updated', {
+            endpointId: endpoint.id,
+            fields: Object.keys(req.body),
+            secretRotated: req.body.rotateSecret === true
+        });
+        res.json(WebhookStore.view(endpoint, { includeSecret: req.body.rotateSecret === true }));
+    });
+
+    // Remove an endpoint; its pending retries are cancelled
+    app.delete('/api/webhooks/:id', adminOnly, (req, res) => {
+        if (!findEndpoint(req, res)) return;
+
+        webhooks.store.remove(req.params.id);
+        req.log.info('Webhook endpoint removed', { endpointId: req.params.id });
+        res.status(204).send();
+    });
+
+    // Send a test event and report how the endpoint answered
+    app.post('/api/webhooks/:id/ping', adminOnly, async (req, res) => {
+        const endpoint = findEndpoint(req, res);
+        if (!endpoint) return;
+
+        const delivery = await webhooks.ping(endpoint);
+        res.json(delivery);
+    });
+}
+
+module.exports = setupWebhookRoutes;
@@ -0,0 +1,100 @@
+/**
+ * Two-Factor Login Challenges
+ * Holds a backend login response until the second step succeeds
+ *
+ * After the password check the token is kept here instead of being sent
+ * to the browser, which only gets a random challenge ID. Challenges are
+ * short-lived, allow a few wrong codes and are discarded once used.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class LoginChallengeStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.ttlMs - How long a challenge can be answered
+     * @param {number} options.maxAttempts - Wrong codes allowed before the challenge is dropped
+     */
+    constructor({ ttlMs, maxAttempts }) {
+        this.ttlMs = ttlMs;
+        this.maxAttempts = maxAttempts;
+        this.challenges = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Hold a login response until the second step
+     * @param {Object} entry - { data, username, setupRequired }
+     * @returns {string} Challenge ID for the browser
+     */
+    create(entry) {
+        const id = crypto.randomBytes(32).toString('base64url');
+        this.challenges.set(id, { ...entry, attempts: 0, expiresAt: Date.now() + this.ttlMs });
+        return id;
+    }
+
+    /**
+     * Look up an open challenge
+     * @param {string} id - Challenge ID
+     * @returns {Object|null} Challenge, or null if unknown or expired
+     */
+    get(id) {
+        const challenge = this.challenges.get(String(id || ''));
+        if (!challenge) return null;
+        if (challenge.expiresAt <= Date.now()) {
+            this.challenges.delete(id);
+            return null;
+        }
+        return challenge;
+    }
+
+    /**
+     * Count a wrong code, dropping the challenge once too many were tried
+     * @param {string} id - Challenge ID
+     * @returns {number} Attempts left
+     */
+    fail(id) {
+        const challenge = this.challenges.get(id);
+        if (!challenge) return 0;
+
+        challenge.attempts++;
+        const left = this.maxAttempts - challenge.attempts;
+        if (left <= 0) {
+            this.challenges.delete(id);
+        }
+        return Math.max(0, left);
+    }
+
+    /**
+     * Remove a challenge once it was answered
+     * @param {string} id - Challenge ID
+     */
+    complete(id) {
+        this.challenges.delete(id);
+    }
+
+    /**
+     * Drop expired challenges
+     */
+    prune() {
+        const now = Date.now();
+        for (const [id, challenge] of this.challenges) {
+            if (challenge.expiresAt <= now) {
+                this.challenges.delete(id);
+            }
+        }
+    }
+}
+
+const loginChallenges = new LoginChallengeStore({
+    ttlMs: config.twoFactor.challengeTtlMs,
+    maxAttempts: config.twoFactor.maxAttempts
+});
+
+module.exports = loginChallenges;
+module.exports.LoginChallengeStore = LoginChallengeStore;
@@ -0,0 +1,52 @@
+/**
+ * Two-Factor Login Gate
+ * Withholds the token from a successful password login until the second step
+ */
+
+const twoFactorStore = require('./store');
+const loginChallenges = require('./challenges');
+const { fetchCurrentUser, isAdminUser } = require('../middleware/adminAuth');
+
+/**
+ * Create the login response transform
+ * @param {Function|null} release - Transform applied once the token may be handed out
+ *   (the cookie session transform, or null to send the backend response as is)
+ * @returns {Function} Async transform for proxy({ transformResponse })
+ */
+function twoFactorGate(release) {
+    const finish = (data, req, res) => (release ? release(data, req, res) : data);
+
+    return async (data, req, res) => {
+        const policy = twoFactorStore.policy;
+        if (!data || !data.token || (!twoFactorStore.hasEnrollments() && !policy.requireForAdmins)) {
+            return finish(data, req, res);
+        }
+
+        // Enrollments are keyed by the backend's username, not by whatever was typed in the form.
+        // Failing here fails the login: a backend that cannot say who signed in gets no token.
+        const user = await fetchCurrentUser(data.token, req.id);
+        if (!user) {
+            throw new Error('Backend rejected the token it just issued');
+        }
+
+        const enabled = twoFactorStore.isEnabled(user.username);
+        const setupRequired = !enabled && policy.requireForAdmins && isAdminUser(user);
+        if (!enabled && !setupRequired) {
+            return finish(data, req, res);
+        }
+
+        const challenge = loginChallenges.create({ data, username: user.username, setupRequired });
+        // Not a successful login yet, so the throttle keeps the account's failures
+        res.locals.twoFactorChallenge = true;
+        req.log.info('Login waiting for second factor', { username: user.username, setupRequired });
+        return {
+            twoFactor: {
+                challenge,
+                setupRequired,
+                expiresInSeconds: Math.floor(loginChallenges.ttlMs / 1000)
+            }
+        };
+    };
+}
+
+module.exports = twoFactorGate;
@@ -0,0 +1,238 @@
+/**
+ * Two-Factor Store
+ * TOTP enrollments, recovery codes and the admin 2FA policy
+ *
+ * The backend knows nothing about 2FA, so enrollments live here, keyed by
+ * username, in a JSON file (TWO_FACTOR_FILE, written with mode 0600 since
+ * it holds the shared secrets). Recovery codes are stored as SHA-256
+ * hashes and each works once. Enrollments that were started but not yet
+ * confirmed with a code are only kept in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const totp = require('./totp');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+// Unconfirmed enrollments are dropped after this long
+const PENDING_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code, in any case and with or without the dash
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a set of recovery codes
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+/**
+ * Normalize a username for use as a key
+ * @param {string} username - Username
+ * @returns {string} Lowercased username
+ */
+function accountKey(username) {
+    return String(username || '').toLowerCase();
+}
+
+class TwoFactorStore {
+    /**
+     * @param {string|null} dataFile - JSON file to load from and save to (null keeps enrollments in memory)
+     */
+    constructor(dataFile = null) {
+        this.dataFile = dataFile ? path.resolve(dataFile) : null;
+        this.pending = new Map();
+
+        const data = this.load();
+        this.accounts = data.accounts || {};
+        this.policy = { requireForAdmins: false, ...data.policy };
+    }
+
+    /**
+     * Load enrollments and policy from the data file
+     * @returns {Object} Stored data ({ accounts, policy })
+     */
+    load() {
+        if (this.dataFile && fs.existsSync(this.dataFile)) {
+            try {
+                return JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+            } catch (error) {
+                logger.error('Could not read two-factor file, starting without enrollments', {
+                    dataFile: this.dataFile,
+                    error
+                });
+            }
+        }
+        return {};
+    }
+
+    /**
+     * Write enrollments and policy to the data file, if one is configured
+     */
+    save() {
+        if (!this.dataFile) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+            fs.writeFileSync(this.dataFile, JSON.stringify({ policy: this.policy, accounts: this.accounts }, null, 2), {
+                mode: 0o600
+            });
+        } catch (error) {
+            logger.error('Could not write two-factor file', { dataFile: this.dataFile, error });
+        }
+    }
+
+    /**
+     * Check whether an account has 2FA turned on
+     * @param {string} username - Username
+     * @returns {boolean} True once an enrollment was confirmed
+     */
+    isEnabled(username) {
+        return !!this.accounts[accountKey(username)];
+    }
+
+    /**
+     * Check whether any account has 2FA turned on
+     * @returns {boolean} True if at least one enrollment was confirmed
+     */
+    hasEnrollments() {
+        return Object.keys(this.accounts).length > 0;
+    }
+
+    /**
+     * Describe an account's 2FA state without its secrets
+     * @param {string} username - Username
+     * @returns {{ enabled: boolean, enabledAt: string|null, recoveryCodesLeft: number }} Status
+     */
+    status(username) {
+        const account = this.accounts[accountKey(username)];
+        return {
+            enabled: !!account,
+            enabledAt: account ? account.enabledAt : null,
+            recoveryCodesLeft: account ? account.recoveryCodes.length : 0
+        };
+    }
+
+    /**
+     * Start an enrollment with a new secret, replacing any unconfirmed one
+     * @param {string} username - Username
+     * @returns {{ secret: string, otpauthUrl: string }} Secret for manual entry and the QR code URL
+     */
+    startEnrollment(username) {
+        const secret = totp.generateSecret();
+        this.pending.set(accountKey(username), { secret, expiresAt: Date.now() + PENDING_TTL_MS });
+        return { secret, otpauthUrl: totp.otpauthUrl(secret, username, config.twoFactor.issuer) };
+    }
+
+    /**
+     * Turn 2FA on once the user proves their app produces the right codes
+     * @param {string} username - Username
+     * @param {string} code - Code from the authenticator app
+     * @returns {string[]|null} New recovery codes (shown once), or null if the code is wrong
+     *   or no enrollment was started
+     */
+    confirmEnrollment(username, code) {
+        const key = accountKey(username);
+        const pending = this.pending.get(key);
+        if (!pending || pending.expiresAt <= Date.now()) {
+            this.pending.delete(key);
+            return null;
+        }
+
+        const step = totp.verifyCode(pending.secret, code);
+        if (step === null) return null;
+
+        const recoveryCodes = generateRecoveryCodes();
+        this.pending.delete(key);
+        this.accounts[key] = {
+            secret: pending.secret,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            lastStep: step,
+            enabledAt: new Date().toISOString()
+        };
+        this.save();
+        return recoveryCodes;
+    }
+
+    /**
+     * Check a code from the authenticator app or a recovery code
+     * @param {string} username - Username
+     * @param {string} code - Six digit code, or a recovery code (which is used up)
+     * @returns {string|null} 'totp' or 'recovery' for a valid code, null otherwise
+     */
+    verify(username, code) {
+        const account = this.accounts[accountKey(username)];
+        if (!account) return null;
+
+        const step = totp.verifyCode(account.secret, code, account.lastStep);
+        if (step !== null) {
+            account.lastStep = step;
+            this.save();
+            return 'totp';
+        }
+
+        const index = account.recoveryCodes.indexOf(hashRecoveryCode(code));
+        if (index !== -1 && /[a-z]/i.test(String(code))) {
+            account.recoveryCodes.splice(index, 1);
+            this.save();
+            return 'recovery';
+        }
+        return null;
+    }
+
+    /**
+     * Replace an account's recovery codes
+     * @param {string} username - Username
+     * @returns {string[]|null} New recovery codes, or null if 2FA is off
+     */
+    regenerateRecoveryCodes(username) {
+        const account = this.accounts[accountKey(username)];
+        if (!account) return null;
+
+        const recoveryCodes = generateRecoveryCodes();
+        account.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        this.save();
+        return recoveryCodes;
+    }
+
+    /**
+     * Turn 2FA off for an account
+     * @param {string} username - Username
+     */
+    disable(username) {
+        delete this.accounts[accountKey(username)];
+        this.pending.delete(accountKey(username));
+        this.save();
+    }
+
+    /**
+     * Change the 2FA policy
+     * @param {Object} changes - { requireForAdmins }
+     * @returns {Object} Updated policy
+     */
+    setPolicy({ requireForAdmins }) {
+        this.policy = { ...this.policy, requireForAdmins: !!requireForAdmins };
+        this.save();
+        return this.policy;
+    }
+}
+
+const twoFactorStore = new TwoFactorStore(config.twoFactor.dataFile);
+
+module.exports = twoFactorStore;
+module.exports.TwoFactorStore = TwoFactorStore;
@@ -0,0 +1,34 @@
+/**
+ * Cookie Utility Functions
+ * Parses the Cookie request header
+ */
+
+/**
+ * Parse cookies from a request
+ * @param {Object} req - Express request object
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    header.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        if (!name || cookies[name] !== undefined) return;
+
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+module.exports = { parseCookies };
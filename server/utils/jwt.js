@@ -0,0 +1,59 @@
+/**
+ * JWT Utility Functions
+ * Reads tokens from requests and decodes their payload
+ *
+ * Signatures are not checked here: the backend owns the signing key and
+ * remains the authority on whether a token is valid.
+ */
+
+const { parseCookies } = require('./cookies');
+
+const TOKEN_COOKIE = 'jwtToken';
+
+/**
+ * Get the JWT sent with a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token from the Authorization header or the jwtToken cookie
+ */
+function getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        const token = authorization.slice(7).trim();
+        if (token) return token;
+    }
+
+    return parseCookies(req)[TOKEN_COOKIE] || null;
+}
+
+/**
+ * Decode the payload of a JWT
+ * @param {string} token - JWT token
+ * @returns {Object|null} Payload or null if the token is malformed
+ */
+function decodeJwt(token) {
+    try {
+        const payload = token.split('.')[1];
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check if a token is expired
+ * @param {string} token - JWT token
+ * @returns {boolean} True if the token is malformed, has no exp claim or is past it
+ */
+function isTokenExpired(token) {
+    const payload = decodeJwt(token);
+    if (!payload || !payload.exp) return true;
+
+    return payload.exp < Math.floor(Date.now() / 1000);
+}
+
+module.exports = {
+    TOKEN_COOKIE,
+    getRequestToken,
+    decodeJwt,
+    isTokenExpired
+};
@@ -0,0 +1,112 @@
+/**
+ * Logger
+ * Writes structured JSON log lines filtered by LOG_LEVEL
+ *
+ * Each line is a single JSON object with timestamp, level and message plus
+ * any context fields, so logs can be searched by requestId or username.
+ */
+
+const config = require('../config');
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+class Logger {
+    /**
+     * @param {Object} [context] - Fields added to every entry
+     * @param {string} [level] - Minimum level written
+     */
+    constructor(context = {}, level = config.logging.level) {
+        this.context = context;
+        this.level = LEVELS[level] ? level : 'info';
+    }
+
+    /**
+     * Create a logger that adds fields to every entry
+     * @param {Object} fields - Context fields
+     * @returns {Logger} Child logger
+     */
+    child(fields) {
+        return new Logger({ ...this.context, ...fields }, this.level);
+    }
+
+    /**
+     * Check if a level would be written
+     * @param {string} level - Log level
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * Write an entry
+     * @param {string} level - Log level
+     * @param {string} message - Log message
+     * @param {Object} [fields] - Extra fields; an Error in fields.error is reduced to its message and code
+     */
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            ...this.context,
+            ...fields
+        };
+
+        if (fields.error instanceof Error) {
+            entry.error = fields.error.message;
+            if (fields.error.code) entry.errorCode = fields.error.code;
+            if (level === 'debug') entry.stack = fields.error.stack;
+        }
+
+        const line = JSON.stringify(entry) + '\n';
+        if (LEVELS[level] >= LEVELS.warn) {
+            process.stderr.write(line);
+        } else {
+            process.stdout.write(line);
+        }
+    }
+
+    /**
+     * @param {string} message - Log message
+     * @param {Object} [fields] - Extra fields
+     */
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    /**
+     * @param {string} message - Log message
+     * @param {Object} [fields] - Extra fields
+     */
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    /**
+     * @param {string} message - Log message
+     * @param {Object} [fields] - Extra fields
+     */
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    /**
+     * @param {string} message - Log message
+     * @param {Object} [fields] - Extra fields
+     */
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,244 @@
+/**
+ * Metrics
+ * Minimal in-process counters and histograms rendered in Prometheus text format
+ */
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} "{a="1",b="2"}" or an empty string
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    /**
+     * @param {string} type - Prometheus metric type
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names, in output order
+     */
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * Get or create the series for a label set
+     * @param {Object} labels - Label values
+     * @param {Function} create - Returns a new series value
+     * @returns {Object} Series
+     */
+    seriesFor(labels, create) {
+        const values = {};
+        this.labelNames.forEach(name => {
+            values[name] = labels[name] !== undefined ? labels[name] : '';
+        });
+
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: values, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Render the HELP and TYPE header
+     * @returns {string[]} Header lines
+     */
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * Increase the counter
+     * @param {Object} [labels] - Label values
+     * @param {number} [amount=1] - Increment
+     */
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * Render the counter
+     * @returns {string[]} Exposition lines
+     */
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+        });
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Function} collect - Returns the current value when metrics are rendered
+     */
+    constructor(name, help, collect) {
+        super('gauge', name, help);
+        this.collect = collect;
+    }
+
+    /**
+     * Render the gauge
+     * @returns {string[]} Exposition lines
+     */
+    render() {
+        return [...this.header(), `${this.name} ${Number(this.collect())}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value in seconds
+     */
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Render the histogram with cumulative buckets
+     * @returns {string[]} Exposition lines
+     */
+    render() {
+        const lines = this.header();
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                const labels = formatLabels({ ...series.labels, le: bound });
+                lines.push(`${this.name}_bucket${labels} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    /**
+     * Register a metric
+     * @param {Metric} metric - Metric to expose
+     * @returns {Metric} The metric
+     */
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Render all metrics
+     * @returns {string} Prometheus text exposition
+     */
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+const metrics = {
+    registry,
+
+    httpRequests: registry.register(new Counter(
+        'http_requests_total',
+        'HTTP requests handled by the frontend server',
+        ['method', 'route', 'status'])),
+
+    httpRequestDuration: registry.register(new Histogram(
+        'http_request_duration_seconds',
+        'Time to answer HTTP requests',
+        ['method', 'route'])),
+
+    backendRequests: registry.register(new Counter(
+        'backend_requests_total',
+        'Proxied requests by backend outcome',
+        ['route', 'outcome'])),
+
+    backendRequestDuration: registry.register(new Histogram(
+        'backend_request_duration_seconds',
+        'Backend latency of proxied requests, including retries',
+        ['route'])),
+
+    fallbacksServed: registry.register(new Counter(
+        'fallback_responses_total',
+        'Responses served from built-in mock data because the backend failed',
+        ['route'])),
+
+    webhookDeliveries: registry.register(new Counter(
+        'webhook_deliveries_total',
+        'Finished webhook deliveries by event type and outcome',
+        ['event', 'outcome'])),
+
+    emailsSent: registry.register(new Counter(
+        'emails_sent_total',
+        'Notification emails by template and outcome',
+        ['template', 'outcome'])),
+
+    idempotentReplays: registry.register(new Counter(
+        'idempotent_replays_total',
+        'Retried requests answered with the response stored for their idempotency key',
+        ['route']))
+};
+
+/**
+ * Register a gauge read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Function} collect - Returns the current value
+ */
+metrics.gauge = (name, help, collect) => registry.register(new Gauge(name, help, collect));
+
+module.exports = metrics;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
@@ -0,0 +1,53 @@
+/**
+ * Response Capture
+ * Keeps a copy of the body an Express response sends
+ */
+
+/**
+ * Copy everything written to a response from now on
+ * @param {Object} res - Express response object
+ * @param {number} maxBytes - Larger bodies are dropped rather than kept
+ * @param {Function} [onEnd] - Called with the captured body (or null) once the response is ended
+ * @returns {Function} Returns the captured body as a Buffer, or null if it was larger than maxBytes
+ */
+function captureResponseBody(res, maxBytes, onEnd) {
+    const chunks = [];
+    let size = 0;
+    let overflow = false;
+    let ended = false;
+
+    const keep = (chunk, encoding) => {
+        if (!chunk || overflow) return;
+        const buffer = Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        size += buffer.length;
+        if (size > maxBytes) {
+            overflow = true;
+            chunks.length = 0;
+            return;
+        }
+        chunks.push(buffer);
+    };
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, callback) {
+        keep(chunk, encoding);
+        return write.call(this, chunk, encoding, callback);
+    };
+    const captured = () => (overflow ? null : Buffer.concat(chunks));
+    res.end = function (chunk, encoding, callback) {
+        if (typeof chunk !== 'function') keep(chunk, encoding);
+        const result = end.call(this, chunk, encoding, callback);
+        if (!ended) {
+            ended = true;
+            if (onEnd) onEnd(captured());
+        }
+        return result;
+    };
+
+    return captured;
+}
+
+module.exports = { captureResponseBody };
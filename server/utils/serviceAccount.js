@@ -0,0 +1,106 @@
+/**
+ * Backend Service Accounts
+ * Backend access for work this server does on its own behalf
+ *
+ * Each account signs in with its own credentials and reuses its token until
+ * shortly before it expires.
+ */
+
+const config = require('../config');
+const { backendFetch } = require('../middleware/proxy');
+const { decodeJwt } = require('./jwt');
+
+// Tokens are renewed this long before their exp claim
+const TOKEN_RENEW_MARGIN_MS = 60 * 1000;
+
+/**
+ * Create a backend service account
+ * @param {Object} options - Account options
+ * @param {string} options.name - Account description used in errors
+ * @param {Function} options.credentials - Returns { username, password } (read on use, so config changes apply)
+ * @returns {{ isConfigured: Function, request: Function }} Service account
+ */
+function createServiceAccount({ name, credentials }) {
+    let cachedToken = null;
+    let cachedUntil = 0;
+
+    /**
+     * Check whether the account is configured
+     * @returns {boolean} True when both username and password are set
+     */
+    function isConfigured() {
+        const { username, password } = credentials();
+        return !!(username && password);
+    }
+
+    /**
+     * Get a backend token for the account, signing in when needed
+     * @returns {Promise<string>} Bearer token
+     * @throws {Error} When the backend refuses the account
+     */
+    async function serviceToken() {
+        if (cachedToken && Date.now() < cachedUntil) {
+            return cachedToken;
+        }
+
+        const { username, password } = credentials();
+        const response = await backendFetch(`${config.backendUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password }),
+            signal: AbortSignal.timeout(config.proxy.timeoutMs)
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || !data.token) {
+            throw new Error(`${name} service account login failed with HTTP ${response.status}`);
+        }
+
+        const payload = decodeJwt(data.token);
+        cachedToken = data.token;
+        cachedUntil = payload && payload.exp ? payload.exp * 1000 - TOKEN_RENEW_MARGIN_MS : Date.now() + TOKEN_RENEW_MARGIN_MS;
+        return cachedToken;
+    }
+
+    /**
+     * Call the backend as the account, signing in again once if its token was rejected
+     * @param {string} path - Backend path
+     * @param {Object} [options] - Request options
+     * @param {string} [options.method='GET'] - HTTP method
+     * @param {Object} [options.body] - JSON body
+     * @param {string} [options.requestId] - Request ID forwarded as X-Request-Id
+     * @returns {Promise<{status: number, ok: boolean, data: *}>} Backend status and parsed body
+     */
+    async function request(path, { method = 'GET', body, requestId } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const response = await backendFetch(`${config.backendUrl}${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${await serviceToken()}`,
+                    ...(requestId ? { 'X-Request-Id': requestId } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: AbortSignal.timeout(config.proxy.timeoutMs)
+            });
+
+            if (response.status === 401 && attempt === 0) {
+                response.body.resume();
+                cachedToken = null;
+                continue;
+            }
+
+            const text = await response.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (error) {
+                data = null;
+            }
+            return { status: response.status, ok: response.ok, data };
+        }
+    }
+
+    return { isConfigured, request };
+}
+
+module.exports = { createServiceAccount };
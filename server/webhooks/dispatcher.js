@@ -0,0 +1,285 @@
+/**
+ * Webhook Dispatcher
+ * Delivers signed event payloads to the subscribed webhook endpoints
+ *
+ * Each delivery is a POST of { id, type, createdAt, data }. Receivers verify
+ * X-Webhook-Signature, which is "sha256=" followed by the hex HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" keyed with the endpoint's secret.
+ * Failed deliveries (connection errors, timeouts, 408, 429 and 5xx) are
+ * retried with exponential backoff; retries keep the event id so receivers
+ * can ignore duplicates. The delivery log and pending retries live in memory.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getFetch } = require('../middleware/proxy');
+const WebhookStore = require('./store');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+const packageInfo = require('../../package.json');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+const MAX_DELIVERY_LIMIT = 500;
+const RETRYABLE_STATUSES = [408, 429];
+// Response text kept per attempt for the delivery log
+const RESPONSE_SNIPPET_LENGTH = 500;
+// Bytes of a receiver's response read before the rest is discarded
+const RESPONSE_READ_LIMIT = 4 * 1024;
+
+/**
+ * Sign a payload for an endpoint
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Read the start of a receiver's response for the delivery log
+ *
+ * Reading stops after RESPONSE_READ_LIMIT bytes and the connection is closed,
+ * so a large or endless response cannot hold memory or the attempt open.
+ * @param {Object} response - Fetch response
+ * @returns {Promise<string>} At most RESPONSE_SNIPPET_LENGTH characters of the body
+ */
+async function readResponseSnippet(response) {
+    if (!response.body) return '';
+
+    const chunks = [];
+    let size = 0;
+    // Leaving the loop early destroys the body stream
+    for await (const chunk of response.body) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= RESPONSE_READ_LIMIT) break;
+    }
+    return Buffer.concat(chunks).toString('utf8').slice(0, RESPONSE_SNIPPET_LENGTH);
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {WebhookStore} store - Endpoint store
+     * @param {Object} options - Delivery options
+     * @param {number} options.timeoutMs - Timeout per attempt
+     * @param {number} options.maxAttempts - Attempts per delivery, including the first
+     * @param {number} options.retryBaseMs - Delay before the first retry, doubled on each further one
+     * @param {number} options.logSize - Deliveries kept in the log
+     */
+    constructor(store, options) {
+        this.store = store;
+        this.options = options;
+        this.deliveries = [];
+    }
+
+    /**
+     * Check whether any enabled endpoint is subscribed to an event
+     * @param {string} type - Event type
+     * @returns {boolean} True if dispatching would deliver anything
+     */
+    hasSubscribers(type) {
+        return this.store.subscribedTo(type).length > 0;
+    }
+
+    /**
+     * Send an event to every enabled endpoint subscribed to it
+     * @param {string} type - Event type
+     * @param {Object} data - Event data (the created or changed resource)
+     * @returns {Object[]} Started deliveries
+     */
+    dispatch(type, data) {
+        const endpoints = this.store.subscribedTo(type);
+        if (endpoints.length === 0) return [];
+
+        const event = this.createEvent(type, data);
+        return endpoints.map(endpoint => {
+            const delivery = this.createDelivery(endpoint, event);
+            this.attempt(delivery);
+            return delivery;
+        });
+    }
+
+    /**
+     * Create a proxy transformResponse that dispatches the returned resource
+     * @param {string} type - Event type
+     * @returns {Function} transformResponse(data) passing the body through unchanged
+     */
+    publishes(type) {
+        return (data) => {
+            this.dispatch(type, data);
+            return data;
+        };
+    }
+
+    /**
+     * Send a test event to one endpoint, regardless of its filters
+     * @param {Object} endpoint - Stored endpoint
+     * @returns {Promise<Object>} Delivery after its first attempt
+     */
+    async ping(endpoint) {
+        const event = this.createEvent('ping', { endpointId: endpoint.id, message: 'Webhook test from Sales Store' });
+        const delivery = this.createDelivery(endpoint, event);
+        await this.attempt(delivery, { retry: false });
+        return delivery;
+    }
+
+    /**
+     * Build an event envelope
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     * @returns {Object} Event with its serialized body
+     */
+    createEvent(type, data) {
+        const payload = {
+            id: `evt_${crypto.randomUUID()}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        return { id: payload.id, type, body: JSON.stringify(payload) };
+    }
+
+    /**
+     * Record a new delivery in the log
+     * @param {Object} endpoint - Target endpoint
+     * @param {Object} event - Event from createEvent()
+     * @returns {Object} Delivery
+     */
+    createDelivery(endpoint, event) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            eventId: event.id,
+            eventType: event.type,
+            endpointId: endpoint.id,
+            url: endpoint.url,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: null,
+            createdAt: new Date().toISOString(),
+            body: event.body
+        };
+
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.options.logSize) {
+            this.deliveries.shift();
+        }
+        return delivery;
+    }
+
+    /**
+     * Make one delivery attempt and schedule a retry if it failed
+     * @param {Object} delivery - Delivery
+     * @param {Object} [options] - Attempt options
+     * @param {boolean} [options.retry=true] - Schedule retries for retryable failures
+     * @returns {Promise<void>}
+     */
+    async attempt(delivery, { retry = true } = {}) {
+        // Endpoints can be edited, disabled or removed between retries
+        const endpoint = this.store.get(delivery.endpointId);
+        if (!endpoint || (!endpoint.enabled && delivery.eventType !== 'ping')) {
+            this.finish(delivery, 'cancelled');
+            return;
+        }
+
+        const number = delivery.attempts.length + 1;
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const record = { number, at: new Date(startedAt).toISOString(), url: endpoint.url };
+        delivery.url = endpoint.url;
+        delivery.nextAttemptAt = null;
+
+        let retryable = false;
+        try {
+            const fetch = await getFetch();
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `${packageInfo.name}-webhooks/${packageInfo.version}`,
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Event': delivery.eventType,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Attempt': String(number),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(this.options.timeoutMs),
+                redirect: 'manual'
+            });
+
+            record.statusCode = response.status;
+            record.response = await readResponseSnippet(response);
+            retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+        } catch (error) {
+            record.error = error.name === 'AbortError' || error.name === 'TimeoutError'
+                ? `Timed out after ${this.options.timeoutMs} ms`
+                : error.message;
+            retryable = true;
+        }
+        record.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(record);
+
+        const succeeded = record.statusCode >= 200 && record.statusCode < 300;
+        if (succeeded) {
+            this.finish(delivery, 'delivered');
+            return;
+        }
+
+        logger.warn('Webhook delivery attempt failed', {
+            deliveryId: delivery.id,
+            eventType: delivery.eventType,
+            url: endpoint.url,
+            attempt: number,
+            statusCode: record.statusCode,
+            error: record.error
+        });
+
+        if (retry && retryable && number < this.options.maxAttempts) {
+            const delay = this.options.retryBaseMs * Math.pow(2, number - 1);
+            const jitter = Math.random() * this.options.retryBaseMs;
+            delivery.nextAttemptAt = new Date(Date.now() + delay + jitter).toISOString();
+            setTimeout(() => this.attempt(delivery), delay + jitter).unref();
+            return;
+        }
+        this.finish(delivery, 'failed');
+    }
+
+    /**
+     * Mark a delivery as done
+     * @param {Object} delivery - Delivery
+     * @param {string} status - 'delivered', 'failed' or 'cancelled'
+     */
+    finish(delivery, status) {
+        delivery.status = status;
+        delivery.nextAttemptAt = null;
+        metrics.webhookDeliveries.inc({ event: delivery.eventType, outcome: status });
+    }
+
+    /**
+     * Get logged deliveries, newest first
+     * @param {Object} [filters] - Log filters
+     * @param {string} [filters.endpointId] - Only deliveries to this endpoint
+     * @param {string} [filters.status] - Only deliveries with this status
+     * @param {number} [filters.limit=100] - Maximum number returned
+     * @returns {Object[]} Deliveries
+     */
+    listDeliveries({ endpointId, status, limit = 100 } = {}) {
+        return this.deliveries
+            .filter(delivery => !endpointId || delivery.endpointId === endpointId)
+            .filter(delivery => !status || delivery.status === status)
+            .slice(-limit)
+            .reverse();
+    }
+}
+
+const webhooks = new WebhookDispatcher(new WebhookStore(config.webhooks.dataFile), config.webhooks);
+
+module.exports = webhooks;
+module.exports.WebhookDispatcher = WebhookDispatcher;
+module.exports.signPayload = signPayload;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.MAX_DELIVERY_LIMIT = MAX_DELIVERY_LIMIT;
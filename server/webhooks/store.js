@@ -0,0 +1,171 @@
+/**
+ * Webhook Endpoint Store
+ * Admin-managed webhook endpoints, optionally persisted to a JSON file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Generate a signing secret
+ * @returns {string} Random secret
+ */
+function generateSecret() {
+    return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+class WebhookStore {
+    /**
+     * @param {string|null} dataFile - JSON file to load from and save to (null keeps endpoints in memory)
+     */
+    constructor(dataFile = null) {
+        this.dataFile = dataFile ? path.resolve(dataFile) : null;
+        this.endpoints = this.load();
+        this.warnedInMemory = false;
+    }
+
+    /**
+     * Load endpoints from the data file
+     * @returns {Object[]} Endpoints
+     */
+    load() {
+        if (this.dataFile && fs.existsSync(this.dataFile)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+                return Array.isArray(data.endpoints) ? data.endpoints : [];
+            } catch (error) {
+                logger.error('Could not read webhooks file, starting without endpoints', {
+                    dataFile: this.dataFile,
+                    error
+                });
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Write endpoints to the data file, if one is configured
+     */
+    save() {
+        if (!this.dataFile) {
+            if (!this.warnedInMemory) {
+                this.warnedInMemory = true;
+                logger.warn('WEBHOOKS_FILE is not set; webhook endpoints will be lost on restart.');
+            }
+            return;
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+            fs.writeFileSync(this.dataFile, JSON.stringify({ endpoints: this.endpoints }, null, 2), { mode: 0o600 });
+        } catch (error) {
+            logger.error('Could not write webhooks file', { dataFile: this.dataFile, error });
+        }
+    }
+
+    /**
+     * Get all endpoints
+     * @returns {Object[]} Endpoints
+     */
+    list() {
+        return this.endpoints;
+    }
+
+    /**
+     * Find an endpoint
+     * @param {string} id - Endpoint ID
+     * @returns {Object|null} Endpoint or null
+     */
+    get(id) {
+        return this.endpoints.find(endpoint => endpoint.id === id) || null;
+    }
+
+    /**
+     * Get the enabled endpoints subscribed to an event
+     * @param {string} type - Event type
+     * @returns {Object[]} Endpoints
+     */
+    subscribedTo(type) {
+        return this.endpoints.filter(endpoint => endpoint.enabled && endpoint.events.includes(type));
+    }
+
+    /**
+     * Add an endpoint with a new signing secret
+     * @param {Object} fields - { url, description, events, enabled }
+     * @returns {Object} Created endpoint
+     */
+    create({ url, description = '', events, enabled = true }) {
+        const now = new Date().toISOString();
+        const endpoint = {
+            id: crypto.randomUUID(),
+            url: url.trim(),
+            description: (description || '').trim(),
+            events: [...new Set(events)],
+            enabled,
+            secret: generateSecret(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.endpoints.push(endpoint);
+        this.save();
+        return endpoint;
+    }
+
+    /**
+     * Change an endpoint
+     * @param {string} id - Endpoint ID
+     * @param {Object} changes - Any of { url, description, events, enabled, rotateSecret }
+     * @returns {Object|null} Updated endpoint, or null if it does not exist
+     */
+    update(id, { url, description, events, enabled, rotateSecret }) {
+        const endpoint = this.get(id);
+        if (!endpoint) return null;
+
+        if (typeof url === 'string' && url.trim()) endpoint.url = url.trim();
+        if (typeof description === 'string') endpoint.description = description.trim();
+        if (Array.isArray(events) && events.length > 0) endpoint.events = [...new Set(events)];
+        if (typeof enabled === 'boolean') endpoint.enabled = enabled;
+        if (rotateSecret === true) endpoint.secret = generateSecret();
+        endpoint.updatedAt = new Date().toISOString();
+
+        this.save();
+        return endpoint;
+    }
+
+    /**
+     * Remove an endpoint
+     * @param {string} id - Endpoint ID
+     * @returns {boolean} True if it existed
+     */
+    remove(id) {
+        const index = this.endpoints.findIndex(endpoint => endpoint.id === id);
+        if (index === -1) return false;
+
+        this.endpoints.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Shape an endpoint for API responses
+     *
+     * The secret is only shown in full when it was just created or rotated.
+     * @param {Object} endpoint - Stored endpoint
+     * @param {Object} [options] - View options
+     * @param {boolean} [options.includeSecret=false] - Include the full secret
+     * @returns {Object} Endpoint view
+     */
+    static view(endpoint, { includeSecret = false } = {}) {
+        const { secret, ...fields } = endpoint;
+        return includeSecret
+            ? { ...fields, secret }
+            : { ...fields, secretHint: `${SECRET_PREFIX}…${secret.slice(-4)}` };
+    }
+}
+
+module.exports = WebhookStore;
@@ -0,0 +1,272 @@
+/**
+ * Audit Log Controller
+ * Browses, filters and exports the log of admin changes
+ */
+
+const AUDIT_ACTION_LABELS = {
+    create: 'Create',
+    update: 'Update',
+    status_change: 'Status change',
+    delete: 'Delete'
+};
+
+class AuditLogController {
+    constructor() {
+        this.api = apiClient;
+        this.pager = new ListPager({
+            containerId: 'auditPagination',
+            defaultSort: { field: 'at', direction: 'desc' },
+            size: 50,
+            onChange: () => this.loadEntries()
+        });
+        this.pager.bindSortHeaders('auditContainer');
+    }
+
+    /**
+     * Initialize the audit log page
+     */
+    async init() {
+        try {
+            const userData = await authService.getCurrentUser();
+            if (userData && userData.username) {
+                UIHelper.updateText('adminWelcome', `Welcome, ${userData.username}!`);
+            }
+
+            this.setupEventListeners();
+            await this.loadEntries();
+        } catch (error) {
+            console.error('Error during audit log initialization:', error);
+            UIHelper.showAlert('Error loading the audit log page.', 'danger');
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', () => {
+            authService.logout();
+        });
+        UIHelper.addEventListener('auditActorFilter', 'keydown', (event) => {
+            if (event.key === 'Enter') this.applyFilters();
+        });
+
+        window.applyAuditFilters = this.applyFilters.bind(this);
+        window.clearAuditFilters = this.clearFilters.bind(this);
+        window.exportAuditLog = this.exportLog.bind(this);
+        window.hideAlert = UIHelper.hideAlert;
+    }
+
+    /**
+     * Read the filter form
+     * @returns {Object} Filter values by query parameter name
+     */
+    readFilters() {
+        return {
+            actor: document.getElementById('auditActorFilter').value.trim(),
+            entity: document.getElementById('auditEntityFilter').value,
+            action: document.getElementById('auditActionFilter').value,
+            from: document.getElementById('auditFromFilter').value,
+            to: document.getElementById('auditToFilter').value
+        };
+    }
+
+    /**
+     * Apply the filters and show the first page
+     */
+    applyFilters() {
+        const filters = this.readFilters();
+        if (filters.from && filters.to && filters.from > filters.to) {
+            UIHelper.showAlert('The From date must not be after the To date.', 'warning');
+            return;
+        }
+        return this.pager.setFilters(filters);
+    }
+
+    /**
+     * Clear the filters and reload
+     */
+    clearFilters() {
+        ['auditActorFilter', 'auditEntityFilter', 'auditActionFilter', 'auditFromFilter', 'auditToFilter']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        return this.pager.setFilters({});
+    }
+
+    /**
+     * Load the current page of entries
+     */
+    async loadEntries() {
+        try {
+            const result = await this.api.get(`/api/audit?${this.pager.queryString()}`);
+            this.displayEntries(result.items);
+            this.pager.render(result.pagination);
+            UIHelper.updateText('auditCount', this.pager.summary('entries'));
+        } catch (error) {
+            this.handleError(error, 'Failed to load the audit log');
+        }
+    }
+
+    /**
+     * Display entries in table format
+     * @param {Array} entries - Audit entries
+     */
+    displayEntries(entries) {
+        const container = document.getElementById('auditContainer');
+
+        if (!entries || entries.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-5 text-muted">
+                    <i class="bi bi-journal display-1 opacity-25"></i>
+                    <h5 class="mt-3">No Entries</h5>
+                    <p>No admin changes match these filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        const rows = entries.map(entry => `
+            <tr>
+                <td class="small text-nowrap">${new Date(entry.at).toLocaleString()}</td>
+                <td>${this.escapeHtml(entry.actor)}</td>
+                <td><span class="badge ${this.getActionBadgeClass(entry.action)}">${AUDIT_ACTION_LABELS[entry.action] || this.escapeHtml(entry.action)}</span></td>
+                <td class="text-capitalize">${this.escapeHtml(entry.entity)}</td>
+                <td class="small font-monospace">${this.escapeHtml(entry.entityId || '')}</td>
+                <td>
+                    <details>
+                        <summary class="small">Details</summary>
+                        ${this.renderValue('Before', entry.before)}
+                        ${this.renderValue('After', entry.after)}
+                        ${this.renderValue('Changes', entry.changes)}
+                        <div class="small text-muted mt-1">
+                            ${this.escapeHtml(entry.method)} ${this.escapeHtml(entry.path)}<br>
+                            Request ID <span class="font-monospace">${this.escapeHtml(entry.requestId || '')}</span>
+                        </div>
+                    </details>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover align-middle">
+                    <thead class="table-light">
+                        <tr>
+                            ${this.pager.sortHeader('Time', 'at')}
+                            ${this.pager.sortHeader('Admin', 'actor')}
+                            ${this.pager.sortHeader('Action', 'action')}
+                            ${this.pager.sortHeader('Entity', 'entity')}
+                            <th scope="col">ID</th>
+                            <th scope="col"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a labelled JSON value for the details panel
+     * @param {string} label - Label
+     * @param {*} value - Value (nothing is rendered when missing)
+     * @returns {string} HTML
+     */
+    renderValue(label, value) {
+        if (value === null || value === undefined) return '';
+        return `
+            <div class="small fw-semibold mt-2">${label}</div>
+            <pre class="audit-value bg-light p-2 mb-0">${this.escapeHtml(JSON.stringify(value, null, 2))}</pre>
+        `;
+    }
+
+    /**
+     * Download every entry matching the current filters
+     * @param {string} format - csv or json
+     */
+    async exportLog(format = 'csv') {
+        try {
+            const params = new URLSearchParams(this.pager.queryString());
+            params.delete('page');
+            params.delete('size');
+            params.set('format', format);
+            const response = await this.api.makeRequest(`/api/audit/export?${params.toString()}`, { method: 'GET' });
+            const blob = await response.blob();
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', match ? match[1] : `audit-log.${format}`);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.handleError(error, 'Failed to export the audit log');
+        }
+    }
+
+    /**
+     * Get badge class for an action
+     * @param {string} action - Audit action
+     * @returns {string} Bootstrap badge class
+     */
+    getActionBadgeClass(action) {
+        switch (action) {
+            case 'create':
+                return 'bg-success';
+            case 'delete':
+                return 'bg-danger';
+            case 'status_change':
+                return 'bg-info text-dark';
+            default:
+                return 'bg-primary';
+        }
+    }
+
+    /**
+     * Show an error, logging out if the session has expired
+     * @param {Error} error - Error from apiClient
+     * @param {string} message - What failed
+     */
+    handleError(error, message) {
+        if (error.status === 401) {
+            UIHelper.showAlert('Your session has expired. Please log in again.', 'danger');
+            setTimeout(() => authService.logout(), 2000);
+            return;
+        }
+        UIHelper.showAlert(`${message}: ${error.message}`, 'danger');
+    }
+
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return;
+    }
+
+    window.auditLogController = new AuditLogController();
+    await auditLogController.init();
+});
@@ -0,0 +1,112 @@
+/**
+ * Email Template Controller
+ * Lists the notification templates and previews them with sample data
+ */
+
+class EmailTemplateController {
+    constructor() {
+        this.api = apiClient;
+        this.selected = null;
+        this.preview = null;
+    }
+
+    /**
+     * Initialize the email templates page
+     */
+    async init() {
+        try {
+            const userData = await authService.getCurrentUser();
+            if (userData && userData.username) {
+                UIHelper.updateText('adminWelcome', `Welcome, ${userData.username}!`);
+            }
+
+            this.setupEventListeners();
+            await this.loadTemplates();
+        } catch (error) {
+            console.error('Error during email templates initialization:', error);
+            UIHelper.showAlert('Error loading the email templates page.', 'danger');
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', () => {
+            authService.logout();
+        });
+        document.querySelectorAll('input[name="previewFormat"]').forEach(input => {
+            input.addEventListener('change', () => this.displayPreview());
+        });
+
+        window.previewTemplate = this.previewTemplate.bind(this);
+        window.hideAlert = UIHelper.hideAlert;
+    }
+
+    /**
+     * Load the template list and preview the first template
+     */
+    async loadTemplates() {
+        try {
+            const { transport, from, templates } = await this.api.get('/api/email/templates');
+
+            UIHelper.updateHTML('templateList', templates.map(template => `
+                <button type="button" class="list-group-item list-group-item-action" data-template="${template.name}"
+                        data-action="previewTemplate" data-args="${UIHelper.actionArgs(template.name)}">
+                    <div class="fw-semibold font-monospace small">${template.name}</div>
+                    <small class="text-muted">${template.description}</small>
+                </button>
+            `).join(''));
+            UIHelper.updateText('transportInfo', `Transport: ${transport}, from ${from}`);
+
+            if (templates.length > 0) {
+                await this.previewTemplate(templates[0].name);
+            }
+        } catch (error) {
+            UIHelper.showAlert(`Failed to load email templates: ${error.message}`, 'danger');
+        }
+    }
+
+    /**
+     * Render a template with sample data
+     * @param {string} name - Template name
+     */
+    async previewTemplate(name) {
+        try {
+            this.preview = await this.api.get(`/api/email/templates/${encodeURIComponent(name)}/preview`);
+            this.selected = name;
+
+            document.querySelectorAll('#templateList [data-template]').forEach(item => {
+                item.classList.toggle('active', item.dataset.template === name);
+            });
+            this.displayPreview();
+        } catch (error) {
+            UIHelper.showAlert(`Failed to render ${name}: ${error.message}`, 'danger');
+        }
+    }
+
+    /**
+     * Show the loaded preview in the selected format
+     */
+    displayPreview() {
+        if (!this.preview) return;
+
+        const format = document.querySelector('input[name="previewFormat"]:checked')?.value || 'html';
+        UIHelper.updateText('previewSubject', this.preview.subject);
+        document.getElementById('previewHtml').srcdoc = this.preview.html;
+        UIHelper.updateText('previewText', this.preview.text);
+        UIHelper.toggleElement('previewHtml', format === 'html');
+        UIHelper.toggleElement('previewText', format === 'text');
+    }
+}
+
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return;
+    }
+
+    window.emailTemplateController = new EmailTemplateController();
+    await emailTemplateController.init();
+});
@@ -9,6 +9,16 @@ class OrderManagementController {
         this.currentOrders = [];
         this.availableProducts = [];
         this.orderItemCount = 0;
+        this.pager = new ListPager({
+            containerId: 'ordersPagination',
+            defaultSort: { field: 'orderDate', direction: 'desc' },
+            onChange: () => this.loadAllOrders()
+        });
+        this.pager.bindSortHeaders('ordersContainer');
+        this.liveEvents = new OrderEventStream({
+            onEvent: (event) => this.handleOrderEvent(event),
+            onStateChange: (state) => OrderEventStream.renderIndicator('liveStatus', state)
+        });
     }
 
     /**
@@ -98,6 +108,12 @@ class OrderManagementController {
             await this.loadAvailableProducts();
             await this.loadAllOrders();
 
+            // Keep a half-filled create order form if the session expires
+            this.preserveCreateOrderForm();
+
+            // Apply orders created and status changes made elsewhere as they happen
+            this.liveEvents.start();
+
             console.log('Order Management System initialized successfully');
         } catch (error) {
             console.error('Error during Order Management System initialization:', error);
@@ -150,6 +166,7 @@ class OrderManagementController {
             // Backend returns a single order object, not an array
             const orders = Array.isArray(order) ? order : [order];
             
+            this.pager.hide();
             this.displayOrders(orders);
             UIHelper.updateText('orderCount', `${orders.length} order(s) found`);
         } catch (error) {
@@ -172,49 +189,35 @@ class OrderManagementController {
     }
 
     /**
-     * Filter orders by status (client-side filtering)
+     * Filter orders by status (filtered by the server)
      */
     filterOrdersByStatus() {
         const status = document.getElementById('filterByStatus')?.value;
-        
-        if (!status) {
-            // Show all orders if no status is selected
-            this.displayOrders(this.currentOrders);
-            UIHelper.updateText('orderCount', `${this.currentOrders.length} order(s) loaded`);
-            return;
-        }
-
-        // Filter orders by status on the client side
-        const filteredOrders = this.currentOrders.filter(order => 
-            order.status && order.status.toLowerCase() === status.toLowerCase()
-        );
-        
-        this.displayOrders(filteredOrders);
-        UIHelper.updateText('orderCount', `${filteredOrders.length} order(s) found with status: ${status}`);
-        
-        if (filteredOrders.length === 0) {
-            UIHelper.showAlert(`No orders found with status: "${status}"`, 'info');
-        }
+        return this.pager.setFilters({ status });
     }
 
     /**
-     * Load all orders
+     * Load the current page of orders with the selected filters and sort
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.quiet=false] - Keep the table in place instead of showing the loading indicator
      */
-    async loadAllOrders() {
-        UIHelper.showLoading();
+    async loadAllOrders({ quiet = false } = {}) {
+        if (!quiet) {
+            UIHelper.showLoading();
+        }
         
         try {
-            const orders = await this.api.get('/api/orders');
+            const result = await this.api.get(`/api/orders?${this.pager.queryString()}`);
             UIHelper.hideLoading();
             
-            // Debug: Log the first order to see its structure
-            if (orders && orders.length > 0) {
-                console.log('Sample order structure:', JSON.stringify(orders[0], null, 2));
-            }
-            
-            this.currentOrders = orders;
-            this.displayOrders(orders);
-            UIHelper.updateText('orderCount', `${orders.length} order(s) loaded`);
+            this.currentOrders = result.items;
+            this.displayOrders(result.items);
+            this.pager.render(result.pagination);
+
+            const status = this.pager.filters.status;
+            UIHelper.updateText('orderCount', status
+                ? `${this.pager.summary('orders')} with status ${status}`
+                : this.pager.summary('orders'));
         } catch (error) {
             UIHelper.hideLoading();
             
@@ -251,6 +254,7 @@ class OrderManagementController {
     async clearSearch() {
         document.getElementById('searchByUuid').value = '';
         document.getElementById('filterByStatus').value = '';
+        this.pager.reset();
         await this.loadAllOrders();
     }
 
@@ -271,84 +275,17 @@ class OrderManagementController {
             return;
         }
 
-        const orderRows = orders.map(order => {
-            // Get the correct UUID field - try different field names
-            const orderUuid = order.uuid || order.id || order.orderId;
-            const displayId = order.id || order.uuid || order.orderId;
-            
-            // Get product list for display
-            const orderProducts = order.orderProducts || order.items || order.products || order.orderItems || [];
-            const productNames = orderProducts.map(item => 
-                item.productName || item.name || 'Unknown Product'
-            );
-            
-            // Limit to 3 products and add "..." if there are more
-            let productDisplay = '';
-            if (productNames.length === 0) {
-                productDisplay = 'No items';
-            } else if (productNames.length <= 3) {
-                productDisplay = productNames.join(', ');
-            } else {
-                productDisplay = productNames.slice(0, 3).join(', ') + '...';
-            }
-            
-            return `
-            <tr>
-                <td>
-                    <div class="d-flex align-items-center">
-                        <i class="bi bi-receipt me-2 text-primary fs-5"></i>
-                        <div>
-                            <div class="fw-semibold">${orderUuid || 'N/A'}</div>
-                            <small class="text-muted">${productDisplay}</small>
-                        </div>
-                    </div>
-                </td>
-                <td>
-                    <div>
-                        <div class="fw-semibold">${this.getCustomerDisplayName(order)}</div>
-                        <small class="text-muted">${this.getCustomerDisplayEmail(order)}</small>
-                    </div>
-                </td>
-                <td>
-                    <span class="badge ${this.getStatusBadgeClass(order.status)}">
-                        <i class="bi ${this.getStatusIcon(order.status)} me-1"></i>
-                        ${order.status || 'UNKNOWN'}
-                    </span>
-                </td>
-                <td>
-                    <div class="d-flex flex-column">
-                        <span class="text-success fw-semibold">$${this.calculateOrderTotal(order).toFixed(2)}</span>
-                        <small class="text-muted">${order.orderProducts?.length || order.items?.length || 0} item(s)</small>
-                    </div>
-                </td>
-                <td>
-                    <small class="text-muted">
-                        ${order.orderDate ? new Date(order.orderDate).toLocaleDateString() : 'N/A'}
-                    </small>
-                </td>
-                <td>
-                    <div class="btn-group" role="group">
-                        <button class="btn btn-sm btn-outline-primary" onclick="viewOrderDetails('${orderUuid}')" title="View Details">
-                            <i class="bi bi-eye"></i>
-                        </button>
-                        <button class="btn btn-sm btn-outline-warning" onclick="showUpdateStatusModal('${orderUuid}', '${order.status}')" title="Update Status">
-                            <i class="bi bi-arrow-repeat"></i>
-                        </button>
-                    </div>
-                </td>
-            </tr>
-            `;
-        }).join('');
+        const orderRows = orders.map(order => this.renderOrderRow(order)).join('');
 
         container.innerHTML = `
             <table class="table table-hover">
                 <thead class="table-light">
                     <tr>
                         <th>Order UUID</th>
-                        <th>Customer</th>
-                        <th>Status</th>
-                        <th>Total</th>
-                        <th>Date</th>
+                        ${this.pager.sortHeader('Customer', 'username')}
+                        ${this.pager.sortHeader('Status', 'status')}
+                        ${this.pager.sortHeader('Total', 'totalAmount')}
+                        ${this.pager.sortHeader('Date', 'orderDate')}
                         <th>Actions</th>
                     </tr>
                 </thead>
@@ -359,6 +296,117 @@ class OrderManagementController {
         `;
     }
 
+    /**
+     * Render one row of the orders table
+     * @param {Object} order - Order object
+     * @returns {string} Row HTML
+     */
+    renderOrderRow(order) {
+        // Get the correct UUID field - try different field names
+        const orderUuid = order.uuid || order.id || order.orderId;
+        const displayId = order.id || order.uuid || order.orderId;
+        
+        // Get product list for display
+        const orderProducts = order.orderProducts || order.items || order.products || order.orderItems || [];
+        const productNames = orderProducts.map(item => 
+            item.productName || item.name || 'Unknown Product'
+        );
+        
+        // Limit to 3 products and add "..." if there are more
+        let productDisplay = '';
+        if (productNames.length === 0) {
+            productDisplay = 'No items';
+        } else if (productNames.length <= 3) {
+            productDisplay = productNames.join(', ');
+        } else {
+            productDisplay = productNames.slice(0, 3).join(', ') + '...';
+        }
+        
+        return `
+        <tr data-order-id="${orderUuid}">
+            <td>
+                <div class="d-flex align-items-center">
+                    <i class="bi bi-receipt me-2 text-primary fs-5"></i>
+                    <div>
+                        <div class="fw-semibold">${orderUuid || 'N/A'}</div>
+                        <small class="text-muted">${productDisplay}</small>
+                    </div>
+                </div>
+            </td>
+            <td>
+                <div>
+                    <div class="fw-semibold">${this.getCustomerDisplayName(order)}</div>
+                    <small class="text-muted">${this.getCustomerDisplayEmail(order)}</small>
+                </div>
+            </td>
+            <td>
+                <span class="badge ${this.getStatusBadgeClass(order.status)}">
+                    <i class="bi ${this.getStatusIcon(order.status)} me-1"></i>
+                    ${order.status || 'UNKNOWN'}
+                </span>
+            </td>
+            <td>
+                <div class="d-flex flex-column">
+                    <span class="text-success fw-semibold">$${this.calculateOrderTotal(order).toFixed(2)}</span>
+                    <small class="text-muted">${order.orderProducts?.length || order.items?.length || 0} item(s)</small>
+                </div>
+            </td>
+            <td>
+                <small class="text-muted">
+                    ${order.orderDate ? new Date(order.orderDate).toLocaleDateString() : 'N/A'}
+                </small>
+            </td>
+            <td>
+                <div class="btn-group" role="group">
+                    <button class="btn btn-sm btn-outline-primary" data-action="viewOrderDetails" data-args="${UIHelper.actionArgs(orderUuid)}" title="View Details">
+                        <i class="bi bi-eye"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-warning" data-action="showUpdateStatusModal" data-args="${UIHelper.actionArgs(orderUuid, order.status)}" title="Update Status">
+                        <i class="bi bi-arrow-repeat"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+        `;
+    }
+
+    /**
+     * Find the table row of an order
+     * @param {string} orderId - Order UUID
+     * @returns {Element|null} Row element
+     */
+    findOrderRow(orderId) {
+        return document.querySelector(`#ordersContainer tr[data-order-id="${CSS.escape(orderId)}"]`);
+    }
+
+    /**
+     * Apply a live order event to the table
+     * @param {Object} event - Event data: { type, orderId, status, previousStatus, order }
+     */
+    async handleOrderEvent(event) {
+        if (event.type === 'order.status_changed') {
+            // Only rows on screen change; other pages pick the status up when loaded
+            const row = this.findOrderRow(event.orderId);
+            if (!row) return;
+
+            const index = this.currentOrders.findIndex(order =>
+                String(order.uuid || order.id || order.orderId) === event.orderId);
+            if (index !== -1) {
+                this.currentOrders[index] = event.order;
+            }
+            row.outerHTML = this.renderOrderRow(event.order);
+            OrderEventStream.highlight(this.findOrderRow(event.orderId));
+        } else if (event.type === 'order.created') {
+            UIHelper.showToast(`New order from ${this.getCustomerDisplayName(event.order)}`, 'info');
+
+            // Reload the list so the order lands where the current sort and filters put it
+            if (this.pager.pagination) {
+                await this.loadAllOrders({ quiet: true });
+                OrderEventStream.highlight(this.findOrderRow(event.orderId));
+            }
+        }
+    }
+
     /**
      * Get CSS class for order status badge
      */
@@ -540,6 +588,12 @@ class OrderManagementController {
             return;
         }
 
+        const validationErrors = Validator.messages(Validator.validate('updateOrderStatus', { status: newStatus }));
+        if (validationErrors.length > 0) {
+            UIHelper.showAlert(validationErrors.join('<br>'), 'warning');
+            return;
+        }
+
         try {
             UIHelper.showLoading();
             await this.api.put(`/api/orders/${uuid}/status`, { status: newStatus });
@@ -591,23 +645,23 @@ class OrderManagementController {
                         <label class="form-label">Product Search</label>
                         <input type="text" class="form-control mb-2" id="productSearch_${this.orderItemCount}" 
                                placeholder="Search by product ID or name..." 
-                               onkeyup="filterProducts(${this.orderItemCount})">
+                               data-keyup-action="filterProducts" data-args="[${this.orderItemCount}]">
                     </div>
                     <div class="col-md-5">
                         <label class="form-label">Product *</label>
-                        <select class="form-select" name="productId" id="productSelect_${this.orderItemCount}" onchange="updateOrderTotal()" required>
+                        <select class="form-select" name="productId" id="productSelect_${this.orderItemCount}" data-change-action="updateOrderTotal" required>
                             <option value="">Select a product...</option>
                             ${productOptions}
                         </select>
                     </div>
                     <div class="col-md-2">
                         <label class="form-label">Quantity *</label>
-                        <input type="number" class="form-control" name="orderedQuantity" min="1" value="1" onchange="updateOrderTotal()" required>
+                        <input type="number" class="form-control" name="orderedQuantity" min="1" value="1" data-change-action="updateOrderTotal" required>
                     </div>
                 </div>
                 <div class="row mt-2">
                     <div class="col-12">
-                        <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeOrderItem(${this.orderItemCount})">
+                        <button type="button" class="btn btn-outline-danger btn-sm" data-action="removeOrderItem" data-args="[${this.orderItemCount}]">
                             <i class="bi bi-trash me-1"></i>Remove Item
                         </button>
                     </div>
@@ -652,6 +706,42 @@ class OrderManagementController {
         document.getElementById('orderTotal').textContent = `$${total.toFixed(2)}`;
     }
 
+    /**
+     * Register the create order form with the session manager
+     * so its username and items survive a re-login
+     */
+    preserveCreateOrderForm() {
+        const modalElement = document.getElementById('createOrderModal');
+
+        sessionManager.preserve('createOrder', {
+            save: () => {
+                if (!modalElement.classList.contains('show')) {
+                    return null;
+                }
+                return {
+                    username: document.getElementById('assignedUsername').value,
+                    items: Array.from(document.querySelectorAll('.order-item')).map(item => ({
+                        productId: item.querySelector('select[name="productId"]').value,
+                        quantity: item.querySelector('input[name="orderedQuantity"]').value
+                    }))
+                };
+            },
+            restore: ({ username, items }) => {
+                document.getElementById('orderItemsContainer').innerHTML = '';
+                items.forEach(({ productId, quantity }) => {
+                    this.addOrderItem();
+                    const item = document.getElementById(`orderItem_${this.orderItemCount}`);
+                    if (!item) return;
+                    item.querySelector('select[name="productId"]').value = productId;
+                    item.querySelector('input[name="orderedQuantity"]').value = quantity;
+                });
+                document.getElementById('assignedUsername').value = username || '';
+                this.updateOrderTotal();
+                bootstrap.Modal.getOrCreateInstance(modalElement).show();
+            }
+        });
+    }
+
     /**
      * Filter products in dropdown based on search input
      */
@@ -787,12 +877,22 @@ class OrderManagementController {
             orderProducts: orderItems
         };
 
+        const validationErrors = Validator.messages(Validator.validate('createOrder', orderData));
+        if (validationErrors.length > 0) {
+            UIHelper.showAlert(validationErrors.join('<br>'), 'warning');
+            return;
+        }
+
         // Debug: Log the order data being sent
         console.log('Sending order data:', JSON.stringify(orderData, null, 2));
 
+        // A double click or a retry after a lost response reuses the key instead of creating a second order
+        const url = `/api/orders/admin/${assignedUsername}`;
         try {
             UIHelper.showLoading();
-            const newOrder = await this.api.post(`/api/orders/admin/${assignedUsername}`, orderData);
+            const idempotencyKey = this.api.submissionKey(url, orderData);
+            const newOrder = await this.api.post(url, orderData, { idempotencyKey });
+            this.api.completeSubmission(url);
             UIHelper.hideLoading();
 
             UIHelper.showAlert(`Order created successfully and assigned to user: ${assignedUsername}`, 'success');
@@ -809,7 +909,9 @@ class OrderManagementController {
             await this.loadAllOrders();
         } catch (error) {
             UIHelper.hideLoading();
-            
+            if (error.status && error.status < 500) {
+                this.api.completeSubmission(url);
+            }
             
             const errorMessage = this.getErrorMessage(error);
             
@@ -976,8 +1078,21 @@ class OrderManagementController {
     }
 }
 
-// Initialize when DOM is loaded
+// Initialize page with admin guard
 document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return; // Guard will handle redirect
+    }
+
+    // Setup user welcome message
+    await adminGuard.setupUserWelcome();
+
+    // Setup logout
+    UIHelper.addEventListener('logoutBtn', 'click', () => {
+        authService.logout();
+    });
+
     // Initialize the order controller
     try {
         window.orderController = new OrderManagementController();
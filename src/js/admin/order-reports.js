@@ -7,6 +7,8 @@ class OrderReportsController {
         this.api = apiClient;
         this.currentReportData = null;
         this.currentFilters = null;
+        this.currentPage = 1;
+        this.pageSize = 50;
         
         console.log('Order Reports Controller initialized');
     }
@@ -34,36 +36,43 @@ class OrderReportsController {
      * Generate report based on current filters
      */
     async generateReport() {
-        try {
-            // Get filter values
-            const filters = this.getFilterValues();
-            
-            // Validate date range
-            if (!this.validateDateRange(filters.startDate, filters.endDate)) {
-                UIHelper.showAlert('End date must be after start date', 'warning');
-                return;
-            }
+        const filters = this.getFilterValues();
+
+        // Validate date range
+        if (!this.validateDateRange(filters.startDate, filters.endDate)) {
+            UIHelper.showAlert('End date must be after start date', 'warning');
+            return;
+        }
+
+        this.currentFilters = filters;
+        await this.loadReportPage(1);
+    }
 
+    /**
+     * Load one page of the report for the current filters
+     * @param {number} page - Page number (1-based)
+     */
+    async loadReportPage(page) {
+        try {
             this.showLoading();
             this.hideAllSections();
 
-            // Fetch all orders and process them locally since backend reports endpoint isn't available
-            console.log('Fetching orders data for report generation...');
-            const orders = await this.api.get('/api/orders');
-            
-            // Process orders into report format
-            const reportData = this.processOrdersIntoReport(orders, filters);
+            // Filtering, totals and paging are done by the server
+            const report = await this.fetchReport(this.currentFilters, page, this.pageSize);
 
             this.hideLoading();
-            this.currentReportData = reportData;
-            this.currentFilters = filters;
-
-            if (reportData && reportData.length > 0) {
-                this.displayReport(reportData);
-                this.updateSummaryCards(reportData);
+            this.currentReportData = report;
+            this.currentPage = report.pagination.page;
+
+            if (report.pagination.totalItems > 0) {
+                this.displayReport(report.items);
+                this.displayGroups(report.groups, this.currentFilters.groupBy);
+                this.updateSummaryCards(report.summary);
+                this.updatePagination(report.pagination);
                 this.showReportSection();
                 document.getElementById('exportBtn').disabled = false;
             } else {
+                document.getElementById('exportBtn').disabled = true;
                 this.showNoResultsSection();
             }
 
@@ -84,116 +93,30 @@ class OrderReportsController {
     }
 
     /**
-     * Process orders into report format with filtering
-     */
-    processOrdersIntoReport(orders, filters) {
-        if (!orders || !Array.isArray(orders)) {
-            return [];
-        }
-
-        const reportItems = [];
-
-        orders.forEach(order => {
-            // Get order information
-            const orderId = order.uuid || order.id || order.orderId;
-            const orderDate = order.orderDate ? new Date(order.orderDate) : null;
-            const orderProducts = order.orderProducts || order.items || order.products || order.orderItems || [];
-            
-            // Get customer/user information
-            const customerName = this.getCustomerName(order);
-            
-            // Process each product in the order
-            orderProducts.forEach(product => {
-                const reportItem = {
-                    orderId: orderId,
-                    orderUuid: orderId,
-                    customerName: customerName,
-                    username: customerName,
-                    productName: product.productName || product.name || 'Unknown Product',
-                    quantity: parseInt(product.orderedQuantity || product.quantity || product.productQuantity || 0),
-                    unitPrice: parseFloat(product.unitPrice || product.price || product.productPrice || 0),
-                    totalAmount: 0, // Will be calculated below
-                    orderDate: order.orderDate,
-                    status: order.status || 'UNKNOWN'
-                };
-                
-                // Calculate total amount for this line item
-                reportItem.totalAmount = reportItem.unitPrice * reportItem.quantity;
-                
-                // Apply filters
-                if (this.passesFilters(reportItem, orderDate, filters)) {
-                    reportItems.push(reportItem);
-                }
-            });
-        });
-
-        console.log(`Generated ${reportItems.length} report items from ${orders.length} orders`);
-        return reportItems;
-    }
-
-    /**
-     * Get customer name from order (handles different formats)
+     * Request a page of the aggregated report
+     * @param {Object} filters - Filter values
+     * @param {number} page - Page number (1-based)
+     * @param {number} pageSize - Line items per page
+     * @returns {Promise<Object>} { filters, summary, groups, items, pagination }
      */
-    getCustomerName(order) {
-        if (order.user && order.user.username) {
-            return `@${order.user.username}`;
-        }
-        if (order.customerFirstName || order.customerLastName) {
-            return `${order.customerFirstName || ''} ${order.customerLastName || ''}`.trim();
-        }
-        if (order.username) {
-            return `@${order.username}`;
-        }
-        return 'Unknown Customer';
+    async fetchReport(filters, page, pageSize) {
+        const params = new URLSearchParams(this.buildQueryParams(filters));
+        params.set('page', page);
+        params.set('size', pageSize);
+        return this.api.get(`/api/reports/summary?${params.toString()}`);
     }
 
     /**
-     * Check if a report item passes the current filters
+     * Get the current filter values from the form
      */
-    passesFilters(item, orderDate, filters) {
-        // Product name filter
-        if (filters.productName) {
-            const productNameLower = item.productName.toLowerCase();
-            const filterLower = filters.productName.toLowerCase();
-            if (!productNameLower.includes(filterLower)) {
-                return false;
-            }
-        }
-
-        // Username filter
-        if (filters.username) {
-            const customerNameLower = item.customerName.toLowerCase();
-            const filterLower = filters.username.toLowerCase();
-            if (!customerNameLower.includes(filterLower)) {
-                return false;
-            }
-        }
-
-        // Date range filter
-        if (orderDate && (filters.startDate || filters.endDate)) {
-            if (filters.startDate) {
-                const startDate = new Date(filters.startDate);
-                if (orderDate < startDate) {
-                    return false;
-                }
-            }
-            if (filters.endDate) {
-                const endDate = new Date(filters.endDate);
-                endDate.setHours(23, 59, 59, 999); // End of day
-                if (orderDate > endDate) {
-                    return false;
-                }
-            }
-        }
-
-        return true;
-    }
     getFilterValues() {
         return {
             productName: document.getElementById('productNameFilter').value.trim() || null,
             username: document.getElementById('usernameFilter').value.trim() || null,
             startDate: document.getElementById('startDateFilter').value || null,
-            endDate: document.getElementById('endDateFilter').value || null
+            endDate: document.getElementById('endDateFilter').value || null,
+            status: document.getElementById('statusFilter').value || null,
+            groupBy: document.getElementById('groupByFilter').value || 'none'
         };
     }
 
@@ -203,22 +126,44 @@ class OrderReportsController {
     buildQueryParams(filters) {
         const params = {};
         
-        if (filters.productName) {
-            params.productName = filters.productName;
+        ['productName', 'username', 'startDate', 'endDate', 'status'].forEach(name => {
+            if (filters[name]) {
+                params[name] = filters[name];
+            }
+        });
+        if (filters.groupBy && filters.groupBy !== 'none') {
+            params.groupBy = filters.groupBy;
         }
-        if (filters.username) {
-            params.username = filters.username;
+        
+        return params;
+    }
+
+    /**
+     * Move to the previous or next page
+     * @param {number} delta - -1 or 1
+     */
+    async changePage(delta) {
+        const pagination = this.currentReportData && this.currentReportData.pagination;
+        if (!pagination) {
+            return;
         }
-        if (filters.startDate) {
-            // Convert to ISO datetime format expected by backend
-            params.startDate = filters.startDate + 'T00:00:00';
+
+        const page = this.currentPage + delta;
+        if (page < 1 || page > pagination.totalPages) {
+            return;
         }
-        if (filters.endDate) {
-            // Convert to ISO datetime format expected by backend
-            params.endDate = filters.endDate + 'T23:59:59';
+        await this.loadReportPage(page);
+    }
+
+    /**
+     * Change the number of rows per page and reload from the first page
+     * @param {number} pageSize - Rows per page
+     */
+    async changePageSize(pageSize) {
+        this.pageSize = pageSize;
+        if (this.currentFilters) {
+            await this.loadReportPage(1);
         }
-        
-        return params;
     }
 
     /**
@@ -264,7 +209,62 @@ class OrderReportsController {
         `;
 
         container.innerHTML = tableHtml;
-        document.getElementById('reportCount').textContent = `${reportData.length} record(s)`;
+        const totalItems = this.currentReportData ? this.currentReportData.pagination.totalItems : reportData.length;
+        document.getElementById('reportCount').textContent = `${totalItems} record(s)`;
+    }
+
+    /**
+     * Display group totals, or hide the section when not grouping
+     * @param {Object[]} groups - Group totals from the server
+     * @param {string} groupBy - Grouping option
+     */
+    displayGroups(groups, groupBy) {
+        const section = document.getElementById('groupSection');
+        if (!groups || groups.length === 0 || groupBy === 'none') {
+            section.style.display = 'none';
+            return;
+        }
+
+        const labels = { product: 'Product', user: 'Customer', status: 'Status', day: 'Day', month: 'Month' };
+        document.getElementById('groupByLabel').textContent = labels[groupBy] || 'Group';
+
+        document.getElementById('groupTableContainer').innerHTML = `
+            <table class="table table-sm table-hover">
+                <thead class="table-light">
+                    <tr>
+                        <th>${labels[groupBy] || 'Group'}</th>
+                        <th>Orders</th>
+                        <th>Line Items</th>
+                        <th>Quantity</th>
+                        <th>Revenue</th>
+                        <th>Avg. Order Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.map(group => `
+                        <tr>
+                            <td class="fw-semibold">${this.escapeHtml(String(group.key))}</td>
+                            <td>${group.orderCount}</td>
+                            <td>${group.lineItemCount}</td>
+                            <td>${group.totalQuantity}</td>
+                            <td class="text-success">$${group.totalRevenue.toFixed(2)}</td>
+                            <td>$${group.averageOrderValue.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        section.style.display = 'block';
+    }
+
+    /**
+     * Update the pager below the report table
+     * @param {Object} pagination - { page, size, totalItems, totalPages }
+     */
+    updatePagination(pagination) {
+        document.getElementById('pageInfo').textContent = `Page ${pagination.page} of ${pagination.totalPages}`;
+        document.getElementById('prevPageBtn').disabled = pagination.page <= 1;
+        document.getElementById('nextPageBtn').disabled = pagination.page >= pagination.totalPages;
     }
 
     /**
@@ -272,7 +272,7 @@ class OrderReportsController {
      */
     renderReportRow(item) {
         const orderId = item.orderId || item.orderUuid || item.id || 'N/A';
-        const customer = item.customerName || item.username || 'N/A';
+        const customer = this.getCustomerName(item);
         const productName = item.productName || 'N/A';
         const quantity = item.quantity || 0;
         const unitPrice = item.unitPrice || 0;
@@ -311,114 +311,74 @@ class OrderReportsController {
     }
 
     /**
-     * Update summary cards with report statistics
+     * Get the customer label of a report line
      */
-    updateSummaryCards(reportData) {
-        if (!reportData || reportData.length === 0) {
+    getCustomerName(item) {
+        return item.username ? `@${item.username}` : 'Unknown Customer';
+    }
+
+    /**
+     * Update summary cards with the report totals
+     * @param {Object} summary - Totals computed by the server over all matching lines
+     */
+    updateSummaryCards(summary) {
+        if (!summary) {
             return;
         }
 
-        // Calculate statistics
-        const uniqueOrders = new Set(reportData.map(item => item.orderId)).size;
-        const totalRevenue = reportData.reduce((sum, item) => sum + (item.totalAmount || 0), 0);
-        const uniqueProducts = new Set(reportData.map(item => item.productName)).size;
-        const uniqueCustomers = new Set(reportData.map(item => item.customerName)).size;
-
-        // Update DOM elements
-        document.getElementById('totalOrders').textContent = uniqueOrders;
-        document.getElementById('totalRevenue').textContent = `$${totalRevenue.toFixed(2)}`;
-        document.getElementById('totalProducts').textContent = uniqueProducts;
-        document.getElementById('totalCustomers').textContent = uniqueCustomers;
+        document.getElementById('totalOrders').textContent = summary.orderCount;
+        document.getElementById('totalRevenue').textContent = `$${summary.totalRevenue.toFixed(2)}`;
+        document.getElementById('totalProducts').textContent = summary.productCount;
+        document.getElementById('totalCustomers').textContent = summary.customerCount;
     }
 
     /**
-     * Export current report data
+     * Download the current report from the server
+     * @param {string} format - csv, xlsx or pdf
      */
-    exportReport() {
-        if (!this.currentReportData || this.currentReportData.length === 0) {
+    async exportReport(format = 'csv') {
+        if (!this.currentReportData || this.currentReportData.pagination.totalItems === 0) {
             UIHelper.showAlert('No data to export', 'warning');
             return;
         }
 
         try {
-            // Create CSV content
-            const csvContent = this.generateCSV(this.currentReportData);
-            
+            // The server builds the file from every matching line, not just the loaded page
+            const params = new URLSearchParams(this.buildQueryParams(this.currentFilters));
+            params.set('format', format);
+            const response = await this.api.makeRequest(`/api/reports/export?${params.toString()}`, { method: 'GET' });
+            const blob = await response.blob();
+
             // Create download link
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
             const link = document.createElement('a');
             const url = URL.createObjectURL(blob);
             
             link.setAttribute('href', url);
-            link.setAttribute('download', this.generateFileName());
+            link.setAttribute('download', this.getDownloadFileName(response, format));
             link.style.visibility = 'hidden';
             
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
+            URL.revokeObjectURL(url);
             
             UIHelper.showAlert('Report exported successfully', 'success');
         } catch (error) {
             console.error('Error exporting report:', error);
-            UIHelper.showAlert('Error exporting report', 'danger');
+            UIHelper.showAlert(`Error exporting report: ${this.getErrorMessage(error)}`, 'danger');
         }
     }
 
     /**
-     * Generate CSV content from report data
-     */
-    generateCSV(data) {
-        const headers = [
-            'Order ID',
-            'Customer/User',
-            'Product',
-            'Quantity',
-            'Unit Price',
-            'Total Amount',
-            'Order Date',
-            'Status'
-        ];
-
-        const csvRows = [headers.join(',')];
-
-        data.forEach(item => {
-            const row = [
-                `"${item.orderId || 'N/A'}"`,
-                `"${item.customerName || 'N/A'}"`,
-                `"${item.productName || 'N/A'}"`,
-                item.quantity || 0,
-                (item.unitPrice || 0).toFixed(2),
-                (item.totalAmount || 0).toFixed(2),
-                `"${item.orderDate ? new Date(item.orderDate).toLocaleDateString() : 'N/A'}"`,
-                `"${item.status || 'UNKNOWN'}"`
-            ];
-            csvRows.push(row.join(','));
-        });
-
-        return csvRows.join('\n');
-    }
-
-    /**
-     * Generate filename for export
+     * Get the file name the server chose for an export
+     * @param {Response} response - Export response
+     * @param {string} format - Requested format, used if the header is missing
+     * @returns {string} File name
      */
-    generateFileName() {
-        const now = new Date();
-        const timestamp = now.toISOString().slice(0, 19).replace(/:/g, '-');
-        const filters = this.currentFilters || {};
-        
-        let filename = `order-report-${timestamp}`;
-        
-        if (filters.productName) {
-            filename += `-product-${filters.productName.replace(/[^a-zA-Z0-9]/g, '')}`;
-        }
-        if (filters.username) {
-            filename += `-user-${filters.username.replace(/[^a-zA-Z0-9]/g, '')}`;
-        }
-        if (filters.startDate && filters.endDate) {
-            filename += `-${filters.startDate}-to-${filters.endDate}`;
-        }
-        
-        return filename + '.csv';
+    getDownloadFileName(response, format) {
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return match ? match[1] : `order-report.${format}`;
     }
 
     /**
@@ -429,11 +389,14 @@ class OrderReportsController {
         document.getElementById('usernameFilter').value = '';
         document.getElementById('startDateFilter').value = '';
         document.getElementById('endDateFilter').value = '';
+        document.getElementById('statusFilter').value = '';
+        document.getElementById('groupByFilter').value = 'none';
         
         this.hideAllSections();
         document.getElementById('exportBtn').disabled = true;
         this.currentReportData = null;
         this.currentFilters = null;
+        this.currentPage = 1;
     }
 
     /**
@@ -459,6 +422,7 @@ class OrderReportsController {
     hideAllSections() {
         document.getElementById('reportSection').style.display = 'none';
         document.getElementById('summarySection').style.display = 'none';
+        document.getElementById('groupSection').style.display = 'none';
         document.getElementById('noResultsSection').style.display = 'none';
     }
 
@@ -493,11 +457,11 @@ class OrderReportsController {
     }
 
     isForbiddenError(error) {
-        return error.response && error.response.status === 403;
+        return error.status === 403;
     }
 
     isUnauthorizedError(error) {
-        return error.response && error.response.status === 401;
+        return error.status === 401;
     }
 
     getErrorMessage(error) {
@@ -511,7 +475,25 @@ class OrderReportsController {
     }
 }
 
-// Global functions for HTML onclick handlers
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return; // Guard will handle redirect
+    }
+
+    // Setup user welcome message
+    await adminGuard.setupUserWelcome();
+
+    // Setup logout
+    UIHelper.addEventListener('logoutBtn', 'click', () => {
+        authService.logout();
+    });
+
+    window.reportController = new OrderReportsController();
+});
+
+// Global functions for data-action handlers
 function generateReport() {
     if (window.reportController) {
         window.reportController.generateReport();
@@ -524,8 +506,21 @@ function clearFilters() {
     }
 }
 
-function exportReport() {
+function exportReport(format) {
+    if (window.reportController) {
+        window.reportController.exportReport(format);
+    }
+}
+
+function changeReportPage(delta) {
+    if (window.reportController) {
+        window.reportController.changePage(delta);
+    }
+}
+
+function changeReportPageSize() {
     if (window.reportController) {
-        window.reportController.exportReport();
+        const pageSize = parseInt(document.getElementById('pageSizeSelect').value, 10);
+        window.reportController.changePageSize(pageSize);
     }
 }
@@ -7,6 +7,12 @@ class ProductManagementController {
     constructor() {
         this.api = apiClient;
         this.currentProducts = [];
+        this.pager = new ListPager({
+            containerId: 'productsPagination',
+            defaultSort: { field: 'name', direction: 'asc' },
+            onChange: () => this.loadAllProducts()
+        });
+        this.pager.bindSortHeaders('productsContainer');
     }
 
     /**
@@ -102,6 +108,10 @@ class ProductManagementController {
             
             // Setup event listeners
             this.setupEventListeners();
+
+            // Keep half-filled forms if the session expires
+            sessionManager.preserveForm('createProductForm', { modalId: 'createProductModal' });
+            sessionManager.preserveForm('editProductForm', { modalId: 'editProductModal' });
             
         } catch (error) {
             console.error('Error during product management initialization:', error);
@@ -127,10 +137,17 @@ class ProductManagementController {
             if (e.key === 'Enter') this.searchProductByName();
         });
 
-        // Make functions globally available for onclick handlers
+        // List filter event listeners
+        UIHelper.addEventListener('productListFilter', 'keypress', (e) => {
+            if (e.key === 'Enter') this.applyProductFilters();
+        });
+        UIHelper.addEventListener('productStockFilter', 'change', () => this.applyProductFilters());
+
+        // Make functions globally available for data-action handlers
         window.searchProductById = this.searchProductById.bind(this);
         window.searchProductByName = this.searchProductByName.bind(this);
         window.loadAllProducts = this.loadAllProducts.bind(this);
+        window.applyProductFilters = this.applyProductFilters.bind(this);
         window.createProduct = this.createProduct.bind(this);
         window.editProduct = this.editProduct.bind(this);
         window.updateProduct = this.updateProduct.bind(this);
@@ -155,6 +172,7 @@ class ProductManagementController {
         try {
             const product = await this.api.get(`/api/products/${productId}`);
             UIHelper.hideLoading();
+            this.pager.hide();
             this.displayProducts([product]);
             UIHelper.updateText('productCount', '1 product found');
         } catch (error) {
@@ -162,6 +180,7 @@ class ProductManagementController {
             
             if (this.isNotFoundError(error)) {
                 UIHelper.showAlert(`No product found with ID: ${productId}`, 'info');
+                this.pager.hide();
                 this.displayProducts([]);
                 UIHelper.updateText('productCount', '0 products found');
             } else if (this.isForbiddenError(error)) {
@@ -196,6 +215,7 @@ class ProductManagementController {
             // Backend returns a single product object, not an array
             const products = Array.isArray(response) ? response : [response];
             
+            this.pager.hide();
             this.displayProducts(products);
             UIHelper.updateText('productCount', `${products.length} product(s) found`);
         } catch (error) {
@@ -203,6 +223,7 @@ class ProductManagementController {
             
             if (this.isNotFoundError(error)) {
                 UIHelper.showAlert(`No products found with name containing: "${name}"`, 'info');
+                this.pager.hide();
                 this.displayProducts([]);
                 UIHelper.updateText('productCount', '0 products found');
             } else if (this.isForbiddenError(error)) {
@@ -218,16 +239,27 @@ class ProductManagementController {
     }
 
     /**
-     * Load all products
+     * Apply the list filters and show the first page
+     */
+    applyProductFilters() {
+        return this.pager.setFilters({
+            q: document.getElementById('productListFilter')?.value.trim(),
+            inStock: document.getElementById('productStockFilter')?.value
+        });
+    }
+
+    /**
+     * Load the current page of products with the selected filters and sort
      */
     async loadAllProducts() {
         UIHelper.showLoading();
         
         try {
-            const products = await this.api.get('/api/products');
+            const result = await this.api.get(`/api/products?${this.pager.queryString()}`);
             UIHelper.hideLoading();
-            this.displayProducts(products);
-            UIHelper.updateText('productCount', `${products.length} total products`);
+            this.displayProducts(result.items);
+            this.pager.render(result.pagination);
+            UIHelper.updateText('productCount', this.pager.summary('products'));
         } catch (error) {
             UIHelper.hideLoading();
             const errorMessage = this.getErrorMessage(error);
@@ -290,12 +322,13 @@ class ProductManagementController {
                 <td>
                     <div class="btn-group" role="group">
                         <button class="btn btn-sm btn-outline-warning" 
-                                onclick="editProduct(${product.id}, '${this.escapeHtml(product.name)}', '${this.escapeHtml(product.description || '')}', ${product.actualPrice}, ${product.sellingPrice}, ${product.availableQuantity})"
+                                data-action="editProduct"
+                                data-args="${UIHelper.actionArgs(product.id, product.name, product.description || '', product.actualPrice, product.sellingPrice, product.availableQuantity)}"
                                 title="Edit Product">
                             <i class="bi bi-pencil"></i>
                         </button>
                         <button class="btn btn-sm btn-outline-danger" 
-                                onclick="deleteProduct(${product.id}, '${this.escapeHtml(product.name)}')"
+                                data-action="deleteProduct" data-args="${UIHelper.actionArgs(product.id, product.name)}"
                                 title="Delete Product">
                             <i class="bi bi-trash"></i>
                         </button>
@@ -309,10 +342,10 @@ class ProductManagementController {
                 <table class="table table-hover align-middle">
                     <thead class="table-light">
                         <tr>
-                            <th scope="col">Product</th>
+                            ${this.pager.sortHeader('Product', 'name')}
                             <th scope="col">Description</th>
-                            <th scope="col">Pricing</th>
-                            <th scope="col">Stock</th>
+                            ${this.pager.sortHeader('Pricing', 'sellingPrice')}
+                            ${this.pager.sortHeader('Stock', 'availableQuantity')}
                             <th scope="col">Actions</th>
                         </tr>
                     </thead>
@@ -353,25 +386,23 @@ class ProductManagementController {
         const sellingPrice = document.getElementById('createSellingPrice')?.value;
         const availableQuantity = document.getElementById('createAvailableQuantity')?.value;
 
+        // Prepare data according to CreateProductDTO (blank inputs count as missing)
+        const productData = {
+            name,
+            description: description || null,
+            actualPrice: actualPrice ? parseFloat(actualPrice) : undefined,
+            sellingPrice: sellingPrice ? parseFloat(sellingPrice) : undefined,
+            availableQuantity: availableQuantity !== '' ? parseInt(availableQuantity) : undefined
+        };
+
         // Client-side validation
-        const validationErrors = this.validateCreateProductData({
-            name, description, actualPrice, sellingPrice, availableQuantity
-        });
+        const validationErrors = this.validateCreateProductData(productData);
 
         if (validationErrors.length > 0) {
             UIHelper.showAlert(validationErrors.join('<br>'), 'warning');
             return;
         }
 
-        // Prepare data according to CreateProductDTO
-        const productData = {
-            name,
-            description: description || null,
-            actualPrice: parseFloat(actualPrice),
-            sellingPrice: parseFloat(sellingPrice),
-            availableQuantity: parseInt(availableQuantity)
-        };
-
         UIHelper.showLoading();
 
         try {
@@ -385,9 +416,8 @@ class ProductManagementController {
             modal?.hide();
             UIHelper.clearForm('createProductForm');
             
-            // Refresh product list if showing all products
-            const productCount = document.getElementById('productCount')?.textContent;
-            if (productCount?.includes('total')) {
+            // Refresh product list if showing the list
+            if (this.pager.pagination) {
                 this.loadAllProducts();
             }
         } catch (error) {
@@ -408,54 +438,10 @@ class ProductManagementController {
     }
 
     /**
-     * Validate create product data according to DTO constraints
+     * Validate create product data against the shared CreateProductDTO schema
      */
-    validateCreateProductData({ name, description, actualPrice, sellingPrice, availableQuantity }) {
-        const errors = [];
-
-        // Name validation
-        if (!name) {
-            errors.push('Product name is required');
-        } else if (name.length > 50) {
-            errors.push('Product name must not exceed 50 characters');
-        }
-
-        // Description validation
-        if (description && description.length > 400) {
-            errors.push('Description must not exceed 400 characters');
-        }
-
-        // Actual price validation
-        if (!actualPrice) {
-            errors.push('Actual price is required');
-        } else {
-            const price = parseFloat(actualPrice);
-            if (isNaN(price) || price <= 0) {
-                errors.push('Actual price must be a positive number');
-            }
-        }
-
-        // Selling price validation
-        if (!sellingPrice) {
-            errors.push('Selling price is required');
-        } else {
-            const price = parseFloat(sellingPrice);
-            if (isNaN(price) || price <= 0) {
-                errors.push('Selling price must be a positive number');
-            }
-        }
-
-        // Quantity validation
-        if (availableQuantity === '' || availableQuantity === null || availableQuantity === undefined) {
-            errors.push('Available quantity is required');
-        } else {
-            const quantity = parseInt(availableQuantity);
-            if (isNaN(quantity) || quantity < 0) {
-                errors.push('Available quantity cannot be negative');
-            }
-        }
-
-        return errors;
+    validateCreateProductData(productData) {
+        return Validator.messages(Validator.validate('createProduct', productData));
     }
 
     /**
@@ -498,8 +484,9 @@ class ProductManagementController {
         if (sellingPrice) updateData.sellingPrice = parseFloat(sellingPrice);
         if (availableQuantity !== '') updateData.availableQuantity = parseInt(availableQuantity);
 
-        if (Object.keys(updateData).length === 0) {
-            UIHelper.showAlert('Please fill at least one field to update', 'warning');
+        const validationErrors = Validator.messages(Validator.validate('updateProduct', updateData));
+        if (validationErrors.length > 0) {
+            UIHelper.showAlert(validationErrors.join('<br>'), 'warning');
             return;
         }
 
@@ -597,7 +584,7 @@ class ProductManagementController {
     refreshCurrentView() {
         const productCount = document.getElementById('productCount')?.textContent;
         
-        if (productCount?.includes('total')) {
+        if (this.pager.pagination) {
             this.loadAllProducts();
         } else if (productCount?.includes('found')) {
             // Try to refresh search if inputs have values
@@ -615,8 +602,13 @@ class ProductManagementController {
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    const productController = new ProductManagementController();
-    productController.init();
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return;
+    }
+
+    window.productController = new ProductManagementController();
+    await productController.init();
 });
@@ -7,6 +7,12 @@ class UserManagementController {
     constructor() {
         this.api = apiClient;
         this.currentUsers = [];
+        this.pager = new ListPager({
+            containerId: 'usersPagination',
+            defaultSort: { field: 'username', direction: 'asc' },
+            onChange: () => this.loadAllUsers()
+        });
+        this.pager.bindSortHeaders('usersContainer');
     }
 
     /**
@@ -159,6 +165,10 @@ class UserManagementController {
             
             // Setup event listeners
             this.setupEventListeners();
+
+            // Keep half-filled forms if the session expires
+            sessionManager.preserveForm('createUserForm', { modalId: 'createUserModal' });
+            sessionManager.preserveForm('editUserForm', { modalId: 'editUserModal' });
             
         } catch (error) {
             console.error('Error during user management initialization:', error);
@@ -184,10 +194,17 @@ class UserManagementController {
             if (e.key === 'Enter') this.searchUserByUsername();
         });
 
-        // Make functions globally available for onclick handlers
+        // List filter event listeners
+        UIHelper.addEventListener('userListFilter', 'keypress', (e) => {
+            if (e.key === 'Enter') this.applyUserFilters();
+        });
+        UIHelper.addEventListener('userRoleFilter', 'change', () => this.applyUserFilters());
+
+        // Make functions globally available for data-action handlers
         window.searchUserById = this.searchUserById.bind(this);
         window.searchUserByUsername = this.searchUserByUsername.bind(this);
         window.loadAllUsers = this.loadAllUsers.bind(this);
+        window.applyUserFilters = this.applyUserFilters.bind(this);
         window.createUser = this.createUser.bind(this);
         window.editUser = this.editUser.bind(this);
         window.updateUser = this.updateUser.bind(this);
@@ -212,6 +229,7 @@ class UserManagementController {
         try {
             const user = await this.api.get(`/api/users/${userId}`);
             UIHelper.hideLoading();
+            this.pager.hide();
             this.displayUsers([user]);
             UIHelper.updateText('userCount', '1 user found');
         } catch (error) {
@@ -220,6 +238,7 @@ class UserManagementController {
             // Handle specific error cases
             if (this.isNotFoundError(error)) {
                 UIHelper.showAlert(`No user found with ID: ${userId}`, 'info');
+                this.pager.hide();
                 this.displayUsers([]); // Clear any existing results
                 UIHelper.updateText('userCount', '0 users found');
             } else if (this.isForbiddenError(error)) {
@@ -251,6 +270,7 @@ class UserManagementController {
             const user = await this.api.get(`/api/users/username/${encodeURIComponent(username)}`);
             UIHelper.hideLoading();
             // Your backend returns a single user, not an array
+            this.pager.hide();
             this.displayUsers([user]);
             UIHelper.updateText('userCount', '1 user found');
         } catch (error) {
@@ -259,6 +279,7 @@ class UserManagementController {
             // Handle specific error cases
             if (this.isNotFoundError(error)) {
                 UIHelper.showAlert(`No user found with username: "${username}"`, 'info');
+                this.pager.hide();
                 this.displayUsers([]); // Clear any existing results
                 UIHelper.updateText('userCount', '0 users found');
             } else if (this.isForbiddenError(error)) {
@@ -274,16 +295,27 @@ class UserManagementController {
     }
 
     /**
-     * Load all users
+     * Apply the list filters and show the first page
+     */
+    applyUserFilters() {
+        return this.pager.setFilters({
+            q: document.getElementById('userListFilter')?.value.trim(),
+            role: document.getElementById('userRoleFilter')?.value
+        });
+    }
+
+    /**
+     * Load the current page of users with the selected filters and sort
      */
     async loadAllUsers() {
         UIHelper.showLoading();
         
         try {
-            const users = await this.api.get('/api/users');
+            const result = await this.api.get(`/api/users?${this.pager.queryString()}`);
             UIHelper.hideLoading();
-            this.displayUsers(users);
-            UIHelper.updateText('userCount', `${users.length} total users`);
+            this.displayUsers(result.items);
+            this.pager.render(result.pagination);
+            UIHelper.updateText('userCount', this.pager.summary('users'));
         } catch (error) {
             UIHelper.hideLoading();
             UIHelper.showAlert(error.message, 'danger');
@@ -332,12 +364,13 @@ class UserManagementController {
                 <td>
                     <div class="btn-group" role="group">
                         <button class="btn btn-sm btn-outline-warning" 
-                                onclick="editUser('${user.id}', '${this.escapeHtml(user.username)}', '${this.escapeHtml(user.email)}', '${user.role}')"
+                                data-action="editUser"
+                                data-args="${UIHelper.actionArgs(String(user.id), user.username, user.email, user.role)}"
                                 title="Edit User">
                             <i class="bi bi-pencil"></i>
                         </button>
                         <button class="btn btn-sm btn-outline-danger" 
-                                onclick="deleteUser('${user.id}', '${this.escapeHtml(user.username)}')"
+                                data-action="deleteUser" data-args="${UIHelper.actionArgs(String(user.id), user.username)}"
                                 title="Delete User">
                             <i class="bi bi-trash"></i>
                         </button>
@@ -351,15 +384,9 @@ class UserManagementController {
                 <table class="table table-hover align-middle">
                     <thead class="table-light">
                         <tr>
-                            <th scope="col">
-                                <i class="bi bi-person me-2"></i>User
-                            </th>
-                            <th scope="col">
-                                <i class="bi bi-envelope me-2"></i>Email
-                            </th>
-                            <th scope="col">
-                                <i class="bi bi-shield me-2"></i>Role
-                            </th>
+                            ${this.pager.sortHeader('<i class="bi bi-person me-2"></i>User', 'username')}
+                            ${this.pager.sortHeader('<i class="bi bi-envelope me-2"></i>Email', 'email')}
+                            ${this.pager.sortHeader('<i class="bi bi-shield me-2"></i>Role', 'role')}
                             <th scope="col" class="text-center">
                                 <i class="bi bi-gear me-2"></i>Actions
                             </th>
@@ -418,9 +445,8 @@ class UserManagementController {
             modal?.hide();
             UIHelper.clearForm('createUserForm');
             
-            // Refresh user list if showing all users
-            const userCount = document.getElementById('userCount')?.textContent;
-            if (userCount?.includes('total')) {
+            // Refresh user list if showing the list
+            if (this.pager.pagination) {
                 this.loadAllUsers();
             }
         } catch (error) {
@@ -478,65 +504,12 @@ class UserManagementController {
     }
 
     /**
-     * Validate create user data according to DTO constraints
+     * Validate create user data against the shared CreateUserDTO schema
      * @param {Object} userData - User data to validate
      * @returns {Array} - Array of validation error messages
      */
-    validateCreateUserData({ username, firstName, lastName, email, password }) {
-        const errors = [];
-
-        // Username validation
-        if (!username) {
-            errors.push('Username is required');
-        } else if (username.length < 3 || username.length > 50) {
-            errors.push('Username must be between 3 and 50 characters');
-        }
-
-        // First name validation
-        if (!firstName) {
-            errors.push('First name is required');
-        } else if (firstName.length > 30) {
-            errors.push('First name must not exceed 30 characters');
-        }
-
-        // Last name validation
-        if (!lastName) {
-            errors.push('Last name is required');
-        } else if (lastName.length > 30) {
-            errors.push('Last name must not exceed 30 characters');
-        }
-
-        // Email validation
-        if (!email) {
-            errors.push('Email is required');
-        } else {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                errors.push('Invalid email format');
-            }
-        }
-
-        // Password validation
-        if (!password) {
-            errors.push('Password is required');
-        } else {
-            const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)[A-Za-z\d]{8,}$/;
-            if (!passwordRegex.test(password)) {
-                errors.push('Password must be at least 8 characters long, contain at least 1 letter and 1 number');
-            }
-        }
-
-        return errors;
-    }
-
-    /**
-     * Escape HTML to prevent XSS in onclick handlers
-     * @param {string} text - Text to escape
-     * @returns {string} - Escaped text
-     */
-    escapeHtml(text) {
-        if (!text) return '';
-        return text.replace(/'/g, "\\'").replace(/"/g, '\\"');
+    validateCreateUserData(userData) {
+        return Validator.messages(Validator.validate('createUser', userData));
     }
 
     /**
@@ -665,7 +638,7 @@ class UserManagementController {
     refreshCurrentView() {
         const userCount = document.getElementById('userCount')?.textContent;
         
-        if (userCount?.includes('total')) {
+        if (this.pager.pagination) {
             this.loadAllUsers();
         } else if (userCount?.includes('found')) {
             const searchId = document.getElementById('searchById')?.value;
@@ -680,8 +653,13 @@ class UserManagementController {
     }
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    const userManagementController = new UserManagementController();
-    userManagementController.init();
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return;
+    }
+
+    window.userController = new UserManagementController();
+    await userController.init();
 });
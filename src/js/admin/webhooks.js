@@ -0,0 +1,496 @@
+/**
+ * Webhook Controller
+ * Handles admin management of webhook endpoints and the delivery log
+ */
+
+class WebhookController {
+    constructor() {
+        this.api = apiClient;
+        this.endpoints = [];
+    }
+
+    /**
+     * Initialize the webhooks page
+     */
+    async init() {
+        try {
+            const userData = await authService.getCurrentUser();
+            if (userData && userData.username) {
+                UIHelper.updateText('adminWelcome', `Welcome, ${userData.username}!`);
+            }
+
+            this.renderEventOptions();
+            this.setupEventListeners();
+            await this.loadEndpoints();
+            await this.loadDeliveries();
+        } catch (error) {
+            console.error('Error during webhooks initialization:', error);
+            UIHelper.showAlert('Error loading the webhooks page.', 'danger');
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', () => {
+            authService.logout();
+        });
+        UIHelper.addEventListener('deliveryEndpointFilter', 'change', () => this.loadDeliveries());
+        UIHelper.addEventListener('deliveryStatusFilter', 'change', () => this.loadDeliveries());
+        UIHelper.addEventListener('endpointsContainer', 'change', (event) => {
+            const toggle = event.target.closest('[data-webhook-toggle]');
+            if (toggle) {
+                this.toggleWebhook(toggle.dataset.webhookToggle, toggle.checked);
+            }
+        });
+
+        // Make functions globally available for data-action handlers
+        window.showCreateWebhook = this.showCreateWebhook.bind(this);
+        window.editWebhook = this.editWebhook.bind(this);
+        window.saveWebhook = this.saveWebhook.bind(this);
+        window.pingWebhook = this.pingWebhook.bind(this);
+        window.deleteWebhook = this.deleteWebhook.bind(this);
+        window.confirmDeleteWebhook = this.confirmDeleteWebhook.bind(this);
+        window.loadDeliveries = this.loadDeliveries.bind(this);
+        window.copyWebhookSecret = this.copySecret.bind(this);
+        window.hideWebhookSecret = this.hideSecret.bind(this);
+        window.hideAlert = UIHelper.hideAlert;
+    }
+
+    /**
+     * Render one checkbox per subscribable event in the endpoint form
+     */
+    renderEventOptions() {
+        UIHelper.updateHTML('webhookEvents', WEBHOOK_EVENTS.map(event => `
+            <div class="form-check">
+                <input class="form-check-input webhook-event" type="checkbox" value="${event}" id="event-${event}">
+                <label class="form-check-label font-monospace small" for="event-${event}">${event}</label>
+            </div>
+        `).join(''));
+    }
+
+    /**
+     * Load the configured endpoints
+     */
+    async loadEndpoints() {
+        try {
+            this.endpoints = await this.api.get('/api/webhooks');
+            this.displayEndpoints();
+            this.updateEndpointFilter();
+        } catch (error) {
+            this.handleError(error, 'Failed to load webhook endpoints');
+        }
+    }
+
+    /**
+     * Display endpoints in table format
+     */
+    displayEndpoints() {
+        const container = document.getElementById('endpointsContainer');
+        const count = this.endpoints.length;
+        UIHelper.updateText('endpointCount', count === 1 ? '1 endpoint' : `${count} endpoints`);
+
+        if (count === 0) {
+            container.innerHTML = `
+                <div class="text-center py-5 text-muted">
+                    <i class="bi bi-plug display-1 opacity-25"></i>
+                    <h5 class="mt-3">No Endpoints</h5>
+                    <p>Add an endpoint to start sending order and product events.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const rows = this.endpoints.map(endpoint => `
+            <tr>
+                <td class="webhook-url">
+                    <div class="fw-semibold">${this.escapeHtml(endpoint.url)}</div>
+                    ${endpoint.description ? `<small class="text-muted">${this.escapeHtml(endpoint.description)}</small>` : ''}
+                </td>
+                <td>
+                    ${endpoint.events.map(event => `<span class="badge bg-light text-dark border me-1 mb-1 font-monospace">${event}</span>`).join('')}
+                </td>
+                <td><code>${this.escapeHtml(endpoint.secretHint || '')}</code></td>
+                <td>
+                    <div class="form-check form-switch mb-0">
+                        <input class="form-check-input" type="checkbox" ${endpoint.enabled ? 'checked' : ''}
+                               data-webhook-toggle="${this.escapeHtml(endpoint.id)}"
+                               title="${endpoint.enabled ? 'Disable' : 'Enable'} endpoint">
+                    </div>
+                </td>
+                <td>
+                    <div class="btn-group" role="group">
+                        <button class="btn btn-sm btn-outline-primary" data-action="pingWebhook" data-args="${UIHelper.actionArgs(endpoint.id)}" title="Send Test Event">
+                            <i class="bi bi-send"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning" data-action="editWebhook" data-args="${UIHelper.actionArgs(endpoint.id)}" title="Edit Endpoint">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger" data-action="deleteWebhook" data-args="${UIHelper.actionArgs(endpoint.id)}" title="Delete Endpoint">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-hover align-middle">
+                    <thead class="table-light">
+                        <tr>
+                            <th scope="col">URL</th>
+                            <th scope="col">Events</th>
+                            <th scope="col">Secret</th>
+                            <th scope="col">Enabled</th>
+                            <th scope="col">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Keep the delivery log's endpoint filter in step with the endpoint list
+     */
+    updateEndpointFilter() {
+        const select = document.getElementById('deliveryEndpointFilter');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">All endpoints</option>' + this.endpoints.map(endpoint =>
+            `<option value="${endpoint.id}">${this.escapeHtml(endpoint.url)}</option>`
+        ).join('');
+        select.value = this.endpoints.some(endpoint => endpoint.id === selected) ? selected : '';
+    }
+
+    /**
+     * Open the endpoint form for a new endpoint
+     */
+    showCreateWebhook() {
+        this.fillForm({ id: '', url: '', description: '', events: [], enabled: true });
+        UIHelper.updateHTML('webhookModalTitle', '<i class="bi bi-plug me-2"></i>Add Endpoint');
+        UIHelper.toggleElement('webhookRotateGroup', false);
+        new bootstrap.Modal(document.getElementById('webhookModal')).show();
+    }
+
+    /**
+     * Open the endpoint form for an existing endpoint
+     * @param {string} id - Endpoint ID
+     */
+    editWebhook(id) {
+        const endpoint = this.endpoints.find(item => item.id === id);
+        if (!endpoint) return;
+
+        this.fillForm(endpoint);
+        UIHelper.updateHTML('webhookModalTitle', '<i class="bi bi-pencil me-2"></i>Edit Endpoint');
+        UIHelper.toggleElement('webhookRotateGroup', true);
+        new bootstrap.Modal(document.getElementById('webhookModal')).show();
+    }
+
+    /**
+     * Put an endpoint's values into the form
+     * @param {Object} endpoint - Endpoint (or blank values)
+     */
+    fillForm(endpoint) {
+        document.getElementById('webhookId').value = endpoint.id;
+        document.getElementById('webhookUrl').value = endpoint.url;
+        document.getElementById('webhookDescription').value = endpoint.description || '';
+        document.getElementById('webhookEnabled').checked = endpoint.enabled;
+        document.getElementById('webhookRotateSecret').checked = false;
+        document.querySelectorAll('.webhook-event').forEach(checkbox => {
+            checkbox.checked = endpoint.events.includes(checkbox.value);
+        });
+    }
+
+    /**
+     * Create or update the endpoint in the form
+     */
+    async saveWebhook() {
+        const id = document.getElementById('webhookId').value;
+        const data = {
+            url: document.getElementById('webhookUrl').value.trim(),
+            description: document.getElementById('webhookDescription').value.trim(),
+            events: [...document.querySelectorAll('.webhook-event:checked')].map(checkbox => checkbox.value),
+            enabled: document.getElementById('webhookEnabled').checked
+        };
+        if (id && document.getElementById('webhookRotateSecret').checked) {
+            data.rotateSecret = true;
+        }
+
+        const errors = Validator.messages(Validator.validate(id ? 'updateWebhook' : 'createWebhook', data));
+        if (errors.length > 0) {
+            UIHelper.showAlert(errors.join(' '), 'warning');
+            return;
+        }
+
+        try {
+            const endpoint = id
+                ? await this.api.put(`/api/webhooks/${id}`, data)
+                : await this.api.post('/api/webhooks', data);
+
+            bootstrap.Modal.getInstance(document.getElementById('webhookModal'))?.hide();
+            UIHelper.showAlert(id ? 'Endpoint updated.' : 'Endpoint added.', 'success');
+            if (endpoint.secret) {
+                this.showSecret(endpoint);
+            }
+            await this.loadEndpoints();
+        } catch (error) {
+            this.handleError(error, 'Failed to save endpoint');
+        }
+    }
+
+    /**
+     * Enable or disable an endpoint
+     * @param {string} id - Endpoint ID
+     * @param {boolean} enabled - New state
+     */
+    async toggleWebhook(id, enabled) {
+        try {
+            await this.api.put(`/api/webhooks/${id}`, { enabled });
+            UIHelper.showToast(enabled ? 'Endpoint enabled' : 'Endpoint disabled', 'success');
+            await this.loadEndpoints();
+        } catch (error) {
+            this.handleError(error, 'Failed to update endpoint');
+            await this.loadEndpoints();
+        }
+    }
+
+    /**
+     * Send a test event and report the endpoint's answer
+     * @param {string} id - Endpoint ID
+     */
+    async pingWebhook(id) {
+        try {
+            const delivery = await this.api.post(`/api/webhooks/${id}/ping`, {});
+            const attempt = delivery.attempts[delivery.attempts.length - 1] || {};
+            if (delivery.status === 'delivered') {
+                UIHelper.showAlert(`Test event delivered (HTTP ${attempt.statusCode}, ${attempt.durationMs} ms).`, 'success');
+            } else {
+                const reason = attempt.error || (attempt.statusCode ? `HTTP ${attempt.statusCode}` : delivery.status);
+                UIHelper.showAlert(`Test event was not delivered: ${reason}`, 'warning');
+            }
+            await this.loadDeliveries();
+        } catch (error) {
+            this.handleError(error, 'Failed to send test event');
+        }
+    }
+
+    /**
+     * Ask before removing an endpoint
+     * @param {string} id - Endpoint ID
+     */
+    deleteWebhook(id) {
+        const endpoint = this.endpoints.find(item => item.id === id);
+        if (!endpoint) return;
+
+        document.getElementById('deleteWebhookId').value = id;
+        UIHelper.updateText('deleteWebhookUrl', endpoint.url);
+        new bootstrap.Modal(document.getElementById('deleteWebhookModal')).show();
+    }
+
+    /**
+     * Remove the endpoint chosen in the confirmation dialog
+     */
+    async confirmDeleteWebhook() {
+        const id = document.getElementById('deleteWebhookId').value;
+
+        try {
+            await this.api.delete(`/api/webhooks/${id}`);
+            bootstrap.Modal.getInstance(document.getElementById('deleteWebhookModal'))?.hide();
+            UIHelper.showAlert('Endpoint removed.', 'success');
+            await this.loadEndpoints();
+            await this.loadDeliveries();
+        } catch (error) {
+            this.handleError(error, 'Failed to remove endpoint');
+        }
+    }
+
+    /**
+     * Show a new secret until the admin dismisses it
+     * @param {Object} endpoint - Endpoint including its secret
+     */
+    showSecret(endpoint) {
+        UIHelper.updateText('secretEndpointUrl', endpoint.url);
+        document.getElementById('secretValue').value = endpoint.secret;
+        UIHelper.toggleElement('secretPanel', true);
+    }
+
+    /**
+     * Hide and forget the displayed secret
+     */
+    hideSecret() {
+        document.getElementById('secretValue').value = '';
+        UIHelper.toggleElement('secretPanel', false);
+    }
+
+    /**
+     * Copy the displayed secret to the clipboard
+     */
+    async copySecret() {
+        const input = document.getElementById('secretValue');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            UIHelper.showToast('Secret copied', 'success');
+        } catch (error) {
+            input.select();
+            UIHelper.showToast('Press Ctrl+C to copy the selected secret', 'info');
+        }
+    }
+
+    /**
+     * Load the delivery log with the selected filters
+     */
+    async loadDeliveries() {
+        const params = new URLSearchParams();
+        const endpointId = document.getElementById('deliveryEndpointFilter')?.value;
+        const status = document.getElementById('deliveryStatusFilter')?.value;
+        if (endpointId) params.set('endpointId', endpointId);
+        if (status) params.set('status', status);
+
+        try {
+            const deliveries = await this.api.get(`/api/webhooks/deliveries?${params}`);
+            this.displayDeliveries(deliveries);
+        } catch (error) {
+            this.handleError(error, 'Failed to load deliveries');
+        }
+    }
+
+    /**
+     * Display the delivery log
+     * @param {Array} deliveries - Deliveries, newest first
+     */
+    displayDeliveries(deliveries) {
+        const container = document.getElementById('deliveriesContainer');
+
+        if (!deliveries || deliveries.length === 0) {
+            container.innerHTML = '<div class="text-center py-4 text-muted">No deliveries match these filters</div>';
+            return;
+        }
+
+        const rows = deliveries.map(delivery => {
+            const last = delivery.attempts[delivery.attempts.length - 1];
+            const result = !last
+                ? '<span class="text-muted">Not attempted</span>'
+                : (last.statusCode ? `HTTP ${last.statusCode}` : this.escapeHtml(last.error || ''));
+            const retry = delivery.nextAttemptAt
+                ? `<div class="small text-muted">Retry at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}</div>`
+                : '';
+
+            return `
+                <tr>
+                    <td class="small">${new Date(delivery.createdAt).toLocaleString()}</td>
+                    <td><span class="font-monospace small">${this.escapeHtml(delivery.eventType)}</span></td>
+                    <td class="webhook-url small">${this.escapeHtml(delivery.url)}</td>
+                    <td><span class="badge ${this.getStatusBadgeClass(delivery.status)}">${delivery.status}</span>${retry}</td>
+                    <td class="small">${delivery.attempts.length}</td>
+                    <td class="small">${result}</td>
+                    <td>
+                        <details>
+                            <summary class="small">Payload</summary>
+                            <pre class="delivery-payload bg-light p-2 mt-1 mb-0">${this.escapeHtml(this.formatPayload(delivery.body))}</pre>
+                        </details>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover align-middle">
+                    <thead class="table-light">
+                        <tr>
+                            <th scope="col">Created</th>
+                            <th scope="col">Event</th>
+                            <th scope="col">URL</th>
+                            <th scope="col">Status</th>
+                            <th scope="col">Attempts</th>
+                            <th scope="col">Last Result</th>
+                            <th scope="col"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Pretty-print a delivery body
+     * @param {string} body - Raw JSON body
+     * @returns {string} Indented JSON
+     */
+    formatPayload(body) {
+        try {
+            return JSON.stringify(JSON.parse(body), null, 2);
+        } catch (error) {
+            return body || '';
+        }
+    }
+
+    /**
+     * Get badge class for a delivery status
+     * @param {string} status - Delivery status
+     * @returns {string} Bootstrap badge class
+     */
+    getStatusBadgeClass(status) {
+        switch (status) {
+            case 'delivered':
+                return 'bg-success';
+            case 'failed':
+                return 'bg-danger';
+            case 'pending':
+                return 'bg-warning text-dark';
+            default:
+                return 'bg-secondary';
+        }
+    }
+
+    /**
+     * Show an error, logging out if the session has expired
+     * @param {Error} error - Error from apiClient
+     * @param {string} message - What failed
+     */
+    handleError(error, message) {
+        if (error.status === 401) {
+            UIHelper.showAlert('Your session has expired. Please log in again.', 'danger');
+            setTimeout(() => authService.logout(), 2000);
+            return;
+        }
+        UIHelper.showAlert(`${message}: ${error.message}`, 'danger');
+    }
+
+    /**
+     * Escape text for HTML output
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;'
+        };
+        return String(text).replace(/[&<>"']/g, m => map[m]);
+    }
+}
+
+// Initialize page with admin guard
+document.addEventListener('DOMContentLoaded', async function() {
+    const isAuthorized = await adminGuard.init();
+    if (!isAuthorized) {
+        return;
+    }
+
+    window.webhookController = new WebhookController();
+    await webhookController.init();
+});
@@ -0,0 +1,18 @@
+/**
+ * Access Denied Page
+ * Counts down and sends the user back to the dashboard
+ */
+
+// Countdown and redirect
+let countdown = 3;
+const countdownElement = document.getElementById('countdown');
+
+const timer = setInterval(() => {
+    countdown--;
+    countdownElement.textContent = countdown;
+
+    if (countdown <= 0) {
+        clearInterval(timer);
+        window.location.href = '/app';
+    }
+}, 1000);
@@ -18,7 +18,7 @@ class AdminGuard {
             
             // Check authentication
             if (!authService.isAuthenticated()) {
-                window.location.href = '/login';
+                window.location.href = JWTHelper.loginUrl();
                 return false;
             }
 
@@ -12,7 +12,8 @@ class AuthService {
      * Login user
      * @param {string} username - Username
      * @param {string} password - Password
-     * @returns {Promise<Object>} Login response
+     * @returns {Promise<Object>} Login response; for accounts with two-factor authentication it only
+     *   holds a twoFactor challenge, which verifyLogin() completes
      */
     async login(username, password) {
         try {
@@ -21,16 +22,63 @@ class AuthService {
                 password
             });
 
-            if (response && response.token) {
-                this.api.setToken(response.token);
+            if (response && response.twoFactor) {
                 return response;
             }
-            throw new Error('Invalid response from server');
+            return this.storeSession(response);
         } catch (error) {
             throw error;
         }
     }
 
+    /**
+     * Finish a two-factor login
+     * @param {string} challenge - Challenge from the login response
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<Object>} Login response (with recoveryCodes if the user just enrolled)
+     */
+    async verifyLogin(challenge, code) {
+        const response = await this.api.post('/api/auth/login/verify', { challenge, code });
+        return this.storeSession(response);
+    }
+
+    /**
+     * Start the two-factor setup an admin must complete before their login finishes
+     * @param {string} challenge - Challenge from the login response
+     * @returns {Promise<Object>} { secret, otpauthUrl }
+     */
+    async enrollLogin(challenge) {
+        return this.api.post('/api/auth/login/enroll', { challenge });
+    }
+
+    /**
+     * Exchange the current token for one with a later expiry
+     * @returns {Promise<Object>} Refresh response
+     */
+    async refresh() {
+        const response = await this.api.post('/api/auth/refresh', {});
+        return this.storeSession(response);
+    }
+
+    /**
+     * Keep the token (or cookie session claims) from a login or refresh response
+     * @param {Object} response - Response body
+     * @returns {Object} The same response
+     */
+    storeSession(response) {
+        if (response && response.token) {
+            this.api.setToken(response.token);
+            return response;
+        }
+
+        // Cookie session mode: the token was set as an httpOnly cookie
+        if (response && response.session) {
+            JWTHelper.setSessionClaims(response.session.claims);
+            return response;
+        }
+        throw new Error('Invalid response from server');
+    }
+
     /**
      * Register new user
      * @param {Object} userData - User registration data
@@ -62,8 +110,16 @@ class AuthService {
     /**
      * Logout user
      */
-    logout() {
+    async logout() {
         this.api.setToken(null);
+
+        try {
+            // Clears the session cookies when running in cookie session mode
+            await this.api.makeRequest('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error ending server session:', error);
+        }
+
         window.location.href = '/';
     }
 
@@ -0,0 +1,10 @@
+/**
+ * Landing Page
+ * Sends visitors who are already signed in to the dashboard
+ */
+
+const jwtToken = localStorage.getItem("jwtToken");
+const isValidJwt = (jwtToken && jwtToken !== "INVALID") || localStorage.getItem("sessionClaims"); // placeholder
+if (isValidJwt) {
+    window.location.href = "/app";
+}
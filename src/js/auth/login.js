@@ -8,6 +8,13 @@ class LoginController {
         this.form = null;
         this.errorMsg = null;
         this.submitButton = null;
+        this.lockoutTimer = null;
+        this.twoFactorForm = null;
+        this.username = null;
+        // Two-factor challenge from the password step
+        this.challenge = null;
+        // Validated page the user was sent here from
+        this.returnTo = JWTHelper.getReturnTo();
     }
 
     /**
@@ -16,7 +23,7 @@ class LoginController {
     init() {
         // Check if already authenticated
         if (authService.isAuthenticated()) {
-            window.location.href = '/app';
+            window.location.href = this.returnTo || '/app';
             return;
         }
 
@@ -27,6 +34,23 @@ class LoginController {
         if (this.form) {
             this.form.addEventListener('submit', this.handleLogin.bind(this));
         }
+
+        this.twoFactorForm = document.getElementById('twoFactorForm');
+        if (this.twoFactorForm) {
+            this.twoFactorForm.addEventListener('submit', this.handleTwoFactor.bind(this));
+            document.getElementById('twoFactorCancel').addEventListener('click', () => this.showPasswordStep());
+            document.getElementById('recoveryCodesDone').addEventListener('click', () => this.finishLogin());
+        }
+
+        // New users come back to the same page after registering
+        const registerLink = document.getElementById('registerLink');
+        if (registerLink && this.returnTo) {
+            registerLink.href = `/register?returnTo=${encodeURIComponent(this.returnTo)}`;
+        }
+
+        if (SessionManager.draftPath()) {
+            this.showInfo('Your session expired. Sign in again to pick up where you left off.');
+        }
     }
 
     /**
@@ -48,28 +72,162 @@ class LoginController {
         this.clearError();
         
         try {
-            await authService.login(username, password);
-            
-            this.showSuccess('Login successful! Redirecting...');
-            
-            setTimeout(() => {
-                window.location.href = '/app';
-            }, 1000);
+            this.username = username;
+            const response = await authService.login(username, password);
+
+            if (response.twoFactor) {
+                await this.showTwoFactorStep(response.twoFactor);
+                return;
+            }
+            this.finishLogin();
             
         } catch (error) {
-            this.showError(error.message);
+            if (error.status === 429 && error.data?.retryAfterSeconds) {
+                this.startLockoutCountdown(error.data.retryAfterSeconds, error.data.lockedOut);
+            } else {
+                this.showError(error.message);
+            }
         } finally {
             this.setLoading(false);
         }
     }
 
+    /**
+     * Send the user on once they are signed in
+     */
+    finishLogin() {
+        this.showSuccess('Login successful! Redirecting...');
+
+        // Unsaved changes another user left behind when their session expired are dropped
+        const draftPath = SessionManager.draftPath(this.username);
+        if (!draftPath) {
+            SessionManager.clearDraft();
+        }
+        setTimeout(() => {
+            window.location.href = this.returnTo || draftPath || '/app';
+        }, 1000);
+    }
+
+    /**
+     * Swap the password form for the code form, with the QR code when the account must enroll first
+     * @param {Object} twoFactor - { challenge, setupRequired } from the login response
+     */
+    async showTwoFactorStep(twoFactor) {
+        this.challenge = twoFactor.challenge;
+
+        if (twoFactor.setupRequired) {
+            const enrollment = await authService.enrollLogin(this.challenge);
+            TwoFactorHelper.renderEnrollment(document.getElementById('twoFactorQr'), enrollment);
+        }
+        document.getElementById('twoFactorSetup').classList.toggle('d-none', !twoFactor.setupRequired);
+        document.getElementById('twoFactorPrompt').classList.toggle('d-none', twoFactor.setupRequired);
+
+        this.clearError();
+        this.form.classList.add('d-none');
+        this.twoFactorForm.classList.remove('d-none');
+        document.getElementById('twoFactorCode').focus();
+    }
+
+    /**
+     * Go back to the password form, dropping the two-factor challenge
+     */
+    showPasswordStep() {
+        this.challenge = null;
+        this.twoFactorForm.reset();
+        this.twoFactorForm.classList.add('d-none');
+        document.getElementById('recoveryCodesStep').classList.add('d-none');
+        document.getElementById('password').value = '';
+        this.form.classList.remove('d-none');
+        document.getElementById('password').focus();
+    }
+
+    /**
+     * Handle the two-factor code form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleTwoFactor(e) {
+        e.preventDefault();
+
+        const codeInput = document.getElementById('twoFactorCode');
+        const code = codeInput.value.trim();
+        if (!code) {
+            this.showError('Please enter the code');
+            return;
+        }
+
+        const verifyButton = this.twoFactorForm.querySelector('button[type="submit"]');
+        verifyButton.disabled = true;
+        this.clearError();
+
+        try {
+            const response = await authService.verifyLogin(this.challenge, code);
+
+            if (response.recoveryCodes) {
+                this.twoFactorForm.classList.add('d-none');
+                TwoFactorHelper.renderRecoveryCodes(document.getElementById('recoveryCodes'), response.recoveryCodes);
+                document.getElementById('recoveryCodesStep').classList.remove('d-none');
+                return;
+            }
+            this.finishLogin();
+        } catch (error) {
+            if (error.data?.challengeExpired) {
+                this.showPasswordStep();
+            } else {
+                codeInput.select();
+            }
+            this.showError(error.status === 429 && error.data?.retryAfterSeconds
+                ? `Too many attempts. Try again in ${this.formatRemaining(error.data.retryAfterSeconds)}.`
+                : error.message);
+        } finally {
+            verifyButton.disabled = false;
+        }
+    }
+
+    /**
+     * Disable the form and count down until login may be retried
+     * @param {number} seconds - Seconds until the next attempt is allowed
+     * @param {boolean} lockedOut - Whether the account or IP is locked out (vs. a short delay)
+     */
+    startLockoutCountdown(seconds, lockedOut) {
+        clearInterval(this.lockoutTimer);
+        const retryAt = Date.now() + seconds * 1000;
+        const reason = lockedOut ? 'Too many failed login attempts.' : 'Too many attempts.';
+
+        const update = () => {
+            const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+                clearInterval(this.lockoutTimer);
+                this.lockoutTimer = null;
+                this.clearError();
+                this.setLoading(false);
+                return;
+            }
+            this.showError(`${reason} Try again in ${this.formatRemaining(remaining)}.`);
+        };
+
+        this.lockoutTimer = setInterval(update, 1000);
+        update();
+    }
+
+    /**
+     * Format remaining lockout time
+     * @param {number} seconds - Remaining seconds
+     * @returns {string} Time as m:ss, or seconds under a minute
+     */
+    formatRemaining(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Set loading state
      * @param {boolean} loading - Loading state
      */
     setLoading(loading) {
         if (this.submitButton) {
-            this.submitButton.disabled = loading;
+            // Stay disabled while a lockout countdown is running
+            this.submitButton.disabled = loading || this.lockoutTimer !== null;
             this.submitButton.textContent = loading ? 'Logging in...' : 'Login';
         }
     }
@@ -96,6 +254,17 @@ class LoginController {
         }
     }
 
+    /**
+     * Show informational message
+     * @param {string} message - Message
+     */
+    showInfo(message) {
+        if (this.errorMsg) {
+            this.errorMsg.className = 'mt-3 text-muted';
+            this.errorMsg.textContent = message;
+        }
+    }
+
     /**
      * Clear error message
      */
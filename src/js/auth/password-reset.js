@@ -0,0 +1,166 @@
+/**
+ * Password Reset Controllers
+ * Handles the forgot password and reset password pages
+ *
+ * Both pages are used while signed out, so requests go straight to fetch
+ * instead of the API client and never carry a stored token.
+ */
+
+/**
+ * Post JSON and return the parsed answer
+ * @param {string} url - Request URL
+ * @param {Object} data - Request body
+ * @returns {Promise<{ ok: boolean, status: number, data: Object }>} Response status and body
+ */
+async function postJson(url, data) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+    });
+    const body = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data: body };
+}
+
+/**
+ * Show a message below the form
+ * @param {string} message - Message text
+ * @param {string} type - Bootstrap alert type
+ */
+function showResetAlert(message, type) {
+    const placeholder = document.getElementById('alertPlaceholder');
+    placeholder.innerHTML = '';
+
+    const alert = document.createElement('div');
+    alert.className = `alert alert-${type}`;
+    alert.setAttribute('role', 'alert');
+    alert.textContent = message;
+    placeholder.appendChild(alert);
+}
+
+class ForgotPasswordController {
+    constructor(form) {
+        this.form = form;
+        this.submitButton = form.querySelector('button[type="submit"]');
+    }
+
+    /**
+     * Initialize the forgot password page
+     */
+    init() {
+        this.form.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+
+    /**
+     * Ask for a reset link
+     * @param {Event} e - Form submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (!this.form.checkValidity()) {
+            this.form.classList.add('was-validated');
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        try {
+            const result = await postJson('/api/auth/forgot-password', {
+                identifier: document.getElementById('identifier').value.trim()
+            });
+
+            if (result.ok) {
+                // The answer is the same whether or not the account exists
+                showResetAlert(result.data.message, 'success');
+                this.form.reset();
+                this.form.classList.remove('was-validated');
+            } else {
+                showResetAlert(result.data.message || `Request failed: ${result.status}`, 'danger');
+            }
+        } catch (error) {
+            showResetAlert('Unable to connect to server. Please check your connection and try again.', 'danger');
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+}
+
+class ResetPasswordController {
+    constructor(form) {
+        this.form = form;
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.token = null;
+    }
+
+    /**
+     * Initialize the reset password page
+     */
+    init() {
+        this.token = new URLSearchParams(window.location.search).get('token');
+        if (!this.token) {
+            showResetAlert('This password reset link is incomplete. Please request a new one.', 'danger');
+            this.submitButton.disabled = true;
+            return;
+        }
+
+        // Keep the token out of the browser history
+        window.history.replaceState(null, '', window.location.pathname);
+        this.form.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+
+    /**
+     * Set the new password
+     * @param {Event} e - Form submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const password = document.getElementById('password');
+        const confirmPassword = document.getElementById('confirmPassword');
+        confirmPassword.setCustomValidity(confirmPassword.value === password.value ? '' : 'mismatch');
+
+        if (!this.form.checkValidity()) {
+            this.form.classList.add('was-validated');
+            return;
+        }
+
+        const data = { token: this.token, password: password.value };
+        const errors = Validator.messages(Validator.validate('resetPassword', data));
+        if (errors.length > 0) {
+            showResetAlert(errors.join('. '), 'danger');
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        try {
+            const result = await postJson('/api/auth/reset-password', data);
+            if (!result.ok) {
+                showResetAlert(result.data.message || `Request failed: ${result.status}`, 'danger');
+                // A used or expired link cannot succeed on a second try
+                this.submitButton.disabled = !!result.data.invalidToken;
+                return;
+            }
+
+            showResetAlert(`${result.data.message} Redirecting to login...`, 'success');
+            this.form.reset();
+            setTimeout(() => {
+                window.location.href = '/login';
+            }, 2000);
+        } catch (error) {
+            showResetAlert('Unable to connect to server. Please check your connection and try again.', 'danger');
+            this.submitButton.disabled = false;
+        }
+    }
+}
+
+// Initialize the controller for whichever form the page has
+document.addEventListener('DOMContentLoaded', function() {
+    const forgotForm = document.getElementById('forgotPasswordForm');
+    const resetForm = document.getElementById('resetPasswordForm');
+
+    if (forgotForm) {
+        new ForgotPasswordController(forgotForm).init();
+    } else if (resetForm) {
+        new ResetPasswordController(resetForm).init();
+    }
+});
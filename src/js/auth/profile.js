@@ -0,0 +1,239 @@
+/**
+ * Profile Page Controller
+ * Shows the signed-in account and manages its two-factor authentication
+ */
+
+class ProfileController {
+    constructor() {
+        this.api = apiClient;
+        this.currentUser = null;
+        this.status = null;
+    }
+
+    /**
+     * Initialize the profile page
+     */
+    async init() {
+        if (!JWTHelper.requireAuth()) {
+            return;
+        }
+
+        this.setupEventListeners();
+
+        try {
+            this.currentUser = await authService.getCurrentUser();
+            if (!this.currentUser) {
+                UIHelper.showToast('Failed to load your account. Please refresh the page.', 'danger');
+                return;
+            }
+            this.renderAccount();
+
+            this.renderStatus(await this.api.get('/api/auth/2fa'));
+
+            if (authService.isAdmin(this.currentUser)) {
+                await this.loadPolicy();
+            }
+        } catch (error) {
+            console.error('Error loading profile:', error);
+            UIHelper.showToast(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', () => authService.logout());
+        UIHelper.addEventListener('setupTwoFactorBtn', 'click', () => this.startSetup());
+        UIHelper.addEventListener('cancelSetupBtn', 'click', () => this.renderStatus(this.status));
+        UIHelper.addEventListener('twoFactorSetupForm', 'submit', (e) => this.enable(e));
+        UIHelper.addEventListener('twoFactorOn', 'submit', (e) => e.preventDefault());
+        UIHelper.addEventListener('regenerateCodesBtn', 'click', () => this.regenerateRecoveryCodes());
+        UIHelper.addEventListener('disableTwoFactorBtn', 'click', () => this.disable());
+        UIHelper.addEventListener('recoveryCodesDone', 'click', () => {
+            document.getElementById('recoveryCodes').innerHTML = '';
+            document.getElementById('recoveryCodesPanel').classList.add('d-none');
+        });
+        UIHelper.addEventListener('requireForAdmins', 'change', (e) => this.savePolicy(e.target));
+    }
+
+    /**
+     * Show the account details
+     */
+    renderAccount() {
+        UIHelper.updateText('profileUsername', this.currentUser.username || '--');
+        UIHelper.updateText('profileEmail', this.currentUser.email || '--');
+        UIHelper.updateText('profileRole', this.currentUser.role || '--');
+    }
+
+    /**
+     * Show the two-factor status and the matching controls
+     * @param {Object} status - Status from GET /api/auth/2fa
+     */
+    renderStatus(status) {
+        this.status = status;
+
+        const badge = document.getElementById('twoFactorStatus');
+        badge.className = `badge ${status.enabled ? 'bg-success' : 'bg-secondary'}`;
+        badge.textContent = status.enabled ? 'On' : 'Off';
+
+        if (status.enabled) {
+            const since = status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString()}` : '';
+            const left = status.recoveryCodesLeft === 1 ? '1 recovery code' : `${status.recoveryCodesLeft} recovery codes`;
+            UIHelper.updateText('twoFactorDetails', `Turned on${since}. You have ${left} left.`);
+        } else {
+            UIHelper.updateText('twoFactorDetails',
+                'Ask for a code from an authenticator app, in addition to your password, every time you sign in.');
+        }
+
+        document.getElementById('twoFactorOff').classList.toggle('d-none', status.enabled);
+        document.getElementById('twoFactorSetupForm').classList.add('d-none');
+        document.getElementById('twoFactorOn').classList.toggle('d-none', !status.enabled);
+        document.getElementById('disableTwoFactorBtn').disabled = status.required;
+        document.getElementById('twoFactorRequiredNote').classList.toggle('d-none', !status.required);
+        document.getElementById('manageCode').value = '';
+    }
+
+    /**
+     * Start enrollment and show the QR code
+     */
+    async startSetup() {
+        try {
+            const enrollment = await this.api.post('/api/auth/2fa/setup', {});
+            TwoFactorHelper.renderEnrollment(document.getElementById('twoFactorQr'), enrollment);
+
+            document.getElementById('twoFactorOff').classList.add('d-none');
+            document.getElementById('twoFactorSetupForm').classList.remove('d-none');
+            document.getElementById('enableCode').value = '';
+            document.getElementById('enableCode').focus();
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            UIHelper.showToast(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Finish enrollment with the first code from the app
+     * @param {Event} e - Form submit event
+     */
+    async enable(e) {
+        e.preventDefault();
+
+        const code = document.getElementById('enableCode').value.trim();
+        if (!/^\d{6}$/.test(code)) {
+            UIHelper.showToast('Enter the 6-digit code from your authenticator app', 'warning');
+            return;
+        }
+
+        try {
+            const result = await this.api.post('/api/auth/2fa/enable', { code });
+            this.renderStatus(result);
+            this.showRecoveryCodes(result.recoveryCodes);
+            UIHelper.showToast('Two-factor authentication is on', 'success');
+        } catch (error) {
+            console.error('Error turning on two-factor authentication:', error);
+            UIHelper.showToast(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Read the confirmation code for a change to an enabled account
+     * @returns {string|null} Code, or null after telling the user it is missing
+     */
+    confirmationCode() {
+        const code = document.getElementById('manageCode').value.trim();
+        if (!code) {
+            UIHelper.showToast('Enter a code from your authenticator app or a recovery code', 'warning');
+            document.getElementById('manageCode').focus();
+            return null;
+        }
+        return code;
+    }
+
+    /**
+     * Replace the recovery codes
+     */
+    async regenerateRecoveryCodes() {
+        const code = this.confirmationCode();
+        if (!code) return;
+
+        try {
+            const result = await this.api.post('/api/auth/2fa/recovery-codes', { code });
+            this.renderStatus(result);
+            this.showRecoveryCodes(result.recoveryCodes);
+            UIHelper.showToast('New recovery codes created. The old ones no longer work.', 'success');
+        } catch (error) {
+            console.error('Error replacing recovery codes:', error);
+            UIHelper.showToast(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Turn two-factor authentication off
+     */
+    async disable() {
+        const code = this.confirmationCode();
+        if (!code) return;
+
+        if (!confirm('Turn off two-factor authentication? Your account will be protected by your password only.')) {
+            return;
+        }
+
+        try {
+            this.renderStatus(await this.api.post('/api/auth/2fa/disable', { code }));
+            document.getElementById('recoveryCodesPanel').classList.add('d-none');
+            UIHelper.showToast('Two-factor authentication is off', 'success');
+        } catch (error) {
+            console.error('Error turning off two-factor authentication:', error);
+            UIHelper.showToast(error.message, 'danger');
+        }
+    }
+
+    /**
+     * Show new recovery codes until the user confirms they saved them
+     * @param {string[]} codes - Recovery codes
+     */
+    showRecoveryCodes(codes) {
+        TwoFactorHelper.renderRecoveryCodes(document.getElementById('recoveryCodes'), codes);
+        document.getElementById('recoveryCodesPanel').classList.remove('d-none');
+    }
+
+    /**
+     * Load the admin 2FA policy
+     */
+    async loadPolicy() {
+        const policy = await this.api.get('/api/auth/2fa/policy');
+        document.getElementById('requireForAdmins').checked = policy.requireForAdmins;
+        document.getElementById('policyCard').classList.remove('d-none');
+    }
+
+    /**
+     * Save the admin 2FA policy
+     * @param {HTMLInputElement} toggle - The policy switch
+     */
+    async savePolicy(toggle) {
+        toggle.disabled = true;
+        try {
+            const policy = await this.api.put('/api/auth/2fa/policy', { requireForAdmins: toggle.checked });
+            toggle.checked = policy.requireForAdmins;
+            UIHelper.showToast(policy.requireForAdmins
+                ? 'Two-factor authentication is now required for admin accounts'
+                : 'Two-factor authentication is now optional for admin accounts', 'success');
+
+            // The policy decides whether this admin may turn their own 2FA off
+            this.renderStatus(await this.api.get('/api/auth/2fa'));
+        } catch (error) {
+            console.error('Error saving the two-factor policy:', error);
+            toggle.checked = !toggle.checked;
+            UIHelper.showToast(error.message, 'danger');
+        } finally {
+            toggle.disabled = false;
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    const profileController = new ProfileController();
+    profileController.init();
+});
@@ -0,0 +1,76 @@
+/**
+ * Registration Page
+ * Creates the account and signs the new user in
+ */
+
+const form = document.getElementById("registerForm");
+const alertPlaceholder = document.getElementById("alertPlaceholder");
+const submitButton = form.querySelector('button[type="submit"]');
+// Validated page the user was sent to sign in from
+const returnTo = JWTHelper.getReturnTo();
+
+if (returnTo) {
+    document.getElementById("loginLink").href = JWTHelper.loginUrl(returnTo);
+}
+
+function showAlert(message, type) {
+    alertPlaceholder.innerHTML = `
+            <div class="alert alert-${type} alert-dismissible fade show" role="alert">
+                ${message}
+                <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+            </div>`;
+}
+
+form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    if (!form.checkValidity()) {
+        form.classList.add("was-validated");
+        return;
+    }
+
+    const payload = {
+        username: document.getElementById("username").value,
+        firstName: document.getElementById("firstName").value,
+        lastName: document.getElementById("lastName").value,
+        email: document.getElementById("email").value,
+        password: document.getElementById("password").value
+    };
+
+    // Show loading state
+    submitButton.disabled = true;
+    submitButton.innerHTML = '<span class="spinner-border spinner-border-sm me-2" role="status"></span>Registering...';
+
+    try {
+        const response = await fetch("/api/auth/register", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(payload)
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || `Registration failed: ${response.status}`);
+        }
+
+        showAlert(`Registration successful! Redirecting to ${returnTo ? "the page you requested" : "dashboard"}...`, "success");
+
+        if (data.token) {
+            JWTHelper.setToken(data.token);
+        } else if (data.session) {
+            // Cookie session mode: the token was set as an httpOnly cookie
+            JWTHelper.setSessionClaims(data.session.claims);
+        }
+
+        setTimeout(() => {
+            window.location.href = returnTo || "/app";
+        }, 2000);
+
+    } catch (error) {
+        showAlert(error.message || "An error occurred. Please try again later.", "danger");
+    } finally {
+        submitButton.disabled = false;
+        submitButton.innerHTML = 'Register';
+    }
+});
@@ -35,6 +35,9 @@ class CreateOrderController {
             // Load initial data
             await this.loadProducts();
 
+            // Keep the cart if the session expires before the order is placed
+            this.preserveCart();
+
             console.log('Create Order System initialized successfully');
         } catch (error) {
             console.error('Error during Create Order System initialization:', error);
@@ -46,6 +49,11 @@ class CreateOrderController {
      * Setup event listeners
      */
     setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', (event) => {
+            event.preventDefault();
+            authService.logout();
+        });
+
         // View cart button
         const viewCartBtn = document.getElementById('viewCartBtn');
         if (viewCartBtn) {
@@ -187,6 +195,27 @@ class CreateOrderController {
         this.updateCartBadge();
     }
 
+    /**
+     * Register the cart with the session manager so it survives a re-login
+     */
+    preserveCart() {
+        sessionManager.preserve('cart', {
+            save: () => (this.cart.length > 0
+                ? this.cart.map(item => ({ productId: item.product.id, quantity: item.quantity }))
+                : null),
+            restore: (items) => {
+                // Products that are no longer listed are dropped
+                this.cart = items
+                    .map(({ productId, quantity }) => ({
+                        product: this.products.find(product => product.id === productId),
+                        quantity
+                    }))
+                    .filter(item => item.product);
+                this.updateCartBadge();
+            }
+        });
+    }
+
     /**
      * Remove product from cart
      */
@@ -334,12 +363,6 @@ class CreateOrderController {
                 return;
             }
 
-            // Show loading state
-            const placeOrderBtn = document.getElementById('placeOrderBtn');
-            const originalText = placeOrderBtn.innerHTML;
-            placeOrderBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Placing Order...';
-            placeOrderBtn.disabled = true;
-
             // Prepare order data
             const orderData = {
                 orderProducts: this.cart.map(item => ({
@@ -350,10 +373,24 @@ class CreateOrderController {
                 }))
             };
 
+            const validationErrors = Validator.messages(Validator.validate('createOrder', orderData));
+            if (validationErrors.length > 0) {
+                UIHelper.showAlert(validationErrors.join('<br>'), 'warning');
+                return;
+            }
+
+            // Show loading state
+            const placeOrderBtn = document.getElementById('placeOrderBtn');
+            const originalText = placeOrderBtn.innerHTML;
+            placeOrderBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Placing Order...';
+            placeOrderBtn.disabled = true;
+
             console.log('Placing order with data:', orderData);
 
-            // Submit order to API
-            const response = await this.api.post('/api/orders', orderData);
+            // Submit order to API; retrying after a lost response reuses the key instead of ordering twice
+            const idempotencyKey = this.api.submissionKey('/api/orders', orderData);
+            const response = await this.api.post('/api/orders', orderData, { idempotencyKey });
+            this.api.completeSubmission('/api/orders');
 
             // Reset button state
             placeOrderBtn.innerHTML = originalText;
@@ -377,6 +414,10 @@ class CreateOrderController {
             }
         } catch (error) {
             console.error('Error placing order:', error);
+            // The server answered, so the order was not created; a changed cart gets a new key anyway
+            if (error.status && error.status < 500) {
+                this.api.completeSubmission('/api/orders');
+            }
             
             // Reset button state
             const placeOrderBtn = document.getElementById('placeOrderBtn');
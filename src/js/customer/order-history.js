@@ -9,6 +9,10 @@ class OrderHistoryController {
         this.allOrders = [];
         this.filteredOrders = [];
         this.currentUser = null;
+        this.liveEvents = new OrderEventStream({
+            onEvent: (event) => this.handleOrderEvent(event),
+            onStateChange: (state) => OrderEventStream.renderIndicator('liveStatus', state)
+        });
     }
 
     /**
@@ -35,6 +39,9 @@ class OrderHistoryController {
             // Load user orders
             await this.loadUserOrders();
 
+            // Show new orders and status changes without reloading the page
+            this.liveEvents.start();
+
             console.log('Order History System initialized successfully');
         } catch (error) {
             console.error('Error during Order History System initialization:', error);
@@ -46,6 +53,11 @@ class OrderHistoryController {
      * Setup event listeners
      */
     setupEventListeners() {
+        UIHelper.addEventListener('logoutBtn', 'click', (event) => {
+            event.preventDefault();
+            authService.logout();
+        });
+
         // Status filter change
         const statusFilter = document.getElementById('statusFilter');
         if (statusFilter) {
@@ -113,7 +125,7 @@ class OrderHistoryController {
             if (error.status === 401 || error.status === 403) {
                 UIHelper.showAlert('Please log in to view your order history.', 'warning');
                 setTimeout(() => {
-                    window.location.href = '/login';
+                    window.location.href = JWTHelper.loginUrl();
                 }, 2000);
             } else {
                 UIHelper.toggleElement('noOrdersMessage', true);
@@ -184,7 +196,7 @@ class OrderHistoryController {
             const orderId = order.uuid || order.id || order.orderId || 'N/A';
 
             return `
-                <tr>
+                <tr data-order-id="${orderId}">
                     <td>
                         <span class="text-primary fw-bold">#${orderId}</span>
                     </td>
@@ -199,7 +211,7 @@ class OrderHistoryController {
                         <span class="badge ${this.getStatusBadgeClass(status)}">${status}</span>
                     </td>
                     <td>
-                        <button class="btn btn-sm btn-outline-primary" onclick="orderHistoryController.showOrderDetails('${orderId}')">
+                        <button class="btn btn-sm btn-outline-primary" data-action="orderHistoryController.showOrderDetails" data-args="${UIHelper.actionArgs(orderId)}">
                             <i class="bi bi-eye me-1"></i>View Details
                         </button>
                     </td>
@@ -256,6 +268,47 @@ class OrderHistoryController {
         }
     }
 
+    /**
+     * Apply a live order event to the list
+     * @param {Object} event - Event data: { type, orderId, status, previousStatus, order }
+     */
+    handleOrderEvent(event) {
+        const index = this.allOrders.findIndex(order =>
+            String(order.uuid || order.id || order.orderId) === event.orderId);
+
+        if (index !== -1) {
+            this.allOrders[index] = event.order;
+        } else if (event.type === 'order.created') {
+            this.allOrders.push(event.order);
+        } else {
+            return;
+        }
+
+        if (event.type === 'order.status_changed') {
+            UIHelper.showToast(`Order #${event.orderId} is now ${event.status}`, 'info');
+        }
+
+        this.refreshDisplay();
+        OrderEventStream.highlight(
+            document.querySelector(`#ordersTableBody tr[data-order-id="${CSS.escape(event.orderId)}"]`));
+    }
+
+    /**
+     * Re-render the list after its orders changed, keeping the status filter
+     */
+    refreshDisplay() {
+        const statusFilter = document.getElementById('statusFilter')?.value;
+
+        this.filteredOrders = this.allOrders.filter(order => !statusFilter || order.status === statusFilter);
+        this.displayOrders();
+
+        UIHelper.updateText('orderCount', statusFilter
+            ? `${this.filteredOrders.length} order(s) found`
+            : `${this.allOrders.length} order(s)`);
+        UIHelper.toggleElement('noOrdersMessage', this.allOrders.length === 0);
+        UIHelper.toggleElement('ordersSection', this.allOrders.length > 0);
+    }
+
     /**
      * Clear all filters
      */
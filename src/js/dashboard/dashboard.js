@@ -81,6 +81,7 @@ class DashboardController {
         // Make navigation functions globally available
         window.navigateToSection = this.navigateToSection.bind(this);
         window.showDashboard = this.showDashboard.bind(this);
+        window.hideError = UIHelper.hideError;
     }
 
     /**
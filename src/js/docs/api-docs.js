@@ -0,0 +1,27 @@
+/**
+ * API Docs Page
+ * Starts Swagger UI on the OpenAPI document with the browser's session
+ */
+
+window.addEventListener('load', () => {
+    const ui = SwaggerUIBundle({
+        url: '/api/docs/openapi.json',
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        persistAuthorization: true,
+        // Same-origin requests carry the session cookies, and mutations need the CSRF header
+        requestInterceptor: (request) => {
+            const csrfToken = JWTHelper.getCsrfToken();
+            if (csrfToken && request.method !== 'GET') {
+                request.headers['X-CSRF-Token'] = csrfToken;
+            }
+            return request;
+        }
+    });
+
+    // Reuse the token of a logged in browser session
+    const token = JWTHelper.getToken();
+    if (token) {
+        ui.preauthorizeApiKey('bearerAuth', token);
+    }
+});
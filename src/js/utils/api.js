@@ -6,7 +6,8 @@
 class APIClient {
     constructor() {
         this.baseURL = '';
-        this.token = localStorage.getItem('jwtToken');
+        this.token = JWTHelper.getToken();
+        this.submissions = new Map();
     }
 
     /**
@@ -16,12 +17,17 @@ class APIClient {
      * @returns {Promise<Response|null>} Response object or null on error
      */
     async makeRequest(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const csrfToken = method !== 'GET' ? JWTHelper.getCsrfToken() : null;
+
         try {
             const response = await fetch(url, {
                 ...options,
+                credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': this.token ? `Bearer ${this.token}` : '',
+                    ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {}),
                     ...options.headers
                 }
             });
@@ -29,15 +35,19 @@ class APIClient {
             if (response.status === 503) {
                 const data = await response.json();
                 if (data.serverOffline) {
+                    if (typeof backendStatus !== 'undefined') {
+                        backendStatus.markOffline();
+                    }
                     throw new Error('Server is currently offline. Please try again later.');
                 }
             }
             
             if (!response.ok) {
                 let errorMessage = 'Request failed';
+                let data = null;
                 
                 try {
-                    const data = await response.json();
+                    data = await response.json();
                     errorMessage = data.message || data.error || `HTTP ${response.status}: ${response.statusText}`;
                 } catch (e) {
                     // If response is not JSON, use status info
@@ -48,6 +58,7 @@ class APIClient {
                 const errorWithStatus = new Error(errorMessage);
                 errorWithStatus.status = response.status;
                 errorWithStatus.statusText = response.statusText;
+                errorWithStatus.data = data;
                 throw errorWithStatus;
             }
             
@@ -60,6 +71,16 @@ class APIClient {
         }
     }
 
+    /**
+     * Parse a JSON response body
+     * @param {Response} response - Fetch response
+     * @returns {Promise<any>} Parsed body, or null when the server sent none
+     */
+    async parseBody(response) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
     /**
      * GET request
      * @param {string} url - Request URL
@@ -67,21 +88,24 @@ class APIClient {
      */
     async get(url) {
         const response = await this.makeRequest(url, { method: 'GET' });
-        return response ? await response.json() : null;
+        return response ? await this.parseBody(response) : null;
     }
 
     /**
      * POST request
      * @param {string} url - Request URL
      * @param {Object} data - Request body data
+     * @param {Object} [options] - Request options
+     * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key so retries cannot create duplicates
      * @returns {Promise<any>} Response data
      */
-    async post(url, data) {
+    async post(url, data, { idempotencyKey } = {}) {
         const response = await this.makeRequest(url, {
             method: 'POST',
-            body: JSON.stringify(data)
+            body: JSON.stringify(data),
+            headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
         });
-        return response ? await response.json() : null;
+        return response ? await this.parseBody(response) : null;
     }
 
     /**
@@ -95,7 +119,7 @@ class APIClient {
             method: 'PUT',
             body: JSON.stringify(data)
         });
-        return response ? await response.json() : null;
+        return response ? await this.parseBody(response) : null;
     }
 
     /**
@@ -109,21 +133,53 @@ class APIClient {
             if (response.status === 204) {
                 return true;
             }
-            return await response.json();
+            return await this.parseBody(response);
         }
         return null;
     }
 
+    /**
+     * Get the idempotency key for a submission
+     *
+     * The same key is returned while the same body is submitted to the URL
+     * again, so a retry after a timeout or dropped connection is answered with
+     * the first result. A changed body gets a new key.
+     * @param {string} url - Request URL
+     * @param {Object} data - Request body data
+     * @returns {string} Idempotency key
+     */
+    submissionKey(url, data) {
+        const body = JSON.stringify(data);
+        const pending = this.submissions.get(url);
+        if (pending && pending.body === body) {
+            return pending.key;
+        }
+
+        const key = window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : Array.from(window.crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        this.submissions.set(url, { body, key });
+        return key;
+    }
+
+    /**
+     * Forget a submission's key once the server has answered it
+     * @param {string} url - Request URL passed to submissionKey()
+     */
+    completeSubmission(url) {
+        this.submissions.delete(url);
+    }
+
     /**
      * Update authentication token
-     * @param {string} token - JWT token
+     * @param {string|null} token - JWT token, or null to sign out
      */
     setToken(token) {
         this.token = token;
         if (token) {
-            localStorage.setItem('jwtToken', token);
+            JWTHelper.setToken(token);
         } else {
-            localStorage.removeItem('jwtToken');
+            JWTHelper.removeToken();
         }
     }
 }
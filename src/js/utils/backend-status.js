@@ -0,0 +1,105 @@
+/**
+ * Backend Status Monitor
+ * Shows a site-wide banner while the backend is offline
+ */
+
+class BackendStatusMonitor {
+    constructor() {
+        this.online = true;
+        this.pollTimer = null;
+        this.pollInterval = 10000;
+    }
+
+    /**
+     * Check backend status once when the page loads
+     */
+    async init() {
+        await this.check();
+    }
+
+    /**
+     * Ask the server whether the backend is reachable
+     */
+    async check() {
+        try {
+            const response = await fetch('/api/status', { cache: 'no-store' });
+            const data = await response.json();
+            this.setOnline(!!data.backendOnline);
+        } catch (error) {
+            // The frontend server itself cannot be reached
+            this.setOnline(false);
+        }
+    }
+
+    /**
+     * Mark the backend offline after a request reported it
+     */
+    markOffline() {
+        this.setOnline(false);
+    }
+
+    /**
+     * Check if the backend is currently considered offline
+     * @returns {boolean} True while the offline banner is shown
+     */
+    isOffline() {
+        return !this.online;
+    }
+
+    /**
+     * Update state, banner and polling
+     * @param {boolean} online - Whether the backend is reachable
+     */
+    setOnline(online) {
+        const wasOffline = !this.online;
+        this.online = online;
+
+        clearTimeout(this.pollTimer);
+        if (online) {
+            this.hideBanner();
+            if (wasOffline) {
+                UIHelper.showAlert('The server is back online.', 'success');
+            }
+        } else {
+            this.showBanner();
+            // Keep checking until the backend recovers
+            this.pollTimer = setTimeout(() => this.check(), this.pollInterval);
+        }
+    }
+
+    /**
+     * Show the offline banner at the top of the page
+     */
+    showBanner() {
+        if (document.getElementById('backendOfflineBanner') || !document.body) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'backendOfflineBanner';
+        banner.className = 'alert alert-danger rounded-0 mb-0 text-center position-sticky top-0';
+        banner.style.zIndex = '1070';
+        banner.setAttribute('role', 'alert');
+        banner.innerHTML = `
+            <i class="bi bi-cloud-slash me-2"></i>
+            <strong>Server is currently offline.</strong>
+            Some features are unavailable. This page will recover automatically once it is back.
+        `;
+        document.body.prepend(banner);
+    }
+
+    /**
+     * Remove the offline banner
+     */
+    hideBanner() {
+        const banner = document.getElementById('backendOfflineBanner');
+        if (banner) {
+            banner.remove();
+        }
+    }
+}
+
+// Export singleton instance
+const backendStatus = new BackendStatusMonitor();
+
+document.addEventListener('DOMContentLoaded', () => {
+    backendStatus.init();
+});
@@ -33,6 +33,7 @@ class JWTHelper {
 
     /**
      * Set JWT token in localStorage
+     * (the server sets the httpOnly cookie that authorizes page requests)
      * @param {string} token - JWT token to store
      */
     static setToken(token) {
@@ -40,18 +41,50 @@ class JWTHelper {
     }
 
     /**
-     * Remove JWT token from localStorage
+     * Remove JWT token from localStorage, along with any cookie session claims
+     * (POST /api/auth/logout clears the cookie)
      */
     static removeToken() {
         localStorage.removeItem('jwtToken');
+        localStorage.removeItem('sessionClaims');
+    }
+
+    /**
+     * Store the token claims of a cookie session
+     * (the token itself stays in an httpOnly cookie the page cannot read)
+     * @param {Object} claims - Decoded token payload returned by the server
+     */
+    static setSessionClaims(claims) {
+        localStorage.setItem('sessionClaims', JSON.stringify(claims || {}));
+    }
+
+    /**
+     * Get the token claims of a cookie session
+     * @returns {Object|null} Claims or null if not in a cookie session
+     */
+    static getSessionClaims() {
+        try {
+            return JSON.parse(localStorage.getItem('sessionClaims'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the CSRF token issued with a cookie session
+     * @returns {string|null} CSRF token or null if none was issued
+     */
+    static getCsrfToken() {
+        const cookie = document.cookie.split(';').find(c => c.trim().startsWith('csrfToken='));
+        return cookie ? decodeURIComponent(cookie.trim().slice('csrfToken='.length)) : null;
     }
 
     /**
      * Check if user is authenticated
-     * @returns {boolean} True if user has a token
+     * @returns {boolean} True if user has a token or a cookie session
      */
     static isAuthenticated() {
-        return !!this.getToken();
+        return !!this.getToken() || !!this.getSessionClaims();
     }
 
     /**
@@ -60,7 +93,7 @@ class JWTHelper {
      */
     static getUserInfo() {
         const token = this.getToken();
-        return token ? this.parseJwt(token) : null;
+        return token ? this.parseJwt(token) : this.getSessionClaims();
     }
 
     /**
@@ -70,9 +103,7 @@ class JWTHelper {
      */
     static isTokenExpired(token = null) {
         const jwtToken = token || this.getToken();
-        if (!jwtToken) return true;
-
-        const payload = this.parseJwt(jwtToken);
+        const payload = jwtToken ? this.parseJwt(jwtToken) : this.getSessionClaims();
         if (!payload || !payload.exp) return true;
 
         const currentTime = Math.floor(Date.now() / 1000);
@@ -80,13 +111,56 @@ class JWTHelper {
     }
 
     /**
-     * Redirect to login if not authenticated
+     * Redirect to login if not authenticated, coming back to this page afterwards
      */
     static requireAuth() {
         if (!this.isAuthenticated() || this.isTokenExpired()) {
-            window.location.href = '/login';
+            window.location.href = this.loginUrl();
             return false;
         }
         return true;
     }
+
+    /**
+     * Build the login URL that returns to a page once signed in
+     * @param {string} [returnTo] - Path and query to come back to (defaults to the current page)
+     * @returns {string} Login page URL
+     */
+    static loginUrl(returnTo = window.location.pathname + window.location.search + window.location.hash) {
+        const safe = this.safeReturnTo(returnTo);
+        return safe ? `/login?returnTo=${encodeURIComponent(safe)}` : '/login';
+    }
+
+    /**
+     * Get the validated returnTo parameter of the current page
+     * @returns {string|null} Same-origin path to go to after signing in, or null
+     */
+    static getReturnTo() {
+        return this.safeReturnTo(new URLSearchParams(window.location.search).get('returnTo'));
+    }
+
+    /**
+     * Check that a redirect target stays on this site
+     *
+     * Only plain paths are accepted: no scheme, no protocol-relative "//host",
+     * no backslashes (browsers read "/\host" as "//host") and no control characters.
+     * The login and register pages are refused so sign-in cannot loop.
+     * @param {string|null} value - Candidate path with optional query and hash
+     * @returns {string|null} Normalized path, query and hash, or null if unsafe
+     */
+    static safeReturnTo(value) {
+        if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || /[\u0000-\u001f\\]/.test(value)) {
+            return null;
+        }
+
+        try {
+            const url = new URL(value, window.location.origin);
+            if (url.origin !== window.location.origin || ['/login', '/register'].includes(url.pathname)) {
+                return null;
+            }
+            return url.pathname + url.search + url.hash;
+        } catch (error) {
+            return null;
+        }
+    }
 }
@@ -0,0 +1,251 @@
+/**
+ * List Pager
+ * Page, sort and filter state for the admin tables, with pagination controls
+ *
+ * Works with list endpoints that accept page, size, sort and filter query
+ * parameters and answer { items, pagination: { page, size, totalItems, totalPages } }.
+ */
+
+class ListPager {
+    /**
+     * @param {Object} options - Pager options
+     * @param {string} options.containerId - Element that receives the pagination controls
+     * @param {Object} options.defaultSort - { field, direction }
+     * @param {number} [options.size=20] - Initial page size
+     * @param {number[]} [options.pageSizes] - Page sizes offered in the selector
+     * @param {Function} options.onChange - Called (async) whenever page, size, sort or filters change
+     */
+    constructor({ containerId, defaultSort, size = 20, pageSizes = [10, 20, 50, 100], onChange }) {
+        this.containerId = containerId;
+        this.defaultSort = { ...defaultSort };
+        this.sort = { ...defaultSort };
+        this.page = 1;
+        this.size = size;
+        this.pageSizes = pageSizes;
+        this.filters = {};
+        this.pagination = null;
+        this.onChange = onChange;
+
+        this.bindControls();
+    }
+
+    /**
+     * Build the query string for the current state
+     * @returns {string} Query string without the leading "?"
+     */
+    queryString() {
+        const params = new URLSearchParams({
+            page: this.page,
+            size: this.size,
+            sort: `${this.sort.field},${this.sort.direction}`
+        });
+        Object.entries(this.filters).forEach(([name, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                params.set(name, value);
+            }
+        });
+        return params.toString();
+    }
+
+    /**
+     * Replace the filters and go back to the first page
+     * @param {Object} filters - Filter values by query parameter name; blank values are dropped
+     */
+    setFilters(filters) {
+        this.filters = { ...filters };
+        this.page = 1;
+        return this.onChange();
+    }
+
+    /**
+     * Reset filters, sort and page to their defaults without loading
+     */
+    reset() {
+        this.filters = {};
+        this.sort = { ...this.defaultSort };
+        this.page = 1;
+    }
+
+    /**
+     * Go to a page
+     * @param {number} page - Page number (1-based)
+     */
+    goTo(page) {
+        const totalPages = this.pagination ? this.pagination.totalPages : 1;
+        if (page < 1 || page > totalPages || page === this.page) {
+            return;
+        }
+        this.page = page;
+        return this.onChange();
+    }
+
+    /**
+     * Change the page size and go back to the first page
+     * @param {number} size - Items per page
+     */
+    setSize(size) {
+        this.size = size;
+        this.page = 1;
+        return this.onChange();
+    }
+
+    /**
+     * Sort by a field, flipping the direction if it is already the sort field
+     * @param {string} field - Sort field
+     */
+    toggleSort(field) {
+        if (this.sort.field === field) {
+            this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sort = { field, direction: 'asc' };
+        }
+        this.page = 1;
+        return this.onChange();
+    }
+
+    /**
+     * Render a sortable table header cell
+     * @param {string} label - Header HTML (may include an icon)
+     * @param {string} field - Sort field
+     * @returns {string} <th> HTML
+     */
+    sortHeader(label, field) {
+        const active = this.sort.field === field;
+        const icon = active
+            ? (this.sort.direction === 'asc' ? 'bi-sort-up' : 'bi-sort-down')
+            : 'bi-arrow-down-up opacity-25';
+        const ariaSort = active ? (this.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+
+        return `
+            <th scope="col" class="text-nowrap" role="button" data-sort-field="${field}" aria-sort="${ariaSort}">
+                ${label}<i class="bi ${icon} ms-1"></i>
+            </th>
+        `;
+    }
+
+    /**
+     * Let clicks on sortHeader() cells inside a container change the sort
+     * @param {string} tableContainerId - Element the table is rendered into
+     */
+    bindSortHeaders(tableContainerId) {
+        const container = document.getElementById(tableContainerId);
+        if (!container) return;
+
+        container.addEventListener('click', (event) => {
+            const header = event.target.closest('[data-sort-field]');
+            if (header && container.contains(header)) {
+                this.toggleSort(header.dataset.sortField);
+            }
+        });
+    }
+
+    /**
+     * Handle clicks and changes on the pagination controls
+     */
+    bindControls() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.addEventListener('click', (event) => {
+            const link = event.target.closest('[data-page]');
+            if (link) {
+                event.preventDefault();
+                this.goTo(parseInt(link.dataset.page, 10));
+            }
+        });
+        container.addEventListener('change', (event) => {
+            if (event.target.matches('[data-page-size]')) {
+                this.setSize(parseInt(event.target.value, 10));
+            }
+        });
+    }
+
+    /**
+     * Describe the visible range, e.g. "21-40 of 53"
+     * @param {string} noun - Plural item name
+     * @returns {string} Summary text
+     */
+    summary(noun) {
+        const { page, size, totalItems } = this.pagination || { page: 1, size: this.size, totalItems: 0 };
+        if (totalItems === 0) {
+            return `0 ${noun}`;
+        }
+        const first = (page - 1) * size + 1;
+        const last = Math.min(page * size, totalItems);
+        return `${first}-${last} of ${totalItems} ${noun}`;
+    }
+
+    /**
+     * Page numbers to show: first, last and a window around the current page
+     * @param {number} page - Current page
+     * @param {number} totalPages - Page count
+     * @returns {Array<number|null>} Page numbers, null where pages are skipped
+     */
+    visiblePages(page, totalPages) {
+        const pages = [];
+        for (let number = 1; number <= totalPages; number++) {
+            if (number === 1 || number === totalPages || Math.abs(number - page) <= 2) {
+                pages.push(number);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * Render the pagination controls for a response
+     * @param {Object} pagination - { page, size, totalItems, totalPages } from the server
+     */
+    render(pagination) {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.pagination = pagination;
+        this.page = pagination.page;
+        this.size = pagination.size;
+
+        const { page, totalPages } = pagination;
+        const pageItem = (label, target, { disabled = false, active = false, ariaLabel = '' } = {}) => `
+            <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}">
+                <a class="page-link" href="#" ${disabled || active ? '' : `data-page="${target}"`}
+                   ${ariaLabel ? `aria-label="${ariaLabel}"` : ''} ${active ? 'aria-current="page"' : ''}>${label}</a>
+            </li>
+        `;
+
+        const pageLinks = this.visiblePages(page, totalPages).map(number => number === null
+            ? '<li class="page-item disabled"><span class="page-link">&hellip;</span></li>'
+            : pageItem(number, number, { active: number === page })).join('');
+
+        container.innerHTML = `
+            <div class="d-flex flex-wrap justify-content-between align-items-center gap-2 mt-3">
+                <div class="d-flex align-items-center gap-2">
+                    <label class="small text-muted mb-0" for="${this.containerId}Size">Rows per page</label>
+                    <select class="form-select form-select-sm w-auto" id="${this.containerId}Size" data-page-size>
+                        ${this.pageSizes.map(size =>
+                            `<option value="${size}" ${size === this.size ? 'selected' : ''}>${size}</option>`).join('')}
+                    </select>
+                </div>
+                <nav aria-label="Pagination">
+                    <ul class="pagination pagination-sm mb-0">
+                        ${pageItem('<i class="bi bi-chevron-left"></i>', page - 1, { disabled: page <= 1, ariaLabel: 'Previous' })}
+                        ${pageLinks}
+                        ${pageItem('<i class="bi bi-chevron-right"></i>', page + 1, { disabled: page >= totalPages, ariaLabel: 'Next' })}
+                    </ul>
+                </nav>
+            </div>
+        `;
+        container.style.display = '';
+    }
+
+    /**
+     * Hide the pagination controls (e.g. while showing a single search result)
+     */
+    hide() {
+        const container = document.getElementById(this.containerId);
+        if (container) {
+            container.style.display = 'none';
+        }
+        this.pagination = null;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Order Event Stream
+ * Receives live order events from the server over Server-Sent Events
+ *
+ * EventSource cannot send an Authorization header; the server reads the
+ * jwtToken cookie instead. The browser reconnects dropped streams itself and
+ * catches up with Last-Event-ID; when the server refuses the stream (for
+ * example after the session expired) a new one is tried after a longer pause.
+ */
+
+class OrderEventStream {
+    /**
+     * @param {Object} options - Stream options
+     * @param {Function} options.onEvent - Called as onEvent(data) for order.created and order.status_changed
+     * @param {Function} [options.onStateChange] - Called with 'live', 'reconnecting' or 'offline'
+     * @param {number} [options.retryDelay=30000] - Pause before reopening a refused stream
+     */
+    constructor({ onEvent, onStateChange = null, retryDelay = 30000 }) {
+        this.onEvent = onEvent;
+        this.onStateChange = onStateChange;
+        this.retryDelay = retryDelay;
+        this.source = null;
+        this.retryTimer = null;
+        this.state = null;
+
+        window.addEventListener('pagehide', () => this.stop());
+    }
+
+    /**
+     * Open the stream (no-op in browsers without EventSource)
+     */
+    start() {
+        if (typeof EventSource === 'undefined' || this.source) {
+            return;
+        }
+
+        this.source = new EventSource('/api/events/orders');
+        ['order.created', 'order.status_changed'].forEach(type => {
+            this.source.addEventListener(type, (event) => this.dispatch(event));
+        });
+
+        this.source.onopen = () => this.setState('live');
+        this.source.onerror = () => {
+            if (this.source.readyState === EventSource.CLOSED) {
+                this.source = null;
+                this.setState('offline');
+                clearTimeout(this.retryTimer);
+                this.retryTimer = setTimeout(() => this.start(), this.retryDelay);
+            } else {
+                this.setState('reconnecting');
+            }
+        };
+    }
+
+    /**
+     * Close the stream and cancel any pending retry
+     */
+    stop() {
+        clearTimeout(this.retryTimer);
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    /**
+     * Parse an event and hand it to the page
+     * @param {MessageEvent} event - Server-Sent Event
+     */
+    dispatch(event) {
+        try {
+            this.onEvent(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling order event:', error);
+        }
+    }
+
+    /**
+     * Report connection state changes
+     * @param {string} state - 'live', 'reconnecting' or 'offline'
+     */
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+
+    /**
+     * Briefly highlight an element that was changed by an event
+     * @param {Element|null} element - Element to highlight
+     */
+    static highlight(element) {
+        if (!element) return;
+        element.classList.remove('live-update');
+        // Force a reflow so the animation restarts when the same row changes again
+        void element.offsetWidth;
+        element.classList.add('live-update');
+        element.addEventListener('animationend', () => element.classList.remove('live-update'), { once: true });
+    }
+
+    /**
+     * Render the small live/offline indicator shown next to a list
+     * @param {string} elementId - Indicator element
+     * @param {string} state - 'live', 'reconnecting' or 'offline'
+     */
+    static renderIndicator(elementId, state) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const states = {
+            live: { text: 'Live', icon: 'bi-broadcast', className: 'text-success' },
+            reconnecting: { text: 'Reconnecting', icon: 'bi-arrow-repeat', className: 'text-warning' },
+            offline: { text: 'Updates paused', icon: 'bi-pause-circle', className: 'text-muted' }
+        };
+        const { text, icon, className } = states[state] || states.offline;
+
+        element.className = `small ${className}`;
+        element.innerHTML = `<i class="bi ${icon} me-1"></i>${text}`;
+        element.title = state === 'live'
+            ? 'Order changes appear automatically'
+            : 'Live updates are not connected; refresh to see the latest orders';
+    }
+}
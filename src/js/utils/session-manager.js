@@ -0,0 +1,428 @@
+/**
+ * Session Manager
+ * Warns before the session token expires and keeps unsaved work across a re-login
+ *
+ * The token's exp claim is checked periodically. Users who were active
+ * recently get the token refreshed silently; otherwise a dialog counts down
+ * with a "Stay signed in" option. When the backend cannot refresh tokens,
+ * or the session runs out anyway, the state pages registered with
+ * preserve() is saved to sessionStorage and restored once the user has
+ * signed in again and is back on the same page.
+ */
+
+class SessionManager {
+    /**
+     * @param {Object} [options] - Manager options
+     * @param {number} [options.warningLeadMs=300000] - How long before expiry the warning appears
+     *   (at most a quarter of the token lifetime)
+     * @param {number} [options.checkIntervalMs=15000] - How often the token is checked
+     * @param {number} [options.activityWindowMs=300000] - Users active within this window are refreshed silently
+     */
+    constructor({ warningLeadMs = 300000, checkIntervalMs = 15000, activityWindowMs = 300000 } = {}) {
+        this.warningLeadMs = warningLeadMs;
+        this.checkIntervalMs = checkIntervalMs;
+        this.activityWindowMs = activityWindowMs;
+        this.providers = new Map();
+        this.timer = null;
+        this.countdownTimer = null;
+        this.modal = null;
+        this.refreshing = false;
+        this.expired = false;
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * sessionStorage key of the saved page state
+     * @returns {string} Storage key
+     */
+    static get DRAFT_KEY() {
+        return 'sessionDraft';
+    }
+
+    /**
+     * sessionStorage flag set once the backend turned down a refresh
+     * @returns {string} Storage key
+     */
+    static get NO_REFRESH_KEY() {
+        return 'sessionRefreshUnsupported';
+    }
+
+    /**
+     * How long saved page state is offered back
+     * @returns {number} Milliseconds
+     */
+    static get DRAFT_MAX_AGE_MS() {
+        return 60 * 60 * 1000;
+    }
+
+    /**
+     * Read the saved page state
+     * @returns {Object|null} Draft with path, user, savedAt and state, or null if none or too old
+     */
+    static getDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(sessionStorage.getItem(SessionManager.DRAFT_KEY));
+        } catch (error) {
+            draft = null;
+        }
+        if (draft && Date.now() - draft.savedAt > SessionManager.DRAFT_MAX_AGE_MS) {
+            SessionManager.clearDraft();
+            return null;
+        }
+        return draft;
+    }
+
+    /**
+     * Drop the saved page state
+     */
+    static clearDraft() {
+        sessionStorage.removeItem(SessionManager.DRAFT_KEY);
+    }
+
+    /**
+     * Get the page a user left with unsaved work
+     * @param {string} [username] - Only return drafts saved by this user
+     * @returns {string|null} Path and query of the page, or null if there is no draft
+     */
+    static draftPath(username = null) {
+        const draft = SessionManager.getDraft();
+        if (!draft || (username && draft.user !== username)) {
+            return null;
+        }
+        return draft.path;
+    }
+
+    /**
+     * Start watching the session (no-op when signed out)
+     */
+    start() {
+        if (!JWTHelper.isAuthenticated() || this.timer) {
+            return;
+        }
+
+        ['keydown', 'pointerdown', 'input'].forEach(type => {
+            document.addEventListener(type, () => { this.lastActivity = Date.now(); }, { passive: true });
+        });
+
+        // Another tab may have refreshed the token or signed out
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'jwtToken' || event.key === 'sessionClaims') {
+                apiClient.token = JWTHelper.getToken();
+                this.check();
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+        this.check();
+    }
+
+    /**
+     * Register page state to keep across a re-login
+     *
+     * If a draft saved on this page holds state for the key, it is restored
+     * right away, so register once the page can display it (after its data loaded).
+     * @param {string} key - Name of the state on this page
+     * @param {Object} handlers - State handlers
+     * @param {Function} handlers.save - Returns serializable state, or null when there is nothing to keep
+     * @param {Function} handlers.restore - Called with previously saved state
+     */
+    preserve(key, { save, restore }) {
+        this.providers.set(key, save);
+
+        const draft = SessionManager.getDraft();
+        const user = JWTHelper.getUserInfo();
+        if (!draft || draft.path !== this.currentPath() || !draft.state || !(key in draft.state)) {
+            return;
+        }
+        if (!user || draft.user !== user.sub) {
+            return;
+        }
+
+        const state = draft.state[key];
+        delete draft.state[key];
+        if (Object.keys(draft.state).length > 0) {
+            sessionStorage.setItem(SessionManager.DRAFT_KEY, JSON.stringify(draft));
+        } else {
+            SessionManager.clearDraft();
+        }
+
+        try {
+            restore(state);
+            UIHelper.showToast('Restored the changes you had not saved before signing in again', 'info', 5000);
+        } catch (error) {
+            console.error(`Error restoring ${key}:`, error);
+        }
+    }
+
+    /**
+     * Keep the fields of a form, optionally shown in a modal, across a re-login
+     *
+     * Password and file inputs are never saved. With a modal the form is only
+     * kept while the modal is open, and the modal is reopened on restore.
+     * @param {string} formId - Form element ID
+     * @param {Object} [options] - Form options
+     * @param {string} [options.modalId] - Modal that contains the form
+     */
+    preserveForm(formId, { modalId = null } = {}) {
+        const form = document.getElementById(formId);
+        if (!form) {
+            return;
+        }
+        const fields = () => Array.from(form.elements)
+            .filter(field => field.id && !['password', 'file', 'button', 'submit'].includes(field.type));
+
+        this.preserve(`form:${formId}`, {
+            save: () => {
+                const modal = modalId ? document.getElementById(modalId) : null;
+                if (modal && !modal.classList.contains('show')) {
+                    return null;
+                }
+                const values = {};
+                fields().forEach(field => {
+                    values[field.id] = field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value;
+                });
+                return Object.values(values).some(value => value !== '' && value !== false) ? values : null;
+            },
+            restore: (values) => {
+                if (modalId) {
+                    bootstrap.Modal.getOrCreateInstance(document.getElementById(modalId)).show();
+                }
+                fields().forEach(field => {
+                    if (!(field.id in values)) return;
+                    if (field.type === 'checkbox' || field.type === 'radio') {
+                        field.checked = values[field.id];
+                    } else {
+                        field.value = values[field.id];
+                    }
+                    field.dispatchEvent(new Event('change', { bubbles: true }));
+                });
+            }
+        });
+    }
+
+    /**
+     * Compare the token expiry with the clock and act on it
+     */
+    async check() {
+        const claims = JWTHelper.getUserInfo();
+        if (!claims || !claims.exp) {
+            return;
+        }
+
+        const remainingMs = claims.exp * 1000 - Date.now();
+        if (remainingMs <= 0) {
+            this.expire();
+            return;
+        }
+
+        const lifetimeMs = claims.iat ? (claims.exp - claims.iat) * 1000 : Infinity;
+        const leadMs = Math.min(this.warningLeadMs, lifetimeMs / 4);
+        if (remainingMs > leadMs) {
+            this.hideWarning();
+            return;
+        }
+
+        if (this.modal || this.refreshing) {
+            return;
+        }
+        if (this.canRefresh() && Date.now() - this.lastActivity < this.activityWindowMs && await this.refresh()) {
+            return;
+        }
+        this.showWarning(claims.exp);
+    }
+
+    /**
+     * Whether the backend may still accept refresh requests
+     * @returns {boolean} False once a refresh was turned down as unsupported
+     */
+    canRefresh() {
+        return sessionStorage.getItem(SessionManager.NO_REFRESH_KEY) !== 'true';
+    }
+
+    /**
+     * Ask for a new token
+     * @returns {Promise<boolean>} True if the session was extended
+     */
+    async refresh() {
+        this.refreshing = true;
+        try {
+            await authService.refresh();
+            return true;
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+            // Backends without a refresh endpoint answer 404, 405 or 501
+            if ([404, 405, 501].includes(error.status)) {
+                sessionStorage.setItem(SessionManager.NO_REFRESH_KEY, 'true');
+            } else if (error.status === 401) {
+                // The token is no longer accepted, so only signing in again helps
+                this.expire();
+            }
+            return false;
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * Show the expiry dialog with a countdown
+     * @param {number} exp - Token expiry in seconds since the epoch
+     */
+    showWarning(exp) {
+        const element = this.createWarningElement();
+        const canRefresh = this.canRefresh();
+
+        element.querySelector('[data-session-action="extend"]').classList.toggle('d-none', !canRefresh);
+        element.querySelector('[data-session-action="relogin"]').classList.toggle('d-none', canRefresh);
+        element.querySelector('[data-session-hint]').textContent = canRefresh
+            ? 'Stay signed in to keep working, or sign out now.'
+            : 'Sign in again now to keep working. Your unsaved changes will be restored afterwards.';
+
+        const countdown = element.querySelector('[data-session-countdown]');
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil(exp - Date.now() / 1000));
+            countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            if (seconds === 0) this.expire();
+        };
+        tick();
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = setInterval(tick, 1000);
+
+        this.modal = bootstrap.Modal.getOrCreateInstance(element);
+        this.modal.show();
+    }
+
+    /**
+     * Close the expiry dialog
+     */
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        if (this.modal) {
+            this.modal.hide();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Create the expiry dialog once
+     * @returns {HTMLElement} Modal element
+     */
+    createWarningElement() {
+        let element = document.getElementById('sessionExpiryModal');
+        if (element) {
+            return element;
+        }
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="sessionExpiryModal" tabindex="-1" data-bs-backdrop="static" data-bs-keyboard="false"
+                 aria-labelledby="sessionExpiryModalLabel" aria-hidden="true">
+                <div class="modal-dialog modal-dialog-centered">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="sessionExpiryModalLabel">
+                                <i class="bi bi-clock-history me-2"></i>Your session is about to expire
+                            </h5>
+                        </div>
+                        <div class="modal-body">
+                            <p class="mb-1">You will be signed out in <strong data-session-countdown></strong>.</p>
+                            <p class="text-muted mb-0" data-session-hint></p>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-secondary" data-session-action="logout">Sign out</button>
+                            <button type="button" class="btn btn-primary" data-session-action="relogin">Sign in again</button>
+                            <button type="button" class="btn btn-primary" data-session-action="extend">Stay signed in</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+        element = document.getElementById('sessionExpiryModal');
+
+        element.querySelector('[data-session-action="extend"]').addEventListener('click', async (event) => {
+            event.target.disabled = true;
+            const extended = await this.refresh();
+            event.target.disabled = false;
+            if (extended) {
+                this.hideWarning();
+                UIHelper.showToast('You are still signed in', 'success');
+            } else if (!this.canRefresh()) {
+                this.hideWarning();
+                this.check();
+            } else {
+                UIHelper.showToast('Could not extend your session. Please try again.', 'warning');
+            }
+        });
+        element.querySelector('[data-session-action="relogin"]').addEventListener('click', () => this.expire());
+        element.querySelector('[data-session-action="logout"]').addEventListener('click', () => {
+            SessionManager.clearDraft();
+            this.stop();
+            authService.logout();
+        });
+
+        return element;
+    }
+
+    /**
+     * Save the page state and send the user to sign in again
+     */
+    expire() {
+        if (this.expired) {
+            return;
+        }
+        this.expired = true;
+        this.stop();
+        this.saveDraft();
+        JWTHelper.removeToken();
+        window.location.href = JWTHelper.loginUrl();
+    }
+
+    /**
+     * Stop watching the session
+     */
+    stop() {
+        clearInterval(this.timer);
+        clearInterval(this.countdownTimer);
+        this.timer = null;
+    }
+
+    /**
+     * Collect the registered page state into sessionStorage
+     */
+    saveDraft() {
+        const user = JWTHelper.getUserInfo();
+        const state = {};
+        this.providers.forEach((save, key) => {
+            try {
+                const value = save();
+                if (value !== null && value !== undefined) state[key] = value;
+            } catch (error) {
+                console.error(`Error saving ${key}:`, error);
+            }
+        });
+
+        if (!user || Object.keys(state).length === 0) {
+            return;
+        }
+        sessionStorage.setItem(SessionManager.DRAFT_KEY, JSON.stringify({
+            path: this.currentPath(),
+            user: user.sub,
+            savedAt: Date.now(),
+            state
+        }));
+    }
+
+    /**
+     * Get the path and query of the current page
+     * @returns {string} Path and query string
+     */
+    currentPath() {
+        return window.location.pathname + window.location.search;
+    }
+}
+
+// Export singleton instance
+const sessionManager = new SessionManager();
+document.addEventListener('DOMContentLoaded', () => sessionManager.start());
@@ -0,0 +1,96 @@
+/**
+ * Two-Factor Helpers
+ * QR codes and recovery code lists shared by the login and profile pages
+ *
+ * QR codes are drawn by qrcode-generator, loaded from the CDN by the pages
+ * that enroll. Without it only the secret is shown for manual entry.
+ */
+
+class TwoFactorHelper {
+    /**
+     * Draw the QR code for an otpauth:// URL and show the secret beneath it
+     * @param {HTMLElement} container - Element to draw into (emptied first)
+     * @param {Object} enrollment - { secret, otpauthUrl } from the setup endpoint
+     */
+    static renderEnrollment(container, { secret, otpauthUrl }) {
+        container.innerHTML = '';
+
+        if (typeof qrcode === 'function') {
+            const qr = qrcode(0, 'M');
+            qr.addData(otpauthUrl);
+            qr.make();
+
+            const image = document.createElement('div');
+            image.className = 'mx-auto mb-2';
+            image.style.width = '200px';
+            image.setAttribute('role', 'img');
+            image.setAttribute('aria-label', 'QR code for your authenticator app');
+            // The SVG only encodes otpauthUrl as paths, never as markup
+            image.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+            container.appendChild(image);
+        }
+
+        const manual = document.createElement('p');
+        manual.className = 'small text-muted mb-0';
+        manual.append('Can\'t scan it? Enter this key in your app: ');
+        const key = document.createElement('code');
+        key.className = 'user-select-all';
+        key.textContent = TwoFactorHelper.formatSecret(secret);
+        manual.appendChild(key);
+        container.appendChild(manual);
+    }
+
+    /**
+     * Group a base32 secret in fours so it is easier to type
+     * @param {string} secret - Base32 secret
+     * @returns {string} Grouped secret
+     */
+    static formatSecret(secret) {
+        return String(secret).match(/.{1,4}/g).join(' ');
+    }
+
+    /**
+     * List recovery codes with buttons to copy or download them
+     * @param {HTMLElement} container - Element to draw into (emptied first)
+     * @param {string[]} codes - Recovery codes
+     */
+    static renderRecoveryCodes(container, codes) {
+        container.innerHTML = '';
+
+        const list = document.createElement('ul');
+        list.className = 'list-unstyled row row-cols-2 font-monospace mb-3';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.className = 'col';
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        const text = codes.join('\n') + '\n';
+        const actions = document.createElement('div');
+        actions.className = 'd-flex gap-2 justify-content-center';
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'btn btn-outline-secondary btn-sm';
+        copyButton.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(text);
+                copyButton.textContent = 'Copied';
+            } catch (error) {
+                console.error('Error copying recovery codes:', error);
+            }
+        });
+
+        const downloadLink = document.createElement('a');
+        downloadLink.className = 'btn btn-outline-secondary btn-sm';
+        downloadLink.innerHTML = '<i class="bi bi-download"></i> Download';
+        downloadLink.download = 'sales-store-recovery-codes.txt';
+        downloadLink.href = `data:text/plain;charset=utf-8,${encodeURIComponent(text)}`;
+
+        actions.append(copyButton, downloadLink);
+        container.appendChild(actions);
+    }
+}
@@ -4,11 +4,25 @@
  */
 
 class UIHelper {
+    /**
+     * Check if the site-wide offline banner is covering errors
+     * @returns {boolean} True while the backend is reported offline
+     */
+    static isBackendOffline() {
+        return typeof backendStatus !== 'undefined' && backendStatus.isOffline();
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message to display
      */
     static showError(message) {
+        // The offline banner already explains failures while the backend is down
+        if (UIHelper.isBackendOffline()) {
+            console.error('Error (backend offline):', message);
+            return;
+        }
+
         const errorAlert = document.getElementById('errorAlert');
         const errorMessage = document.getElementById('errorMessage');
         
@@ -41,6 +55,11 @@ class UIHelper {
      * @param {string} type - Alert type (success, danger, warning, info)
      */
     static showAlert(message, type = 'info') {
+        if (type === 'danger' && UIHelper.isBackendOffline()) {
+            console.error('Error (backend offline):', message);
+            return;
+        }
+
         const alertContainer = document.getElementById('alertContainer');
         const alertBox = document.getElementById('alertBox');
         const alertIcon = document.getElementById('alertIcon');
@@ -152,6 +171,50 @@ class UIHelper {
         }
     }
 
+    /**
+     * Run the page action named by an element's data attribute
+     *
+     * The Content-Security-Policy blocks inline on* attributes, so markup names
+     * a global function instead: data-action runs on click, data-change-action
+     * on change and data-keyup-action on keyup, with the arguments as a JSON
+     * array in data-args. Dotted names such as "orderHistoryController.applyFilters"
+     * are looked up on window.
+     * @param {Event} event - Delegated DOM event
+     * @param {string} attribute - Data attribute holding the action name
+     */
+    static runAction(event, attribute) {
+        const element = event.target instanceof Element ? event.target.closest(`[${attribute}]`) : null;
+        if (!element) {
+            return;
+        }
+
+        const name = element.getAttribute(attribute);
+        const path = name.split('.');
+        const method = path.pop();
+        const target = path.reduce((object, key) => (object ? object[key] : undefined), window);
+        const handler = target ? target[method] : undefined;
+        if (typeof handler !== 'function') {
+            console.error('Unknown page action:', name);
+            return;
+        }
+
+        if (element.tagName === 'A' && element.getAttribute('href') === '#') {
+            event.preventDefault();
+        }
+        const args = element.dataset.args ? JSON.parse(element.dataset.args) : [];
+        handler.apply(target, args);
+    }
+
+    /**
+     * Encode action arguments for a data-args attribute in rendered markup
+     * @param {...*} args - JSON-serializable arguments
+     * @returns {string} Attribute value, escaped for a double-quoted attribute
+     */
+    static actionArgs(...args) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+        return JSON.stringify(args).replace(/[&<>"']/g, m => map[m]);
+    }
+
     /**
      * Get form data as object
      * @param {string} formId - Form element ID
@@ -189,6 +252,11 @@ class UIHelper {
      * @param {number} duration - Duration in milliseconds (default: 3000)
      */
     static showToast(message, type = 'info', duration = 3000) {
+        if (type === 'danger' && UIHelper.isBackendOffline()) {
+            console.error('Error (backend offline):', message);
+            return;
+        }
+
         // Create toast container if it doesn't exist
         let toastContainer = document.getElementById('toastContainer');
         if (!toastContainer) {
@@ -228,3 +296,8 @@ class UIHelper {
         });
     }
 }
+
+// One listener per event type also covers markup rendered after page load
+[['click', 'data-action'], ['change', 'data-change-action'], ['keyup', 'data-keyup-action']].forEach(([type, attribute]) => {
+    document.addEventListener(type, event => UIHelper.runAction(event, attribute));
+});
@@ -0,0 +1,351 @@
+/**
+ * Validation Schemas
+ * Request body rules shared by the admin pages and the server proxy
+ *
+ * Pages load this file as a script; server/middleware/validateBody.js requires
+ * it, so both sides reject the same input with the same messages.
+ *
+ * Field rules:
+ *   type        'string' | 'number' | 'integer' | 'boolean' | 'array'
+ *   label       Name used in messages
+ *   required    Value must be present (and non-blank for strings); optional fields accept null
+ *   minLength / maxLength, pattern + patternMessage, format: 'email', enum
+ *   min (inclusive), positive (greater than zero)
+ *   minItems, items (nested { fields } schema for array elements),
+ *   enum on an array (every entry must be one of the values)
+ * Schema rules:
+ *   minFields   At least this many of the listed fields must be present
+ */
+
+// Events a webhook endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+    'order.created',
+    'order.status_changed',
+    'product.created',
+    'product.updated',
+    'product.deleted',
+    'product.stock_changed'
+];
+
+// Password rule shared by account creation and password reset
+const PASSWORD_FIELD = {
+    type: 'string',
+    label: 'Password',
+    required: true,
+    pattern: '^(?=.*[A-Za-z])(?=.*\\d)[A-Za-z\\d]{8,}$',
+    patternMessage: 'Password must be at least 8 characters long, contain at least 1 letter and 1 number'
+};
+
+// Six digit authenticator code, or a recovery code where the schema allows one
+const TWO_FACTOR_CODE_FIELD = { type: 'string', label: 'Code', required: true, maxLength: 20 };
+
+const VALIDATION_SCHEMAS = {
+    // CreateUserDTO (POST /api/users)
+    createUser: {
+        fields: {
+            username: { type: 'string', label: 'Username', required: true, minLength: 3, maxLength: 50 },
+            firstName: { type: 'string', label: 'First name', required: true, maxLength: 30 },
+            lastName: { type: 'string', label: 'Last name', required: true, maxLength: 30 },
+            email: { type: 'string', label: 'Email', required: true, format: 'email' },
+            password: PASSWORD_FIELD
+        }
+    },
+
+    // Password reset request (POST /api/auth/forgot-password)
+    forgotPassword: {
+        fields: {
+            identifier: { type: 'string', label: 'Username or email', required: true, maxLength: 254 }
+        }
+    },
+
+    // New password from a reset link (POST /api/auth/reset-password)
+    resetPassword: {
+        fields: {
+            token: { type: 'string', label: 'Reset token', required: true, maxLength: 200 },
+            password: PASSWORD_FIELD
+        }
+    },
+
+    // Second login step (POST /api/auth/login/verify)
+    twoFactorLogin: {
+        fields: {
+            challenge: { type: 'string', label: 'Challenge', required: true, maxLength: 100 },
+            code: TWO_FACTOR_CODE_FIELD
+        }
+    },
+
+    // Enrollment during the second login step (POST /api/auth/login/enroll)
+    twoFactorLoginEnroll: {
+        fields: {
+            challenge: { type: 'string', label: 'Challenge', required: true, maxLength: 100 }
+        }
+    },
+
+    // Code confirming a 2FA change (POST /api/auth/2fa/enable, /disable, /recovery-codes)
+    twoFactorCode: {
+        fields: {
+            code: TWO_FACTOR_CODE_FIELD
+        }
+    },
+
+    // 2FA policy (PUT /api/auth/2fa/policy)
+    twoFactorPolicy: {
+        fields: {
+            requireForAdmins: { type: 'boolean', label: 'Require for admins', required: true }
+        }
+    },
+
+    // CreateProductDTO (POST /api/products)
+    createProduct: {
+        fields: {
+            name: { type: 'string', label: 'Product name', required: true, maxLength: 50 },
+            description: { type: 'string', label: 'Description', maxLength: 400 },
+            actualPrice: { type: 'number', label: 'Actual price', required: true, positive: true },
+            sellingPrice: { type: 'number', label: 'Selling price', required: true, positive: true },
+            availableQuantity: { type: 'integer', label: 'Available quantity', required: true, min: 0 }
+        }
+    },
+
+    // Partial product update (PUT /api/products/:id)
+    updateProduct: {
+        minFields: 1,
+        fields: {
+            name: { type: 'string', label: 'Product name', maxLength: 50 },
+            description: { type: 'string', label: 'Description', maxLength: 400 },
+            actualPrice: { type: 'number', label: 'Actual price', positive: true },
+            sellingPrice: { type: 'number', label: 'Selling price', positive: true },
+            availableQuantity: { type: 'integer', label: 'Available quantity', min: 0 }
+        }
+    },
+
+    // Order creation (POST /api/orders and POST /api/orders/admin/:username)
+    createOrder: {
+        fields: {
+            orderProducts: {
+                type: 'array',
+                label: 'Order items',
+                required: true,
+                minItems: 1,
+                items: {
+                    fields: {
+                        productId: { type: 'integer', label: 'Product', required: true, min: 1 },
+                        productQuantity: { type: 'integer', label: 'Quantity', required: true, min: 1 }
+                    }
+                }
+            }
+        }
+    },
+
+    // Order status change (PUT /api/orders/:uuid/status)
+    updateOrderStatus: {
+        fields: {
+            status: {
+                type: 'string',
+                label: 'Status',
+                required: true,
+                enum: ['PENDING', 'IN_PROGRESS', 'DONE']
+            }
+        }
+    },
+
+    // Webhook endpoint (POST /api/webhooks)
+    createWebhook: {
+        fields: {
+            url: {
+                type: 'string',
+                label: 'URL',
+                required: true,
+                maxLength: 2000,
+                pattern: '^https?://[^\\s/?#]+[^\\s]*$',
+                patternMessage: 'URL must start with http:// or https://'
+            },
+            description: { type: 'string', label: 'Description', maxLength: 200 },
+            events: { type: 'array', label: 'Events', required: true, minItems: 1, enum: WEBHOOK_EVENTS },
+            enabled: { type: 'boolean', label: 'Enabled' }
+        }
+    },
+
+    // Partial webhook endpoint update (PUT /api/webhooks/:id)
+    updateWebhook: {
+        minFields: 1,
+        fields: {
+            url: {
+                type: 'string',
+                label: 'URL',
+                maxLength: 2000,
+                pattern: '^https?://[^\\s/?#]+[^\\s]*$',
+                patternMessage: 'URL must start with http:// or https://'
+            },
+            description: { type: 'string', label: 'Description', maxLength: 200 },
+            events: { type: 'array', label: 'Events', minItems: 1, enum: WEBHOOK_EVENTS },
+            enabled: { type: 'boolean', label: 'Enabled' },
+            rotateSecret: { type: 'boolean', label: 'Rotate secret' }
+        }
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class Validator {
+    /**
+     * Validate data against a named schema
+     * @param {string} schemaName - Key of VALIDATION_SCHEMAS
+     * @param {Object} data - Data to validate
+     * @returns {Array<{field: string, message: string}>} Field errors (empty when valid)
+     */
+    static validate(schemaName, data) {
+        const schema = VALIDATION_SCHEMAS[schemaName];
+        if (!schema) {
+            throw new Error(`Unknown validation schema: ${schemaName}`);
+        }
+
+        const errors = [];
+        Validator.validateObject(schema, data, '', errors);
+        return errors;
+    }
+
+    /**
+     * Get just the messages of a validation result
+     * @param {Array<{field: string, message: string}>} errors - Field errors
+     * @returns {string[]} Messages
+     */
+    static messages(errors) {
+        return errors.map(error => error.message);
+    }
+
+    /**
+     * Validate an object against a { fields } schema
+     * @param {Object} schema - Object schema
+     * @param {*} data - Value to validate
+     * @param {string} prefix - Path of the object, used in field names
+     * @param {Array} errors - Collected errors
+     */
+    static validateObject(schema, data, prefix, errors) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push({ field: prefix || '(body)', message: 'Request body must be a JSON object' });
+            return;
+        }
+
+        const fieldNames = Object.keys(schema.fields);
+        if (schema.minFields) {
+            const present = fieldNames.filter(name => !Validator.isMissing(data[name]));
+            if (present.length < schema.minFields) {
+                errors.push({ field: prefix || '(body)', message: 'Please fill at least one field to update' });
+                return;
+            }
+        }
+
+        fieldNames.forEach(name => {
+            const path = prefix ? `${prefix}.${name}` : name;
+            Validator.validateField(schema.fields[name], data[name], path, errors);
+        });
+    }
+
+    /**
+     * Validate a single field
+     * @param {Object} rule - Field rule
+     * @param {*} value - Field value
+     * @param {string} field - Field path
+     * @param {Array} errors - Collected errors
+     */
+    static validateField(rule, value, field, errors) {
+        const label = rule.label || field;
+        const fail = message => errors.push({ field, message });
+
+        if (Validator.isMissing(value)) {
+            if (rule.required) fail(`${label} is required`);
+            return;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') return fail(`${label} must be text`);
+                Validator.checkString(rule, value.trim(), label, fail);
+                break;
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`${label} must be a number`);
+                if (rule.type === 'integer' && !Number.isInteger(value)) return fail(`${label} must be a whole number`);
+                Validator.checkNumber(rule, value, label, fail);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return fail(`${label} must be true or false`);
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return fail(`${label} must be a list`);
+                if (rule.minItems && value.length < rule.minItems) {
+                    return fail(rule.minItems === 1
+                        ? `${label} must contain at least one entry`
+                        : `${label} must contain at least ${rule.minItems} entries`);
+                }
+                if (rule.enum && value.some(item => !rule.enum.includes(item))) {
+                    return fail(`${label} must only contain ${rule.enum.join(', ')}`);
+                }
+                if (rule.items) {
+                    value.forEach((item, index) => {
+                        Validator.validateObject(rule.items, item, `${field}[${index}]`, errors);
+                    });
+                }
+                break;
+        }
+    }
+
+    /**
+     * Check string length, format, pattern and allowed values
+     * @param {Object} rule - Field rule
+     * @param {string} value - Trimmed value
+     * @param {string} label - Field label
+     * @param {Function} fail - Records an error message
+     */
+    static checkString(rule, value, label, fail) {
+        const { minLength, maxLength } = rule;
+        if (minLength && maxLength && (value.length < minLength || value.length > maxLength)) {
+            return fail(`${label} must be between ${minLength} and ${maxLength} characters`);
+        }
+        if (minLength && value.length < minLength) {
+            return fail(`${label} must be at least ${minLength} characters`);
+        }
+        if (maxLength && value.length > maxLength) {
+            return fail(`${label} must not exceed ${maxLength} characters`);
+        }
+        if (rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+            return fail(`Invalid ${label.toLowerCase()} format`);
+        }
+        if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+            return fail(rule.patternMessage || `${label} has an invalid format`);
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            return fail(`${label} must be one of ${rule.enum.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check number bounds
+     * @param {Object} rule - Field rule
+     * @param {number} value - Value
+     * @param {string} label - Field label
+     * @param {Function} fail - Records an error message
+     */
+    static checkNumber(rule, value, label, fail) {
+        if (rule.positive && value <= 0) {
+            return fail(`${label} must be a positive number`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            return fail(rule.min === 0 ? `${label} cannot be negative` : `${label} must be at least ${rule.min}`);
+        }
+    }
+
+    /**
+     * Check if a value counts as not provided
+     * @param {*} value - Value
+     * @returns {boolean} True for undefined, null and blank strings
+     */
+    static isMissing(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+}
+
+// Also loaded by the server proxy
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Validator, VALIDATION_SCHEMAS, WEBHOOK_EVENTS };
+}